@@ -0,0 +1,45 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../src/config/database");
+const NotePage = require("../src/models/NotePage");
+const { indexTerms } = require("../src/utils/textSearch");
+
+// Indexes the text of pages stored before search existed (new and corrected
+// pages are indexed when they are saved). Run with --all to rebuild every page.
+const REBUILD_ALL = process.argv.includes("--all");
+
+async function buildSearchIndex() {
+  try {
+    await connectDB();
+    console.log(`Indexing ${REBUILD_ALL ? "all" : "unindexed"} note pages for search...`);
+
+    const cursor = NotePage.find(REBUILD_ALL ? {} : { termCount: { $exists: false } })
+      .select("text")
+      .lean()
+      .cursor();
+
+    let indexed = 0;
+    let failed = 0;
+
+    for await (const page of cursor) {
+      try {
+        const { terms, length } = indexTerms(page.text);
+        await NotePage.updateOne({ _id: page._id }, { $set: { searchTerms: terms, termCount: length } });
+        indexed++;
+        if (indexed % 1000 === 0) console.log(`Indexed ${indexed} page(s)...`);
+      } catch (error) {
+        failed++;
+        console.error(`Failed to index page ${page._id}:`, error.message);
+      }
+    }
+
+    console.log(`Done: ${indexed} page(s) indexed, ${failed} failed`);
+    await mongoose.disconnect();
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error("Error building search index:", error);
+    process.exit(1);
+  }
+}
+
+buildSearchIndex();
@@ -0,0 +1,134 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../src/config/database");
+const Note = require("../src/models/Note");
+const fileStorage = require("../src/services/storage");
+const pageImageService = require("../src/services/pageImageService");
+
+// Moves originalFile/ocrTextPDF bytes and data URL thumbnails that still live
+// inside Note documents into file storage (STORAGE_DRIVER). Run with --dry-run
+// to only count them.
+const DRY_RUN = process.argv.includes("--dry-run");
+const FILE_KINDS = ["originalFile", "ocrTextPDF"];
+
+async function migrateNoteFiles() {
+  try {
+    await connectDB();
+    console.log(`Migrating note files to "${fileStorage.DEFAULT_DRIVER}" storage${DRY_RUN ? " (dry run)" : ""}...`);
+
+    const cursor = Note.find({
+      $or: FILE_KINDS.map((kind) => ({ [`${kind}.data`]: { $exists: true } })),
+    })
+      .select(FILE_KINDS.map((kind) => `+${kind}.data`).join(" "))
+      .cursor();
+
+    let migrated = 0;
+    let failed = 0;
+
+    for await (const note of cursor) {
+      for (const kind of FILE_KINDS) {
+        const file = note[kind];
+        if (!file || !file.data || file.storageId) continue;
+
+        if (DRY_RUN) {
+          console.log(`Would migrate ${kind} of note ${note._id} (${file.data.length} bytes)`);
+          migrated++;
+          continue;
+        }
+
+        let stored = null;
+        try {
+          stored = await fileStorage.save(file.data, {
+            filename: file.originalName || `${note._id}_${kind}.pdf`,
+            contentType: file.mimetype || "application/pdf",
+            metadata: { noteId: String(note._id), kind },
+          });
+
+          // Only claim the entry if nothing else migrated it in the meantime
+          const result = await Note.updateOne(
+            { _id: note._id, [`${kind}.storageId`]: { $exists: false } },
+            {
+              $set: {
+                [`${kind}.storageId`]: stored.storageId,
+                [`${kind}.storageDriver`]: stored.storageDriver,
+                [`${kind}.size`]: stored.size,
+              },
+              $unset: { [`${kind}.data`]: "" },
+            }
+          );
+
+          if (result.modifiedCount === 0) {
+            await fileStorage.delete(stored);
+            continue;
+          }
+
+          migrated++;
+          console.log(`Migrated ${kind} of note ${note._id} (${stored.size} bytes)`);
+        } catch (error) {
+          failed++;
+          if (stored) await fileStorage.delete(stored).catch(() => {});
+          console.error(`Failed to migrate ${kind} of note ${note._id}:`, error.message);
+        }
+      }
+    }
+
+    const thumbnails = Note.find({ thumbnail: /^data:/, "thumbnailFile.storageId": { $exists: false } })
+      .select("thumbnail")
+      .cursor();
+
+    for await (const note of thumbnails) {
+      const match = /^data:([^;,]+);base64,(.*)$/.exec(note.thumbnail);
+      if (!match) continue;
+      const data = Buffer.from(match[2], "base64");
+
+      if (DRY_RUN) {
+        console.log(`Would migrate thumbnail of note ${note._id} (${data.length} bytes)`);
+        migrated++;
+        continue;
+      }
+
+      let stored = null;
+      try {
+        stored = await fileStorage.save(data, {
+          filename: `${note._id}-thumbnailFile`,
+          contentType: match[1],
+          metadata: { noteId: String(note._id), kind: "thumbnailFile" },
+        });
+
+        const thumbnailFile = {
+          mimetype: match[1],
+          size: stored.size,
+          storageId: stored.storageId,
+          storageDriver: stored.storageDriver,
+          createdAt: new Date(),
+        };
+        // Only replace the data URL that was read; a reprocess may have stored a new thumbnail
+        const result = await Note.updateOne(
+          { _id: note._id, thumbnail: note.thumbnail },
+          { $set: { thumbnailFile, thumbnail: pageImageService.getThumbnailUrl(note._id, thumbnailFile) } }
+        );
+
+        if (result.modifiedCount === 0) {
+          await fileStorage.delete(stored);
+          continue;
+        }
+
+        migrated++;
+        console.log(`Migrated thumbnail of note ${note._id} (${stored.size} bytes)`);
+      } catch (error) {
+        failed++;
+        if (stored) await fileStorage.delete(stored).catch(() => {});
+        console.error(`Failed to migrate thumbnail of note ${note._id}:`, error.message);
+      }
+    }
+
+    console.log(`Done: ${migrated} file(s) ${DRY_RUN ? "to migrate" : "migrated"}, ${failed} failed`);
+    await mongoose.disconnect();
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error("Error migrating note files:", error);
+    process.exit(1);
+  }
+}
+
+migrateNoteFiles();
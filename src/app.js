@@ -6,6 +6,8 @@ const path = require("path");
 require("dotenv").config();
 
 const connectDB = require("./config/database");
+const jobQueue = require("./services/jobQueue");
+const noteProcessingService = require("./services/noteProcessingService");
 const notesRoutes = require("./routes/notes");
 const uploadRoutes = require("./routes/upload");
 const authRoutes = require("./routes/auth");
@@ -14,6 +16,7 @@ const chatRoutes = require("./routes/chat");
 const userNotesRoutes = require("./routes/userNotes");
 const annotationsRoutes = require("./routes/annotations");
 const studyMaterialsRoutes = require("./routes/studyMaterials");
+const searchRoutes = require("./routes/search");
 // const organizationRoutes = require("./routes/organization");
 
 const app = express();
@@ -22,8 +25,15 @@ const app = express();
 // This fixes ERR_ERL_UNEXPECTED_X_FORWARDED_FOR error
 app.set('trust proxy', 1);
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then resume background processing left over from a previous run
+connectDB().then(async () => {
+  try {
+    await jobQueue.start();
+    await noteProcessingService.resumeInterruptedNotes();
+  } catch (error) {
+    console.error("Failed to start background processing:", error);
+  }
+});
 
 // CORS configuration - Updated to handle multiple origins and environment variables
 const corsOptions = {
@@ -51,7 +61,7 @@ const corsOptions = {
   },
   credentials: true,
   optionsSuccessStatus: 200,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
 };
 
@@ -101,6 +111,7 @@ app.use("/api/files", fileRoutes);
 app.use("/api/chat", chatRoutes);
 app.use("/api/annotations", annotationsRoutes);
 app.use("/api/study-materials", studyMaterialsRoutes);
+app.use("/api/search", searchRoutes);
 // app.use("/api/organization", organizationRoutes);
 
 // Error handling middleware
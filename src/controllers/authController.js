@@ -2,6 +2,7 @@ const User = require("../models/User");
 const { generateTokens, verifyRefreshToken } = require("../utils/jwt");
 const crypto = require("crypto");
 const EmailService = require("../services/emailService");
+const storageQuotaService = require("../services/storageQuotaService");
 
 const emailService = new EmailService();
 
@@ -108,6 +109,7 @@ const authController = {
         usage: {
           notesUploaded: 0,
           notesLimit: 10, // Free plan limit
+          storageUsed: 0,
           questionsGenerated: 0,
           summariesGenerated: 0,
         },
@@ -411,11 +413,13 @@ const authController = {
   getStats: async (req, res) => {
     try {
       const user = await User.findById(req.user._id);
+      const storage = await storageQuotaService.getUsageReport(user);
 
       res.json({
         success: true,
         data: {
-          usage: user.usage,
+          usage: { ...user.toObject().usage, storageUsed: storage.used },
+          storage,
           subscription: user.subscription,
           joinedDate: user.createdAt,
           lastLogin: user.lastLogin,
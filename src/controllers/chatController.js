@@ -2,7 +2,9 @@ const { json } = require("express");
 const ChatConversation = require("../models/ChatConversation");
 const Note = require("../models/Note");
 const chatService = require("../services/chatService");
+const retrievalService = require("../services/retrievalService");
 const { validationResult } = require("express-validator");
+const { openEventStream } = require("../utils/sse");
 
 class ChatController {
   // Start or get existing conversation for a note
@@ -12,7 +14,7 @@ class ChatController {
       const userId = req.user.id;
 
       // Validate note exists and user has access
-      const note = await Note.findOne({ _id: noteId, userId }).select('title subject description extractedText');
+      const note = await Note.findOne({ _id: noteId, userId }).select('title subject description extractedText extractedPages pages outline');
       if (!note) {
         return res.status(404).json({
           success: false,
@@ -27,9 +29,6 @@ class ChatController {
       );
 
       if (!conversation) {
-        // Pre-build note context for efficiency
-        const noteContext = chatService.buildNoteContext(note);
-
         conversation = new ChatConversation({
           userId,
           noteId,
@@ -40,13 +39,7 @@ class ChatController {
               content: `You are an AI assistant helping with studying from the note titled "${note.title}". The note is about ${note.subject}. You can answer questions about the content, help explain concepts, create practice questions, and assist with studying. Always be helpful, accurate, and educational.`,
             },
           ],
-          noteContext: {
-            title: note.title,
-            subject: note.subject,
-            description: note.description,
-            extractedText: noteContext,
-            lastUpdated: new Date(),
-          },
+          noteContext: chatService.buildNoteContextCache(note),
           settings: {
             model: "deepseek/deepseek-r1:free",
             temperature: 0.7,
@@ -91,55 +84,20 @@ class ChatController {
         });
       }
 
-      const { noteId, message, context } = req.body;
+      const { noteId, conversationId, message, context } = req.body;
       const userId = req.user.id;
 
-      // Verify note exists and user has access
-      const note = await Note.findOne({ _id: noteId, userId }).select('title subject description extractedText');
-      if (!note) {
+      const { conversation, error: notFound } = await findMessageConversation(userId, {
+        noteId,
+        conversationId,
+      });
+      if (notFound) {
         return res.status(404).json({
           success: false,
-          message: "Note not found or access denied",
+          message: notFound,
         });
       }
 
-      // Find existing conversation or create new one
-      let conversation = await ChatConversation.findByUserAndNote(
-        userId,
-        noteId
-      );
-
-      if (!conversation) {
-        // Pre-build note context for efficiency
-        const noteContext = chatService.buildNoteContext(note);
-
-        conversation = new ChatConversation({
-          userId,
-          noteId,
-          title: `Chat about ${note.title}`,
-          messages: [
-            {
-              role: "system",
-              content: `You are an AI assistant helping with studying from the note titled "${note.title}". The note is about ${note.subject}. You can answer questions about the content, help explain concepts, create practice questions, and assist with studying. Always be helpful, accurate, and educational.`,
-            },
-          ],
-          noteContext: {
-            title: note.title,
-            subject: note.subject,
-            description: note.description,
-            extractedText: noteContext,
-            lastUpdated: new Date(),
-          },
-          settings: {
-            model: "deepseek/deepseek-r1:free",
-            temperature: 0.7,
-            maxTokens: 1000,
-            contextWindow: 10,
-          },
-        });
-        await conversation.save();
-      }
-
       // Add user message to conversation
       await conversation.addMessage("user", message);
 
@@ -184,6 +142,109 @@ class ChatController {
     }
   }
 
+  // Send a message and stream the AI response as Server-Sent Events:
+  // start, reasoning and token while generating, then done (or error). The exchange is
+  // saved only once the answer is complete; a client disconnect cancels generation.
+  async streamMessage(req, res) {
+    let stream = null;
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { noteId, conversationId, message, context } = req.body;
+      const userId = req.user.id;
+
+      const { conversation, error: notFound } = await findMessageConversation(userId, {
+        noteId,
+        conversationId,
+      });
+      if (notFound) {
+        return res.status(404).json({
+          success: false,
+          message: notFound,
+        });
+      }
+
+      stream = openEventStream(res);
+      const upstream = new AbortController();
+      let completed = false;
+      stream.onClose(() => {
+        if (!completed) upstream.abort();
+      });
+
+      stream.send("start", { conversationId: conversation._id });
+      const startedAt = new Date();
+
+      let aiResponse;
+      try {
+        aiResponse = await chatService.streamResponse(conversation, message, context, {
+          signal: upstream.signal,
+          onToken: (text) => stream.send("token", { content: text }),
+          onReasoning: (text) => stream.send("reasoning", { content: text }),
+        });
+      } catch (error) {
+        if (upstream.signal.aborted) {
+          console.log(`🛑 Chat stream for conversation ${conversation._id} cancelled by the client`);
+          return;
+        }
+        // No answer to store: the question is left unsaved so it can be asked again
+        if (error.code === chatService.EMPTY_RESPONSE) {
+          completed = true;
+          stream.send("error", {
+            message: error.message,
+            code: error.code,
+            finishReason: error.finishReason,
+          });
+          stream.close();
+          return;
+        }
+        throw error;
+      }
+      completed = true;
+
+      // Question and answer are stored together, so an abandoned answer leaves no trace
+      conversation.messages.push({ role: "user", content: message, timestamp: startedAt });
+      conversation.messages.push({
+        role: "assistant",
+        content: aiResponse.content,
+        noteReferences: aiResponse.noteReferences,
+      });
+      conversation.metadata.totalTokensUsed += aiResponse.tokensUsed || 0;
+      await conversation.save();
+
+      const saved = conversation.messages[conversation.messages.length - 1];
+      stream.send("done", {
+        message: {
+          _id: saved._id,
+          role: "assistant",
+          content: saved.content,
+          timestamp: saved.timestamp,
+          noteReferences: saved.noteReferences,
+        },
+        tokensUsed: aiResponse.tokensUsed,
+        metadata: conversation.metadata,
+      });
+      stream.close();
+    } catch (error) {
+      console.error("Stream message error:", error);
+      if (!stream) {
+        return res.status(500).json({
+          success: false,
+          message: "Failed to send message",
+          error: error.message,
+        });
+      }
+      stream.send("error", { message: "Failed to send message", error: error.message });
+      stream.close();
+    }
+  }
+
   // Get conversation history
   async getConversationHistory(req, res) {
     try {
@@ -215,9 +276,10 @@ class ChatController {
           conversation: {
             id: conversation._id,
             title: conversation.title,
-            noteId: conversation.noteId._id,
-            noteTitle: conversation.noteId.title,
-            noteSubject: conversation.noteId.subject,
+            noteId: conversation.noteId ? conversation.noteId._id : null,
+            noteTitle: conversation.noteId ? conversation.noteId.title : null,
+            noteSubject: conversation.noteId ? conversation.noteId.subject : null,
+            scope: conversation.scope,
           },
           messages,
           pagination: {
@@ -255,9 +317,10 @@ class ChatController {
         data: conversations.map((conv) => ({
           id: conv._id,
           title: conv.title,
-          noteId: conv.noteId._id,
-          noteTitle: conv.noteId.title,
-          noteSubject: conv.noteId.subject,
+          noteId: conv.noteId ? conv.noteId._id : null,
+          noteTitle: conv.noteId ? conv.noteId.title : null,
+          noteSubject: conv.noteId ? conv.noteId.subject : null,
+          scope: conv.scope,
           lastActivity: conv.metadata.lastActivity,
           messageCount: conv.metadata.totalMessages,
         })),
@@ -366,7 +429,7 @@ class ChatController {
       const userId = req.user.id;
 
       // Validate note exists and user has access
-      const note = await Note.findOne({ _id: noteId, userId }).select('title subject description extractedText');
+      const note = await Note.findOne({ _id: noteId, userId }).select('title subject description extractedText extractedPages pages outline');
       if (!note) {
         return res.status(404).json({
           success: false,
@@ -408,7 +471,7 @@ class ChatController {
       const userId = req.user.id;
 
       // Validate note exists and user has access
-      const note = await Note.findOne({ _id: noteId, userId }).select('title subject description extractedText');
+      const note = await Note.findOne({ _id: noteId, userId }).select('title subject description extractedText extractedPages pages outline');
       if (!note) {
         return res.status(404).json({
           success: false,
@@ -442,7 +505,7 @@ class ChatController {
       const userId = req.user.id;
 
       // Validate note exists and user has access
-      const note = await Note.findOne({ _id: noteId, userId }).select('title subject description extractedText');
+      const note = await Note.findOne({ _id: noteId, userId }).select('title subject description extractedText extractedPages pages outline');
       if (!note) {
         return res.status(404).json({
           success: false,
@@ -501,7 +564,7 @@ class ChatController {
       const userId = req.user.id;
 
       // Validate note exists and user has access
-      const note = await Note.findOne({ _id: noteId, userId }).select('title subject description extractedText');
+      const note = await Note.findOne({ _id: noteId, userId }).select('title subject description extractedText extractedPages pages outline');
       if (!note) {
         return res.status(404).json({
           success: false,
@@ -516,9 +579,6 @@ class ChatController {
         isActive: true,
       });
 
-      // Pre-build note context for efficiency
-      const noteContext = chatService.buildNoteContext(note);
-
       // Create new conversation
       const conversation = new ChatConversation({
         userId,
@@ -530,13 +590,7 @@ class ChatController {
             content: `You are an AI assistant helping with studying from the note titled "${note.title}". The note is about ${note.subject}. You can answer questions about the content, help explain concepts, create practice questions, and assist with studying. Always be helpful, accurate, and educational.`,
           },
         ],
-        noteContext: {
-          title: note.title,
-          subject: note.subject,
-          description: note.description,
-          extractedText: noteContext,
-          lastUpdated: new Date(),
-        },
+        noteContext: chatService.buildNoteContextCache(note),
         settings: {
           model: "deepseek/deepseek-r1:free",
           temperature: 0.7,
@@ -574,6 +628,100 @@ class ChatController {
     }
   }
 
+  // Create a conversation across a subject, a branch/semester path or a list of notes
+  async createScopedConversation(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { scope: kind, subject, path, noteIds, title } = req.body;
+      const userId = req.user.id;
+
+      const scope = { kind };
+      if (kind === "subject") {
+        scope.subject = subject;
+      } else if (kind === "path") {
+        // branch/semester/subject, as folders are laid out in archive imports
+        const [branch, semester, pathSubject] = path.split("/").map((part) => part.trim());
+        Object.assign(scope, { branch, semester, subject: pathSubject });
+      } else {
+        scope.noteIds = [...new Set(noteIds.map(String))];
+      }
+
+      const notes = await chatService.resolveScopeNotes(userId, scope);
+      if (notes.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "No notes found for this scope",
+        });
+      }
+      if (kind === "notes" && notes.length < scope.noteIds.length) {
+        return res.status(404).json({
+          success: false,
+          message: "Some notes were not found or access denied",
+        });
+      }
+
+      const scopeName = chatService.describeScope(scope, notes.length);
+      const conversation = new ChatConversation({
+        userId,
+        scope,
+        title: title || `Chat about ${scopeName}`,
+        messages: [
+          {
+            role: "system",
+            content: `You are an AI assistant helping with studying across ${notes.length} notes (${scopeName}). You can answer questions about their content, connect ideas between notes, create practice questions, and assist with exam preparation. Always be helpful, accurate, and educational, and say which note and page an answer comes from.`,
+          },
+        ],
+        settings: {
+          model: "deepseek/deepseek-r1:free",
+          temperature: 0.7,
+          maxTokens: 1000,
+          contextWindow: 10,
+        },
+      });
+
+      await conversation.save();
+
+      // Chunk the scope's notes before the first message needs them
+      if (notes.length > retrievalService.RETRIEVAL_CONFIG.MAX_INLINE_INDEX) {
+        retrievalService.queueIndexing(notes, userId).catch((error) => {
+          console.warn(`Failed to queue notes of conversation ${conversation._id} for indexing: ${error.message}`);
+        });
+      }
+
+      res.json({
+        success: true,
+        conversation: {
+          _id: conversation._id,
+          userId: conversation.userId,
+          scope: conversation.scope,
+          title: conversation.title,
+          notes: notes.map((note) => ({ _id: note._id, title: note.title, subject: note.subject })),
+          messages: [],
+          isActive: conversation.isActive,
+          settings: conversation.settings,
+          metadata: conversation.metadata,
+          createdAt: conversation.createdAt,
+          updatedAt: conversation.updatedAt,
+        },
+      });
+    } catch (error) {
+      console.error("Create scoped conversation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create conversation",
+        error: error.message,
+      });
+    }
+  }
+
   // Generate summary from note content
   async generateSummary(req, res) {
     try {
@@ -582,7 +730,7 @@ class ChatController {
       const userId = req.user.id;
 
       // Validate note exists and user has access
-      const note = await Note.findOne({ _id: noteId, userId }).select('title subject description extractedText');
+      const note = await Note.findOne({ _id: noteId, userId }).select('title subject description extractedText extractedPages pages outline');
       if (!note) {
         return res.status(404).json({
           success: false,
@@ -617,4 +765,53 @@ class ChatController {
   }
 }
 
+// Conversation a message goes to: the one given by id (any scope), or the note's
+// conversation, started on the note's first message
+async function findMessageConversation(userId, { noteId, conversationId }) {
+  if (conversationId) {
+    const conversation = await ChatConversation.findOne({
+      _id: conversationId,
+      userId,
+      isActive: true,
+    });
+    return conversation ? { conversation } : { error: "Conversation not found" };
+  }
+
+  // Verify note exists and user has access
+  const note = await Note.findOne({ _id: noteId, userId }).select('title subject description extractedText extractedPages pages outline');
+  if (!note) {
+    return { error: "Note not found or access denied" };
+  }
+
+  // Find existing conversation or create new one
+  let conversation = await ChatConversation.findByUserAndNote(
+    userId,
+    noteId
+  );
+
+  if (!conversation) {
+    conversation = new ChatConversation({
+      userId,
+      noteId,
+      title: `Chat about ${note.title}`,
+      messages: [
+        {
+          role: "system",
+          content: `You are an AI assistant helping with studying from the note titled "${note.title}". The note is about ${note.subject}. You can answer questions about the content, help explain concepts, create practice questions, and assist with studying. Always be helpful, accurate, and educational.`,
+        },
+      ],
+      noteContext: chatService.buildNoteContextCache(note),
+      settings: {
+        model: "deepseek/deepseek-r1:free",
+        temperature: 0.7,
+        maxTokens: 1000,
+        contextWindow: 10,
+      },
+    });
+    await conversation.save();
+  }
+
+  return { conversation };
+}
+
 module.exports = new ChatController();
@@ -1,4 +1,7 @@
 const Note = require("../models/Note");
+const pageImageService = require("../services/pageImageService");
+const storageQuotaService = require("../services/storageQuotaService");
+const fileStorage = require("../services/storage");
 const { sendError } = require("../utils/responseUtils");
 
 const fileController = {
@@ -18,22 +21,22 @@ const fileController = {
         return sendError(res, "Note not found or access denied", 404);
       }
 
-      let pdfData = null;
+      let fileKind = null;
       let fileName = null;
       let fileSize = 0;
       let pdfSource = null;
 
       // Determine which PDF file to serve (prioritize OCR-processed PDF)
-      if (note.ocrTextPDF && note.ocrTextPDF.data) {
-        pdfData = note.ocrTextPDF.data;
+      if (note.ocrTextPDF && note.ocrTextPDF.size) {
+        fileKind = "ocrTextPDF";
         fileName = `${note.title}_ocr.pdf`;
-        fileSize = note.ocrTextPDF.size || pdfData.length;
+        fileSize = note.ocrTextPDF.size;
         pdfSource = "OCR-processed";
         console.log(`📄 Using OCR-processed PDF (${fileSize} bytes)`);
-      } else if (note.originalFile && note.originalFile.data) {
-        pdfData = note.originalFile.data;
+      } else if (note.originalFile && note.originalFile.size) {
+        fileKind = "originalFile";
         fileName = note.originalFile.originalName || `${note.title}.pdf`;
-        fileSize = note.originalFile.size || pdfData.length;
+        fileSize = note.originalFile.size;
         pdfSource = "Original";
         console.log(`📄 Using original PDF (${fileSize} bytes)`);
       } else {
@@ -41,36 +44,12 @@ const fileController = {
         return sendError(res, "No PDF file found for this note", 404);
       }
 
-      // Validate PDF data
-      if (!pdfData || !Buffer.isBuffer(pdfData)) {
-        console.error(`Invalid PDF data for note ${noteId}: not a buffer`);
-        return sendError(res, "Invalid PDF data format", 500);
-      }
-
-      // Enhanced PDF validation
-      if (pdfData.length < 100) {
-        console.error(`Invalid PDF data for note ${noteId}: too small (${pdfData.length} bytes)`);
+      // Validate PDF size
+      if (fileSize < 100) {
+        console.error(`Invalid PDF data for note ${noteId}: too small (${fileSize} bytes)`);
         return sendError(res, "PDF file is too small or corrupted", 500);
       }
 
-      // Check PDF header
-      const header = pdfData.slice(0, 10).toString('ascii');
-      if (!header.startsWith('%PDF-')) {
-        console.error(`Invalid PDF data for note ${noteId}: invalid header '${header}'`);
-        return sendError(res, "Invalid PDF file structure", 500);
-      }
-
-      // Check for basic PDF structure
-      const pdfString = pdfData.toString('ascii', 0, Math.min(pdfData.length, 1024));
-      const hasBasicStructure = /\/Type\s*\/Catalog/.test(pdfString) || 
-                                /\/Root/.test(pdfString) ||
-                                /startxref/.test(pdfData.toString('ascii', Math.max(0, pdfData.length - 1024)));
-      
-      if (!hasBasicStructure) {
-        console.warn(`PDF for note ${noteId} may be corrupted: missing basic structure`);
-        // Don't fail completely, just log warning
-      }
-
       // Set appropriate headers for optimal PDF display
       res.setHeader("Content-Type", "application/pdf");
       res.setHeader("Content-Length", fileSize);
@@ -84,38 +63,47 @@ const fileController = {
       res.setHeader("Access-Control-Allow-Methods", "GET, HEAD, OPTIONS");
       res.setHeader("Access-Control-Allow-Headers", "Range, Authorization");
 
-      // Handle range requests for better PDF viewing
-      const range = req.headers.range;
-      if (range) {
-        console.log(`📦 Handling range request: ${range}`);
-        
-        const parts = range.replace(/bytes=/, "").split("-");
-        const start = parseInt(parts[0], 10);
-        const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
+      // Handle range requests for better PDF viewing; bytes are streamed from storage
+      let range = null;
+      if (req.headers.range) {
+        console.log(`📦 Handling range request: ${req.headers.range}`);
+
+        range = parseRange(req.headers.range, fileSize);
 
         // Validate range
-        if (start >= fileSize || end >= fileSize || start > end) {
+        if (!range) {
           res.status(416);
           res.setHeader("Content-Range", `bytes */${fileSize}`);
           return res.end();
         }
 
-        const chunksize = end - start + 1;
+        const chunksize = range.end - range.start + 1;
 
         res.status(206);
-        res.setHeader("Content-Range", `bytes ${start}-${end}/${fileSize}`);
+        res.setHeader("Content-Range", `bytes ${range.start}-${range.end}/${fileSize}`);
         res.setHeader("Content-Length", chunksize);
-
-        // Send the requested byte range
-        const chunk = pdfData.slice(start, end + 1);
-        console.log(`📤 Sending range ${start}-${end} (${chunksize} bytes)`);
-        res.end(chunk);
+        console.log(`📤 Sending range ${range.start}-${range.end} (${chunksize} bytes)`);
       } else {
-        // Serve the entire file
         console.log(`📤 Sending complete PDF (${fileSize} bytes)`);
-        res.end(pdfData);
       }
 
+      const stream = await note.openFileStream(fileKind, range || {});
+      if (!stream) {
+        clearPdfHeaders(res);
+        return sendError(res, "No PDF file found for this note", 404);
+      }
+
+      stream.on("error", (streamError) => {
+        console.error(`Error streaming PDF for note ${noteId}:`, streamError);
+        if (!res.headersSent) {
+          clearPdfHeaders(res);
+          sendError(res, "Failed to read PDF file", 500);
+        } else {
+          res.destroy(streamError);
+        }
+      });
+      stream.pipe(res);
+
       // Track file access asynchronously
       Note.findByIdAndUpdate(noteId, {
         $inc: { views: 1 },
@@ -138,20 +126,122 @@ const fileController = {
     }
   },
 
-  // Get PDF file info without serving the actual file
-  getPdfFileInfo: async (req, res) => {
+  // Serve a PNG preview of one page, rendered on first request and cached
+  servePageImage: async (req, res) => {
     try {
       const { noteId } = req.params;
       const userId = req.user._id;
+      const pageNumber = parseInt(req.params.pageNumber);
+
+      if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+        return sendError(res, "Page number must be a positive integer", 400);
+      }
+
+      const width = pageImageService.normalizeWidth(req.query.width);
 
       const note = await Note.findOne({ _id: noteId, userId }).select(
-        "-originalFile.data -ocrTextPDF.data"
+        "originalFile ocrTextPDF updatedAt"
       );
 
       if (!note) {
         return sendError(res, "Note not found or access denied", 404);
       }
 
+      // The version changes whenever the PDF is regenerated, so the ETag can be checked cheaply
+      const etag = `"${pageImageService.getVersion(note)}-${pageNumber}-${width}"`;
+      res.setHeader("ETag", etag);
+      res.setHeader("Cache-Control", "private, max-age=86400");
+
+      if (req.headers["if-none-match"] === etag) {
+        return res.status(304).end();
+      }
+
+      const image = await pageImageService.getPageImage(note, pageNumber, width);
+
+      // A fresh render grew the cache, which counts against the owner's storage
+      if (!image.cached) {
+        storageQuotaService.refreshNoteUsage(note._id).catch((error) => {
+          console.warn(`Failed to update storage usage of note ${note._id}: ${error.message}`);
+        });
+      }
+
+      res.setHeader("Content-Type", image.mimetype);
+      res.setHeader("Content-Length", image.data.length);
+      res.setHeader("X-Cache", image.cached ? "HIT" : "MISS");
+      res.end(image.data);
+    } catch (error) {
+      console.error("Error serving page image:", error);
+
+      if (error.statusCode === 404) {
+        return sendError(res, error.message, 404);
+      } else if (error.name === "CastError") {
+        return sendError(res, "Invalid note identifier", 400);
+      }
+      sendError(res, "Failed to render page image");
+    }
+  },
+
+  // Serve the note's first-page thumbnail from file storage
+  serveThumbnail: async (req, res) => {
+    try {
+      const { noteId } = req.params;
+      const userId = req.user._id;
+
+      const note = await Note.findOne({ _id: noteId, userId }).select("thumbnail thumbnailFile");
+
+      if (!note) {
+        return sendError(res, "Note not found or access denied", 404);
+      }
+
+      const file = note.thumbnailFile;
+      if (!file || !file.storageId) {
+        // Not migrated yet: the thumbnail is still a data URL on the note
+        const legacy = /^data:([^;,]+);base64,(.*)$/.exec(note.thumbnail || "");
+        if (!legacy) {
+          return sendError(res, "No thumbnail found for this note", 404);
+        }
+        const data = Buffer.from(legacy[2], "base64");
+        res.setHeader("Content-Type", legacy[1]);
+        res.setHeader("Content-Length", data.length);
+        res.setHeader("Cache-Control", "private, max-age=86400");
+        return res.end(data);
+      }
+
+      // The URL carries the version, and so does the ETag
+      const etag = `"${new Date(file.createdAt).getTime()}"`;
+      res.setHeader("ETag", etag);
+      res.setHeader("Cache-Control", "private, max-age=86400");
+
+      if (req.headers["if-none-match"] === etag) {
+        return res.status(304).end();
+      }
+
+      const data = await fileStorage.readBuffer(file);
+      res.setHeader("Content-Type", file.mimetype || "image/jpeg");
+      res.setHeader("Content-Length", data.length);
+      res.end(data);
+    } catch (error) {
+      console.error("Error serving thumbnail:", error);
+
+      if (error.name === "CastError") {
+        return sendError(res, "Invalid note identifier", 400);
+      }
+      sendError(res, "Failed to read thumbnail");
+    }
+  },
+
+  // Get PDF file info without serving the actual file
+  getPdfFileInfo: async (req, res) => {
+    try {
+      const { noteId } = req.params;
+      const userId = req.user._id;
+
+      const note = await Note.findOne({ _id: noteId, userId });
+
+      if (!note) {
+        return sendError(res, "Note not found or access denied", 404);
+      }
+
       let fileInfo = null;
 
       if (note.ocrTextPDF && note.ocrTextPDF.size) {
@@ -189,4 +279,31 @@ const fileController = {
   },
 };
 
+// Parse a single "bytes=start-end" range (including suffix ranges like "bytes=-500")
+function parseRange(header, fileSize) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+
+  let start;
+  let end;
+  if (match[1] === "") {
+    start = Math.max(0, fileSize - parseInt(match[2], 10));
+    end = fileSize - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] ? Math.min(parseInt(match[2], 10), fileSize - 1) : fileSize - 1;
+  }
+
+  if (start >= fileSize || start > end) return null;
+  return { start, end };
+}
+
+// Drop the PDF headers set up front so a JSON error is not sent as (part of) the file;
+// sendError resets the status, which may already be 206
+function clearPdfHeaders(res) {
+  for (const header of ["Content-Length", "Content-Range", "Content-Disposition", "Content-Type"]) {
+    res.removeHeader(header);
+  }
+}
+
 module.exports = fileController;
@@ -1,8 +1,25 @@
 const Note = require("../models/Note");
+const NotePage = require("../models/NotePage");
+const PageTextRevision = require("../models/PageTextRevision");
+const OcrReviewWord = require("../models/OcrReviewWord");
+const NoteChunk = require("../models/NoteChunk");
 const User = require("../models/User");
 const Subject = require("../models/Subject");
+const noteProcessingService = require("../services/noteProcessingService");
+const imagePreprocessor = require("../services/imagePreprocessor");
+const ocrEngines = require("../services/ocrEngines");
+const processingEvents = require("../services/processingEvents");
+const pageImageService = require("../services/pageImageService");
+const pageEditService = require("../services/pageEditService");
+const pageTextService = require("../services/pageTextService");
+const ocrReviewService = require("../services/ocrReviewService");
+const annotatedExportService = require("../services/annotatedExportService");
+const outlineService = require("../services/outlineService");
+const storageQuotaService = require("../services/storageQuotaService");
 const { validationResult } = require("express-validator");
 const { sendSuccess, sendError } = require("../utils/responseUtils");
+const { openEventStream } = require("../utils/sse");
+const sanitizeFilename = require("sanitize-filename");
 
 const notesController = {
   // Get user's notes with pagination and filters
@@ -41,7 +58,7 @@ const notesController = {
         .sort(sort)
         .limit(limit * 1)
         .skip((page - 1) * limit)
-        .select("-extractedText -originalFile.data -ocrTextPDF.data") // Exclude large fields for list view
+        .select("-extractedText -extractedPages") // Exclude large fields for list view (file bytes live in storage)
         .exec();
 
       // Get total count for pagination
@@ -175,10 +192,7 @@ const notesController = {
       const { id } = req.params;
       const userId = req.user._id;
 
-      // Exclude binary data from the response to avoid large payloads
-      const note = await Note.findOne({ _id: id, userId }).select(
-        "-originalFile.data -ocrTextPDF.data"
-      );
+      const note = await Note.findOne({ _id: id, userId });
 
       if (!note) {
         return sendError(res, "Note not found or access denied", 404);
@@ -197,6 +211,499 @@ const notesController = {
     }
   },
 
+  // Get processing stage, progress and retry state for a note (user ownership check)
+  getProcessingStatus: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+
+      const note = await Note.findOne({ _id: id, userId }).select(
+        "status pages error ocrTextPDF.alignment"
+      );
+
+      if (!note) {
+        return sendError(res, "Note not found or access denied", 404);
+      }
+
+      const processing = await noteProcessingService.getProcessingStatus(note);
+
+      sendSuccess(res, "Processing status retrieved successfully", {
+        processing,
+      });
+    } catch (error) {
+      console.error("Get processing status error:", error);
+      sendError(res, "Failed to retrieve processing status");
+    }
+  },
+
+  // Get the note's detected sections, flat and nested (user ownership check)
+  getNoteOutline: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+
+      const note = await Note.findOne({ _id: id, userId }).select(
+        "status pages outline outlineUpdatedAt"
+      );
+
+      if (!note) {
+        return sendError(res, "Note not found or access denied", 404);
+      }
+
+      const sections = note.outline.map((section) => section.toObject());
+
+      sendSuccess(res, "Outline retrieved successfully", {
+        noteId: note._id,
+        status: note.status,
+        pages: note.pages,
+        count: sections.length,
+        sections,
+        tree: outlineService.buildTree(sections),
+        updatedAt: note.outlineUpdatedAt || null,
+      });
+    } catch (error) {
+      console.error("Get note outline error:", error);
+      sendError(res, "Failed to retrieve outline");
+    }
+  },
+
+  // Stream processing stages as Server-Sent Events until the note is done (user ownership check)
+  streamProcessingEvents: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+
+      const note = await Note.findOne({ _id: id, userId }).select(
+        "status pages error confidence"
+      );
+
+      if (!note) {
+        return sendError(res, "Note not found or access denied", 404);
+      }
+
+      const stream = openEventStream(res);
+
+      // Subscribe first so nothing published while reading the current state is lost
+      const unsubscribe = processingEvents.subscribe(note._id, (state) => {
+        stream.send("progress", state);
+        if (state.terminal) stream.close();
+      });
+      stream.onClose(unsubscribe);
+
+      const current = await noteProcessingService.getCurrentEventState(note);
+      stream.send("progress", current);
+      if (current.terminal) stream.close();
+    } catch (error) {
+      console.error("Stream processing events error:", error);
+      if (!res.headersSent) {
+        return sendError(res, "Failed to open processing event stream");
+      }
+      res.end();
+    }
+  },
+
+  // Re-run OCR from the stored original with different settings (user ownership check)
+  reprocessNote: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendError(res, errors.array()[0].msg, 400);
+      }
+
+      const { id } = req.params;
+      const userId = req.user._id;
+      const { forceOCR = false, language, spacingMode, engine } = req.body;
+
+      let preprocess;
+      try {
+        preprocess = imagePreprocessor.resolveOptions(req.body.preprocess);
+      } catch (optionsError) {
+        return sendError(res, optionsError.message, 400);
+      }
+
+      if (engine && engine !== "auto" && !ocrEngines.getEngine(engine)) {
+        return sendError(res, `OCR engine "${engine}" is not configured on this server`, 503);
+      }
+
+      const note = await Note.findOne({ _id: id, userId }).select(
+        "userId status confidence pages originalFile.originalName originalFile.size originalFile.storageId"
+      );
+
+      if (!note) {
+        return sendError(res, "Note not found or access denied", 404);
+      }
+
+      if (!["completed", "completed_no_text", "failed"].includes(note.status)) {
+        return sendError(res, "Only completed or failed notes can be reprocessed", 409);
+      }
+
+      if (await noteProcessingService.hasActiveJob(note._id)) {
+        return sendError(res, "This note is already being processed", 409);
+      }
+
+      const hasOriginal = note.originalFile.storageId ||
+        await Note.exists({ _id: note._id, "originalFile.data": { $exists: true } });
+      if (!hasOriginal) {
+        return sendError(res, "The original file for this note is no longer stored", 422);
+      }
+
+      const options = { forceOCR, preprocess };
+      if (language) options.language = language;
+      if (spacingMode) options.spacingMode = spacingMode;
+      if (engine) options.engine = engine;
+
+      const job = await noteProcessingService.enqueueNoteReprocessing(note, options);
+      processingEvents.publish(note._id, "queued", { progress: 0, reprocess: true });
+
+      sendSuccess(
+        res,
+        "Reprocessing queued. The current result is kept until the new one is ready.",
+        {
+          processingJobId: job._id,
+          options,
+          previous: {
+            status: note.status,
+            confidence: note.confidence,
+            pages: note.pages,
+          },
+        },
+        202
+      );
+    } catch (error) {
+      if (error.statusCode) {
+        return sendError(res, error.message, error.statusCode);
+      }
+      console.error("Reprocess note error:", error);
+      sendError(res, "Failed to queue reprocessing");
+    }
+  },
+
+  // Reorder, rotate, delete and insert pages (user ownership check); uploads for
+  // insert operations come as multipart "files", referenced by index
+  editPages: async (req, res) => {
+    await queuePageEdit(req, res, async () => {
+      const operations = req.body.operations;
+      if (typeof operations !== "string") return operations;
+
+      try {
+        return JSON.parse(operations);
+      } catch (parseError) {
+        const error = new Error("Operations must be a JSON array");
+        error.statusCode = 400;
+        throw error;
+      }
+    });
+  },
+
+  // Append newly scanned pages to the end of a note (user ownership check)
+  appendPages: async (req, res) => {
+    await queuePageEdit(req, res, async (note, files) => {
+      if (files.length === 0) {
+        const error = new Error("No files uploaded");
+        error.statusCode = 400;
+        throw error;
+      }
+      return pageEditService.buildAppendOperations(note.pages, files);
+    });
+  },
+
+  // Correct the OCR text of one page; stored as a new revision (user ownership check)
+  updatePageText: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendError(res, errors.array()[0].msg, 400);
+      }
+
+      const { id } = req.params;
+      const pageNumber = parseInt(req.params.pageNumber);
+      const { text, comment } = req.body;
+
+      const note = await Note.findOne({ _id: id, userId: req.user._id });
+      if (!note) {
+        return sendError(res, "Note not found or access denied", 404);
+      }
+
+      if (!["completed", "completed_no_text"].includes(note.status)) {
+        return sendError(res, "Only processed notes can have their text corrected", 409);
+      }
+
+      if (await noteProcessingService.hasActiveJob(note._id)) {
+        return sendError(res, "This note is being processed; try again when it has finished", 409);
+      }
+
+      const result = await pageTextService.updatePageText(note, pageNumber, text, req.user, { comment });
+
+      sendSuccess(
+        res,
+        result.changed ? "Page text updated successfully" : "Page text is unchanged",
+        { noteId: note._id, ...result }
+      );
+    } catch (error) {
+      if (error.statusCode) {
+        return sendError(res, error.message, error.statusCode);
+      }
+      console.error("Update page text error:", error);
+      sendError(res, "Failed to update page text");
+    }
+  },
+
+  // List the text revisions of one page (user ownership check)
+  getPageTextRevisions: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendError(res, errors.array()[0].msg, 400);
+      }
+
+      const { id } = req.params;
+      const pageNumber = parseInt(req.params.pageNumber);
+
+      const note = await Note.findOne({ _id: id, userId: req.user._id }).select("_id");
+      if (!note) {
+        return sendError(res, "Note not found or access denied", 404);
+      }
+
+      const revisions = await pageTextService.listRevisions(note._id, pageNumber);
+
+      sendSuccess(res, "Page text revisions retrieved successfully", {
+        noteId: note._id,
+        pageNumber,
+        // Pages that were never corrected only have their OCR text (revision 0)
+        currentRevision: revisions.length > 0 ? revisions[0].revision : 0,
+        revisions,
+      });
+    } catch (error) {
+      console.error("Get page text revisions error:", error);
+      sendError(res, "Failed to retrieve page text revisions");
+    }
+  },
+
+  // Diff two text revisions of one page, ?from=&to= (user ownership check)
+  diffPageText: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendError(res, errors.array()[0].msg, 400);
+      }
+
+      const { id } = req.params;
+      const pageNumber = parseInt(req.params.pageNumber);
+      const { from, to } = req.query;
+
+      const note = await Note.findOne({ _id: id, userId: req.user._id }).select("_id");
+      if (!note) {
+        return sendError(res, "Note not found or access denied", 404);
+      }
+
+      const diff = await pageTextService.diffRevisions(note._id, pageNumber, from, to);
+
+      sendSuccess(res, "Page text diff retrieved successfully", {
+        noteId: note._id,
+        pageNumber,
+        ...diff,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return sendError(res, error.message, error.statusCode);
+      }
+      console.error("Diff page text error:", error);
+      sendError(res, "Failed to diff page text");
+    }
+  },
+
+  // Restore an earlier text revision of one page (user ownership check)
+  revertPageText: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendError(res, errors.array()[0].msg, 400);
+      }
+
+      const { id } = req.params;
+      const pageNumber = parseInt(req.params.pageNumber);
+      const { revision } = req.body;
+
+      const note = await Note.findOne({ _id: id, userId: req.user._id });
+      if (!note) {
+        return sendError(res, "Note not found or access denied", 404);
+      }
+
+      if (await noteProcessingService.hasActiveJob(note._id)) {
+        return sendError(res, "This note is being processed; try again when it has finished", 409);
+      }
+
+      const result = await pageTextService.revertPageText(note, pageNumber, revision, req.user);
+
+      sendSuccess(
+        res,
+        result.changed ? `Page text reverted to revision ${revision}` : "Page text already matches that revision",
+        { noteId: note._id, ...result }
+      );
+    } catch (error) {
+      if (error.statusCode) {
+        return sendError(res, error.message, error.statusCode);
+      }
+      console.error("Revert page text error:", error);
+      sendError(res, "Failed to revert page text");
+    }
+  },
+
+  // List low-confidence OCR words to proofread, lowest confidence first (user ownership check)
+  getOcrReview: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendError(res, errors.array()[0].msg, 400);
+      }
+
+      const note = await Note.findOne({ _id: req.params.id, userId: req.user._id }).select("_id status");
+      if (!note) {
+        return sendError(res, "Note not found or access denied", 404);
+      }
+
+      const review = await ocrReviewService.listReviewWords(note, req.query);
+
+      sendSuccess(res, "OCR review words retrieved successfully", {
+        noteId: note._id,
+        ...review,
+      });
+    } catch (error) {
+      console.error("Get OCR review error:", error);
+      sendError(res, "Failed to retrieve OCR review words");
+    }
+  },
+
+  // Accept or correct reviewed words in bulk; corrections go into the page text (user ownership check)
+  resolveOcrReview: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendError(res, errors.array()[0].msg, 400);
+      }
+
+      const note = await Note.findOne({ _id: req.params.id, userId: req.user._id });
+      if (!note) {
+        return sendError(res, "Note not found or access denied", 404);
+      }
+
+      if (await noteProcessingService.hasActiveJob(note._id)) {
+        return sendError(res, "This note is being processed; try again when it has finished", 409);
+      }
+
+      const result = await ocrReviewService.resolveReviewWords(note, req.body.words, req.user);
+
+      sendSuccess(res, "OCR review updated successfully", {
+        noteId: note._id,
+        ...result,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return sendError(res, error.message, error.statusCode);
+      }
+      console.error("Resolve OCR review error:", error);
+      sendError(res, "Failed to update OCR review");
+    }
+  },
+
+  // Download the searchable PDF with annotations drawn in and page notes as PDF comments (user ownership check)
+  exportAnnotatedPdf: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendError(res, errors.array()[0].msg, 400);
+      }
+
+      const note = await Note.findOne({ _id: req.params.id, userId: req.user._id });
+      if (!note) {
+        return sendError(res, "Note not found or access denied", 404);
+      }
+
+      const { data, counts } = await annotatedExportService.exportAnnotatedPDF(note, {
+        summary: req.query.summary === true,
+      });
+      const fileName = sanitizeFilename(`${note.title}_annotated.pdf`) || "annotated.pdf";
+
+      console.log(
+        `🖍️ Exported annotated PDF for note ${note._id}: ${counts.highlights} highlight(s), ${counts.drawings} drawing(s), ${counts.markers} marker(s), ${counts.notes} page note(s)`
+      );
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Length", data.length);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${fileName.replace(/[^\x20-\x7e]/g, "_")}"; filename*=UTF-8''${encodeURIComponent(fileName)}`
+      );
+      res.setHeader("Cache-Control", "private, no-store");
+      res.send(data);
+    } catch (error) {
+      if (error.statusCode) {
+        return sendError(res, error.message, error.statusCode);
+      }
+      console.error("Export annotated PDF error:", error);
+      sendError(res, "Failed to export annotated PDF");
+    }
+  },
+
+  // Get one page's text and word layout (user ownership check)
+  getNotePage: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      const pageNumber = parseInt(req.params.pageNumber);
+      const includeLayout = req.query.layout !== "false";
+
+      if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+        return sendError(res, "Page number must be a positive integer", 400);
+      }
+
+      const note = await Note.findOne({ _id: id, userId }).select(
+        "status pages extractedPages"
+      );
+
+      if (!note) {
+        return sendError(res, "Note not found or access denied", 404);
+      }
+
+      if (note.pages && pageNumber > note.pages) {
+        return sendError(res, `Page ${pageNumber} does not exist (note has ${note.pages} pages)`, 404);
+      }
+
+      const notePage = await NotePage.findPage(note._id, pageNumber);
+
+      let page;
+      if (notePage) {
+        page = notePage.getSummary();
+        if (includeLayout) page.lines = notePage.lines;
+      } else {
+        // Notes processed before per-page storage only have the page text
+        const extractedPage = (note.extractedPages || []).find(
+          (entry) => entry.pageNumber === pageNumber
+        );
+        if (!extractedPage) {
+          return sendError(res, "Page text is not available for this note", 404);
+        }
+        page = {
+          pageNumber,
+          text: extractedPage.text,
+          confidence: extractedPage.confidence,
+          sourceIndex: extractedPage.sourceIndex,
+          hasLayout: false,
+        };
+        if (includeLayout) page.lines = [];
+      }
+
+      sendSuccess(res, "Page retrieved successfully", {
+        noteId: note._id,
+        totalPages: note.pages,
+        page,
+      });
+    } catch (error) {
+      console.error("Get note page error:", error);
+      sendError(res, "Failed to retrieve page");
+    }
+  },
+
   // Update note (user ownership check)
   updateNote: async (req, res) => {
     try {
@@ -208,6 +715,9 @@ const notesController = {
       delete updates.userId;
       delete updates.files;
       delete updates.extractedText;
+      delete updates.extractedPages;
+      delete updates.originalFile;
+      delete updates.ocrTextPDF;
 
       const note = await Note.findOneAndUpdate(
         { _id: id, userId },
@@ -238,14 +748,18 @@ const notesController = {
         return sendError(res, "Note not found or access denied", 404);
       }
 
-      // Delete associated files (implement file cleanup logic here)
-      // TODO: Clean up uploaded files and generated PDFs
-
+      // Remove the note with its stored files, page data and cached images
       await Note.findByIdAndDelete(id);
-
-      // Update user's usage count
+      await note.deleteStoredFiles();
+      await NotePage.deleteMany({ noteId: id });
+      await PageTextRevision.deleteMany({ noteId: id });
+      await OcrReviewWord.deleteMany({ noteId: id });
+      await NoteChunk.deleteMany({ noteId: id });
+      await pageImageService.invalidateNote(id);
+
+      // Update user's usage count and release the note's storage
       await User.findByIdAndUpdate(userId, {
-        $inc: { "usage.notesUploaded": -1 },
+        $inc: { "usage.notesUploaded": -1, "usage.storageUsed": -(note.storageBytes || 0) },
       });
 
       sendSuccess(res, "Note deleted successfully");
@@ -299,4 +813,75 @@ const notesController = {
   },
 };
 
+// Validate and queue a page edit; uploaded files are removed when nothing is queued
+async function queuePageEdit(req, res, resolveOperations) {
+  const files = (req.files || []).map((file) => ({
+    originalName: file.originalname,
+    path: file.path,
+    mimetype: file.mimetype,
+    size: file.size,
+  }));
+
+  try {
+    const note = await Note.findOne({ _id: req.params.id, userId: req.user._id }).select(
+      "userId status pages"
+    );
+
+    if (!note) {
+      await noteProcessingService.cleanupFiles(files);
+      return sendError(res, "Note not found or access denied", 404);
+    }
+
+    if (!["completed", "completed_no_text"].includes(note.status)) {
+      await noteProcessingService.cleanupFiles(files);
+      return sendError(res, "Only processed notes can have their pages edited", 409);
+    }
+
+    if (await noteProcessingService.hasActiveJob(note._id)) {
+      await noteProcessingService.cleanupFiles(files);
+      return sendError(res, "This note is already being processed", 409);
+    }
+
+    let operations;
+    let preprocess;
+    let plan;
+    try {
+      preprocess = imagePreprocessor.resolveOptions(req.body.preprocess);
+      // Inserted files count against the user's storage
+      storageQuotaService.assertRoom(req.user, files.reduce((sum, file) => sum + (file.size || 0), 0));
+      operations = await resolveOperations(note, files);
+      plan = await pageEditService.validateOperations(note.pages, operations, files);
+    } catch (validationError) {
+      await noteProcessingService.cleanupFiles(files);
+      return sendError(res, validationError.message, validationError.statusCode || 400);
+    }
+
+    const job = await pageEditService.enqueuePageEdit(note, operations, files, { preprocess });
+    processingEvents.publish(note._id, "queued", { progress: 0, pageEdit: true });
+
+    sendSuccess(
+      res,
+      "Page edits queued. The current pages are kept until the edit is stored.",
+      {
+        processingJobId: job._id,
+        operations: operations.length,
+        pages: {
+          before: note.pages,
+          after: plan.pages.length,
+          deleted: plan.deletedPages,
+          inserted: plan.insertedPages,
+        },
+      },
+      202
+    );
+  } catch (error) {
+    await noteProcessingService.cleanupFiles(files);
+    if (error.statusCode) {
+      return sendError(res, error.message, error.statusCode);
+    }
+    console.error("Edit pages error:", error);
+    sendError(res, "Failed to queue page edits");
+  }
+}
+
 module.exports = notesController;
@@ -0,0 +1,57 @@
+const searchService = require("../services/searchService");
+const { validationResult } = require("express-validator");
+const { sendSuccess, sendError } = require("../utils/responseUtils");
+
+const searchController = {
+  // Ranked full-text search over the user's notes with matching pages and snippets
+  searchNotes: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendError(res, errors.array()[0].msg, 400);
+      }
+
+      const { q, subject, limit, page, pages } = req.query;
+      const results = await searchService.searchNotes(req.user._id, q, {
+        subject,
+        limit,
+        page,
+        pagesPerNote: pages,
+      });
+
+      sendSuccess(res, "Search completed successfully", results);
+    } catch (error) {
+      if (error.statusCode) {
+        return sendError(res, error.message, error.statusCode);
+      }
+      console.error("Search notes error:", error);
+      sendError(res, "Failed to search notes");
+    }
+  },
+
+  // One search over notes, page notes, study materials and chats, grouped by type
+  searchAll: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendError(res, errors.array()[0].msg, 400);
+      }
+
+      const { q, types, limit } = req.query;
+      const results = await searchService.searchAll(req.user._id, q, {
+        types: types ? types.split(",").map((type) => type.trim()) : undefined,
+        limit,
+      });
+
+      sendSuccess(res, "Search completed successfully", results);
+    } catch (error) {
+      if (error.statusCode) {
+        return sendError(res, error.message, error.statusCode);
+      }
+      console.error("Unified search error:", error);
+      sendError(res, "Failed to search");
+    }
+  },
+};
+
+module.exports = searchController;
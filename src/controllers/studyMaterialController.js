@@ -1,6 +1,7 @@
 const StudyMaterial = require("../models/StudyMaterial");
 const Note = require("../models/Note");
 const chatService = require("../services/chatService");
+const storageQuotaService = require("../services/storageQuotaService");
 const { validationResult } = require("express-validator");
 
 class StudyMaterialController {
@@ -24,7 +25,7 @@ class StudyMaterialController {
       const userId = req.user.id;
 
       // Validate source note exists and user has access
-      const sourceNote = await Note.findOne({ _id: sourceNoteId, userId }).select('title subject originalFile folder extractedText');
+      const sourceNote = await Note.findOne({ _id: sourceNoteId, userId }).select('title subject originalFile folder extractedText outline');
       if (!sourceNote) {
         return res.status(404).json({
           success: false,
@@ -96,9 +97,10 @@ class StudyMaterialController {
       });
 
       await studyMaterial.save();
+      await storageQuotaService.adjust(userId, studyMaterial.storageBytes);
 
       // Populate source note details
-      await studyMaterial.populate("sourceNoteId", "title subject folder");
+      await studyMaterial.populate("sourceNoteId", "title subject folder thumbnail");
 
       res.status(201).json({
         success: true,
@@ -172,7 +174,7 @@ class StudyMaterialController {
       const [studyMaterials, totalCount] = await Promise.all([
         StudyMaterial.find(query)
           .sort(sort)
-          .populate("sourceNoteId", "title subject folder")
+          .populate("sourceNoteId", "title subject folder thumbnail")
           .limit(parseInt(limit))
           .skip(skip),
         StudyMaterial.countDocuments(query),
@@ -220,7 +222,7 @@ class StudyMaterialController {
         _id: id,
         userId,
         status: { $ne: "archived" },
-      }).populate("sourceNoteId", "title subject folder");
+      }).populate("sourceNoteId", "title subject folder thumbnail");
 
       if (!studyMaterial) {
         return res.status(404).json({
@@ -282,7 +284,7 @@ class StudyMaterialController {
       });
 
       await studyMaterial.save();
-      await studyMaterial.populate("sourceNoteId", "title subject folder");
+      await studyMaterial.populate("sourceNoteId", "title subject folder thumbnail");
 
       res.json({
         success: true,
@@ -323,6 +325,8 @@ class StudyMaterialController {
 
       studyMaterial.status = "archived";
       await studyMaterial.save();
+      // Deleted materials no longer count against the user's storage
+      await storageQuotaService.adjust(userId, -(studyMaterial.storageBytes || 0));
 
       res.json({
         success: true,
@@ -359,7 +363,7 @@ class StudyMaterialController {
       }
 
       await studyMaterial.toggleStar();
-      await studyMaterial.populate("sourceNoteId", "title subject folder");
+      await studyMaterial.populate("sourceNoteId", "title subject folder thumbnail");
 
       res.json({
         success: true,
@@ -1,10 +1,19 @@
+const mongoose = require("mongoose");
 const Note = require("../models/Note");
 const User = require("../models/User");
-const ocrService = require("../services/ocrService");
+const ImportBatch = require("../models/ImportBatch");
+const noteProcessingService = require("../services/noteProcessingService");
+const noteCreationService = require("../services/noteCreationService");
+const archiveImportService = require("../services/archiveImportService");
+const duplicateService = require("../services/duplicateService");
+const imagePreprocessor = require("../services/imagePreprocessor");
 const { sendSuccess, sendError } = require("../utils/responseUtils");
 const path = require("path");
 const fs = require("fs").promises; // Use promises version for async/await
 
+// What to do when the uploaded files match one of the user's notes
+const DUPLICATE_ACTIONS = ["ask", "link", "upload"];
+
 const uploadController = {
   // Upload single file (flexible field names)
   uploadSingle: async (req, res) => {
@@ -90,8 +99,9 @@ const uploadController = {
 
   // Combined upload and create note
   uploadAndCreateNote: async (req, res) => {
+    // The processing job takes over the temp files; any other outcome removes them
+    let queued = false;
     try {
-   
 
       // Check if user is authenticated
       if (!req.user) {
@@ -109,6 +119,46 @@ const uploadController = {
         return sendError(res, "User not found", 404);
       }
 
+      // Same files uploaded before: ask, link to the existing note, or upload anyway
+      const duplicateAction = req.body.duplicateAction || "ask";
+      if (!DUPLICATE_ACTIONS.includes(duplicateAction)) {
+        return sendError(res, `duplicateAction must be one of: ${DUPLICATE_ACTIONS.join(", ")}`, 400);
+      }
+
+      const contentHash = await duplicateService.hashFiles(req.files);
+      if (duplicateAction !== "upload") {
+        const existing = await duplicateService.findExactDuplicate(user._id, contentHash);
+        if (existing) {
+          const duplicate = {
+            id: existing._id,
+            title: existing.title,
+            subject: existing.subject,
+            status: existing.status,
+            pages: existing.pages,
+            uploadDate: existing.uploadDate,
+            thumbnail: existing.thumbnail,
+          };
+
+          if (duplicateAction === "link") {
+            return sendSuccess(res, "These files were already uploaded; linked to the existing note", {
+              note: duplicate,
+              linked: true,
+            });
+          }
+
+          console.log(`👯 Duplicate upload by user ${user._id} matches note ${existing._id}`);
+          return res.status(409).json({
+            success: false,
+            message: `You already uploaded these files as "${existing.title}"`,
+            data: {
+              duplicate,
+              // Send the upload again with one of these to resolve
+              options: ["link", "upload"],
+            },
+          });
+        }
+      }
+
       // Check if user has reached their upload limit
       if (user.usage.notesUploaded >= user.usage.notesLimit) {
         return sendError(
@@ -124,6 +174,13 @@ const uploadController = {
       const folder = ""; // No longer using folders, set to empty string
       const tags = req.body.tags || req.body.Tags || "";
 
+      // Image cleanup switches, e.g. preprocess=false or preprocess={"deskew":false}
+      let preprocess;
+      try {
+        preprocess = imagePreprocessor.resolveOptions(req.body.preprocess);
+      } catch (optionsError) {
+        return sendError(res, optionsError.message, 400);
+      }
 
       // If no title/subject provided, generate from filename
       let finalTitle = title.trim();
@@ -171,54 +228,13 @@ const uploadController = {
             .filter((tag) => tag.length > 0)
         : [];
 
-      // Create new note with user reference
-      // For now, we'll use the first file as the main file
-      const firstFile = files[0];
-
-      // Read the original file as binary data
-      const originalFileData = await fs.readFile(firstFile.path);
-
-      const note = new Note({
-        userId: req.user._id, // Associate note with authenticated user
-        title: finalTitle,
-        subject: finalSubject,
-        folder: "", // No longer using folders
-        tags: tagsArray,
-        // Store original file as binary data
-        originalFile: {
-          originalName: firstFile.originalName,
-          mimetype: firstFile.mimetype,
-          size: firstFile.size,
-          data: originalFileData, // Store binary data directly
-          uploadedAt: new Date(),
-        },
-        status: "processing",
-        pages: files.length,
-        // Initialize generated items counters
-        generatedItems: {
-          summaries: 0,
-          mcqs: 0,
-          questions: 0,
-        },
-      });
-
-      await note.save();
-
-      // Update user's usage statistics
-      await User.findByIdAndUpdate(req.user._id, {
-        $inc: { "usage.notesUploaded": 1 },
-        $addToSet: {
-          subjects: {
-            name: finalSubject,
-            color: getSubjectColor(finalSubject),
-          },
-        },
-      });
-
-      // Start OCR processing (async) - pass note ID and first file path for processing
-      processNoteFiles(note._id, firstFile.path).catch((error) => {
-        console.error("Background processing error:", error);
-      });
+      const { note, job, usage } = await noteCreationService.createNoteFromFiles(
+        user,
+        files,
+        { title: finalTitle, subject: finalSubject, tags: tagsArray, contentHash },
+        { preprocess }
+      );
+      queued = true;
 
       sendSuccess(
         res,
@@ -232,22 +248,108 @@ const uploadController = {
             tags: note.tags,
             status: note.status,
             files: files.length,
+            processingJobId: job._id,
             userId: note.userId,
-            usage: {
-              current: user.usage.notesUploaded + 1,
-              limit: user.usage.notesLimit,
-              remaining: user.usage.notesLimit - (user.usage.notesUploaded + 1),
-            },
+            usage,
           },
         },
         201
       );
     } catch (error) {
+      if (error.statusCode) {
+        return sendError(res, error.message, error.statusCode);
+      }
       console.error("Upload and create error:", error);
       sendError(
         res,
         `Failed to upload files and create note: ${error.message}`
       );
+    } finally {
+      if (!queued && Array.isArray(req.files)) {
+        await removeUploadedFiles(req.files);
+      }
+    }
+  },
+
+  // Import a ZIP archive: one note per file or subfolder, folders become subjects
+  uploadArchive: async (req, res) => {
+    const archive = req.file;
+
+    try {
+      if (!archive) {
+        return sendError(res, "No archive uploaded (expected a .zip in the 'archive' field)", 400);
+      }
+
+      const user = await User.findById(req.user._id);
+      if (!user) {
+        await fs.unlink(archive.path).catch(() => {});
+        return sendError(res, "User not found", 404);
+      }
+
+      let preprocess;
+      try {
+        preprocess = imagePreprocessor.resolveOptions(req.body.preprocess);
+      } catch (optionsError) {
+        await fs.unlink(archive.path).catch(() => {});
+        return sendError(res, optionsError.message, 400);
+      }
+
+      const tags = (req.body.tags || "")
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter((tag) => tag.length > 0);
+
+      const batch = await archiveImportService.createBatch(
+        user,
+        { path: archive.path, originalName: archive.originalname, size: archive.size },
+        {
+          branch: (req.body.branch || "").trim() || undefined,
+          semester: (req.body.semester || "").trim() || undefined,
+          subject: (req.body.subject || "").trim() || undefined,
+          tags,
+        },
+        { preprocess }
+      );
+      const status = await archiveImportService.getBatchStatus(batch);
+
+      sendSuccess(
+        res,
+        `Archive accepted: ${batch.items.length} note(s) queued for import`,
+        {
+          batchId: batch._id,
+          statusUrl: `/api/upload/archive/${batch._id}`,
+          ...status,
+        },
+        202
+      );
+    } catch (error) {
+      if (archive) await fs.unlink(archive.path).catch(() => {});
+      if (error.statusCode) {
+        return sendError(res, error.message, error.statusCode);
+      }
+      console.error("Archive upload error:", error);
+      sendError(res, "Failed to import archive");
+    }
+  },
+
+  // Per-item status of an archive import - check ownership
+  getArchiveBatch: async (req, res) => {
+    try {
+      const { batchId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(batchId)) {
+        return sendError(res, "Invalid batch id", 400);
+      }
+
+      const batch = await ImportBatch.findOne({ _id: batchId, userId: req.user._id });
+      if (!batch) {
+        return sendError(res, "Import batch not found or access denied", 404);
+      }
+
+      const status = await archiveImportService.getBatchStatus(batch);
+      sendSuccess(res, "Import batch status retrieved successfully", status);
+    } catch (error) {
+      console.error("Get archive batch error:", error);
+      sendError(res, "Failed to retrieve import batch status");
     }
   },
 
@@ -268,9 +370,9 @@ const uploadController = {
 
       await note.save();
 
-      // Start OCR processing (async)
+      // Queue OCR processing
       if (files && files.length > 0) {
-        processNoteFiles(note._id, files);
+        await noteProcessingService.enqueueNoteProcessing(note, files);
       }
 
       sendSuccess(res, "Note created successfully", { note }, 201);
@@ -430,233 +532,9 @@ const uploadController = {
   },
 };
 
-// Helper function to assign colors to subjects
-function getSubjectColor(subject) {
-  const colors = [
-    "#3B82F6",
-    "#EF4444",
-    "#10B981",
-    "#F59E0B",
-    "#8B5CF6",
-    "#EC4899",
-    "#06B6D4",
-    "#84CC16",
-  ];
-
-  let hash = 0;
-  for (let i = 0; i < subject.length; i++) {
-    hash = subject.charCodeAt(i) + ((hash << 5) - hash);
-  }
-
-  return colors[Math.abs(hash) % colors.length];
-}
-
-// Updated async function to process files with enhanced error handling and PDF validation
-async function processNoteFiles(noteId, filePath) {
-  try {
-    console.log(`🔄 Starting OCR processing for note ${noteId}, file: ${filePath}`);
-
-    // Get the note from database
-    const note = await Note.findById(noteId);
-    if (!note) {
-      throw new Error("Note not found");
-    }
-
-    // Validate input file exists and is accessible
-    try {
-      const fileStats = await fs.stat(filePath);
-      console.log(`📁 Input file size: ${fileStats.size} bytes`);
-      
-      if (fileStats.size === 0) {
-        throw new Error("Input file is empty");
-      }
-      
-      if (fileStats.size > 50 * 1024 * 1024) { // 50MB limit
-        throw new Error("Input file is too large (>50MB)");
-      }
-    } catch (statError) {
-      throw new Error(`Cannot access input file: ${statError.message}`);
-    }
-
-    // Extract text with automatic overlay PDF generation and enhanced error handling
-    console.log(`🔍 Starting OCR extraction for ${note.originalFile.mimetype}`);
-    
-    let result;
-    try {
-      result = await ocrService.extractTextWithOverlay(
-        filePath,
-        note.originalFile.mimetype,
-        true
-      );
-    } catch (ocrError) {
-      console.error(`OCR processing failed: ${ocrError.message}`);
-      throw new Error(`OCR processing failed: ${ocrError.message}`);
-    }
-
-    if (!result) {
-      throw new Error("OCR service returned no results");
-    }
-
-    console.log(`📝 OCR completed: confidence=${result.confidence}%, pages=${result.pages}, skipped=${result.skippedOCR}`);
-
-    let ocrPDFData = null;
-
-    // Handle different scenarios based on whether OCR was performed
-    if (result.skippedOCR && result.originallySearchable) {
-      // PDF already had searchable text - use original file as OCR PDF
-      console.log("📄 PDF already searchable, using original file");
-
-      try {
-        const originalPDFBuffer = await fs.readFile(filePath);
-        
-        // Validate PDF structure
-        if (originalPDFBuffer.length < 100) {
-          throw new Error("Original PDF is too small");
-        }
-        
-        const header = originalPDFBuffer.slice(0, 10).toString('ascii');
-        if (!header.startsWith('%PDF-')) {
-          throw new Error("Original file is not a valid PDF");
-        }
-
-        ocrPDFData = {
-          mimetype: "application/pdf",
-          size: originalPDFBuffer.length,
-          data: originalPDFBuffer,
-          pages: result.pages || 1,
-          createdAt: new Date(),
-          isOriginal: true, // Flag to indicate this is the original file
-        };
-
-        console.log(`✅ Using original PDF as searchable PDF (${ocrPDFData.size} bytes)`);
-      } catch (readError) {
-        console.error(`Error reading original PDF: ${readError.message}`);
-        throw new Error(`Failed to process original PDF: ${readError.message}`);
-      }
-    } else if (result.overlayPDFPath) {
-      // OCR was performed and overlay PDF was generated
-      console.log(`📄 OCR overlay PDF generated: ${result.overlayPDFPath}`);
-      
-      try {
-        // Validate overlay PDF exists
-        const overlayStats = await fs.stat(result.overlayPDFPath);
-        if (overlayStats.size === 0) {
-          throw new Error("Generated overlay PDF is empty");
-        }
-
-        const overlayPDFBuffer = await fs.readFile(result.overlayPDFPath);
-        
-        // Validate overlay PDF structure
-        const header = overlayPDFBuffer.slice(0, 10).toString('ascii');
-        if (!header.startsWith('%PDF-')) {
-          throw new Error("Generated overlay PDF is corrupted");
-        }
-
-        ocrPDFData = {
-          mimetype: "application/pdf",
-          size: overlayPDFBuffer.length,
-          data: overlayPDFBuffer,
-          pages: result.pages || 1,
-          createdAt: new Date(),
-          isOriginal: false, // Flag to indicate this is OCR-generated
-        };
-
-        console.log(`✅ Using OCR overlay PDF (${ocrPDFData.size} bytes)`);
-
-        // Clean up the temporary overlay PDF file
-        try {
-          await fs.unlink(result.overlayPDFPath);
-          console.log(`🗑️ Cleaned up temporary file: ${result.overlayPDFPath}`);
-        } catch (cleanupError) {
-          console.warn(`Failed to cleanup temporary file: ${cleanupError.message}`);
-        }
-      } catch (readError) {
-        console.error(`Error reading overlay PDF: ${readError.message}`);
-        throw new Error(`Failed to process overlay PDF: ${readError.message}`);
-      }
-    } else {
-      // OCR was performed but no overlay PDF was created - this is an error condition
-      console.warn("OCR was performed but no overlay PDF was created");
-      
-      if (!result.text || result.text.trim().length === 0) {
-        console.warn("No text was extracted from the file");
-      }
-    }
-
-    // Prepare update data with validation
-    const updateData = {
-      extractedText: result.text || "",
-      confidence: Math.round(result.confidence || 0),
-      status: "completed",
-      accuracy: Math.round(result.confidence || 0),
-      pages: result.pages || 1,
-      skippedOCR: result.skippedOCR || false,
-      originallySearchable: result.originallySearchable || false,
-      processedAt: new Date(),
-    };
-
-    // Validate extracted text
-    if (updateData.extractedText.length === 0) {
-      console.warn("No text was extracted from the document");
-      updateData.status = "completed_no_text";
-    } else if (updateData.extractedText.length < 50) {
-      console.warn("Very little text was extracted from the document");
-    }
-
-    // If we have OCR PDF data, store it as binary
-    if (ocrPDFData) {
-      updateData.ocrTextPDF = ocrPDFData;
-      console.log(`💾 Storing OCR PDF data: ${ocrPDFData.size} bytes, ${ocrPDFData.pages} pages`);
-    } else {
-      console.warn("No OCR PDF data available - PDF viewing may not work properly");
-    }
-
-    // Update note with processed data
-    try {
-      await Note.findByIdAndUpdate(noteId, updateData);
-      console.log(`✅ Note ${noteId} updated successfully`);
-    } catch (updateError) {
-      console.error(`Failed to update note ${noteId}:`, updateError);
-      throw new Error(`Database update failed: ${updateError.message}`);
-    }
-
-    // Clean up the original uploaded file after processing
-    try {
-      await fs.unlink(filePath);
-      console.log(`🗑️ Cleaned up original uploaded file: ${filePath}`);
-    } catch (cleanupError) {
-      console.warn(`Failed to cleanup original file: ${cleanupError.message}`);
-    }
-
-    const processingType = result.skippedOCR ? "already searchable" : "OCR processed";
-    console.log(`🎉 Processing completed for note ${noteId}: ${processingType}`);
-    
-  } catch (error) {
-    console.error(`❌ Error processing note ${noteId}:`, error);
-
-    // Mark note as failed with detailed error information
-    try {
-      await Note.findByIdAndUpdate(noteId, {
-        status: "failed",
-        error: error.message,
-        failedAt: new Date(),
-      });
-      console.log(`📝 Marked note ${noteId} as failed`);
-    } catch (updateError) {
-      console.error(`Failed to update note status to failed: ${updateError.message}`);
-    }
-
-    // Try to clean up the file even on failure
-    try {
-      await fs.unlink(filePath);
-      console.log(`🗑️ Cleaned up file after error: ${filePath}`);
-    } catch (cleanupError) {
-      console.warn(`Failed to cleanup file on error: ${cleanupError.message}`);
-    }
-
-    // Re-throw error to allow parent handling if needed
-    throw error;
-  }
+// Multer temp files of an upload that does not become a note
+async function removeUploadedFiles(files) {
+  await Promise.all(files.map((file) => fs.unlink(file.path).catch(() => {})));
 }
 
 module.exports = uploadController;
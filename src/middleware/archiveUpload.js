@@ -0,0 +1,49 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Archives are unpacked from the same uploads directory as single files
+const uploadsDir = path.join(__dirname, '../../uploads');
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+const MAX_ARCHIVE_SIZE = (parseInt(process.env.ARCHIVE_MAX_SIZE_MB) || 200) * 1024 * 1024;
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, uploadsDir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'archive-' + uniqueSuffix + '.zip');
+  }
+});
+
+// Accepts one ZIP file in the "archive" field
+const archiveUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_ARCHIVE_SIZE,
+    files: 1
+  },
+  fileFilter: function (req, file, cb) {
+    const allowedMimes = [
+      'application/zip',
+      'application/x-zip-compressed',
+      'application/x-zip',
+      'multipart/x-zip',
+      'application/octet-stream'
+    ];
+
+    if (path.extname(file.originalname).toLowerCase() === '.zip' && allowedMimes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid archive: ${file.originalname}. Only .zip archives are allowed.`));
+    }
+  }
+});
+
+archiveUpload.MAX_ARCHIVE_SIZE = MAX_ARCHIVE_SIZE;
+
+module.exports = archiveUpload;
@@ -46,6 +46,15 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// EventSource and <img> can't send headers, so event streams and images may pass
+// the token as ?token=
+const authenticateWithQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  return authenticate(req, res, next);
+};
+
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -58,4 +67,4 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { authenticate, authorize };
\ No newline at end of file
+module.exports = { authenticate, authenticateWithQueryToken, authorize };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const path = require('path');
+const documentImportService = require('../services/documentImportService');
 
 const allowedMimeTypes = [
   'image/jpeg',
@@ -6,10 +7,14 @@ const allowedMimeTypes = [
   'image/png',
   'image/gif',
   'image/webp',
-  'application/pdf'
+  'application/pdf',
+  ...Object.values(documentImportService.DOCUMENT_TYPES)
 ];
 
-const allowedExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.pdf'];
+const allowedExtensions = [
+  '.jpg', '.jpeg', '.png', '.gif', '.webp', '.pdf',
+  ...Object.keys(documentImportService.DOCUMENT_TYPES)
+];
 
 const validateFiles = (req, res, next) => {
   try {
@@ -35,7 +40,7 @@ const validateFiles = (req, res, next) => {
       if (!allowedMimeTypes.includes(file.mimetype)) {
         return res.status(400).json({
           success: false,
-          message: `File ${file.originalname} has invalid type. Allowed types: images and PDFs.`
+          message: `File ${file.originalname} has invalid type. Allowed types: images, PDFs and DOCX, PPTX, Markdown or text documents.`
         });
       }
 
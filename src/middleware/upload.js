@@ -1,6 +1,8 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const documentImportService = require('../services/documentImportService');
+const archiveUpload = require('./archiveUpload');
 
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, '../../uploads');
@@ -29,22 +31,64 @@ const upload = multer({
     files: 10 // Maximum 10 files
   },
   fileFilter: function (req, file, cb) {
-    // Allow images and PDFs
+    // Documents are often sent as application/octet-stream; trust their extension
+    file.mimetype = documentImportService.resolveMimetype(file.originalname, file.mimetype);
+
+    // Allow images, PDFs and text documents (Word, PowerPoint, Markdown, plain text)
     const allowedMimes = [
       'image/jpeg',
       'image/jpg',
       'image/png', 
       'image/gif',
       'image/webp',
-      'application/pdf'
+      'application/pdf',
+      ...Object.values(documentImportService.DOCUMENT_TYPES)
     ];
     
     if (allowedMimes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error(`Invalid file type: ${file.mimetype}. Only images and PDFs are allowed.`));
+      cb(new Error(`Invalid file type: ${file.mimetype}. Only images, PDFs and DOCX, PPTX, Markdown or text documents are allowed.`));
     }
   }
 });
 
+// Error handler for routes that take uploads (multer limits and file type errors)
+const handleUploadError = (err, req, res, next) => {
+  console.error('Upload error details:', {
+    message: err.message,
+    code: err.code,
+    field: err.field ? `"${err.field}"` : 'none',
+    fieldLength: err.field ? err.field.length : 0
+  });
+
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+    return res.status(400).json({
+      success: false,
+      message: `Unexpected field name: "${err.field}". Please check for extra spaces or use the /any endpoint.`,
+      expectedFields: ['file', 'files'],
+      receivedField: err.field,
+      hint: 'Make sure there are no trailing spaces in your field name'
+    });
+  }
+
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    const maxSize = err.field === 'archive'
+      ? `${Math.round(archiveUpload.MAX_ARCHIVE_SIZE / (1024 * 1024))}MB`
+      : '10MB';
+    return res.status(400).json({
+      success: false,
+      message: `File too large. Maximum size is ${maxSize}.`
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Upload error',
+    error: err.message
+  });
+};
+
+upload.handleUploadError = handleUploadError;
+
 module.exports = upload;
\ No newline at end of file
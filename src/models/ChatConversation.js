@@ -21,7 +21,16 @@ const messageSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: "Note",
       },
+      noteTitle: String,
       pageNumber: Number,
+      section: String, // "2.1 Background" when a section was named
+      // Chunk retrieved for the response (see services/retrievalService)
+      chunkId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "NoteChunk",
+      },
+      chunkIndex: Number,
+      score: Number, // retrieval score
       excerpt: String,
     },
   ],
@@ -34,10 +43,32 @@ const chatConversationSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // The note a conversation is about; conversations scoped to several notes have none
     noteId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Note",
-      required: true,
+      required: function () {
+        return !this.scope || !this.scope.kind || this.scope.kind === "note";
+      },
+    },
+    // Notes a conversation retrieves from: one note, every note of a subject or of a
+    // branch/semester(/subject) path (resolved per message, so new notes join in), or
+    // a hand-picked list
+    scope: {
+      kind: {
+        type: String,
+        enum: ["note", "subject", "path", "notes"],
+        default: "note",
+      },
+      branch: String,
+      semester: String,
+      subject: String,
+      noteIds: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Note",
+        },
+      ],
     },
     title: {
       type: String,
@@ -48,12 +79,24 @@ const chatConversationSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
-    // Cached note content to avoid repeated database lookups
+    // Cached note overview to avoid repeated database lookups; the note's text is
+    // retrieved per message
     noteContext: {
       title: String,
       subject: String,
       description: String,
-      extractedText: String, // Processed and formatted note content
+      overview: String, // Formatted title, subject, description and outline
+      pageCount: Number, // Pages in the note, used to validate page references
+      // Note outline, used to resolve section references
+      sections: [
+        {
+          title: String,
+          number: String,
+          pageNumber: Number,
+          endPage: Number,
+          _id: false,
+        },
+      ],
       lastUpdated: {
         type: Date,
         default: Date.now,
@@ -138,6 +181,14 @@ chatConversationSchema.methods.updateTitle = function (title) {
 };
 
 // Static methods
+// Drop the cached note overview of every conversation about a note whose content changed
+chatConversationSchema.statics.invalidateNoteContext = function (noteId) {
+  return this.updateMany(
+    { noteId, noteContext: { $exists: true } },
+    { $unset: { noteContext: "" } }
+  );
+};
+
 chatConversationSchema.statics.findByUserAndNote = function (userId, noteId) {
   return this.findOne({ userId, noteId, isActive: true });
 };
@@ -150,7 +201,7 @@ chatConversationSchema.statics.findUserConversations = function (
     .sort({ "metadata.lastActivity": -1 })
     .limit(limit)
     .populate("noteId", "title subject")
-    .select("title metadata.lastActivity noteId");
+    .select("title metadata.lastActivity noteId scope");
 };
 
 module.exports = mongoose.model("ChatConversation", chatConversationSchema);
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+// One note to be created from an archive: a single file or all files of a folder
+const importItemSchema = new mongoose.Schema(
+  {
+    path: {
+      type: String,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    branch: String,
+    semester: String,
+    subject: {
+      type: String,
+      required: true,
+    },
+    // Archive entries in page order
+    files: [
+      {
+        path: String,
+        size: Number,
+        _id: false,
+      },
+    ],
+    status: {
+      type: String,
+      // duplicate: same files as an existing note, which noteId then points to
+      enum: ["queued", "created", "duplicate", "failed"],
+      default: "queued",
+    },
+    noteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+    },
+    error: String,
+  },
+  { _id: true }
+);
+
+const importBatchSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    originalName: String,
+    size: Number,
+    // Where the uploaded archive waits until it has been unpacked
+    archivePath: String,
+    status: {
+      type: String,
+      enum: ["queued", "importing", "imported", "failed"],
+      default: "queued",
+    },
+    // Applied to every note of the batch
+    tags: [String],
+    processingOptions: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    items: [importItemSchema],
+    // Archive entries that were not imported (unsupported type, too large, ...)
+    skippedFiles: [
+      {
+        path: String,
+        reason: String,
+        _id: false,
+      },
+    ],
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ProcessingJob",
+    },
+    error: String,
+    importedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importBatchSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ImportBatch", importBatchSchema);
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { Readable } = require("stream");
+const fileStorage = require("../services/storage");
 
 const noteSchema = new mongoose.Schema(
   {
@@ -40,38 +42,169 @@ const noteSchema = new mongoose.Schema(
       default: "notes",
     },
 
-    // 🟢 Store original file as binary
+    // 🟢 Original upload; the bytes live in file storage (see services/storage)
     originalFile: {
       originalName: String,
       mimetype: String,
       size: Number,
-      data: Buffer, // PDF binary content
+      storageId: String,
+      storageDriver: String,
+      // Legacy embedded bytes, moved out by scripts/migrate-note-files.js
+      data: {
+        type: Buffer,
+        select: false,
+      },
       uploadedAt: {
         type: Date,
         default: Date.now,
       },
     },
 
-    // 🟢 Store OCR processed PDF as binary
+    // 🟢 OCR processed PDF; the bytes live in file storage
     ocrTextPDF: {
       mimetype: String,
       size: Number,
-      data: Buffer, // OCRed PDF binary
+      storageId: String,
+      storageDriver: String,
+      // Legacy embedded bytes, moved out by scripts/migrate-note-files.js
+      data: {
+        type: Buffer,
+        select: false,
+      },
       pages: Number,
       isOriginal: {
         type: Boolean,
         default: false, // true if this is the original file (already searchable)
       },
+      // How well the invisible text layer lines up with the OCR words, errors in points
+      // (see ocrService.summarizeTextLayer); unset when no text layer was drawn
+      alignment: {
+        wordsDrawn: Number,
+        words: Number,
+        found: Number,
+        misaligned: Number,
+        meanError: Number,
+        maxError: Number,
+        misalignedPages: {
+          type: [Number],
+          default: undefined,
+        },
+        pages: {
+          type: [
+            {
+              page: Number,
+              wordsDrawn: Number,
+              words: Number,
+              found: Number,
+              misaligned: Number,
+              meanError: Number,
+              maxError: Number,
+              _id: false,
+            },
+          ],
+          default: undefined,
+        },
+        checkedAt: Date,
+      },
       createdAt: {
         type: Date,
         default: Date.now,
       },
     },
 
+    // Every uploaded file, in upload order, and where its pages start in the combined PDF
+    sourceFiles: [
+      {
+        originalName: String,
+        mimetype: String,
+        size: Number,
+        pageStart: Number, // 1-based page number in the combined PDF
+        pageCount: Number,
+        // Image cleanup applied before OCR (photographed pages only)
+        preprocessing: {
+          appliedSteps: [String],
+          skewAngle: Number,
+        },
+      },
+    ],
+
+    // Bytes of files, thumbnail and cached page images charged to the owner's storage
+    // (see services/storageQuotaService)
+    storageBytes: {
+      type: Number,
+      default: 0,
+    },
+    pageImageBytes: {
+      type: Number,
+      default: 0,
+    },
+
+    // SHA-256 of the uploaded bytes, used to spot re-uploads (see services/duplicateService)
+    contentHash: String,
+    // MinHash signature of the extracted text's word shingles
+    textSignature: {
+      type: [Number],
+      select: false,
+      default: undefined,
+    },
+    // Earlier notes of the same user with nearly the same text (e.g. the same document re-scanned)
+    nearDuplicates: [
+      {
+        noteId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Note",
+        },
+        title: String,
+        similarity: Number, // estimated share of common text, 0..1
+        _id: false,
+      },
+    ],
+
+    // Section headings in reading order; `level` nests them (see services/outlineService)
+    outline: [
+      {
+        title: String,
+        number: String, // "2.1", "IV"
+        level: Number,
+        pageNumber: Number,
+        endPage: Number,
+        top: Number, // heading position on the page, 0..1 from the top
+        source: {
+          type: String,
+          enum: ["layout", "numbering", "markdown", "caps"],
+        },
+        _id: false,
+      },
+    ],
+    outlineUpdatedAt: Date,
+
+    // Chat retrieval chunks (see services/retrievalService): textVersion goes up whenever
+    // the text changes; chunkedVersion and chunkedAt record the version the chunks were built from
+    chatIndex: {
+      textVersion: {
+        type: Number,
+        default: 0,
+      },
+      chunkedVersion: Number,
+      chunkedAt: Date,
+    },
+
     extractedText: {
       type: String,
       default: "",
     },
+    // Extracted text split by page of the combined PDF
+    extractedPages: [
+      {
+        pageNumber: Number,
+        text: {
+          type: String,
+          default: "",
+        },
+        confidence: Number,
+        sourceIndex: Number, // index into sourceFiles
+      },
+    ],
     confidence: {
       type: Number,
       min: 0,
@@ -79,9 +212,13 @@ const noteSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["uploading", "processing", "completed", "failed"],
+      enum: ["uploading", "processing", "completed", "completed_no_text", "failed"],
       default: "uploading",
     },
+    // Processing outcome details
+    processedAt: Date,
+    error: String, // last processing error when status is "failed"
+    failedAt: Date,
 
     // OCR optimization flags
     skippedOCR: {
@@ -134,10 +271,20 @@ const noteSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // URL of the first-page preview (legacy notes may still hold a data URL until
+    // scripts/migrate-note-files.js moves it to file storage)
     thumbnail: {
       type: String,
       default: "/placeholder.svg?height=120&width=160",
     },
+    // The preview's JPEG bytes live in file storage
+    thumbnailFile: {
+      mimetype: String,
+      size: Number,
+      storageId: String,
+      storageDriver: String,
+      createdAt: Date,
+    },
     generatedItems: {
       summaries: {
         type: Number,
@@ -176,25 +323,86 @@ noteSchema.index({ userId: 1, semester: 1 });
 noteSchema.index({ userId: 1, subject: 1 });
 noteSchema.index({ userId: 1, noteType: 1 });
 noteSchema.index({ userId: 1, uploadDate: -1 });
+noteSchema.index({ userId: 1, contentHash: 1 });
+
+// Method to write a file (Buffer, path or stream) to storage and build its
+// originalFile / ocrTextPDF / thumbnailFile entry; the caller assigns or $sets the result
+noteSchema.methods.storeFile = async function (kind, input, fields = {}) {
+  const stored = await fileStorage.save(input, {
+    filename: fields.originalName || `${this._id}-${kind}`,
+    contentType: fields.mimetype,
+    metadata: { noteId: this._id, kind },
+  });
+
+  return {
+    ...fields,
+    size: stored.size,
+    storageId: stored.storageId,
+    storageDriver: stored.storageDriver,
+  };
+};
+
+// Method to read a file (originalFile or ocrTextPDF) into memory
+noteSchema.methods.readFileData = async function (kind) {
+  const file = this[kind];
+  if (!file) return null;
+  if (file.storageId) return fileStorage.readBuffer(file);
+  if (file.data) return file.data;
+  if (!file.size) return null;
+
+  // Not migrated yet: the bytes are still embedded but excluded by default
+  const legacy = await this.constructor.findById(this._id).select(`+${kind}.data`);
+  return (legacy && legacy[kind] && legacy[kind].data) || null;
+};
 
-// Method to set OCR text PDF as binary
-noteSchema.methods.setOCRTextPDF = function (ocrData) {
-  this.ocrTextPDF = {
+// Method to stream a file, optionally limited to an inclusive byte range
+noteSchema.methods.openFileStream = async function (kind, range = {}) {
+  const file = this[kind];
+  if (file && file.storageId) {
+    return fileStorage.createReadStream(file, range);
+  }
+
+  const data = await this.readFileData(kind);
+  if (!data) return null;
+  const start = range.start || 0;
+  const end = typeof range.end === "number" ? range.end + 1 : data.length;
+  return Readable.from([data.subarray(start, end)]);
+};
+
+// Method to remove the note's files from storage
+noteSchema.methods.deleteStoredFiles = async function () {
+  for (const kind of ["originalFile", "ocrTextPDF", "thumbnailFile"]) {
+    try {
+      await fileStorage.delete(this[kind]);
+    } catch (error) {
+      console.warn(`Failed to delete ${kind} of note ${this._id}: ${error.message}`);
+    }
+  }
+};
+
+// Method to set OCR text PDF
+noteSchema.methods.setOCRTextPDF = async function (ocrData) {
+  const previous = this.ocrTextPDF && {
+    storageId: this.ocrTextPDF.storageId,
+    storageDriver: this.ocrTextPDF.storageDriver,
+  };
+  this.ocrTextPDF = await this.storeFile("ocrTextPDF", ocrData.data, {
     mimetype: ocrData.mimetype || "application/pdf",
-    size: ocrData.size || ocrData.data.length,
-    data: ocrData.data, // Buffer containing PDF binary data
     pages: ocrData.pages || 0,
     createdAt: new Date(),
-  };
+  });
   this.status = "completed";
-  return this.save();
+  await this.save();
+  await fileStorage.delete(previous).catch(() => {});
+  return this;
 };
 
-// Method to check if files exist as binary data
+// Method to check if files exist (in storage, or embedded and loaded)
 noteSchema.methods.hasFiles = function () {
+  const exists = (file) => !!(file && (file.storageId || file.data));
   return {
-    originalFile: !!(this.originalFile && this.originalFile.data),
-    ocrTextPDF: !!(this.ocrTextPDF && this.ocrTextPDF.data),
+    originalFile: exists(this.originalFile),
+    ocrTextPDF: exists(this.ocrTextPDF),
   };
 };
 
@@ -220,4 +428,21 @@ noteSchema.methods.getFileInfo = function () {
   };
 };
 
+// Method to summarize the text layer alignment without the per-page breakdown
+noteSchema.methods.getTextLayerSummary = function () {
+  const alignment = this.ocrTextPDF && this.ocrTextPDF.alignment;
+  if (!alignment || typeof alignment.words !== "number") return null;
+
+  return {
+    wordsDrawn: alignment.wordsDrawn,
+    words: alignment.words,
+    found: alignment.found,
+    misaligned: alignment.misaligned,
+    meanError: alignment.meanError,
+    maxError: alignment.maxError,
+    misalignedPages: alignment.misalignedPages || [],
+    checkedAt: alignment.checkedAt,
+  };
+};
+
 module.exports = mongoose.model("Note", noteSchema);
@@ -0,0 +1,113 @@
+const mongoose = require("mongoose");
+const { indexTerms } = require("../utils/textSearch");
+
+// Chunk fields that are left out rather than stored empty
+const OPTIONAL_FIELDS = ["section", "embedding", "embeddingModel"];
+
+// A passage of a note's text that chat retrieves instead of sending the whole note
+// (see services/retrievalService). Chunks never span pages.
+const noteChunkSchema = new mongoose.Schema(
+  {
+    noteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Position of the chunk in the note, 0-based
+    chunkIndex: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Page of the combined PDF the text is on (null for notes without page text)
+    pageNumber: {
+      type: Number,
+      default: null,
+    },
+    section: String, // outline section the page belongs to, "2.1 Background"
+    text: {
+      type: String,
+      required: true,
+    },
+    // Distinct terms of the text and its length in words, kept up to date on save
+    searchTerms: {
+      type: [String],
+      select: false,
+    },
+    termCount: Number,
+    // Optional embedding of the text and the model that produced it
+    embedding: {
+      type: [Number],
+      select: false,
+    },
+    embeddingModel: String,
+    // Note.chatIndex.textVersion of the text the chunk was cut from
+    version: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+noteChunkSchema.index({ noteId: 1, chunkIndex: 1 }, { unique: true });
+noteChunkSchema.index({ noteId: 1, searchTerms: 1 });
+
+// Index the text for retrieval whenever it is written (insertMany validates too)
+noteChunkSchema.pre("validate", function (next) {
+  if (this.isNew || this.isModified("text")) {
+    const { terms, length } = indexTerms(this.text);
+    this.searchTerms = terms;
+    this.termCount = length;
+  }
+  next();
+});
+
+// Write the chunks of one text version of a note over those of older versions. A
+// newer version's chunk in the same place makes the write fail with a duplicate key
+// error (11000), as can two writers of the same version racing to insert.
+noteChunkSchema.statics.writeVersion = async function (noteId, userId, version, chunks) {
+  if (chunks.length === 0) return;
+
+  await this.bulkWrite(
+    chunks.map((chunk) => {
+      const { terms, length } = indexTerms(chunk.text);
+      const fields = {
+        userId,
+        version,
+        pageNumber: chunk.pageNumber === undefined ? null : chunk.pageNumber,
+        text: chunk.text,
+        searchTerms: terms,
+        termCount: length,
+      };
+      const unset = {};
+      OPTIONAL_FIELDS.forEach((field) => {
+        if (chunk[field] === undefined) unset[field] = "";
+        else fields[field] = chunk[field];
+      });
+
+      return {
+        updateOne: {
+          filter: { noteId, chunkIndex: chunk.chunkIndex, version: { $not: { $gt: version } } },
+          update: Object.keys(unset).length > 0 ? { $set: fields, $unset: unset } : { $set: fields },
+          upsert: true,
+        },
+      };
+    }),
+    { ordered: false }
+  );
+};
+
+// Remove a note's chunks of versions before the given one (and of no version)
+noteChunkSchema.statics.deleteOlderVersions = function (noteId, version) {
+  return this.deleteMany({ noteId, version: { $not: { $gte: version } } });
+};
+
+module.exports = mongoose.model("NoteChunk", noteChunkSchema);
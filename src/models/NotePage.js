@@ -0,0 +1,147 @@
+const mongoose = require("mongoose");
+const { indexTerms } = require("../utils/textSearch");
+
+// Words and lines keep the OCR engine's 8-number bounding boxes
+// [x1, y1, x2, y2, x3, y3, x4, y4] (clockwise from top-left, top-left origin)
+// measured in the page's `unit`
+const wordSchema = new mongoose.Schema(
+  {
+    text: String,
+    boundingBox: [Number],
+    confidence: Number, // 0..1
+  },
+  { _id: false }
+);
+
+const lineSchema = new mongoose.Schema(
+  {
+    text: String,
+    boundingBox: [Number],
+    confidence: Number, // 0..1, average of the line's words
+    words: [wordSchema],
+  },
+  { _id: false }
+);
+
+const notePageSchema = new mongoose.Schema(
+  {
+    noteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // 1-based page number in the note's combined PDF
+    pageNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    text: {
+      type: String,
+      default: "",
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    sourceIndex: Number, // index into Note.sourceFiles
+    // Page geometry as reported by the OCR engine
+    width: Number,
+    height: Number,
+    unit: {
+      type: String,
+      enum: ["pixel", "inch", null],
+      default: null,
+    },
+    angle: {
+      type: Number,
+      default: 0,
+    },
+    lines: [lineSchema],
+    // Clockwise view rotation added by page edits; bounding boxes stay in the
+    // unrotated page space the OCR engine saw
+    rotation: {
+      type: Number,
+      enum: [0, 90, 180, 270],
+      default: 0,
+    },
+    ocrEngine: String,
+    // Current text revision (0 = OCR result, see PageTextRevision)
+    revision: {
+      type: Number,
+      default: 0,
+    },
+    correctedAt: Date,
+    // false when the text came from an already searchable PDF without geometry
+    hasLayout: {
+      type: Boolean,
+      default: false,
+    },
+    // Distinct terms of the text and its length in words, kept up to date on save
+    // (see services/searchService)
+    searchTerms: {
+      type: [String],
+      select: false,
+    },
+    termCount: Number,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notePageSchema.index({ noteId: 1, pageNumber: 1 }, { unique: true });
+notePageSchema.index({ userId: 1, searchTerms: 1 });
+
+// Index the text for search whenever it is written (insertMany validates too)
+notePageSchema.pre("validate", function (next) {
+  if (this.isNew || this.isModified("text")) {
+    const { terms, length } = indexTerms(this.text);
+    this.searchTerms = terms;
+    this.termCount = length;
+  }
+  next();
+});
+
+// Replace every stored page of a note (used after (re)processing)
+notePageSchema.statics.replaceForNote = async function (noteId, userId, pages) {
+  await this.deleteMany({ noteId });
+  if (pages.length === 0) return [];
+
+  return this.insertMany(
+    pages.map((page) => ({ ...page, noteId, userId })),
+    { ordered: true }
+  );
+};
+
+notePageSchema.statics.findPage = function (noteId, pageNumber) {
+  return this.findOne({ noteId, pageNumber });
+};
+
+// Method to get the page without its word geometry
+notePageSchema.methods.getSummary = function () {
+  return {
+    pageNumber: this.pageNumber,
+    text: this.text,
+    confidence: this.confidence,
+    sourceIndex: this.sourceIndex,
+    width: this.width,
+    height: this.height,
+    unit: this.unit,
+    angle: this.angle,
+    rotation: this.rotation,
+    hasLayout: this.hasLayout,
+    revision: this.revision,
+    correctedAt: this.correctedAt || null,
+    lineCount: this.lines.length,
+    wordCount: this.lines.reduce((count, line) => count + line.words.length, 0),
+  };
+};
+
+module.exports = mongoose.model("NotePage", notePageSchema);
@@ -0,0 +1,160 @@
+const mongoose = require("mongoose");
+
+// Words below this OCR confidence (0..1) are queued for proofreading
+const REVIEW_THRESHOLD = parseFloat(process.env.OCR_REVIEW_THRESHOLD) || 0.8;
+// Keep the queue proofreadable on very noisy scans
+const MAX_WORDS_PER_NOTE = 1000;
+
+const ocrReviewWordSchema = new mongoose.Schema(
+  {
+    noteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    pageNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    // Same 8-number box and unit as the word in NotePage.lines
+    boundingBox: [Number],
+    pageWidth: Number,
+    pageHeight: Number,
+    unit: String,
+    lineText: String, // surrounding line, shown as context
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "corrected"],
+      default: "pending",
+    },
+    correction: String,
+    reviewedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ocrReviewWordSchema.index({ noteId: 1, status: 1, confidence: 1 });
+ocrReviewWordSchema.index({ noteId: 1, pageNumber: 1 });
+
+// Build the queue from freshly OCRed pages, lowest confidence first
+ocrReviewWordSchema.statics.collectWords = function (pages) {
+  const words = [];
+
+  for (const page of pages) {
+    if (!page.hasLayout) continue;
+
+    for (const line of page.lines || []) {
+      for (const word of line.words || []) {
+        if (typeof word.confidence !== "number" || word.confidence >= REVIEW_THRESHOLD) continue;
+        if (!word.text || !word.text.trim()) continue;
+
+        words.push({
+          pageNumber: page.pageNumber,
+          text: word.text,
+          confidence: word.confidence,
+          boundingBox: word.boundingBox,
+          pageWidth: page.width,
+          pageHeight: page.height,
+          unit: page.unit,
+          lineText: line.text,
+        });
+      }
+    }
+  }
+
+  return words.sort((a, b) => a.confidence - b.confidence).slice(0, MAX_WORDS_PER_NOTE);
+};
+
+// Replace the whole queue of a note (used after (re)processing)
+ocrReviewWordSchema.statics.replaceForNote = async function (noteId, userId, pages) {
+  await this.deleteMany({ noteId });
+  const words = this.collectWords(pages);
+  if (words.length === 0) return [];
+
+  return this.insertMany(words.map((word) => ({ ...word, noteId, userId })), { ordered: false });
+};
+
+// Follow a page edit (old page -> new page, null when deleted)
+ocrReviewWordSchema.statics.remapPages = async function (noteId, pageMap) {
+  const entries = [...pageMap.entries()];
+  const deleted = entries.filter(([, newPage]) => newPage === null).map(([oldPage]) => oldPage);
+  const moved = entries.filter(([oldPage, newPage]) => newPage !== null && newPage !== oldPage);
+
+  if (deleted.length > 0) {
+    await this.deleteMany({ noteId, pageNumber: { $in: deleted } });
+  }
+  if (moved.length === 0) return;
+
+  // Through negative numbers, so a page moving onto another's number is not moved twice
+  await this.bulkWrite(
+    moved.map(([oldPage, newPage]) => ({
+      updateMany: {
+        filter: { noteId, pageNumber: oldPage },
+        update: { $set: { pageNumber: -newPage } },
+      },
+    }))
+  );
+  await this.updateMany(
+    { noteId, pageNumber: { $lt: 0 } },
+    [{ $set: { pageNumber: { $multiply: ["$pageNumber", -1] } } }]
+  );
+};
+
+// After a page's text changed, mark pending words whose box now holds different text as corrected
+ocrReviewWordSchema.statics.resolveFromLayout = async function (noteId, pageNumber, lines) {
+  const pending = await this.find({ noteId, pageNumber, status: "pending" });
+  if (pending.length === 0) return 0;
+
+  const wordsByBox = new Map();
+  for (const line of lines) {
+    for (const word of line.words || []) {
+      wordsByBox.set((word.boundingBox || []).join(","), word);
+    }
+  }
+
+  const operations = [];
+  for (const item of pending) {
+    const current = wordsByBox.get(item.boundingBox.join(","));
+    if (current && current.text === item.text) continue;
+
+    operations.push({
+      updateOne: {
+        filter: { _id: item._id },
+        update: {
+          $set: {
+            status: "corrected",
+            correction: current ? current.text : "",
+            reviewedAt: new Date(),
+          },
+        },
+      },
+    });
+  }
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations, { ordered: false });
+  }
+  return operations.length;
+};
+
+const OcrReviewWord = mongoose.model("OcrReviewWord", ocrReviewWordSchema);
+OcrReviewWord.REVIEW_THRESHOLD = REVIEW_THRESHOLD;
+
+module.exports = OcrReviewWord;
@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+
+// One saved version of a page's text. Revision 0 is the OCR result and also keeps
+// the OCR layout, which every later revision is re-aligned against.
+const pageTextRevisionSchema = new mongoose.Schema(
+  {
+    noteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+      required: true,
+    },
+    pageNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    revision: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    text: {
+      type: String,
+      default: "",
+    },
+    source: {
+      type: String,
+      enum: ["ocr", "edit", "revert"],
+      required: true,
+    },
+    author: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      name: String,
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxLength: 500,
+    },
+    revertedTo: Number, // revision restored by a "revert"
+    // OCR lines and words of revision 0
+    ocrLines: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pageTextRevisionSchema.index({ noteId: 1, pageNumber: 1, revision: -1 }, { unique: true });
+
+pageTextRevisionSchema.statics.findLatest = function (noteId, pageNumber) {
+  return this.findOne({ noteId, pageNumber }).sort({ revision: -1 });
+};
+
+pageTextRevisionSchema.statics.findRevision = function (noteId, pageNumber, revision) {
+  return this.findOne({ noteId, pageNumber, revision });
+};
+
+// Move revisions with their pages after a page edit (old page -> new page, null when
+// deleted). Pages are renumbered through negative numbers so the unique index never clashes.
+pageTextRevisionSchema.statics.remapPages = async function (noteId, pageMap) {
+  const entries = [...pageMap.entries()];
+  const deleted = entries.filter(([, newPage]) => newPage === null).map(([oldPage]) => oldPage);
+  const moved = entries.filter(([oldPage, newPage]) => newPage !== null && newPage !== oldPage);
+
+  if (deleted.length > 0) {
+    await this.deleteMany({ noteId, pageNumber: { $in: deleted } });
+  }
+  if (moved.length === 0) return;
+
+  await this.bulkWrite(
+    moved.map(([oldPage, newPage]) => ({
+      updateMany: {
+        filter: { noteId, pageNumber: oldPage },
+        update: { $set: { pageNumber: -newPage } },
+      },
+    }))
+  );
+  await this.updateMany(
+    { noteId, pageNumber: { $lt: 0 } },
+    [{ $set: { pageNumber: { $multiply: ["$pageNumber", -1] } } }]
+  );
+};
+
+// Method to describe a revision without its layout
+pageTextRevisionSchema.methods.getSummary = function () {
+  return {
+    revision: this.revision,
+    source: this.source,
+    author: this.author && this.author.userId ? this.author : null,
+    comment: this.comment || null,
+    revertedTo: this.revertedTo !== undefined ? this.revertedTo : null,
+    length: (this.text || "").length,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model("PageTextRevision", pageTextRevisionSchema);
@@ -0,0 +1,147 @@
+const mongoose = require("mongoose");
+
+const processingJobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    noteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Handler-specific input (file paths, options, ...)
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "dead"],
+      default: "queued",
+    },
+    // Human-readable processing stage and overall progress for status polling
+    stage: {
+      type: String,
+      default: "queued",
+    },
+    progress: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    // Earliest time the job may be picked up (used for retry backoff)
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Worker lock; lockedAt doubles as a heartbeat while the job runs
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    errorHistory: [
+      {
+        attempt: Number,
+        message: String,
+        occurredAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    completedAt: Date,
+    deadAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for claiming the next runnable job and for status lookups
+processingJobSchema.index({ status: 1, runAt: 1 });
+processingJobSchema.index({ status: 1, lockedAt: 1 });
+processingJobSchema.index({ noteId: 1, createdAt: -1 });
+// At most one queued or running job per note, so two requests can't both queue work
+// planned against the same pages (jobs without a note are not limited)
+processingJobSchema.index(
+  { noteId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      noteId: { $type: "objectId" },
+      status: { $in: ["queued", "running"] },
+    },
+  }
+);
+
+// Atomically claim the next runnable job for a worker
+processingJobSchema.statics.claimNext = function (workerId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { status: "queued", runAt: { $lte: now } },
+    {
+      $set: {
+        status: "running",
+        lockedBy: workerId,
+        lockedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1, createdAt: 1 }, new: true }
+  );
+};
+
+// Latest job for a note, used by the processing status endpoint
+processingJobSchema.statics.findLatestForNote = function (noteId, type = null) {
+  const query = { noteId };
+  if (type) query.type = type;
+  return this.findOne(query).sort({ createdAt: -1 });
+};
+
+// Method to summarize the job for API responses
+processingJobSchema.methods.getStatusInfo = function () {
+  return {
+    jobId: this._id,
+    type: this.type,
+    status: this.status,
+    stage: this.stage,
+    progress: this.progress,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    lastError: this.lastError,
+    nextAttemptAt: this.status === "queued" ? this.runAt : null,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+    completedAt: this.completedAt || null,
+    result: this.result || null,
+  };
+};
+
+module.exports = mongoose.model("ProcessingJob", processingJobSchema);
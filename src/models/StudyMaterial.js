@@ -112,6 +112,11 @@ const StudyMaterialSchema = new mongoose.Schema(
         default: 0,
       },
     },
+    // Size of the generated content, counted against the owner's storage
+    storageBytes: {
+      type: Number,
+      default: 0,
+    },
     status: {
       type: String,
       enum: ["draft", "active", "archived"],
@@ -160,6 +165,14 @@ StudyMaterialSchema.index({ userId: 1, createdAt: -1 });
 StudyMaterialSchema.index({ userId: 1, "stats.lastAccessed": -1 });
 StudyMaterialSchema.index({ sourceNoteId: 1 });
 
+// Keep storageBytes in step with the content
+StudyMaterialSchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("content")) {
+    this.storageBytes = mongoose.mongo.BSON.calculateObjectSize({ content: this.content });
+  }
+  next();
+});
+
 // Virtual for source note details
 StudyMaterialSchema.virtual("sourceNote", {
   ref: "Note",
@@ -89,6 +89,7 @@ const userSchema = new mongoose.Schema({
   usage: {
     notesUploaded: { type: Number, default: 0 },
     notesLimit: { type: Number, default: 10 }, // Free plan limit
+    storageUsed: { type: Number, default: 0 }, // Bytes; the limit comes from the plan
     questionsGenerated: { type: Number, default: 0 },
     summariesGenerated: { type: Number, default: 0 }
   },
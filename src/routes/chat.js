@@ -39,7 +39,14 @@ const validateConversationId = [
 ];
 
 const validateMessage = [
-  body("noteId").isMongoId().withMessage("Invalid note ID"),
+  body("noteId").optional().isMongoId().withMessage("Invalid note ID"),
+  body("conversationId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid conversation ID"),
+  body()
+    .custom((value) => Boolean(value.noteId || value.conversationId))
+    .withMessage("Either noteId or conversationId is required"),
   body("message")
     .trim()
     .isLength({ min: 1, max: 2000 })
@@ -50,6 +57,39 @@ const validateMessage = [
     .withMessage("Context must be an object"),
 ];
 
+const validateScopedConversation = [
+  body("scope")
+    .isIn(["subject", "path", "notes"])
+    .withMessage("Scope must be one of subject, path or notes"),
+  body("subject")
+    .if(body("scope").equals("subject"))
+    .isString()
+    .withMessage("Subject is required")
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage("Subject is required"),
+  body("path")
+    .if(body("scope").equals("path"))
+    .isString()
+    .withMessage("Path is required")
+    .bail()
+    .trim()
+    .matches(/^[^/]*[^/\s][^/]*(\/[^/]*[^/\s][^/]*){0,2}$/)
+    .withMessage("Path must be branch, branch/semester or branch/semester/subject"),
+  body("noteIds")
+    .if(body("scope").equals("notes"))
+    .isArray({ min: 1, max: 100 })
+    .withMessage("Between 1 and 100 note IDs are required"),
+  body("noteIds.*").optional().isMongoId().withMessage("Invalid note ID"),
+  body("title")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Title must be between 1 and 200 characters"),
+];
+
 const validateSettings = [
   body("temperature")
     .optional()
@@ -107,6 +147,13 @@ router.post(
   chatController.createNewConversation
 );
 
+// Create a conversation across a subject, a branch/semester path or a list of notes
+router.post(
+  "/conversation/scoped",
+  validateScopedConversation,
+  chatController.createScopedConversation
+);
+
 // Send message in conversation
 router.post(
   "/message",
@@ -115,6 +162,14 @@ router.post(
   chatController.sendMessage
 );
 
+// Send message and stream the response as Server-Sent Events
+router.post(
+  "/message/stream",
+  messageRateLimit,
+  validateMessage,
+  chatController.streamMessage
+);
+
 // Get conversation history
 router.get(
   "/history/:conversationId",
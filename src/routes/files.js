@@ -1,9 +1,18 @@
 const express = require("express");
 const router = express.Router();
 const fileController = require("../controllers/fileController");
-const { authenticate } = require("../middleware/auth");
+const { authenticate, authenticateWithQueryToken } = require("../middleware/auth");
 
-// Add authentication to all file routes
+// Images are loaded by <img>, which can't send the Authorization header, so these
+// routes also take ?token=
+
+// Get a rendered preview of one page (?width= in pixels)
+router.get("/pdf/:noteId/page/:pageNumber/image", authenticateWithQueryToken, fileController.servePageImage);
+
+// Get the note's first-page thumbnail
+router.get("/thumbnail/:noteId", authenticateWithQueryToken, fileController.serveThumbnail);
+
+// Add authentication to all other file routes
 router.use(authenticate);
 
 // Serve PDF file directly from database
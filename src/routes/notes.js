@@ -1,8 +1,11 @@
 const express = require("express");
 const router = express.Router();
-const { body } = require("express-validator");
+const { body, param, query } = require("express-validator");
 const notesController = require("../controllers/notesController");
-const { authenticate } = require("../middleware/auth");
+const ocrService = require("../services/ocrService");
+const ocrEngines = require("../services/ocrEngines");
+const { authenticate, authenticateWithQueryToken } = require("../middleware/auth");
+const upload = require("../middleware/upload");
 
 // Validation middleware for creating subjects
 const validateSubject = [
@@ -14,6 +17,100 @@ const validateSubject = [
     .trim()
 ];
 
+// Validation middleware for reprocessing a note
+const validateReprocess = [
+  body("forceOCR")
+    .optional()
+    .isBoolean()
+    .withMessage("forceOCR must be a boolean")
+    .toBoolean(),
+  body("language")
+    .optional()
+    .isString()
+    .isLength({ min: 2, max: 10 })
+    .withMessage("Language must be a language code such as 'en' or 'de'")
+    .trim(),
+  body("spacingMode")
+    .optional()
+    .isIn(ocrService.SPACING_MODES)
+    .withMessage(`Spacing mode must be one of: ${ocrService.SPACING_MODES.join(", ")}`),
+  body("engine")
+    .optional()
+    .isIn(["auto", ...ocrEngines.list()])
+    .withMessage(`OCR engine must be one of: auto, ${ocrEngines.list().join(", ")}`),
+];
+
+// Validation middleware for page text corrections
+const validatePageNumber = param("pageNumber")
+  .isInt({ min: 1 })
+  .withMessage("Page number must be a positive integer")
+  .toInt();
+
+const validatePageText = [
+  validatePageNumber,
+  body("text")
+    .isString()
+    .withMessage("Page text is required")
+    .isLength({ max: 100000 })
+    .withMessage("Page text cannot exceed 100000 characters"),
+  body("comment")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Comment cannot exceed 500 characters")
+    .trim(),
+];
+
+const validateTextDiff = [
+  validatePageNumber,
+  query("from").optional().isInt({ min: 0 }).withMessage("from must be a revision number").toInt(),
+  query("to").optional().isInt({ min: 0 }).withMessage("to must be a revision number").toInt(),
+];
+
+const validateTextRevert = [
+  validatePageNumber,
+  body("revision")
+    .isInt({ min: 0 })
+    .withMessage("Revision must be a revision number")
+    .toInt(),
+];
+
+// Validation middleware for the OCR review queue
+const validateOcrReviewList = [
+  query("status")
+    .optional()
+    .isIn(["pending", "accepted", "corrected", "all"])
+    .withMessage("Status must be one of: pending, accepted, corrected, all"),
+  query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+];
+
+const validateOcrReviewResolve = [
+  body("words")
+    .isArray({ min: 1, max: 500 })
+    .withMessage("words must be a list of 1 to 500 review decisions"),
+  body("words.*.id").isMongoId().withMessage("Each review decision needs a word id"),
+  body("words.*.action")
+    .isIn(["accept", "correct"])
+    .withMessage("Review action must be 'accept' or 'correct'"),
+  body("words.*")
+    .custom((word) => word.action !== "correct"
+      || (typeof word.text === "string" && word.text.trim().length > 0 && word.text.length <= 200))
+    .withMessage("A correction needs the corrected text (1 to 200 characters)"),
+];
+
+// Validation middleware for the annotated PDF export
+const validateAnnotatedExport = [
+  query("summary")
+    .optional()
+    .isBoolean()
+    .withMessage("summary must be a boolean")
+    .toBoolean(),
+];
+
+// Live processing progress (SSE); registered before the header-only authentication
+router.get("/:id/events", authenticateWithQueryToken, notesController.streamProcessingEvents);
+
 // Add authentication to all note routes
 router.use(authenticate);
 
@@ -25,6 +122,19 @@ router.get("/subjects", notesController.getUserSubjects);
 router.post("/subjects", validateSubject, notesController.createSubject);
 
 router.get("/:id", notesController.getNoteById);
+router.get("/:id/processing", notesController.getProcessingStatus);
+router.get("/:id/outline", notesController.getNoteOutline);
+router.patch("/:id/pages", upload.array("files", 10), notesController.editPages, upload.handleUploadError);
+router.post("/:id/pages", upload.array("files", 10), notesController.appendPages, upload.handleUploadError);
+router.get("/:id/pages/:pageNumber", notesController.getNotePage);
+router.put("/:id/pages/:pageNumber/text", validatePageText, notesController.updatePageText);
+router.get("/:id/pages/:pageNumber/text/revisions", validatePageNumber, notesController.getPageTextRevisions);
+router.get("/:id/pages/:pageNumber/text/diff", validateTextDiff, notesController.diffPageText);
+router.post("/:id/pages/:pageNumber/text/revert", validateTextRevert, notesController.revertPageText);
+router.get("/:id/ocr-review", validateOcrReviewList, notesController.getOcrReview);
+router.post("/:id/ocr-review", validateOcrReviewResolve, notesController.resolveOcrReview);
+router.get("/:id/export/annotated.pdf", validateAnnotatedExport, notesController.exportAnnotatedPdf);
+router.post("/:id/reprocess", validateReprocess, notesController.reprocessNote);
 router.put("/:id", notesController.updateNote);
 router.delete("/:id", notesController.deleteNote);
 router.post("/:id/access", notesController.trackNoteAccess);
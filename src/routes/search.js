@@ -0,0 +1,54 @@
+const express = require("express");
+const router = express.Router();
+const { query } = require("express-validator");
+const searchController = require("../controllers/searchController");
+const { SEARCH_TYPES } = require("../services/searchService");
+const { authenticate } = require("../middleware/auth");
+
+// Validation middleware for search queries
+const validateSearch = [
+  query("q")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("Search query (q) is required and must be at most 500 characters"),
+  query("subject").optional().isString().trim(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive number"),
+  query("pages")
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage("Pages per note must be between 1 and 20"),
+];
+
+// Validation middleware for searching everything at once
+const validateUnifiedSearch = [
+  query("q")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("Search query (q) is required and must be at most 500 characters"),
+  query("types")
+    .optional()
+    .isString()
+    .custom((value) => value.split(",").every((type) => SEARCH_TYPES.includes(type.trim())))
+    .withMessage(`Types must be a comma-separated list of: ${SEARCH_TYPES.join(", ")}`),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage("Limit must be between 1 and 20"),
+];
+
+// All search routes require authentication
+router.use(authenticate);
+
+router.get("/", validateSearch, searchController.searchNotes);
+router.get("/all", validateUnifiedSearch, searchController.searchAll);
+
+module.exports = router;
@@ -2,43 +2,11 @@ const express = require('express');
 const router = express.Router();
 const uploadController = require('../controllers/uploadController');
 const upload = require('../middleware/upload');
+const archiveUpload = require('../middleware/archiveUpload');
 const { authenticate } = require('../middleware/auth'); // Add authentication middleware
 const { validateFiles } = require('../middleware/fileValidation');
 const { validateNote, handleValidationErrors } = require('../middleware/validation');
 
-// Error handler for upload routes
-const handleUploadError = (err, req, res, next) => {
-  console.error('Upload error details:', {
-    message: err.message,
-    code: err.code,
-    field: err.field ? `"${err.field}"` : 'none',
-    fieldLength: err.field ? err.field.length : 0
-  });
-
-  if (err.code === 'LIMIT_UNEXPECTED_FILE') {
-    return res.status(400).json({
-      success: false,
-      message: `Unexpected field name: "${err.field}". Please check for extra spaces or use the /any endpoint.`,
-      expectedFields: ['file', 'files'],
-      receivedField: err.field,
-      hint: 'Make sure there are no trailing spaces in your field name'
-    });
-  }
-
-  if (err.code === 'LIMIT_FILE_SIZE') {
-    return res.status(400).json({
-      success: false,
-      message: 'File too large. Maximum size is 10MB.'
-    });
-  }
-
-  res.status(400).json({
-    success: false,
-    message: 'Upload error',
-    error: err.message
-  });
-};
-
 // Add authentication to all upload routes
 router.use(authenticate);
 
@@ -58,6 +26,10 @@ router.post('/upload-and-create',
   uploadController.uploadAndCreateNote
 );
 
+// Bulk import from a ZIP archive - expects field name 'archive'
+router.post('/archive', archiveUpload.single('archive'), uploadController.uploadArchive);
+router.get('/archive/:batchId', uploadController.getArchiveBatch);
+
 // Debug endpoint to see what's being sent
 router.post('/debug', upload.any(), (req, res) => {
   const debugInfo = {
@@ -88,6 +60,6 @@ router.get('/overlay-pdf/:noteId/:filename', uploadController.downloadOverlayPDF
 router.get('/overlay-pdfs/:noteId', uploadController.getOverlayPDFs);
 
 // Apply error handler
-router.use(handleUploadError);
+router.use(upload.handleUploadError);
 
 module.exports = router;
\ No newline at end of file
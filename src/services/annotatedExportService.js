@@ -0,0 +1,399 @@
+const {
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFString,
+  StandardFonts,
+  LineCapStyle,
+  rgb,
+} = require("pdf-lib");
+const UserNote = require("../models/UserNote");
+const { createPagePointMapper, toFontText } = require("../utils/pdfUtils");
+
+const EXPORT_CONFIG = {
+  HIGHLIGHT_COLOR: "#fde047",
+  HIGHLIGHT_OPACITY: 0.35,
+  DRAWING_COLOR: "#ef4444",
+  DRAWING_WIDTH: 2,
+  MARKER_COLOR: "#ef4444",
+  MARKER_RADIUS: 9,
+  // Size of the sticky-note icon viewers draw for a text annotation
+  NOTE_ICON_SIZE: 20,
+  SUMMARY_PAGE_SIZE: [595.28, 841.89], // A4
+  SUMMARY_MARGIN: 56,
+};
+
+const NAMED_COLORS = {
+  yellow: "#fde047",
+  green: "#86efac",
+  blue: "#93c5fd",
+  red: "#ef4444",
+  pink: "#f9a8d4",
+  orange: "#fdba74",
+  purple: "#c4b5fd",
+  black: "#000000",
+  white: "#ffffff",
+};
+
+const annotatedExportService = {
+  /**
+   * Render a note's searchable PDF with the owner's highlights, drawings and number
+   * markers drawn onto the pages and their page notes added as PDF text annotations.
+   *
+   * Annotation coordinates are top-left based in the page's displayed orientation:
+   * in points by default, as fractions of the page when every value is within 0..1,
+   * or in the viewer's pixels when the item carries pageWidth / pageHeight.
+   * @param {Object} note - Note document (title, annotations, ocrTextPDF)
+   * @param {Object} options - { summary: append a page listing the page notes }
+   * @returns {Promise<Object>} { data: Buffer, counts: { highlights, drawings, markers, notes, summaryPages } }
+   */
+  async exportAnnotatedPDF(note, options = {}) {
+    const pdfBytes = await note.readFileData("ocrTextPDF");
+    if (!pdfBytes) {
+      const error = new Error("This note has no processed PDF to export yet");
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+    const pages = pdfDoc.getPages();
+    const fonts = {
+      regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+      bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+      italic: await pdfDoc.embedFont(StandardFonts.HelveticaOblique),
+    };
+
+    const annotations = note.annotations || {};
+    const counts = { highlights: 0, drawings: 0, markers: 0, notes: 0, summaryPages: 0 };
+    const pageOf = (item) => pages[Number(item.pageNumber ?? item.page) - 1];
+
+    for (const highlight of listItems(annotations.highlights)) {
+      const pdfPage = pageOf(highlight);
+      if (pdfPage && drawHighlight(pdfPage, highlight)) counts.highlights++;
+    }
+    for (const drawing of listItems(annotations.drawings)) {
+      const pdfPage = pageOf(drawing);
+      if (pdfPage && drawDrawing(pdfPage, drawing)) counts.drawings++;
+    }
+    listItems(annotations.numberMarkers).forEach((marker, index) => {
+      const pdfPage = pageOf(marker);
+      if (pdfPage && drawNumberMarker(pdfPage, marker, index + 1, fonts.bold)) counts.markers++;
+    });
+
+    const userNotes = await UserNote.find({ noteId: note._id, userId: note.userId }).sort({
+      pageNumber: 1,
+      "position.y": 1,
+      createdAt: 1,
+    });
+    const exportedNotes = userNotes.filter((userNote) => pages[userNote.pageNumber - 1]);
+    for (const userNote of exportedNotes) {
+      addTextAnnotation(pdfDoc, pages[userNote.pageNumber - 1], userNote);
+      counts.notes++;
+    }
+
+    if (options.summary) {
+      counts.summaryPages = appendSummaryPages(pdfDoc, pages, note, exportedNotes, fonts);
+    }
+
+    pdfDoc.setTitle(`${note.title} (annotated)`);
+    pdfDoc.setModificationDate(new Date());
+
+    const data = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+    return { data, counts };
+  },
+};
+
+// Annotation lists are free-form; ignore anything that is not an object
+function listItems(items) {
+  return Array.isArray(items) ? items.filter((item) => item && typeof item === "object") : [];
+}
+
+// Coordinate space of an annotation item (see exportAnnotatedPDF)
+function resolveFrame(item, values) {
+  const pageWidth = Number(item.pageWidth);
+  const pageHeight = Number(item.pageHeight);
+  if (pageWidth > 0 && pageHeight > 0) {
+    return { width: pageWidth, height: pageHeight };
+  }
+  if (values.length > 0 && values.every((value) => value >= 0 && value <= 1)) {
+    return { width: 1, height: 1 };
+  }
+  return {};
+}
+
+// Points per frame unit along the page's displayed width, used to scale line widths
+function frameScale(pdfPage, frame) {
+  if (!frame.width || frame.width <= 1) return 1;
+  const { width, height } = pdfPage.getCropBox();
+  const rotation = Math.abs(pdfPage.getRotation().angle) % 180;
+  return (rotation === 90 ? height : width) / frame.width;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function drawHighlight(pdfPage, highlight) {
+  const rects = (Array.isArray(highlight.rects) && highlight.rects.length > 0 ? highlight.rects : [highlight])
+    .map((rect) => ({
+      x: toNumber(rect.x),
+      y: toNumber(rect.y),
+      width: toNumber(rect.width),
+      height: toNumber(rect.height),
+    }))
+    .filter((rect) => [rect.x, rect.y, rect.width, rect.height].every((value) => value !== null));
+  if (rects.length === 0) return false;
+
+  const frame = resolveFrame(highlight, rects.flatMap((rect) => [rect.x, rect.y, rect.x + rect.width, rect.y + rect.height]));
+  const toPdfPoint = createPagePointMapper(pdfPage, frame);
+  const color = parseColor(highlight.color, EXPORT_CONFIG.HIGHLIGHT_COLOR);
+  const opacity = toNumber(highlight.opacity) ?? color.alpha ?? EXPORT_CONFIG.HIGHLIGHT_OPACITY;
+
+  for (const rect of rects) {
+    // Page rotations are quarter turns, so the rectangle stays axis-aligned
+    const corners = [
+      toPdfPoint(rect.x, rect.y),
+      toPdfPoint(rect.x + rect.width, rect.y + rect.height),
+    ];
+    pdfPage.drawRectangle({
+      x: Math.min(corners[0].x, corners[1].x),
+      y: Math.min(corners[0].y, corners[1].y),
+      width: Math.abs(corners[1].x - corners[0].x),
+      height: Math.abs(corners[1].y - corners[0].y),
+      color: color.rgb,
+      opacity,
+    });
+  }
+  return true;
+}
+
+function drawDrawing(pdfPage, drawing) {
+  const rawPaths = Array.isArray(drawing.paths) ? drawing.paths : [drawing.points || drawing.path];
+  const paths = rawPaths
+    .filter(Array.isArray)
+    .map((points) =>
+      points
+        .map((point) => (Array.isArray(point) ? { x: toNumber(point[0]), y: toNumber(point[1]) } : { x: toNumber(point && point.x), y: toNumber(point && point.y) }))
+        .filter((point) => point.x !== null && point.y !== null)
+    )
+    .filter((points) => points.length > 0);
+  if (paths.length === 0) return false;
+
+  const frame = resolveFrame(drawing, paths.flat().flatMap((point) => [point.x, point.y]));
+  const toPdfPoint = createPagePointMapper(pdfPage, frame);
+  const color = parseColor(drawing.color, EXPORT_CONFIG.DRAWING_COLOR);
+  const thickness =
+    (toNumber(drawing.strokeWidth ?? drawing.lineWidth ?? drawing.size) || EXPORT_CONFIG.DRAWING_WIDTH) *
+    frameScale(pdfPage, frame);
+  const opacity = toNumber(drawing.opacity) ?? color.alpha ?? 1;
+
+  for (const points of paths) {
+    const mapped = points.map((point) => toPdfPoint(point.x, point.y));
+    // A single point is a dot
+    const segments = mapped.length === 1 ? [[mapped[0], mapped[0]]] : mapped.slice(1).map((end, index) => [mapped[index], end]);
+    for (const [start, end] of segments) {
+      pdfPage.drawLine({
+        start,
+        end,
+        thickness,
+        color: color.rgb,
+        opacity,
+        lineCap: LineCapStyle.Round,
+      });
+    }
+  }
+  return true;
+}
+
+function drawNumberMarker(pdfPage, marker, fallbackNumber, font) {
+  const x = toNumber(marker.x);
+  const y = toNumber(marker.y);
+  if (x === null || y === null) return false;
+
+  const toPdfPoint = createPagePointMapper(pdfPage, resolveFrame(marker, [x, y]));
+  const center = toPdfPoint(x, y);
+  const radius = EXPORT_CONFIG.MARKER_RADIUS;
+  const color = parseColor(marker.color, EXPORT_CONFIG.MARKER_COLOR);
+  const label = toFontText(String(marker.number ?? marker.label ?? fallbackNumber).slice(0, 3), font);
+  const size = label.length > 2 ? 7 : 9;
+
+  pdfPage.drawCircle({ x: center.x, y: center.y, size: radius, color: color.rgb, borderColor: rgb(1, 1, 1), borderWidth: 1 });
+  pdfPage.drawText(label, {
+    x: center.x - font.widthOfTextAtSize(label, size) / 2,
+    y: center.y - font.heightAtSize(size, { descender: false }) / 2,
+    size,
+    font,
+    color: rgb(1, 1, 1),
+  });
+  return true;
+}
+
+// A page note becomes a native sticky note (/Text annotation) at its position
+function addTextAnnotation(pdfDoc, pdfPage, userNote) {
+  const position = userNote.position || {};
+  const x = toNumber(position.x) || 0;
+  const y = toNumber(position.y) || 0;
+  const anchor = createPagePointMapper(pdfPage, resolveFrame(position, [x, y]))(x, y);
+
+  // Keep the icon on the page
+  const crop = pdfPage.getCropBox();
+  const size = EXPORT_CONFIG.NOTE_ICON_SIZE;
+  const left = Math.min(Math.max(anchor.x, crop.x), crop.x + crop.width - size);
+  const top = Math.min(Math.max(anchor.y, crop.y + size), crop.y + crop.height);
+
+  const color = parseColor(userNote.color, "#fbbf24").rgb;
+  const contents = [
+    userNote.content,
+    userNote.selectedText ? `\n“${userNote.selectedText}”` : "",
+    userNote.tags && userNote.tags.length > 0 ? `\nTags: ${userNote.tags.join(", ")}` : "",
+  ].join("");
+
+  const annotation = pdfDoc.context.obj({
+    Type: "Annot",
+    Subtype: "Text",
+    Rect: [left, top - size, left + size, top],
+    Contents: PDFHexString.fromText(contents),
+    T: PDFHexString.fromText(userNote.title),
+    Subj: PDFHexString.fromText(userNote.title),
+    Name: "Comment",
+    Open: false,
+    C: [color.red, color.green, color.blue],
+    M: PDFString.fromDate(userNote.updatedAt || new Date()),
+    NM: PDFHexString.fromText(String(userNote._id)),
+    P: pdfPage.ref,
+  });
+  pdfPage.node.addAnnot(pdfDoc.context.register(annotation));
+}
+
+// Pages at the end listing every page note by page; page headings link to their page
+function appendSummaryPages(pdfDoc, pages, note, userNotes, fonts) {
+  const [pageWidth, pageHeight] = EXPORT_CONFIG.SUMMARY_PAGE_SIZE;
+  const margin = EXPORT_CONFIG.SUMMARY_MARGIN;
+  const maxWidth = pageWidth - margin * 2;
+  let summaryPages = 0;
+  let page = null;
+  let y = 0;
+
+  const newPage = () => {
+    page = pdfDoc.addPage(EXPORT_CONFIG.SUMMARY_PAGE_SIZE);
+    summaryPages++;
+    y = pageHeight - margin;
+  };
+  const ensureSpace = (height) => {
+    if (!page || y - height < margin) newPage();
+  };
+  const writeLines = (text, { font = fonts.regular, size = 10, color = rgb(0.1, 0.1, 0.1), indent = 0, gap = 2 } = {}) => {
+    for (const line of wrapText(text, font, size, maxWidth - indent)) {
+      ensureSpace(size + gap);
+      y -= size + gap;
+      page.drawText(line, { x: margin + indent, y, size, font, color });
+    }
+  };
+
+  newPage();
+  writeLines(`Page notes: ${note.title}`, { font: fonts.bold, size: 16, gap: 4 });
+  writeLines(`${userNotes.length} note(s), exported ${new Date().toISOString().slice(0, 10)}`, {
+    size: 9,
+    color: rgb(0.4, 0.4, 0.4),
+  });
+  y -= 8;
+
+  if (userNotes.length === 0) {
+    writeLines("This note has no page notes.", { font: fonts.italic });
+  }
+
+  let currentPage = null;
+  for (const userNote of userNotes) {
+    if (userNote.pageNumber !== currentPage) {
+      currentPage = userNote.pageNumber;
+      ensureSpace(40);
+      y -= 10;
+      writeLines(`Page ${currentPage}`, { font: fonts.bold, size: 12, gap: 4 });
+      addPageLink(pdfDoc, page, [margin, y - 3, margin + maxWidth, y + 13], pages[currentPage - 1]);
+    }
+
+    y -= 4;
+    writeLines(userNote.title, { font: fonts.bold, size: 10, indent: 10 });
+    writeLines(userNote.content, { indent: 10 });
+    if (userNote.selectedText) {
+      writeLines(`“${userNote.selectedText}”`, { font: fonts.italic, size: 9, color: rgb(0.35, 0.35, 0.35), indent: 18 });
+    }
+    if (userNote.tags && userNote.tags.length > 0) {
+      writeLines(`Tags: ${userNote.tags.join(", ")}`, { size: 8, color: rgb(0.45, 0.45, 0.45), indent: 10 });
+    }
+  }
+
+  return summaryPages;
+}
+
+function addPageLink(pdfDoc, page, rect, targetPage) {
+  if (!targetPage) return;
+  const link = pdfDoc.context.obj({
+    Type: "Annot",
+    Subtype: "Link",
+    Rect: rect,
+    Border: [0, 0, 0],
+    Dest: [targetPage.ref, PDFName.of("Fit")],
+  });
+  page.node.addAnnot(pdfDoc.context.register(link));
+}
+
+// Word-wrap text (keeping its line breaks) to a width; words wider than a line are split
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  for (const paragraph of String(text || "").split(/\r?\n/)) {
+    let line = "";
+    for (const rawWord of toFontText(paragraph.replace(/\t/g, " "), font).trim().split(/ +/)) {
+      let word = rawWord;
+      while (font.widthOfTextAtSize(word, size) > maxWidth && word.length > 1) {
+        let cut = word.length - 1;
+        while (cut > 1 && font.widthOfTextAtSize(word.slice(0, cut), size) > maxWidth) cut--;
+        if (line) lines.push(line);
+        lines.push(word.slice(0, cut));
+        line = "";
+        word = word.slice(cut);
+      }
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// "#rgb", "#rrggbb", "#rrggbbaa", "rgb(a)(...)" or a basic color name
+function parseColor(value, fallback) {
+  const text = String(value || "").trim().toLowerCase();
+  const hex = (NAMED_COLORS[text] || text).match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length === 3) digits = digits.split("").map((digit) => digit + digit).join("");
+    const channel = (index) => parseInt(digits.slice(index * 2, index * 2 + 2), 16) / 255;
+    return {
+      rgb: rgb(channel(0), channel(1), channel(2)),
+      alpha: digits.length === 8 ? channel(3) : null,
+    };
+  }
+
+  const functional = text.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+  if (functional) {
+    const channel = (index) => Math.min(255, Number(functional[index])) / 255;
+    return {
+      rgb: rgb(channel(1), channel(2), channel(3)),
+      alpha: functional[4] !== undefined ? Math.min(1, Number(functional[4])) : null,
+    };
+  }
+
+  return fallback ? parseColor(fallback) : { rgb: rgb(0, 0, 0), alpha: null };
+}
+
+annotatedExportService.EXPORT_CONFIG = EXPORT_CONFIG;
+
+module.exports = annotatedExportService;
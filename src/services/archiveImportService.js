@@ -0,0 +1,466 @@
+const fs = require("fs").promises;
+const path = require("path");
+const JSZip = require("jszip");
+const ImportBatch = require("../models/ImportBatch");
+const Note = require("../models/Note");
+const User = require("../models/User");
+const noteProcessingService = require("./noteProcessingService");
+const noteCreationService = require("./noteCreationService");
+const documentImportService = require("./documentImportService");
+const duplicateService = require("./duplicateService");
+const storageQuotaService = require("./storageQuotaService");
+const jobQueue = require("./jobQueue");
+const { inflateZipEntry } = require("../utils/zipUtils");
+
+const IMPORT_ARCHIVE_JOB = "import-archive";
+const uploadsDir = path.join(__dirname, "../../uploads");
+
+const ARCHIVE_CONFIG = {
+  MAX_ENTRY_SIZE: 10 * 1024 * 1024, // Same limit as a single upload
+  MAX_TOTAL_SIZE: 1024 * 1024 * 1024, // Unpacked size of everything imported
+  MAX_NOTES: 200,
+  MAX_FILES_PER_NOTE: 50,
+  DEFAULT_SUBJECT: "General Notes",
+};
+
+// Importable entries by extension
+const FILE_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".pdf": "application/pdf",
+  ...documentImportService.DOCUMENT_TYPES,
+};
+
+// Operating system clutter that is ignored without being reported
+const IGNORED_ENTRIES = /(^|\/)(__MACOSX|\.[^/]*|Thumbs\.db|desktop\.ini)(\/|$)/i;
+
+const archiveImportService = {
+  /**
+   * Work out which notes an archive holds. Top-level folders are subjects; when every
+   * file sits at least three folders deep the first three are branch/semester/subject.
+   * Below the subject each file is a note, and each subfolder is one note made of all
+   * files inside it.
+   * @param {Buffer} archiveBytes - ZIP bytes
+   * @param {Object} defaults - { branch, semester, subject } for files without folders
+   * @returns {Promise<Object>} { items, skippedFiles }
+   */
+  async planArchive(archiveBytes, defaults = {}) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(archiveBytes);
+    } catch (error) {
+      throw createImportError(`Not a readable ZIP archive: ${error.message}`, 400);
+    }
+
+    const skippedFiles = [];
+    const entries = [];
+    let totalSize = 0;
+
+    for (const entry of Object.values(zip.files)) {
+      // Some Windows tools write backslash separators
+      const name = entry.name.replace(/\\/g, "/");
+      if (entry.dir || IGNORED_ENTRIES.test(name)) continue;
+
+      const extension = path.extname(name).toLowerCase();
+      if (!FILE_TYPES[extension]) {
+        skippedFiles.push({ path: entry.name, reason: `Unsupported file type ${extension || "(none)"}` });
+        continue;
+      }
+
+      // Sizes are measured by inflating (and dropping) each file; declared ones can lie
+      let measured;
+      try {
+        measured = await inflateZipEntry(entry, ARCHIVE_CONFIG.MAX_ENTRY_SIZE, { keep: false });
+      } catch (error) {
+        skippedFiles.push({ path: entry.name, reason: `File could not be unpacked: ${error.message}` });
+        continue;
+      }
+
+      if (measured.tooLarge) {
+        skippedFiles.push({ path: entry.name, reason: "File is larger than 10MB" });
+      } else if (measured.size === 0) {
+        skippedFiles.push({ path: entry.name, reason: "File is empty" });
+      } else {
+        entries.push({ path: entry.name, size: measured.size, folders: name.split("/").filter(Boolean).slice(0, -1) });
+        totalSize += measured.size;
+        if (totalSize > ARCHIVE_CONFIG.MAX_TOTAL_SIZE) {
+          throw createImportError("The archive unpacks to more than 1GB; split it into smaller archives", 400);
+        }
+      }
+    }
+
+    const hierarchical = entries.length > 0 && entries.every((entry) => entry.folders.length >= 3);
+    const itemsByKey = new Map();
+
+    for (const entry of entries) {
+      const placement = placeEntry(entry, hierarchical, defaults);
+      if (!itemsByKey.has(placement.key)) {
+        itemsByKey.set(placement.key, { ...placement.item, files: [] });
+      }
+      itemsByKey.get(placement.key).files.push({ path: entry.path, size: entry.size });
+    }
+
+    const items = [...itemsByKey.values()].sort((a, b) => naturalCompare(a.path, b.path));
+    if (items.length > ARCHIVE_CONFIG.MAX_NOTES) {
+      throw createImportError(
+        `The archive holds ${items.length} notes; at most ${ARCHIVE_CONFIG.MAX_NOTES} can be imported at once`,
+        400
+      );
+    }
+
+    items.forEach((item) => {
+      item.files.sort((a, b) => naturalCompare(a.path, b.path));
+      if (item.files.length > ARCHIVE_CONFIG.MAX_FILES_PER_NOTE) {
+        item.status = "failed";
+        item.error = `Folder has ${item.files.length} files; a note can have at most ${ARCHIVE_CONFIG.MAX_FILES_PER_NOTE}`;
+      }
+    });
+
+    return { items, skippedFiles };
+  },
+
+  /**
+   * Plan an uploaded archive, record the batch and queue its import
+   * @param {Object} user - Owner (User document)
+   * @param {Object} archiveFile - Uploaded archive { path, originalName, size }
+   * @param {Object} fields - { branch, semester, subject, tags }
+   * @param {Object} options - Processing options for every note { preprocess }
+   * @returns {Promise<Object>} The saved ImportBatch
+   */
+  async createBatch(user, archiveFile, fields = {}, options = {}) {
+    const remaining = user.usage.notesLimit - user.usage.notesUploaded;
+    if (remaining <= 0) {
+      throw createImportError(
+        `Upload limit reached. You can upload up to ${user.usage.notesLimit} notes on your ${user.subscription.plan} plan.`,
+        403
+      );
+    }
+
+    const { items, skippedFiles } = await this.planArchive(await fs.readFile(archiveFile.path), fields);
+    if (items.length === 0) {
+      throw createImportError("The archive contains no images, PDFs or supported documents", 400);
+    }
+
+    // Each note is charged as it is created; refuse archives that cannot fit at all
+    storageQuotaService.assertRoom(
+      user,
+      items
+        .filter((item) => item.status !== "failed")
+        .reduce((sum, item) => sum + item.files.reduce((total, file) => total + file.size, 0), 0)
+    );
+
+    const batch = await ImportBatch.create({
+      userId: user._id,
+      originalName: archiveFile.originalName,
+      size: archiveFile.size,
+      archivePath: archiveFile.path,
+      tags: fields.tags || [],
+      processingOptions: options,
+      items,
+      skippedFiles,
+    });
+
+    const job = await jobQueue.enqueue(IMPORT_ARCHIVE_JOB, {
+      userId: user._id,
+      payload: { batchId: batch._id },
+    });
+    batch.jobId = job._id;
+    await batch.save();
+
+    console.log(`📦 Archive ${archiveFile.originalName} queued: ${items.length} note(s), ${skippedFiles.length} skipped file(s)`);
+
+    return batch;
+  },
+
+  /**
+   * Unpack a queued batch and create its notes; notes beyond the user's upload limit fail
+   * @param {string} batchId - ImportBatch ID
+   * @param {Function} reportProgress - Job progress callback (stage, progress)
+   * @returns {Promise<Object>} { created, failed }
+   */
+  async importBatch(batchId, reportProgress = async () => {}) {
+    const batch = await ImportBatch.findById(batchId);
+    if (!batch) {
+      throw createImportError("Import batch not found", 404);
+    }
+
+    let archiveBytes;
+    try {
+      archiveBytes = await fs.readFile(batch.archivePath);
+    } catch (error) {
+      throw createImportError("The uploaded archive is no longer available", 410);
+    }
+    const zip = await JSZip.loadAsync(archiveBytes);
+
+    batch.status = "importing";
+    await batch.save();
+
+    const pending = batch.items.filter((item) => item.status === "queued");
+    for (let index = 0; index < pending.length; index++) {
+      const item = pending[index];
+      await reportProgress("importing", (100 * index) / pending.length);
+
+      // Read fresh usage each time; other uploads may count against the limit too
+      const user = await User.findById(batch.userId);
+      if (!user) {
+        throw createImportError("User not found", 404);
+      }
+
+      let files = [];
+      try {
+        files = await extractItemFiles(zip, batch, item);
+
+        // Already uploaded: link the existing note instead of using up the limit again
+        const contentHash = await duplicateService.hashFiles(files);
+        const existing = await duplicateService.findExactDuplicate(user._id, contentHash);
+        if (existing) {
+          await noteProcessingService.cleanupFiles(files);
+          item.status = "duplicate";
+          item.noteId = existing._id;
+          await batch.save();
+          continue;
+        }
+
+        const { note } = await noteCreationService.createNoteFromFiles(
+          user,
+          files,
+          {
+            title: item.title,
+            branch: item.branch,
+            semester: item.semester,
+            subject: item.subject,
+            tags: batch.tags,
+            contentHash,
+          },
+          batch.processingOptions || {}
+        );
+        item.status = "created";
+        item.noteId = note._id;
+      } catch (error) {
+        // The processing job owns the files once the note exists
+        await noteProcessingService.cleanupFiles(files);
+        item.status = "failed";
+        item.error = error.message;
+        if (!error.statusCode) {
+          console.warn(`Archive item ${item.path} of batch ${batch._id} failed: ${error.message}`);
+        }
+      }
+      await batch.save();
+    }
+
+    batch.status = "imported";
+    batch.importedAt = new Date();
+    await batch.save();
+    await removeArchive(batch);
+
+    const created = batch.items.filter((item) => item.status === "created").length;
+    const duplicates = batch.items.filter((item) => item.status === "duplicate").length;
+    console.log(
+      `📦 Archive batch ${batch._id} imported: ${created}/${batch.items.length} note(s) created, ${duplicates} duplicate(s) linked`
+    );
+
+    return { created, duplicates, failed: batch.items.length - created - duplicates };
+  },
+
+  /**
+   * Describe a batch with the live processing state of every note it created
+   * @param {Object} batch - ImportBatch document
+   * @returns {Promise<Object>} { id, status, summary, items, skippedFiles, usage }
+   */
+  async getBatchStatus(batch) {
+    const noteIds = batch.items.filter((item) => item.noteId).map((item) => item.noteId);
+    const [notes, user] = await Promise.all([
+      Note.find({ _id: { $in: noteIds } }).select("status error pages title"),
+      User.findById(batch.userId).select("usage"),
+    ]);
+    const notesById = new Map(notes.map((note) => [String(note._id), note]));
+
+    const items = batch.items.map((item) => {
+      const note = item.noteId ? notesById.get(String(item.noteId)) : null;
+      let status = item.status;
+      let error = item.error || null;
+
+      if (item.status === "created") {
+        if (!note) {
+          status = "deleted";
+        } else if (["completed", "completed_no_text"].includes(note.status)) {
+          status = "completed";
+        } else if (note.status === "failed") {
+          status = "failed";
+          error = note.error || "Processing failed";
+        } else {
+          status = "processing";
+        }
+      }
+
+      return {
+        id: item._id,
+        path: item.path,
+        title: item.title,
+        branch: item.branch || null,
+        semester: item.semester || null,
+        subject: item.subject,
+        files: item.files.map((file) => file.path),
+        status,
+        noteId: item.noteId || null,
+        noteStatus: note ? note.status : null,
+        pages: note ? note.pages : null,
+        error,
+      };
+    });
+
+    const count = (status) => items.filter((item) => item.status === status).length;
+    const summary = {
+      total: items.length,
+      queued: count("queued"),
+      processing: count("processing"),
+      completed: count("completed"),
+      failed: count("failed"),
+      duplicate: count("duplicate"),
+      deleted: count("deleted"),
+      skippedFiles: batch.skippedFiles.length,
+    };
+
+    let status;
+    if (batch.status === "failed") {
+      status = "failed";
+    } else if (batch.status !== "imported") {
+      status = "importing";
+    } else if (summary.processing > 0) {
+      status = "processing";
+    } else {
+      status = summary.failed > 0 ? "completed_with_errors" : "completed";
+    }
+
+    return {
+      id: batch._id,
+      originalName: batch.originalName,
+      status,
+      error: batch.error || null,
+      summary,
+      items,
+      skippedFiles: batch.skippedFiles,
+      usage: user
+        ? {
+            current: user.usage.notesUploaded,
+            limit: user.usage.notesLimit,
+            remaining: Math.max(0, user.usage.notesLimit - user.usage.notesUploaded),
+          }
+        : null,
+      createdAt: batch.createdAt,
+      importedAt: batch.importedAt || null,
+    };
+  },
+};
+
+jobQueue.registerHandler(IMPORT_ARCHIVE_JOB, {
+  async run(job, { reportProgress }) {
+    return archiveImportService.importBatch(job.payload.batchId, reportProgress);
+  },
+
+  async onDeadLetter(job, error) {
+    console.warn(`Archive import ${job.payload.batchId} failed: ${error.message}`);
+    const batch = await ImportBatch.findById(job.payload.batchId);
+    if (!batch) return;
+
+    batch.items.forEach((item) => {
+      if (item.status === "queued") {
+        item.status = "failed";
+        item.error = "Archive import failed before this note was created";
+      }
+    });
+    batch.status = "failed";
+    batch.error = error.message;
+    await batch.save();
+    await removeArchive(batch);
+  },
+});
+
+// Subject path and note of one archive entry
+function placeEntry(entry, hierarchical, defaults) {
+  const { folders } = entry;
+  const hierarchyDepth = hierarchical ? 3 : 1;
+  const noteFolders = folders.slice(hierarchyDepth);
+
+  const item = hierarchical
+    ? { branch: folders[0], semester: folders[1], subject: folders[2] }
+    : {
+        branch: defaults.branch,
+        semester: defaults.semester,
+        subject: folders[0] || defaults.subject || ARCHIVE_CONFIG.DEFAULT_SUBJECT,
+      };
+
+  // Files directly in the subject folder are notes of their own; a subfolder is one note
+  if (noteFolders.length === 0) {
+    return {
+      key: entry.path,
+      item: { ...item, path: entry.path, title: path.posix.basename(entry.path.replace(/\\/g, "/")).replace(/\.[^/.]+$/, "") },
+    };
+  }
+
+  const folderPath = `${folders.slice(0, hierarchyDepth + 1).join("/")}/`;
+  return {
+    key: folderPath,
+    item: { ...item, path: folderPath, title: noteFolders[0] },
+  };
+}
+
+// Write an item's entries to the uploads directory as if they had been uploaded
+async function extractItemFiles(zip, batch, item) {
+  const files = [];
+  try {
+    for (let index = 0; index < item.files.length; index++) {
+      const entryPath = item.files[index].path;
+      const entry = zip.file(entryPath);
+      if (!entry) {
+        throw new Error(`${entryPath} is missing from the archive`);
+      }
+
+      const { data, tooLarge } = await inflateZipEntry(entry, ARCHIVE_CONFIG.MAX_ENTRY_SIZE);
+      if (tooLarge) {
+        throw new Error(`${entryPath} is larger than 10MB`);
+      }
+
+      const extension = path.extname(entryPath).toLowerCase();
+      const filePath = path.join(uploadsDir, `archive-${batch._id}-${item._id}-${index}${extension}`);
+      await fs.writeFile(filePath, data);
+      files.push({
+        originalName: path.basename(entryPath),
+        filename: path.basename(filePath),
+        path: filePath,
+        mimetype: FILE_TYPES[extension],
+        size: data.length,
+      });
+    }
+  } catch (error) {
+    await noteProcessingService.cleanupFiles(files);
+    throw error;
+  }
+  return files;
+}
+
+async function removeArchive(batch) {
+  if (!batch.archivePath) return;
+  await fs.unlink(batch.archivePath).catch(() => {});
+  batch.archivePath = undefined;
+  await batch.save();
+}
+
+function naturalCompare(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+}
+
+function createImportError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.retryable = false;
+  return error;
+}
+
+archiveImportService.IMPORT_ARCHIVE_JOB = IMPORT_ARCHIVE_JOB;
+archiveImportService.ARCHIVE_CONFIG = ARCHIVE_CONFIG;
+
+module.exports = archiveImportService;
@@ -1,4 +1,12 @@
 const Note = require("../models/Note");
+const outlineService = require("./outlineService");
+const retrievalService = require("./retrievalService");
+
+// Notes a scoped conversation retrieves from, and how many are listed in its prompt
+const MAX_SCOPE_NOTES = 200;
+const MAX_LISTED_NOTES = 50;
+// Error code of a stream that ended without any answer text
+const EMPTY_RESPONSE = "empty_response";
 
 class ChatService {
   constructor() {
@@ -26,10 +34,11 @@ class ChatService {
     }
   }
 
-  // Make buildNoteContext accessible for pre-caching
-  buildNoteContext(note, context = {}) {
+  // Title, subject, description and outline of a note: what chat keeps in the
+  // system prompt while the note's text is retrieved per message
+  buildNoteOverview(note) {
     let noteContent = "";
-  
+
     // Add basic note information
     noteContent += `Note Title: ${note.title}\n`;
     noteContent += `Subject: ${note.subject}\n`;
@@ -37,8 +46,34 @@ class ChatService {
       noteContent += `Description: ${note.description}\n`;
     }
 
-    // Add extracted text content - handle different formats
-    if (note.extractedText) {
+    // Add the detected sections so answers can name them
+    const sections = this.listSections(note);
+    if (sections.length > 0) {
+      noteContent += "\nOutline:\n";
+      (note.outline || []).forEach((section, index) => {
+        const { pageNumber, endPage } = sections[index];
+        const pageRange = endPage > pageNumber ? `pages ${pageNumber}-${endPage}` : `page ${pageNumber}`;
+        noteContent += `${"  ".repeat(Math.max(0, (section.level || 1) - 1))}- ${outlineService.sectionLabel(section)} (${pageRange})\n`;
+      });
+    }
+
+    return noteContent;
+  }
+
+  // Full note text for generating study material from the whole note
+  buildNoteContext(note, context = {}) {
+    let noteContent = this.buildNoteOverview(note);
+
+    // Add extracted text content - prefer the per-page text when available
+    if (Array.isArray(note.extractedPages) && note.extractedPages.length > 0) {
+      noteContent += "\nNote Content:\n";
+
+      note.extractedPages.forEach((page) => {
+        if (page.text && page.text.trim()) {
+          noteContent += `\nPage ${page.pageNumber}:\n${page.text.trim()}\n`;
+        }
+      });
+    } else if (note.extractedText) {
       noteContent += "\nNote Content:\n";
 
       // Handle if extractedText is an array
@@ -90,74 +125,20 @@ class ChatService {
         return this.getMockResponse(userMessage);
       }
 
-      // Use cached note content if available, otherwise fetch and cache it
-      let noteContext;
-      let note = null;
-
-      if (conversation.noteContext && conversation.noteContext.extractedText) {
-        noteContext = this.formatCachedNoteContext(conversation.noteContext);
-
-        // For cached context, we'll need the note for extractNoteReferences
-        // We can either store more info in cache or fetch just for references
-        // For now, let's create a minimal note object from cached data
-        note = {
-          _id: conversation.noteId,
-          title: conversation.noteContext.title,
-          subject: conversation.noteContext.subject,
-          description: conversation.noteContext.description,
-          extractedText: conversation.noteContext.extractedText,
-        };
-      } else {
-        note = await Note.findById(conversation.noteId).select('title subject description extractedText');
-        if (!note) {
-          throw new Error("Note not found");
-        }
-
-        // Build and cache the note context
-        noteContext = this.buildNoteContext(note, context);
-
-        // Cache the processed note content
-        conversation.noteContext = {
-          title: note.title,
-          subject: note.subject,
-          description: note.description,
-          extractedText: noteContext,
-          lastUpdated: new Date(),
-        };
-
-        // Save the updated conversation with cached content
-        await conversation.save();
-      }
-
-      // Prepare messages for OpenAI
-      const messages = this.prepareMessages(
+      const { messages, chunks, notes } = await this.buildResponseContext(
         conversation,
         userMessage,
-        noteContext
+        context
       );
 
-      // Call DeepSeek API with fallback model validation
-      const modelToUse =
-        conversation.settings?.model || "deepseek/deepseek-r1:free";
-
-      // Ensure we're using a valid DeepSeek model for OpenRouter
-      const validModel = modelToUse.includes("deepseek")
-        ? modelToUse
-        : "deepseek/deepseek-r1:free";
-
-      const completion = await this.openai.chat.completions.create({
-        model: validModel,
-        messages: messages,
-        temperature: conversation.settings?.temperature || 0.7,
-        max_tokens: conversation.settings?.maxTokens || 1000,
-        extra_body: {},
-      });
+      const completion = await this.openai.chat.completions.create(
+        this.buildCompletionParams(conversation, messages)
+      );
 
       const response = completion.choices[0].message.content;
       const tokensUsed = completion.usage?.total_tokens || 0;
 
-      // Extract note references if any
-      const noteReferences = this.extractNoteReferences(response, note);
+      const noteReferences = this.collectNoteReferences(response, chunks, notes);
 
       return {
         content: response,
@@ -176,9 +157,353 @@ class ChatService {
     }
   }
 
+  /**
+   * Like generateResponse, but the answer is passed on as it is generated
+   * @param {Object} conversation - ChatConversation document
+   * @param {string} userMessage - The user's message
+   * @param {Object} context - Client context (selectedText)
+   * @param {Object} handlers - { onToken(text), onReasoning(text), signal: AbortSignal cancelling the request }
+   * @returns {Promise<Object>} { content, tokensUsed, noteReferences } once the answer is complete
+   */
+  async streamResponse(conversation, userMessage, context = {}, handlers = {}) {
+    const { onToken = () => {}, onReasoning = () => {}, signal } = handlers;
+    let content = "";
+
+    try {
+      if (!this.openai) {
+        // The client may already have gone while the conversation was loaded
+        if (signal && signal.aborted) {
+          throw createAbortError();
+        }
+        const mock = this.getMockResponse(userMessage);
+        onToken(mock.content);
+        return mock;
+      }
+
+      const { messages, chunks, notes } = await this.buildResponseContext(
+        conversation,
+        userMessage,
+        context
+      );
+
+      const stream = await this.openai.chat.completions.create(
+        {
+          ...this.buildCompletionParams(conversation, messages),
+          stream: true,
+          stream_options: { include_usage: true },
+        },
+        { signal }
+      );
+
+      let tokensUsed = 0;
+      let finishReason = null;
+      for await (const part of stream) {
+        const choice = part.choices && part.choices[0];
+        const delta = choice && choice.delta;
+        if (choice && choice.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+        // R1-style models think before answering; OpenRouter streams that as `reasoning`
+        if (delta && delta.reasoning) {
+          onReasoning(delta.reasoning);
+        }
+        if (delta && delta.content) {
+          content += delta.content;
+          onToken(delta.content);
+        }
+        if (part.usage) {
+          tokensUsed = part.usage.total_tokens || 0;
+        }
+      }
+
+      // A model that thinks until max_tokens runs out streams no answer at all
+      if (!content.trim()) {
+        throw createEmptyResponseError(finishReason);
+      }
+
+      return {
+        content,
+        tokensUsed,
+        noteReferences: this.collectNoteReferences(content, chunks, notes),
+      };
+    } catch (error) {
+      if ((signal && signal.aborted) || error.code === EMPTY_RESPONSE) {
+        throw error;
+      }
+      console.error("Stream response error:", error);
+
+      if (error.code === "insufficient_quota" || error.status === 429) {
+        throw new Error("API quota exceeded. Please try again later.");
+      }
+      // Half an answer can't be replaced; before the first token the mock still can
+      if (content) {
+        throw error;
+      }
+
+      const mock = this.getMockResponse(userMessage);
+      onToken(mock.content);
+      return mock;
+    }
+  }
+
+  // Model and sampling settings of a conversation for the completions API
+  buildCompletionParams(conversation, messages) {
+    // Call DeepSeek API with fallback model validation
+    const modelToUse =
+      conversation.settings?.model || "deepseek/deepseek-r1:free";
+
+    // Ensure we're using a valid DeepSeek model for OpenRouter
+    const validModel = modelToUse.includes("deepseek")
+      ? modelToUse
+      : "deepseek/deepseek-r1:free";
+
+    return {
+      model: validModel,
+      messages: messages,
+      temperature: conversation.settings?.temperature || 0.7,
+      max_tokens: conversation.settings?.maxTokens || 1000,
+      extra_body: {},
+    };
+  }
+
+  // System prompt and history for a message, with the chunks retrieved from the
+  // conversation's notes
+  async buildResponseContext(conversation, userMessage, context = {}) {
+    const { overview, notes } = await this.loadConversationNotes(conversation);
+
+    // Only the passages relevant to this message go to the model
+    const chunks = await retrievalService.retrieve(
+      notes.map((note) => note._id),
+      this.buildRetrievalQuery(conversation, userMessage, context),
+      {
+        userId: conversation.userId,
+        k: notes.length > 1 ? retrievalService.RETRIEVAL_CONFIG.SCOPED_TOP_K : undefined,
+      }
+    );
+
+    const messages = this.prepareMessages(
+      conversation,
+      userMessage,
+      this.formatRetrievedContext(overview, chunks, context, notes)
+    );
+
+    return { messages, chunks, notes };
+  }
+
+  // Overview and notes of a conversation: its note (overview cached on the
+  // conversation) or the notes its scope currently covers
+  async loadConversationNotes(conversation) {
+    const scope = conversation.scope || {};
+    if (scope.kind && scope.kind !== "note") {
+      const notes = await this.resolveScopeNotes(conversation.userId, scope);
+      return { overview: this.buildScopeOverview(scope, notes), notes };
+    }
+
+    if (conversation.noteContext && conversation.noteContext.overview) {
+      // A minimal note object from cached data for extractNoteReferences
+      const note = {
+        _id: conversation.noteId,
+        title: conversation.noteContext.title,
+        subject: conversation.noteContext.subject,
+        description: conversation.noteContext.description,
+        pages: conversation.noteContext.pageCount,
+        outline: conversation.noteContext.sections,
+      };
+      return { overview: this.formatCachedNoteContext(conversation.noteContext), notes: [note] };
+    }
+
+    const note = await Note.findById(conversation.noteId).select('title subject description pages outline');
+    if (!note) {
+      throw new Error("Note not found");
+    }
+
+    const overview = this.buildNoteOverview(note);
+    conversation.noteContext = this.buildNoteContextCache(note, overview);
+
+    // Save the updated conversation with cached content
+    await conversation.save();
+    return { overview, notes: [note] };
+  }
+
+  /**
+   * Notes a conversation scope covers, newest first
+   * @param {string} userId - Owner of the notes
+   * @param {Object} scope - { kind: "subject"|"path"|"notes", branch, semester, subject, noteIds }
+   * @returns {Promise<Array<Object>>} Notes (title, subject, branch, semester, pages, outline)
+   */
+  async resolveScopeNotes(userId, scope) {
+    const filter = { userId };
+    if (scope.kind === "notes") {
+      filter._id = { $in: scope.noteIds || [] };
+    } else {
+      ["branch", "semester", "subject"].forEach((field) => {
+        if (scope[field]) filter[field] = scope[field];
+      });
+    }
+
+    return Note.find(filter)
+      .select("title subject branch semester pages outline")
+      .sort({ uploadDate: -1 })
+      .limit(MAX_SCOPE_NOTES);
+  }
+
+  // Readable name of a conversation scope: "Biology", "CSE / Sem 5", "3 notes"
+  describeScope(scope, noteCount) {
+    if (scope.kind === "notes") {
+      return `${noteCount} selected note${noteCount === 1 ? "" : "s"}`;
+    }
+    return [scope.branch, scope.semester, scope.subject].filter(Boolean).join(" / ");
+  }
+
+  // What the model is told about a multi-note conversation before the excerpts
+  buildScopeOverview(scope, notes) {
+    let noteContent = `Study Scope: ${this.describeScope(scope, notes.length)}\n`;
+    noteContent += `\nNotes (${notes.length}):\n`;
+    notes.slice(0, MAX_LISTED_NOTES).forEach((note) => {
+      noteContent += `- ${note.title} (${note.subject}${note.pages ? `, ${note.pages} page${note.pages === 1 ? "" : "s"}` : ""})\n`;
+    });
+    if (notes.length > MAX_LISTED_NOTES) {
+      noteContent += `- ... and ${notes.length - MAX_LISTED_NOTES} more\n`;
+    }
+    return noteContent;
+  }
+
+  // Sections of a note's outline as cached with conversations
+  listSections(note) {
+    return (note.outline || []).map((section) => ({
+      title: section.title,
+      number: section.number || undefined,
+      pageNumber: section.pageNumber,
+      endPage: section.endPage || section.pageNumber,
+    }));
+  }
+
+  // What conversations cache about their note
+  buildNoteContextCache(note, overview = this.buildNoteOverview(note)) {
+    return {
+      title: note.title,
+      subject: note.subject,
+      description: note.description,
+      overview,
+      pageCount: note.pages || 0,
+      sections: this.listSections(note),
+      lastUpdated: new Date(),
+    };
+  }
+
   formatCachedNoteContext(cachedContext) {
-    // Simply return the cached formatted context
-    return cachedContext.extractedText;
+    // Simply return the cached formatted overview
+    return cachedContext.overview;
+  }
+
+  // The message plus the user's previous one, so follow-ups ("and the second
+  // step?") still find their topic, plus any text the user selected
+  buildRetrievalQuery(conversation, userMessage, context = {}) {
+    const previous = (conversation.messages || [])
+      .filter((msg) => msg.role === "user" && msg.content !== userMessage)
+      .slice(-1)
+      .map((msg) => msg.content);
+    return [...previous, userMessage, context.selectedText].filter(Boolean).join("\n");
+  }
+
+  // Overview followed by the retrieved chunks in reading order, labelled with their
+  // note when the conversation spans several
+  formatRetrievedContext(overview, chunks, context = {}, notes = []) {
+    let noteContent = overview;
+    const titles = noteTitleMap(notes);
+    const noteOrder = new Map(notes.map((note, index) => [String(note._id), index]));
+
+    if (chunks.length > 0) {
+      noteContent += "\nRelevant Excerpts:\n";
+      [...chunks]
+        .sort((a, b) =>
+          (noteOrder.get(String(a.noteId)) || 0) - (noteOrder.get(String(b.noteId)) || 0) ||
+          (a.pageNumber || 0) - (b.pageNumber || 0) ||
+          a.chunkIndex - b.chunkIndex)
+        .forEach((chunk) => {
+          const location = [
+            notes.length > 1 ? `Note "${titles.get(String(chunk.noteId))}"` : null,
+            chunk.pageNumber ? `Page ${chunk.pageNumber}` : null,
+            chunk.section ? `Section ${chunk.section}` : null,
+          ].filter(Boolean).join(", ");
+          noteContent += `\n[${location || "Excerpt"}]\n${chunk.text}\n`;
+        });
+    }
+
+    if (context.selectedText) {
+      noteContent += `\nSelected Text: ${context.selectedText}\n`;
+    }
+
+    return noteContent;
+  }
+
+  // The retrieved chunks, then pages and sections the answer cites beyond them
+  collectNoteReferences(response, chunks, notes) {
+    const pages = chunks.map((chunk) => ({ pageNumber: chunk.pageNumber, text: chunk.text }));
+    const cited = notes.length === 1
+      ? this.extractNoteReferences(response, { ...(notes[0].toObject ? notes[0].toObject() : notes[0]), extractedPages: pages })
+      : this.extractScopedReferences(response, notes, chunks);
+    return this.mergeNoteReferences(chunks, cited, notes);
+  }
+
+  // "Genetics, page 4" citations in an answer drawing on several notes
+  extractScopedReferences(response, notes, chunks) {
+    const references = [];
+    const seen = new Set();
+
+    notes.forEach((note) => {
+      if (!note.title || note.title.length < 3) return;
+      const escapedTitle = note.title.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const citation = new RegExp(`${escapedTitle}["'”*)]*,?\\s+(?:on\\s+)?(?:page|p\\.)\\s*(\\d+)`, "gi");
+      let match;
+      while ((match = citation.exec(response)) !== null) {
+        const pageNumber = parseInt(match[1]);
+        const key = `${note._id}:${pageNumber}`;
+        if (pageNumber < 1 || (note.pages && pageNumber > note.pages) || seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+
+        const chunk = chunks.find((entry) => String(entry.noteId) === String(note._id) && entry.pageNumber === pageNumber);
+        references.push({
+          noteId: note._id,
+          pageNumber,
+          excerpt: chunk ? chunk.text.slice(0, 200) : match[0],
+        });
+      }
+    });
+
+    return references;
+  }
+
+  // Retrieved chunks as references, followed by cited pages no chunk covers
+  mergeNoteReferences(chunks, citedReferences, notes = []) {
+    const titles = noteTitleMap(notes);
+    const references = chunks.map((chunk) => ({
+      noteId: chunk.noteId,
+      noteTitle: titles.get(String(chunk.noteId)),
+      chunkId: chunk._id,
+      chunkIndex: chunk.chunkIndex,
+      pageNumber: chunk.pageNumber,
+      section: chunk.section,
+      score: chunk.score,
+      excerpt: chunk.text.slice(0, 200),
+    }));
+
+    const retrieved = new Set(chunks.flatMap((chunk) => [
+      `${chunk.noteId}:page:${chunk.pageNumber}`,
+      `${chunk.noteId}:section:${chunk.section}`,
+    ]));
+    citedReferences.forEach((reference) => {
+      const key = reference.section
+        ? `${reference.noteId}:section:${reference.section}`
+        : `${reference.noteId}:page:${reference.pageNumber}`;
+      if (!retrieved.has(key)) {
+        references.push({ ...reference, noteTitle: titles.get(String(reference.noteId)) });
+      }
+    });
+
+    return references;
   }
 
   prepareMessages(conversation, userMessage, noteContext) {
@@ -187,17 +512,19 @@ class ChatService {
     // System message with note context
     messages.push({
       role: "system",
-      content: `You are an AI study assistant helping a student with their notes. Here is the context of the note they're studying:
+      content: `You are an AI study assistant helping a student with their notes. Here is the context of what they're studying, with the excerpts of their notes most relevant to the question:
 
 ${noteContext}
 
 Instructions:
-- Answer questions about the note content accurately
+- Answer questions about the note content accurately, based on the excerpts
+- Mention the page an answer comes from (e.g. "page 4") as given in the excerpt labels; when the excerpts come from several notes, name the note too (e.g. "Genetics, page 4")
 - Help explain concepts and provide additional context
 - Create practice questions when asked
 - Suggest study strategies
 - Be encouraging and supportive
-- If asked about content not in the notes, clearly state that and offer to help with what is available
+- If asked about content not in the notes or the excerpts, clearly state that and offer to help with what is available
+- When the note has an outline, refer to its sections by their exact name (e.g. "Section 2.1 Background") along with page numbers
 - Keep responses focused on learning and studying
 
 FORMAT YOUR RESPONSES WITH PROPER STRUCTURE:
@@ -248,17 +575,47 @@ FORMAT YOUR RESPONSES WITH PROPER STRUCTURE:
     const pageRegex = /page\s+(\d+)/gi;
     let match;
 
+    const pages = Array.isArray(note.extractedPages) ? note.extractedPages : [];
+    // Conversations cached before page counts were stored can't validate the range
+    const pageCount = note.pages || pages.length || Infinity;
+    const seen = new Set();
+
     while ((match = pageRegex.exec(response)) !== null) {
       const pageNumber = parseInt(match[1]);
-      if (pageNumber <= note.extractedText?.length) {
-        references.push({
-          noteId: note._id,
-          pageNumber,
-          excerpt: match[0],
-        });
+      if (pageNumber < 1 || pageNumber > pageCount || seen.has(pageNumber)) {
+        continue;
       }
+      seen.add(pageNumber);
+
+      references.push({
+        noteId: note._id,
+        pageNumber,
+        excerpt: pageExcerpt(pages, pageNumber) || match[0],
+      });
     }
 
+    // Sections named by title ("the Background section") or number ("section 2.1")
+    const lowerResponse = response.toLowerCase();
+    const seenSections = new Set();
+    (note.outline || []).forEach((section) => {
+      const label = outlineService.sectionLabel(section);
+      const byTitle = section.title && section.title.length >= 4 &&
+        lowerResponse.includes(section.title.toLowerCase());
+      const byNumber = section.number &&
+        new RegExp(`\\bsection\\s+${section.number.replace(/\./g, "\\.")}(?![.\\d])`, "i").test(response);
+      if ((!byTitle && !byNumber) || seenSections.has(label)) {
+        return;
+      }
+      seenSections.add(label);
+
+      references.push({
+        noteId: note._id,
+        pageNumber: section.pageNumber,
+        section: label,
+        excerpt: pageExcerpt(pages, section.pageNumber) || label,
+      });
+    });
+
     return references;
   }
 
@@ -708,6 +1065,7 @@ Requirements:
 - Use clear, academic language appropriate for studying
 - If there are formulas, definitions, or important facts, make them prominent
 - Structure the content logically for easy review
+- If an outline is given, follow its sections and name them in your headings
 
 Please format your response using markdown with proper structure:
 - Use ### for main section headings
@@ -842,4 +1200,36 @@ This material covers fundamental concepts in ${note.subject}, providing essentia
   }
 }
 
-module.exports = new ChatService();
+function noteTitleMap(notes) {
+  return new Map(notes.map((note) => [String(note._id), note.title]));
+}
+
+// Start of a page's text when it is at hand
+function pageExcerpt(pages, pageNumber) {
+  const page = pages.find((entry) => entry.pageNumber === pageNumber);
+  return page && page.text && page.text.trim() ? page.text.trim().slice(0, 200) : null;
+}
+
+// Error for a cancelled stream, shaped like the one the OpenAI client throws
+function createAbortError() {
+  const error = new Error("Request was aborted.");
+  error.name = "AbortError";
+  return error;
+}
+
+// Error for a model that finished without answering; nothing is saved for it
+function createEmptyResponseError(finishReason) {
+  const error = new Error(
+    finishReason === "length"
+      ? "The model used up its token limit before it started answering. Try again or raise the conversation's max tokens."
+      : "The model returned an empty answer. Please try again."
+  );
+  error.code = EMPTY_RESPONSE;
+  error.finishReason = finishReason;
+  return error;
+}
+
+const chatService = new ChatService();
+chatService.EMPTY_RESPONSE = EMPTY_RESPONSE;
+
+module.exports = chatService;
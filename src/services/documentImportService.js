@@ -0,0 +1,797 @@
+const fs = require("fs").promises;
+const path = require("path");
+const JSZip = require("jszip");
+const PDFDocument = require("pdfkit");
+const { inflateZipEntry } = require("../utils/zipUtils");
+
+// Text documents that are imported without OCR, by extension
+const DOCUMENT_TYPES = {
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  ".md": "text/markdown",
+  ".markdown": "text/markdown",
+  ".txt": "text/plain",
+};
+
+const DOCUMENT_CONFIG = {
+  PAGE_SIZE: [595.28, 841.89], // A4 in points
+  PAGE_MARGIN: 56,
+  SLIDE_SIZE: [720, 405], // 16:9 in points
+  SLIDE_MARGIN: 36,
+  BODY_FONT_SIZE: 11,
+  HEADING_FONT_SIZES: [20, 16, 14, 12, 11, 11],
+  SLIDE_TITLE_FONT_SIZE: 26,
+  SLIDE_BODY_FONT_SIZE: 16,
+  MIN_SLIDE_SCALE: 0.4, // Crowded slides shrink down to this fraction of the font size
+  LINE_HEIGHT: 1.35,
+  LIST_INDENT: 16,
+  MAX_XML_BYTES: 50 * 1024 * 1024, // Per archive entry, guards against zip bombs
+};
+
+const documentImportService = {
+  DOCUMENT_TYPES,
+
+  /**
+   * Canonical MIME type of an upload; browsers often send documents as
+   * application/octet-stream, so known document extensions win
+   * @param {string} originalName - Uploaded file name
+   * @param {string} mimetype - MIME type reported by the client
+   * @returns {string} MIME type
+   */
+  resolveMimetype(originalName, mimetype) {
+    const extension = path.extname(originalName || "").toLowerCase();
+    return DOCUMENT_TYPES[extension] || mimetype;
+  },
+
+  /**
+   * Whether a MIME type is an importable text document
+   * @param {string} mimetype - MIME type
+   * @returns {boolean}
+   */
+  isDocument(mimetype) {
+    return Object.values(DOCUMENT_TYPES).includes(mimetype);
+  },
+
+  /**
+   * Extract the text and structure of a document and render it as a searchable PDF.
+   * Slides become one page each; other documents flow onto A4 pages. Page text keeps
+   * headings and list items in Markdown form.
+   * @param {string} filePath - Path to the document
+   * @param {string} mimetype - Document MIME type (see DOCUMENT_TYPES)
+   * @param {Object} options - { title }
+   * @returns {Promise<Object>} { pdfData: Buffer, pages: [{ text }], pageCount }
+   */
+  async convertDocument(filePath, mimetype, options = {}) {
+    const fileBytes = await fs.readFile(filePath);
+    const title = options.title || path.basename(filePath);
+
+    let rendered;
+    try {
+      if (mimetype === DOCUMENT_TYPES[".pptx"]) {
+        rendered = await renderSlides(await parsePptx(fileBytes), title);
+      } else if (mimetype === DOCUMENT_TYPES[".docx"]) {
+        rendered = await renderFlowDocument(await parseDocx(fileBytes), title);
+      } else if (mimetype === DOCUMENT_TYPES[".md"]) {
+        rendered = await renderFlowDocument(parseMarkdown(fileBytes.toString("utf8")), title);
+      } else if (mimetype === DOCUMENT_TYPES[".txt"]) {
+        rendered = await renderFlowDocument(parsePlainText(fileBytes.toString("utf8")), title);
+      } else {
+        throw new Error(`Cannot import ${mimetype} documents`);
+      }
+    } catch (error) {
+      const importError = new Error(`Failed to import ${title}: ${error.message}`);
+      // A broken document stays broken on retry
+      importError.retryable = false;
+      throw importError;
+    }
+
+    console.log(`📑 Imported ${title}: ${rendered.pages.length} page(s), ${rendered.pdfData.length} bytes`);
+
+    return { ...rendered, pageCount: rendered.pages.length };
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Parsing. Every format becomes a list of blocks:
+// { type: "heading" | "paragraph" | "list" | "code" | "quote" | "table", text, level, marker }
+// Slides are { title, blocks, notes }.
+// ---------------------------------------------------------------------------
+
+async function parseDocx(fileBytes) {
+  const zip = await JSZip.loadAsync(fileBytes);
+  const documentXml = await readZipEntry(zip, "word/document.xml");
+  if (!documentXml) {
+    throw new Error("word/document.xml is missing");
+  }
+  const headingStyles = readHeadingStyles(await readZipEntry(zip, "word/styles.xml"));
+
+  const blocks = [];
+  let paragraph = null;
+  let inRun = false;
+  let inText = false;
+  let tableDepth = 0;
+  let row = null;
+  let cell = null;
+
+  for (const token of tokenizeXml(documentXml)) {
+    if (token.type === "text") {
+      if (inText && paragraph) paragraph.text += token.text;
+      continue;
+    }
+
+    const { name, attributes } = token;
+    const opening = token.type === "open" || token.type === "empty";
+    const closing = token.type === "close" || token.type === "empty";
+
+    if (name === "w:tbl") {
+      if (opening) tableDepth++;
+      if (closing) tableDepth--;
+    } else if (name === "w:tr" && tableDepth === 1) {
+      if (opening) row = [];
+      if (closing && row) {
+        if (row.some((value) => value)) blocks.push({ type: "table", text: row.join(" | ") });
+        row = null;
+      }
+    } else if (name === "w:tc" && tableDepth === 1) {
+      if (opening) cell = [];
+      if (closing && cell && row) {
+        row.push(cell.join(" ").trim());
+        cell = null;
+      }
+    } else if (name === "w:p") {
+      if (token.type === "open") paragraph = { text: "", style: null, list: false, level: 0 };
+      if (closing && paragraph) {
+        const text = paragraph.text.replace(/[ \t]+\n/g, "\n").trim();
+        if (cell) {
+          if (text) cell.push(text);
+        } else if (text) {
+          blocks.push(toDocxBlock(paragraph, text, headingStyles));
+        }
+        paragraph = null;
+      }
+    } else if (!paragraph) {
+      continue;
+    } else if (name === "w:r") {
+      inRun = token.type === "open";
+    } else if (name === "w:t") {
+      inText = token.type === "open";
+    } else if (name === "w:pStyle" && opening) {
+      paragraph.style = attributes["w:val"];
+    } else if (name === "w:outlineLvl" && opening) {
+      paragraph.outlineLevel = parseInt(attributes["w:val"]);
+    } else if (name === "w:numPr" && opening) {
+      paragraph.list = true;
+    } else if (name === "w:ilvl" && opening) {
+      paragraph.level = parseInt(attributes["w:val"]) || 0;
+    } else if (name === "w:tab" && opening && inRun) {
+      // Outside runs, w:tab defines a tab stop
+      paragraph.text += "\t";
+    } else if ((name === "w:br" || name === "w:cr") && opening && inRun) {
+      paragraph.text += "\n";
+    }
+  }
+
+  return blocks;
+}
+
+// Heading level by paragraph style id; localized Word versions use ids like "berschrift1"
+function readHeadingStyles(stylesXml) {
+  const levels = new Map();
+  if (!stylesXml) return levels;
+
+  let styleId = null;
+  for (const token of tokenizeXml(stylesXml)) {
+    if (token.type === "text") continue;
+    if (token.name === "w:style" && token.type !== "close") {
+      styleId = token.attributes["w:styleId"];
+    } else if (token.name === "w:name" && styleId) {
+      const level = headingLevelFromName(token.attributes["w:val"]);
+      if (level) levels.set(styleId, level);
+    } else if (token.name === "w:outlineLvl" && styleId && !levels.has(styleId)) {
+      const outlineLevel = parseInt(token.attributes["w:val"]);
+      if (outlineLevel >= 0 && outlineLevel < 6) levels.set(styleId, outlineLevel + 1);
+    }
+  }
+  return levels;
+}
+
+function headingLevelFromName(name) {
+  if (!name) return null;
+  if (/^title$/i.test(name)) return 1;
+  const match = name.match(/^heading\s*(\d)$/i);
+  return match ? Math.min(parseInt(match[1]), 6) : null;
+}
+
+function toDocxBlock(paragraph, text, headingStyles) {
+  const level = headingStyles.get(paragraph.style) ||
+    headingLevelFromName(paragraph.style) ||
+    (paragraph.outlineLevel >= 0 && paragraph.outlineLevel < 6 ? paragraph.outlineLevel + 1 : null);
+
+  if (level) return { type: "heading", level, text: text.replace(/\s+/g, " ") };
+  if (paragraph.list) return { type: "list", level: paragraph.level, marker: "-", text };
+  return { type: "paragraph", text };
+}
+
+async function parsePptx(fileBytes) {
+  const zip = await JSZip.loadAsync(fileBytes);
+  const slidePaths = await readSlideOrder(zip);
+  if (slidePaths.length === 0) {
+    throw new Error("The presentation has no slides");
+  }
+
+  const slides = [];
+  for (const slidePath of slidePaths) {
+    const slideXml = await readZipEntry(zip, slidePath);
+    if (!slideXml) continue;
+
+    const slide = parseSlideXml(slideXml);
+    const notesPath = await findRelationshipTarget(zip, slidePath, "notesSlide");
+    const notesXml = notesPath ? await readZipEntry(zip, notesPath) : null;
+    if (notesXml) {
+      slide.notes = parseSlideXml(notesXml).blocks.map((block) => block.text).join("\n");
+    }
+    slides.push(slide);
+  }
+
+  return slides;
+}
+
+// Slide part paths in presentation order
+async function readSlideOrder(zip) {
+  const presentationXml = await readZipEntry(zip, "ppt/presentation.xml");
+  const relationships = await readRelationships(zip, "ppt/presentation.xml");
+  const ordered = [];
+
+  if (presentationXml) {
+    for (const token of tokenizeXml(presentationXml)) {
+      if (token.type !== "text" && token.name === "p:sldId") {
+        const target = relationships.get(token.attributes["r:id"]);
+        if (target) ordered.push(target.path);
+      }
+    }
+  }
+  if (ordered.length > 0) return ordered;
+
+  // No usable presentation part: fall back to the slide file numbers
+  return Object.keys(zip.files)
+    .filter((name) => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1]) - parseInt(b.match(/(\d+)\.xml$/)[1]));
+}
+
+async function findRelationshipTarget(zip, partPath, type) {
+  const relationships = await readRelationships(zip, partPath);
+  for (const relationship of relationships.values()) {
+    if (relationship.type.endsWith(`/${type}`)) return relationship.path;
+  }
+  return null;
+}
+
+// Relationship id -> { type, path } of an OPC part
+async function readRelationships(zip, partPath) {
+  const directory = path.posix.dirname(partPath);
+  const relsPath = path.posix.join(directory, "_rels", `${path.posix.basename(partPath)}.rels`);
+  const relsXml = await readZipEntry(zip, relsPath);
+  const relationships = new Map();
+  if (!relsXml) return relationships;
+
+  for (const token of tokenizeXml(relsXml)) {
+    if (token.type === "text" || token.name !== "Relationship") continue;
+    const { Id, Type = "", Target = "", TargetMode } = token.attributes;
+    if (TargetMode === "External") continue;
+    relationships.set(Id, {
+      type: Type,
+      path: Target.startsWith("/") ? Target.slice(1) : path.posix.normalize(path.posix.join(directory, Target)),
+    });
+  }
+  return relationships;
+}
+
+// Slide numbers, dates, footers and the slide image on notes pages
+const SKIPPED_PLACEHOLDERS = ["sldNum", "dt", "ftr", "hdr", "sldImg"];
+
+function parseSlideXml(slideXml) {
+  const slide = { title: "", blocks: [], notes: "" };
+  let shape = null;
+  let paragraph = null;
+  let inText = false;
+  let row = null;
+  let cell = null;
+
+  for (const token of tokenizeXml(slideXml)) {
+    if (token.type === "text") {
+      if (inText && paragraph) paragraph.text += token.text;
+      continue;
+    }
+
+    const { name, attributes } = token;
+    const opening = token.type === "open" || token.type === "empty";
+    const closing = token.type === "close" || token.type === "empty";
+
+    if (name === "p:sp") {
+      if (token.type === "open") shape = { isTitle: false, skip: false, bulleted: false };
+      if (closing) shape = null;
+    } else if (name === "p:ph" && opening && shape) {
+      // Body placeholders are bulleted by the slide master; free text boxes are not
+      const type = attributes.type || "body";
+      shape.isTitle = ["title", "ctrTitle"].includes(type);
+      shape.skip = SKIPPED_PLACEHOLDERS.includes(type);
+      shape.bulleted = ["body", "obj"].includes(type);
+    } else if (shape && shape.skip) {
+      continue;
+    } else if (name === "a:tr") {
+      if (opening) row = [];
+      if (closing && row) {
+        if (row.some((value) => value)) slide.blocks.push({ type: "table", text: row.join(" | ") });
+        row = null;
+      }
+    } else if (name === "a:tc") {
+      if (opening) cell = [];
+      if (closing && cell && row) {
+        row.push(cell.join(" ").trim());
+        cell = null;
+      }
+    } else if (name === "a:p") {
+      if (token.type === "open") paragraph = { text: "", level: 0, bullet: !!(shape && shape.bulleted) };
+      if (closing && paragraph) {
+        const text = paragraph.text.trim();
+        if (text && cell) {
+          cell.push(text);
+        } else if (text && shape && shape.isTitle) {
+          slide.title = slide.title ? `${slide.title} ${text}` : text;
+        } else if (text) {
+          slide.blocks.push(paragraph.bullet
+            ? { type: "list", level: paragraph.level, marker: "-", text }
+            : { type: "paragraph", text });
+        }
+        paragraph = null;
+      }
+    } else if (!paragraph) {
+      continue;
+    } else if (name === "a:t") {
+      inText = token.type === "open";
+    } else if (name === "a:pPr" && opening) {
+      paragraph.level = parseInt(attributes.lvl) || 0;
+    } else if (name === "a:buNone" && opening) {
+      paragraph.bullet = false;
+    } else if ((name === "a:buChar" || name === "a:buAutoNum") && opening) {
+      paragraph.bullet = true;
+    } else if (name === "a:br" && opening) {
+      paragraph.text += "\n";
+    }
+  }
+
+  // A single body paragraph reads better without a bullet
+  if (slide.blocks.length === 1 && slide.blocks[0].type === "list") {
+    slide.blocks[0] = { type: "paragraph", text: slide.blocks[0].text };
+  }
+  return slide;
+}
+
+function parseMarkdown(markdown) {
+  const lines = markdown.replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let paragraph = [];
+  let fence = null;
+  let code = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: "paragraph", text: stripInlineMarkdown(paragraph.join(" ")) });
+      paragraph = [];
+    }
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+
+    if (fence) {
+      if (line.trim().startsWith(fence)) {
+        blocks.push({ type: "code", text: code.join("\n") });
+        fence = null;
+        code = [];
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+
+    const fenceMatch = line.match(/^\s*(```|~~~)/);
+    if (fenceMatch) {
+      flushParagraph();
+      fence = fenceMatch[1];
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: "heading", level: heading[1].length, text: stripInlineMarkdown(heading[2]) });
+      continue;
+    }
+
+    // Setext headings underline the paragraph before them
+    if (paragraph.length > 0 && /^\s{0,3}(=+|-+)\s*$/.test(line)) {
+      const level = line.trim().startsWith("=") ? 1 : 2;
+      blocks.push({ type: "heading", level, text: stripInlineMarkdown(paragraph.join(" ")) });
+      paragraph = [];
+      continue;
+    }
+
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      continue;
+    }
+
+    const listItem = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (listItem) {
+      flushParagraph();
+      blocks.push({
+        type: "list",
+        level: Math.floor(listItem[1].replace(/\t/g, "    ").length / 2),
+        marker: /\d/.test(listItem[2]) ? listItem[2] : "-",
+        text: stripInlineMarkdown(listItem[3].replace(/^\[[ xX]\]\s+/, "")),
+      });
+      continue;
+    }
+
+    const quote = line.match(/^\s{0,3}>\s?(.*)$/);
+    if (quote) {
+      flushParagraph();
+      blocks.push({ type: "quote", text: stripInlineMarkdown(quote[1]) });
+      continue;
+    }
+
+    if (/^\s*\|.*\|\s*$/.test(line)) {
+      flushParagraph();
+      // Skip the |---|:---:| separator row
+      if (/^[\s|:-]+$/.test(line)) continue;
+      const cells = line.trim().replace(/^\||\|$/g, "").split("|").map((value) => stripInlineMarkdown(value.trim()));
+      blocks.push({ type: "table", text: cells.join(" | ") });
+      continue;
+    }
+
+    paragraph.push(line.trim());
+  }
+
+  flushParagraph();
+  if (fence && code.length > 0) {
+    blocks.push({ type: "code", text: code.join("\n") });
+  }
+  return blocks;
+}
+
+function stripInlineMarkdown(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")
+    .replace(/(^|[^\w*])[*_]([^*_\s][^*_]*?)[*_](?=[^\w*]|$)/g, "$1$2")
+    .replace(/~~(.+?)~~/g, "$1")
+    .replace(/<[^>]+>/g, "")
+    .trim();
+}
+
+// Paragraphs are separated by blank lines; line breaks inside them are kept
+function parsePlainText(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.replace(/\s+$/g, "").replace(/^\n+/, ""))
+    .filter((paragraph) => paragraph.trim())
+    .map((paragraph) => ({ type: "paragraph", text: paragraph, preserveSpaces: true }));
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+async function renderFlowDocument(blocks, title) {
+  const [pageWidth, pageHeight] = DOCUMENT_CONFIG.PAGE_SIZE;
+  const margin = DOCUMENT_CONFIG.PAGE_MARGIN;
+  const doc = createPDF(title);
+  const pages = [];
+  let page = null;
+  let y = 0;
+
+  const startPage = () => {
+    doc.addPage({ size: DOCUMENT_CONFIG.PAGE_SIZE, margin: 0 });
+    page = { parts: [] };
+    pages.push(page);
+    y = margin;
+  };
+
+  for (const block of blocks) {
+    const layout = layoutBlock(doc, block, pageWidth - 2 * margin, 1);
+    if (layout.lines.length === 0) continue;
+
+    const isPageTop = !page || page.parts.length === 0;
+    const spaceBefore = isPageTop ? 0 : layout.spaceBefore;
+    // Keep a heading together with at least the first line that follows it
+    const keepTogether = block.type === "heading"
+      ? layout.height + DOCUMENT_CONFIG.BODY_FONT_SIZE * DOCUMENT_CONFIG.LINE_HEIGHT
+      : layout.lineHeight;
+    if (!page || y + spaceBefore + keepTogether > pageHeight - margin) {
+      startPage();
+    } else {
+      y += spaceBefore;
+    }
+
+    let part = null;
+    layout.lines.forEach((line, index) => {
+      if (y + layout.lineHeight > pageHeight - margin) {
+        startPage();
+        part = null;
+      }
+      if (!part) {
+        part = { block, lines: [], first: index === 0 };
+        page.parts.push(part);
+      }
+      drawLine(doc, layout, line, index, margin, y);
+      part.lines.push(line);
+      y += layout.lineHeight;
+    });
+    y += layout.spaceAfter;
+  }
+
+  if (pages.length === 0) startPage();
+
+  return {
+    pdfData: await finishPDF(doc),
+    pages: pages.map((entry) => ({ text: entry.parts.map(partText).join("\n") })),
+  };
+}
+
+// One page per slide; crowded slides are scaled down until they fit
+async function renderSlides(slides, title) {
+  const [slideWidth, slideHeight] = DOCUMENT_CONFIG.SLIDE_SIZE;
+  const margin = DOCUMENT_CONFIG.SLIDE_MARGIN;
+  const doc = createPDF(title);
+  const pages = [];
+
+  for (const slide of slides) {
+    doc.addPage({ size: DOCUMENT_CONFIG.SLIDE_SIZE, margin: 0 });
+
+    const blocks = [
+      ...(slide.title ? [{ type: "heading", level: 0, text: slide.title }] : []),
+      ...slide.blocks,
+    ];
+
+    let scale = 1;
+    let layouts;
+    for (;;) {
+      layouts = blocks.map((block) => layoutBlock(doc, block, slideWidth - 2 * margin, scale, true));
+      const height = layouts.reduce(
+        (sum, layout, index) => sum + layout.height + (index > 0 ? layout.spaceBefore : 0) + layout.spaceAfter,
+        0
+      );
+      if (height <= slideHeight - 2 * margin || scale <= DOCUMENT_CONFIG.MIN_SLIDE_SCALE) break;
+      scale = Math.max(DOCUMENT_CONFIG.MIN_SLIDE_SCALE, scale * 0.9);
+    }
+
+    let y = margin;
+    layouts.forEach((layout, blockIndex) => {
+      if (blockIndex > 0) y += layout.spaceBefore;
+      layout.lines.forEach((line, index) => {
+        // Whatever still does not fit at the smallest size is left off the page (but kept in the text)
+        if (y + layout.lineHeight <= slideHeight - margin / 2) {
+          drawLine(doc, layout, line, index, margin, y);
+        }
+        y += layout.lineHeight;
+      });
+      y += layout.spaceAfter;
+    });
+
+    const textParts = blocks.map((block, index) =>
+      partText({ block, lines: layouts[index].lines, first: true })
+    );
+    if (slide.notes) {
+      textParts.push(`Speaker notes:\n${slide.notes}`);
+    }
+    pages.push({ text: textParts.join("\n") });
+  }
+
+  return { pdfData: await finishPDF(doc), pages };
+}
+
+function createPDF(title) {
+  return new PDFDocument({
+    autoFirstPage: false,
+    margin: 0,
+    info: { Title: title, Creator: "eduVision document import" },
+  });
+}
+
+function finishPDF(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+}
+
+// Font, size, spacing and wrapped lines of a block
+function layoutBlock(doc, block, width, scale, isSlide = false) {
+  const bodySize = isSlide ? DOCUMENT_CONFIG.SLIDE_BODY_FONT_SIZE : DOCUMENT_CONFIG.BODY_FONT_SIZE;
+  let font = "Helvetica";
+  let fontSize = bodySize;
+  let indent = 0;
+  let spaceBefore = bodySize * 0.5;
+  let spaceAfter = 0;
+  let bullet = null;
+
+  if (block.type === "heading") {
+    font = "Helvetica-Bold";
+    fontSize = block.level === 0
+      ? DOCUMENT_CONFIG.SLIDE_TITLE_FONT_SIZE
+      : DOCUMENT_CONFIG.HEADING_FONT_SIZES[Math.min(block.level, 6) - 1];
+    spaceBefore = fontSize * 0.9;
+    spaceAfter = fontSize * 0.3;
+  } else if (block.type === "list") {
+    indent = DOCUMENT_CONFIG.LIST_INDENT * (block.level + 1);
+    spaceBefore = bodySize * 0.2;
+    bullet = block.marker && block.marker !== "-" ? block.marker : "•";
+  } else if (block.type === "code") {
+    font = "Courier";
+    fontSize = bodySize * 0.9;
+  } else if (block.type === "quote") {
+    font = "Helvetica-Oblique";
+    indent = DOCUMENT_CONFIG.LIST_INDENT;
+  } else if (block.type === "table") {
+    spaceBefore = bodySize * 0.2;
+  }
+
+  fontSize *= scale;
+  doc.font(font).fontSize(fontSize);
+  const preserveSpaces = block.type === "code" || block.preserveSpaces;
+  const lines = wrapText(doc, block.text, width - indent, preserveSpaces);
+  const lineHeight = fontSize * DOCUMENT_CONFIG.LINE_HEIGHT;
+
+  return {
+    font,
+    fontSize,
+    indent,
+    bullet,
+    lines,
+    lineHeight,
+    height: lines.length * lineHeight,
+    spaceBefore: spaceBefore * scale,
+    spaceAfter: spaceAfter * scale,
+  };
+}
+
+function drawLine(doc, layout, line, index, left, y) {
+  doc.font(layout.font).fontSize(layout.fontSize);
+  if (index === 0 && layout.bullet) {
+    const bulletWidth = doc.widthOfString(`${layout.bullet} `);
+    doc.text(layout.bullet, left + layout.indent - bulletWidth, y, { lineBreak: false });
+  }
+  doc.text(line.text, left + layout.indent, y, { lineBreak: false });
+}
+
+// Greedy word wrap with the current font; hard line breaks start a new segment
+function wrapText(doc, text, width, preserveSpaces) {
+  const lines = [];
+
+  text.split("\n").forEach((segment) => {
+    const source = preserveSpaces ? segment.replace(/\t/g, "    ").replace(/\s+$/, "") : segment.trim();
+    const tokens = preserveSpaces ? source.match(/\s*\S+/g) || [""] : source.split(/\s+/);
+    let current = "";
+    let segmentStart = true;
+
+    const push = (value) => {
+      lines.push({ text: value, segmentStart });
+      segmentStart = false;
+    };
+
+    for (const token of tokens) {
+      const word = preserveSpaces || !current ? token : ` ${token}`;
+      if (doc.widthOfString(current + word) <= width) {
+        current += word;
+        continue;
+      }
+      if (current) push(current);
+      current = preserveSpaces ? token.replace(/^\s+/, (spaces) => (current ? "" : spaces)) : token;
+
+      // Break words that are wider than the line on their own
+      while (current.length > 1 && doc.widthOfString(current) > width) {
+        let fit = current.length - 1;
+        while (fit > 1 && doc.widthOfString(current.slice(0, fit)) > width) fit--;
+        push(current.slice(0, fit));
+        current = current.slice(fit);
+      }
+    }
+    push(current);
+  });
+
+  // Drop empty lines at the very start and end of the block
+  while (lines.length > 0 && !lines[lines.length - 1].text.trim()) lines.pop();
+  while (lines.length > 0 && !lines[0].text.trim()) lines.shift();
+  if (lines.length > 0) lines[0].segmentStart = true;
+  return lines;
+}
+
+// Text of the lines of one block on one page, with Markdown markers for structure
+function partText(part) {
+  const { block } = part;
+  const text = part.lines
+    .map((line, index) => (index === 0 ? "" : line.segmentStart ? "\n" : " ") + line.text)
+    .join("");
+  if (!part.first) return text;
+
+  switch (block.type) {
+    case "heading":
+      return `${"#".repeat(Math.max(1, block.level))} ${text}`;
+    case "list":
+      return `${"  ".repeat(block.level)}${block.marker || "-"} ${text}`;
+    case "quote":
+      return `> ${text}`;
+    default:
+      return text;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Archive and XML helpers
+// ---------------------------------------------------------------------------
+
+async function readZipEntry(zip, name) {
+  const entry = zip.file(name);
+  if (!entry) return null;
+
+  // Inflating stops at the limit; sizes declared in the ZIP can't be trusted
+  const { data, tooLarge } = await inflateZipEntry(entry, DOCUMENT_CONFIG.MAX_XML_BYTES);
+  if (tooLarge) {
+    throw new Error(`${name} is too large to import`);
+  }
+  return data.toString("utf8");
+}
+
+// Flat list of open/close/empty element and text tokens; enough for OOXML parts
+function tokenizeXml(xml) {
+  const tokens = [];
+  const pattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!(?!\[CDATA)[^>]*>|<(\/?)([^\s/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    if (match[1] !== undefined) {
+      tokens.push({ type: "text", text: match[1] });
+    } else if (match[3]) {
+      const type = match[2] ? "close" : match[5] ? "empty" : "open";
+      tokens.push({ type, name: match[3], attributes: type === "close" ? {} : parseAttributes(match[4]) });
+    } else if (match[6]) {
+      tokens.push({ type: "text", text: decodeEntities(match[6]) });
+    }
+  }
+  return tokens;
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, code) => {
+    const lower = code.toLowerCase();
+    if (lower.startsWith("#x")) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+    if (lower.startsWith("#")) return String.fromCodePoint(parseInt(lower.slice(1), 10));
+    return { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" }[lower];
+  });
+}
+
+documentImportService.DOCUMENT_CONFIG = DOCUMENT_CONFIG;
+
+module.exports = documentImportService;
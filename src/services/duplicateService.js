@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+const { createReadStream } = require("fs");
+const Note = require("../models/Note");
+const { computeSignature, estimateSimilarity } = require("../utils/textSimilarity");
+
+const DUPLICATE_CONFIG = {
+  // Estimated share of common word shingles from which two notes count as near-duplicates
+  NEAR_DUPLICATE_THRESHOLD: parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD) || 0.8,
+  // Shorter texts (cover pages, blank scans) match each other too easily
+  MIN_SHINGLES: 20,
+  MAX_NEAR_DUPLICATES: 5,
+};
+
+const duplicateService = {
+  /**
+   * Content hash of an upload: the SHA-256 of the file, or for several files the
+   * SHA-256 of their hashes in order
+   * @param {Array<Object>} files - Uploaded files { path } in page order
+   * @returns {Promise<string>} Hex digest
+   */
+  async hashFiles(files) {
+    const hashes = [];
+    for (const file of files) {
+      hashes.push(await hashFile(file.path));
+    }
+    if (hashes.length === 1) return hashes[0];
+
+    return crypto.createHash("sha256").update(hashes.join("\n")).digest("hex");
+  },
+
+  /**
+   * The user's existing note with the same content hash, if any. Failed notes do
+   * not count; uploading again is how they are retried.
+   * @param {string} userId - Owner
+   * @param {string} contentHash - Hash from hashFiles()
+   * @returns {Promise<Object|null>} Note (title, subject, status, pages, uploadDate)
+   */
+  async findExactDuplicate(userId, contentHash) {
+    if (!contentHash) return null;
+
+    return Note.findOne({ userId, contentHash, status: { $ne: "failed" } })
+      .select("title subject status pages uploadDate thumbnail")
+      .sort({ uploadDate: 1 });
+  },
+
+  /**
+   * Signature of a note's extracted text and the user's other notes it nearly matches
+   * @param {Object} note - Note being processed (_id, userId)
+   * @param {string} text - Extracted text
+   * @returns {Promise<Object>} { textSignature, nearDuplicates: [{ noteId, title, similarity }] }
+   */
+  async checkNearDuplicates(note, text) {
+    const { signature, shingleCount } = computeSignature(text);
+    if (shingleCount < DUPLICATE_CONFIG.MIN_SHINGLES) {
+      return { textSignature: undefined, nearDuplicates: [] };
+    }
+
+    const candidates = await Note.find({
+      userId: note.userId,
+      _id: { $ne: note._id },
+      textSignature: { $exists: true },
+    }).select("title +textSignature");
+
+    const nearDuplicates = candidates
+      .map((candidate) => ({
+        noteId: candidate._id,
+        title: candidate.title,
+        similarity: estimateSimilarity(signature, candidate.textSignature),
+      }))
+      .filter((match) => match.similarity >= DUPLICATE_CONFIG.NEAR_DUPLICATE_THRESHOLD)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, DUPLICATE_CONFIG.MAX_NEAR_DUPLICATES)
+      .map((match) => ({ ...match, similarity: Math.round(match.similarity * 100) / 100 }));
+
+    return { textSignature: signature, nearDuplicates };
+  },
+};
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+duplicateService.DUPLICATE_CONFIG = DUPLICATE_CONFIG;
+
+module.exports = duplicateService;
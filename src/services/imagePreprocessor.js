@@ -0,0 +1,218 @@
+"use strict";
+const fsPromises = require("fs").promises;
+const path = require("path");
+const sharp = require("sharp");
+const ocrService = require("./ocrService");
+
+// Preprocessing steps in the order they run; every step is on unless switched off
+const PREPROCESS_STEPS = ["autoRotate", "grayscale", "normalize", "deskew", "trimBorders", "downscale"];
+
+const PREPROCESS_CONFIG = {
+  ENABLED: process.env.IMAGE_PREPROCESSING !== "false",
+  // Skew detection runs on a small copy of the image
+  DESKEW_ANALYSIS_WIDTH: 800,
+  DESKEW_MAX_ANGLE: 15, // degrees
+  DESKEW_COARSE_STEP: 0.5,
+  DESKEW_FINE_STEP: 0.1,
+  DESKEW_MIN_ANGLE: 0.2, // don't rotate for smaller angles
+  DARK_PIXEL_THRESHOLD: 128,
+  TRIM_THRESHOLD: 30,
+  JPEG_QUALITY: 90,
+  BACKGROUND: { r: 255, g: 255, b: 255, alpha: 1 },
+};
+
+const imagePreprocessor = {
+  /**
+   * Resolve per-upload switches into a full step map. Accepts `false`/"false" to
+   * disable everything, or an object (or JSON string) such as { deskew: false }.
+   * @param {boolean|string|Object} input - Switches from the request
+   * @returns {Object} { enabled, steps: { autoRotate, grayscale, ... } }
+   */
+  resolveOptions(input) {
+    let switches = input;
+
+    if (typeof switches === "string") {
+      const value = switches.trim();
+      if (value === "false" || value === "true" || value === "") {
+        switches = value !== "false";
+      } else {
+        try {
+          switches = JSON.parse(value);
+        } catch (error) {
+          throw new Error("Preprocessing options must be true, false or a JSON object of step switches");
+        }
+      }
+    }
+
+    const enabled = switches === undefined || switches === null
+      ? PREPROCESS_CONFIG.ENABLED
+      : switches !== false;
+
+    const steps = {};
+    for (const step of PREPROCESS_STEPS) {
+      const value = switches && typeof switches === "object" ? switches[step] : undefined;
+      steps[step] = enabled && value !== false && value !== "false";
+    }
+
+    return { enabled: enabled && Object.values(steps).some(Boolean), steps };
+  },
+
+  /**
+   * Clean up a photographed page before OCR and write it next to the input
+   * @param {string} filePath - Path to the input image
+   * @param {Object} options - Resolved options from resolveOptions()
+   * @returns {Promise<Object>} { path, mimetype, size, width, height, appliedSteps, skewAngle }
+   */
+  async preprocess(filePath, options = this.resolveOptions()) {
+    const { steps } = options;
+    const appliedSteps = [];
+    let skewAngle = 0;
+
+    let buffer = await fsPromises.readFile(filePath);
+
+    // EXIF orientation, grayscale and contrast stretch can share one pipeline
+    if (steps.autoRotate || steps.grayscale || steps.normalize) {
+      let pipeline = sharp(buffer);
+      if (steps.autoRotate) {
+        pipeline = pipeline.rotate();
+        appliedSteps.push("autoRotate");
+      }
+      if (steps.grayscale) {
+        pipeline = pipeline.grayscale();
+        appliedSteps.push("grayscale");
+      }
+      if (steps.normalize) {
+        pipeline = pipeline.normalise();
+        appliedSteps.push("normalize");
+      }
+      buffer = await pipeline.toBuffer();
+    }
+
+    if (steps.deskew) {
+      skewAngle = await detectSkewAngle(buffer);
+      if (Math.abs(skewAngle) >= PREPROCESS_CONFIG.DESKEW_MIN_ANGLE) {
+        buffer = await sharp(buffer)
+          .rotate(-skewAngle, { background: PREPROCESS_CONFIG.BACKGROUND })
+          .toBuffer();
+        appliedSteps.push("deskew");
+      }
+    }
+
+    if (steps.trimBorders) {
+      try {
+        buffer = await sharp(buffer)
+          .trim({ threshold: PREPROCESS_CONFIG.TRIM_THRESHOLD })
+          .toBuffer();
+        appliedSteps.push("trimBorders");
+      } catch (error) {
+        // sharp refuses to trim an image that is entirely "border"
+        console.warn(`Border trimming skipped: ${error.message}`);
+      }
+    }
+
+    let pipeline = sharp(buffer);
+    if (steps.downscale) {
+      const { width, height } = ocrService.CONFIG.IMAGE_DIMENSIONS;
+      pipeline = pipeline.resize({ width, height, fit: "inside", withoutEnlargement: true });
+      appliedSteps.push("downscale");
+    }
+
+    const { data, info } = await pipeline
+      .jpeg({ quality: PREPROCESS_CONFIG.JPEG_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+
+    const outputPath = path.join(
+      path.dirname(filePath),
+      `${path.basename(filePath, path.extname(filePath))}_preprocessed.jpg`
+    );
+    await fsPromises.writeFile(outputPath, data);
+
+    console.log(`🧹 Preprocessed ${path.basename(filePath)}: ${appliedSteps.join(", ") || "no changes"}${skewAngle ? `, skew ${skewAngle.toFixed(1)}°` : ""}`);
+
+    return {
+      path: outputPath,
+      mimetype: "image/jpeg",
+      size: data.length,
+      width: info.width,
+      height: info.height,
+      appliedSteps,
+      skewAngle: Math.round(skewAngle * 10) / 10,
+    };
+  },
+};
+
+/**
+ * Estimate text skew with a projection profile: rotated rows of dark pixels are
+ * most "peaky" when text lines are horizontal.
+ * @param {Buffer} imageBuffer - Image bytes
+ * @returns {Promise<number>} Skew angle in degrees (positive = lines slope down to the right)
+ */
+async function detectSkewAngle(imageBuffer) {
+  const { data, info } = await sharp(imageBuffer)
+    .resize({ width: PREPROCESS_CONFIG.DESKEW_ANALYSIS_WIDTH, withoutEnlargement: true })
+    .grayscale()
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const darkPixels = [];
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[(y * info.width + x) * info.channels] < PREPROCESS_CONFIG.DARK_PIXEL_THRESHOLD) {
+        darkPixels.push(x, y);
+      }
+    }
+  }
+
+  // Nothing to align on (blank page) or nearly everything dark (bad threshold)
+  const darkRatio = darkPixels.length / 2 / (info.width * info.height);
+  if (darkRatio === 0 || darkRatio > 0.5) return 0;
+
+  const maxAngle = PREPROCESS_CONFIG.DESKEW_MAX_ANGLE;
+  let best = findBestAngle(darkPixels, info, -maxAngle, maxAngle, PREPROCESS_CONFIG.DESKEW_COARSE_STEP);
+  best = findBestAngle(
+    darkPixels,
+    info,
+    best - PREPROCESS_CONFIG.DESKEW_COARSE_STEP,
+    best + PREPROCESS_CONFIG.DESKEW_COARSE_STEP,
+    PREPROCESS_CONFIG.DESKEW_FINE_STEP
+  );
+  return best;
+}
+
+function findBestAngle(darkPixels, info, from, to, step) {
+  const diagonal = Math.ceil(Math.hypot(info.width, info.height));
+  const rows = new Float64Array(diagonal * 2 + 1);
+  let bestAngle = 0;
+  let bestScore = -1;
+
+  for (let angle = from; angle <= to + 1e-9; angle += step) {
+    const radians = (angle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    rows.fill(0);
+
+    for (let i = 0; i < darkPixels.length; i += 2) {
+      const row = Math.round(darkPixels[i + 1] * cos - darkPixels[i] * sin) + diagonal;
+      rows[row]++;
+    }
+
+    // Sharp transitions between text rows and gaps score highest
+    let score = 0;
+    for (let r = 1; r < rows.length; r++) {
+      const diff = rows[r] - rows[r - 1];
+      score += diff * diff;
+    }
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+
+  return Math.round(bestAngle * 10) / 10;
+}
+
+imagePreprocessor.PREPROCESS_STEPS = PREPROCESS_STEPS;
+
+module.exports = imagePreprocessor;
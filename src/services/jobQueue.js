@@ -0,0 +1,280 @@
+const os = require("os");
+const ProcessingJob = require("../models/ProcessingJob");
+
+// Queue configuration (overridable through environment variables)
+const QUEUE_CONFIG = {
+  POLL_INTERVAL_MS: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+  CONCURRENCY: parseInt(process.env.JOB_CONCURRENCY) || 1,
+  MAX_ATTEMPTS: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+  BACKOFF_BASE_MS: parseInt(process.env.JOB_BACKOFF_BASE_MS) || 30 * 1000,
+  BACKOFF_MAX_MS: 30 * 60 * 1000,
+  HEARTBEAT_INTERVAL_MS: 30 * 1000,
+  // A running job whose heartbeat is older than this belongs to a dead worker
+  STALE_LOCK_MS: 2 * 60 * 1000,
+};
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.running = false;
+    this.polling = false;
+    this.activeJobs = 0;
+    this.pollTimer = null;
+    this.lastRecovery = 0;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Object} handler - { run(job, context), onDeadLetter?(job, error) }
+   */
+  registerHandler(type, handler) {
+    if (!handler || typeof handler.run !== "function") {
+      throw new Error(`Handler for job type "${type}" must implement run()`);
+    }
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Persist a new job and wake up the worker
+   * @param {string} type - Job type
+   * @param {Object} data - { noteId, userId, payload, maxAttempts }
+   * @returns {Promise<Object>} The created job document
+   * @throws {Error} statusCode 409 when the note already has a queued or running job
+   */
+  async enqueue(type, { noteId, userId, payload = {}, maxAttempts } = {}) {
+    let job;
+    try {
+      job = await ProcessingJob.create({
+        type,
+        noteId,
+        userId,
+        payload,
+        maxAttempts: maxAttempts || QUEUE_CONFIG.MAX_ATTEMPTS,
+        runAt: new Date(),
+      });
+    } catch (error) {
+      if (noteId && error.code === 11000) {
+        const conflict = new Error("This note is already being processed");
+        conflict.statusCode = 409;
+        throw conflict;
+      }
+      throw error;
+    }
+
+    console.log(`📥 Queued ${type} job ${job._id}`);
+
+    if (this.running) {
+      this.schedulePoll(0);
+    }
+
+    return job;
+  }
+
+  /**
+   * Start the worker loop, first recovering jobs left running by a previous process
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await this.recoverStaleJobs();
+    } catch (error) {
+      console.error("Failed to recover stale jobs:", error);
+    }
+
+    console.log(`⚙️ Job worker ${this.workerId} started (concurrency ${QUEUE_CONFIG.CONCURRENCY})`);
+    this.schedulePoll(0);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Put jobs whose worker stopped heart-beating back in the queue
+   * @returns {Promise<number>} Number of recovered jobs
+   */
+  async recoverStaleJobs() {
+    this.lastRecovery = Date.now();
+    const staleBefore = new Date(Date.now() - QUEUE_CONFIG.STALE_LOCK_MS);
+
+    const result = await ProcessingJob.updateMany(
+      { status: "running", lockedAt: { $lt: staleBefore } },
+      {
+        $set: {
+          status: "queued",
+          stage: "queued",
+          runAt: new Date(),
+          lockedBy: null,
+          lockedAt: null,
+        },
+      }
+    );
+
+    const recovered = result.modifiedCount || 0;
+    if (recovered > 0) {
+      console.log(`♻️ Recovered ${recovered} interrupted job(s)`);
+    }
+    return recovered;
+  }
+
+  schedulePoll(delay) {
+    if (!this.running) return;
+    if (this.pollTimer) clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => {
+      this.pollTimer = null;
+      this.poll();
+    }, delay);
+  }
+
+  async poll() {
+    if (!this.running || this.polling) return;
+    this.polling = true;
+
+    try {
+      if (Date.now() - this.lastRecovery > QUEUE_CONFIG.STALE_LOCK_MS) {
+        await this.recoverStaleJobs();
+      }
+
+      while (this.activeJobs < QUEUE_CONFIG.CONCURRENCY) {
+        const job = await ProcessingJob.claimNext(this.workerId);
+        if (!job) break;
+
+        this.activeJobs++;
+        this.runJob(job).finally(() => {
+          this.activeJobs--;
+          this.schedulePoll(0);
+        });
+      }
+    } catch (error) {
+      console.error("Job poll error:", error.message);
+    } finally {
+      this.polling = false;
+      this.schedulePoll(QUEUE_CONFIG.POLL_INTERVAL_MS);
+    }
+  }
+
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    if (!handler) {
+      const error = new Error(`No handler registered for job type "${job.type}"`);
+      error.retryable = false;
+      return this.handleFailure(job, null, error);
+    }
+
+    console.log(`▶️ Running ${job.type} job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    const heartbeat = setInterval(() => {
+      ProcessingJob.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        { lockedAt: new Date() }
+      ).catch((error) => {
+        console.warn(`Heartbeat failed for job ${job._id}: ${error.message}`);
+      });
+    }, QUEUE_CONFIG.HEARTBEAT_INTERVAL_MS);
+
+    try {
+      const result = await handler.run(job, {
+        reportProgress: (stage, progress) => this.reportProgress(job, stage, progress),
+      });
+
+      await ProcessingJob.updateOne(
+        { _id: job._id },
+        {
+          status: "completed",
+          stage: "completed",
+          progress: 100,
+          result: result || null,
+          completedAt: new Date(),
+          lockedBy: null,
+          lockedAt: null,
+        }
+      );
+      console.log(`✅ Job ${job._id} completed`);
+    } catch (error) {
+      await this.handleFailure(job, handler, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Record the current stage and progress of a running job
+   * @param {Object} job - Job document
+   * @param {string} stage - Stage name
+   * @param {number} progress - Progress percentage (0-100)
+   */
+  async reportProgress(job, stage, progress) {
+    job.stage = stage;
+    if (typeof progress === "number") {
+      job.progress = Math.max(0, Math.min(100, Math.round(progress)));
+    }
+
+    try {
+      await ProcessingJob.updateOne(
+        { _id: job._id },
+        { stage: job.stage, progress: job.progress, lockedAt: new Date() }
+      );
+    } catch (error) {
+      console.warn(`Failed to record progress for job ${job._id}: ${error.message}`);
+    }
+  }
+
+  async handleFailure(job, handler, error) {
+    const message = error.message || String(error);
+    const retryable = error.retryable !== false;
+    const exhausted = job.attempts >= job.maxAttempts;
+
+    const update = {
+      lastError: message,
+      lockedBy: null,
+      lockedAt: null,
+      $push: {
+        errorHistory: { attempt: job.attempts, message, occurredAt: new Date() },
+      },
+    };
+
+    if (retryable && !exhausted) {
+      const delay = getBackoffDelay(job.attempts);
+      update.status = "queued";
+      update.stage = "retrying";
+      update.runAt = new Date(Date.now() + delay);
+      console.warn(`⚠️ Job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${message}`);
+    } else {
+      update.status = "dead";
+      update.stage = "failed";
+      update.deadAt = new Date();
+      console.error(`☠️ Job ${job._id} moved to dead letter after ${job.attempts} attempt(s): ${message}`);
+    }
+
+    try {
+      await ProcessingJob.updateOne({ _id: job._id }, update);
+    } catch (updateError) {
+      console.error(`Failed to record failure for job ${job._id}:`, updateError);
+    }
+
+    if (update.status === "dead" && handler && typeof handler.onDeadLetter === "function") {
+      try {
+        await handler.onDeadLetter(job, error);
+      } catch (deadLetterError) {
+        console.error(`Dead-letter handler failed for job ${job._id}:`, deadLetterError);
+      }
+    }
+  }
+}
+
+// Exponential backoff with a little jitter so retries don't line up
+function getBackoffDelay(attempts) {
+  const exponential = QUEUE_CONFIG.BACKOFF_BASE_MS * Math.pow(2, Math.max(0, attempts - 1));
+  const capped = Math.min(exponential, QUEUE_CONFIG.BACKOFF_MAX_MS);
+  return Math.round(capped * (0.9 + Math.random() * 0.2));
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,163 @@
+const Note = require("../models/Note");
+const User = require("../models/User");
+const ocrService = require("./ocrService");
+const noteProcessingService = require("./noteProcessingService");
+const processingEvents = require("./processingEvents");
+const duplicateService = require("./duplicateService");
+const storageQuotaService = require("./storageQuotaService");
+
+const noteCreationService = {
+  /**
+   * Create a note from uploaded files: stores the original, counts the note and its
+   * bytes against the user's limits and queues processing
+   * @param {Object} user - Owner (User document)
+   * @param {Array<Object>} files - Uploaded files { originalName, path, mimetype, size } in page order
+   * @param {Object} fields - { title, subject, branch, semester, tags, contentHash }
+   * @param {Object} options - Processing options { preprocess }
+   * @returns {Promise<Object>} { note, job, usage: { current, limit, remaining, storage: { used, limit, remaining } } }
+   */
+  async createNoteFromFiles(user, files, fields, options = {}) {
+    const uploadBytes = files.reduce((sum, file) => sum + (file.size || 0), 0);
+
+    // Claim a slot and the upload's bytes first so concurrent uploads cannot overrun the limits
+    const updatedUser = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        $expr: {
+          $and: [
+            { $lt: ["$usage.notesUploaded", "$usage.notesLimit"] },
+            storageQuotaService.roomCondition(user, uploadBytes),
+          ],
+        },
+      },
+      {
+        $inc: { "usage.notesUploaded": 1, "usage.storageUsed": uploadBytes },
+        $addToSet: {
+          subjects: {
+            name: fields.subject,
+            color: getSubjectColor(fields.subject),
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!updatedUser) {
+      const current = (await User.findById(user._id).select("usage subscription")) || user;
+      if (current.usage.notesUploaded < current.usage.notesLimit) {
+        throw storageQuotaService.createLimitError(current, uploadBytes);
+      }
+      const error = new Error(
+        `Upload limit reached. You can upload up to ${user.usage.notesLimit} notes on your ${user.subscription.plan} plan.`
+      );
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const contentHash = fields.contentHash || await duplicateService.hashFiles(files).catch(() => undefined);
+
+    const note = new Note({
+      userId: user._id, // Associate note with authenticated user
+      title: fields.title,
+      branch: fields.branch || undefined,
+      semester: fields.semester || undefined,
+      subject: fields.subject,
+      folder: "", // No longer using folders
+      tags: fields.tags || [],
+      sourceFiles: files.map((file) => ({
+        originalName: file.originalName,
+        mimetype: file.mimetype,
+        size: file.size,
+      })),
+      contentHash,
+      status: "processing",
+      pages: files.length,
+      // Initialize generated items counters
+      generatedItems: {
+        summaries: 0,
+        mcqs: 0,
+        questions: 0,
+      },
+    });
+
+    try {
+      // A single upload is stored as-is; several uploads are combined into one PDF
+      // so that no page is lost and the original mirrors the searchable PDF
+      if (files.length === 1) {
+        // Streamed from the multer temp file into storage
+        note.originalFile = await note.storeFile("originalFile", files[0].path, {
+          originalName: files[0].originalName,
+          mimetype: files[0].mimetype,
+          uploadedAt: new Date(),
+        });
+      } else {
+        const fileBuffers = [];
+        for (const file of files) {
+          fileBuffers.push(await ocrService.convertFileToPDF(file.path, file.mimetype));
+        }
+        const combined = await ocrService.mergePDFs(fileBuffers);
+        note.originalFile = await note.storeFile("originalFile", combined.data, {
+          originalName: `${fields.title}.pdf`,
+          mimetype: "application/pdf",
+          uploadedAt: new Date(),
+        });
+      }
+
+      // Charge what was stored; combined uploads differ from the claimed bytes
+      note.storageBytes = note.originalFile.size || 0;
+      await note.save();
+    } catch (error) {
+      await note.deleteStoredFiles().catch(() => {});
+      await User.updateOne(
+        { _id: user._id },
+        { $inc: { "usage.notesUploaded": -1, "usage.storageUsed": -uploadBytes } }
+      );
+      throw error;
+    }
+    await storageQuotaService.adjust(user._id, note.storageBytes - uploadBytes);
+
+    // Queue OCR processing - every file is processed in upload order by the job worker
+    const job = await noteProcessingService.enqueueNoteProcessing(note, files, options);
+    processingEvents.publish(note._id, "uploaded", { progress: 0, files: files.length });
+
+    const storageUsed = updatedUser.usage.storageUsed + note.storageBytes - uploadBytes;
+    const storageLimit = storageQuotaService.getLimit(updatedUser);
+
+    return {
+      note,
+      job,
+      usage: {
+        current: updatedUser.usage.notesUploaded,
+        limit: updatedUser.usage.notesLimit,
+        remaining: updatedUser.usage.notesLimit - updatedUser.usage.notesUploaded,
+        storage: {
+          used: storageUsed,
+          limit: storageLimit,
+          remaining: Math.max(0, storageLimit - storageUsed),
+        },
+      },
+    };
+  },
+};
+
+// Helper function to assign colors to subjects
+function getSubjectColor(subject) {
+  const colors = [
+    "#3B82F6",
+    "#EF4444",
+    "#10B981",
+    "#F59E0B",
+    "#8B5CF6",
+    "#EC4899",
+    "#06B6D4",
+    "#84CC16",
+  ];
+
+  let hash = 0;
+  for (let i = 0; i < subject.length; i++) {
+    hash = subject.charCodeAt(i) + ((hash << 5) - hash);
+  }
+
+  return colors[Math.abs(hash) % colors.length];
+}
+
+module.exports = noteCreationService;
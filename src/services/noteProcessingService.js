@@ -0,0 +1,972 @@
+const Note = require("../models/Note");
+const NotePage = require("../models/NotePage");
+const ProcessingJob = require("../models/ProcessingJob");
+const ChatConversation = require("../models/ChatConversation");
+const PageTextRevision = require("../models/PageTextRevision");
+const OcrReviewWord = require("../models/OcrReviewWord");
+const ocrService = require("./ocrService");
+const imagePreprocessor = require("./imagePreprocessor");
+const jobQueue = require("./jobQueue");
+const processingEvents = require("./processingEvents");
+const pageImageService = require("./pageImageService");
+const documentImportService = require("./documentImportService");
+const duplicateService = require("./duplicateService");
+const outlineService = require("./outlineService");
+const storageQuotaService = require("./storageQuotaService");
+const retrievalService = require("./retrievalService");
+const path = require("path");
+const fs = require("fs").promises;
+const { createWriteStream } = require("fs");
+const { pipeline } = require("stream/promises");
+const fileStorage = require("./storage");
+
+const PROCESS_NOTE_JOB = "process-note";
+const REPROCESS_NOTE_JOB = "reprocess-note";
+const uploadsDir = path.join(__dirname, "../../uploads");
+
+const noteProcessingService = {
+  /**
+   * Queue OCR processing for a freshly uploaded note
+   * @param {Object} note - Note document
+   * @param {Array<Object>} files - Uploaded files { path, mimetype, originalName, size } in order
+   * @param {Object} options - Processing options { preprocess }
+   * @returns {Promise<Object>} The queued job
+   */
+  async enqueueNoteProcessing(note, files = [], options = {}) {
+    return jobQueue.enqueue(PROCESS_NOTE_JOB, {
+      noteId: note._id,
+      userId: note.userId,
+      payload: {
+        files: files.map((file) => ({
+          path: file.path,
+          mimetype: file.mimetype,
+          originalName: file.originalName,
+          size: file.size,
+        })),
+        options,
+      },
+    });
+  },
+
+  /**
+   * Queue a re-run of OCR from the note's stored original with different settings
+   * @param {Object} note - Note document
+   * @param {Object} options - { forceOCR, language, spacingMode, engine, preprocess }
+   * @returns {Promise<Object>} The queued job
+   */
+  async enqueueNoteReprocessing(note, options = {}) {
+    return jobQueue.enqueue(REPROCESS_NOTE_JOB, {
+      noteId: note._id,
+      userId: note.userId,
+      payload: { options },
+    });
+  },
+
+  /**
+   * Check whether a note already has a queued or running job
+   * @param {string} noteId - Note ID
+   * @returns {Promise<boolean>}
+   */
+  async hasActiveJob(noteId) {
+    const activeJob = await ProcessingJob.exists({
+      noteId,
+      status: { $in: ["queued", "running"] },
+    });
+    return !!activeJob;
+  },
+
+  /**
+   * Process every uploaded file in order and combine the results into one searchable PDF
+   * @param {string} noteId - Note ID
+   * @param {Array<Object>} files - Files { path, mimetype, originalName, size } in page order
+   * @param {Function} reportProgress - Optional callback (stage, progress); stages are
+   *   also published to processingEvents for live progress streams
+   * @param {Object} options - OCR options { forceOCR, language, spacingMode, engine, preprocess }; with
+   *   `reprocess: true` the existing source file list is kept and a comparison is returned
+   * @returns {Promise<Object>} Summary { pages, confidence, skippedOCR, comparison? }
+   */
+  async processNoteFiles(noteId, files, reportProgress = async () => {}, options = {}) {
+    console.log(`🔄 Starting OCR processing for note ${noteId}, ${files.length} file(s)`);
+
+    const report = async (stage, progress, details = {}) => {
+      processingEvents.publish(noteId, stage, { progress: Math.round(progress), ...details });
+      await reportProgress(stage, progress);
+    };
+
+    // Get the note from database
+    const note = await Note.findById(noteId);
+    if (!note) {
+      const error = new Error("Note not found");
+      error.retryable = false;
+      throw error;
+    }
+
+    const pdfBuffers = [];
+    const fileResults = [];
+
+    // Count pages up front so OCR progress can be reported as "page N of M"
+    const filePageCounts = await Promise.all(files.map((file) => countInputPages(file)));
+    const totalInputPages = filePageCounts.reduce((sum, count) => sum + count, 0);
+    const ocrProgress = (page) => 5 + (75 * (page - 1)) / Math.max(1, totalInputPages);
+    let pageOffset = 0;
+
+    for (let index = 0; index < files.length; index++) {
+      const file = {
+        ...files[index],
+        mimetype: files[index].mimetype || note.originalFile.mimetype,
+      };
+      const firstPage = pageOffset + 1;
+
+      await report("ocr", ocrProgress(firstPage), { page: firstPage, totalPages: totalInputPages });
+      console.log(`📄 Processing file ${index + 1}/${files.length}: ${file.originalName || file.path}`);
+
+      const fileResult = await processSingleFile(file, {
+        ...options,
+        // Engines that work page by page report each page as they reach it
+        onPage: (page) => {
+          const pageNumber = pageOffset + page;
+          if (pageNumber === firstPage) return;
+          processingEvents.publish(noteId, "ocr", {
+            progress: Math.round(ocrProgress(pageNumber)),
+            page: pageNumber,
+            totalPages: totalInputPages,
+          });
+        },
+      });
+      pdfBuffers.push(fileResult.pdfData);
+      fileResults.push(fileResult);
+      pageOffset += filePageCounts[index];
+    }
+
+    // Merge the per-file PDFs into the note's searchable PDF
+    await report("building-pdf", 85);
+
+    let searchablePDF;
+    if (pdfBuffers.length === 1) {
+      const pages = await ocrService.getPDFPageCount(pdfBuffers[0]);
+      searchablePDF = { data: pdfBuffers[0], pages, pageCounts: [pages] };
+    } else {
+      searchablePDF = await ocrService.mergePDFs(pdfBuffers);
+    }
+
+    console.log(`📎 Combined searchable PDF: ${searchablePDF.pages} pages, ${searchablePDF.data.length} bytes`);
+
+    // First-page thumbnail; photos are used directly, PDFs are rendered
+    const firstFile = { ...files[0], mimetype: files[0].mimetype || note.originalFile.mimetype };
+    const thumbnail = await pageImageService.generateThumbnail(
+      firstFile.mimetype.startsWith("image/") ? firstFile : { pdfData: searchablePDF.data }
+    );
+
+    // Line up extracted text and layout with the pages of the combined PDF
+    const extractedPages = [];
+    const notePages = [];
+    const sourceFiles = [];
+    const textLayerPages = [];
+    let weightedConfidence = 0;
+    let pageStart = 1;
+
+    fileResults.forEach((fileResult, sourceIndex) => {
+      const pageCount = searchablePDF.pageCounts[sourceIndex] || 1;
+      const pageTexts = fileResult.pageTexts;
+
+      for (let i = 0; i < pageCount; i++) {
+        const pageText = pageTexts[i] || { text: "", confidence: fileResult.confidence };
+        extractedPages.push({
+          pageNumber: pageStart + i,
+          text: pageText.text || "",
+          confidence: Math.round(pageText.confidence || 0),
+          sourceIndex,
+        });
+        notePages.push({
+          pageNumber: pageStart + i,
+          text: pageText.text || "",
+          confidence: Math.round(pageText.confidence || 0),
+          sourceIndex,
+          ocrEngine: fileResult.ocrEngine,
+          ...toPageLayout(fileResult.layoutPages[i]),
+        });
+      }
+
+      sourceFiles.push({
+        originalName: files[sourceIndex].originalName || note.originalFile.originalName,
+        mimetype: files[sourceIndex].mimetype || note.originalFile.mimetype,
+        size: files[sourceIndex].size,
+        pageStart,
+        pageCount,
+        preprocessing: fileResult.preprocessing,
+      });
+
+      if (fileResult.textLayer) {
+        fileResult.textLayer.pages
+          .filter((page) => page.page <= pageCount)
+          .forEach((page) => textLayerPages.push({ ...page, page: pageStart + page.page - 1 }));
+      }
+
+      weightedConfidence += (fileResult.confidence || 0) * pageCount;
+      pageStart += pageCount;
+    });
+
+    // Reprocessing runs on the combined original; keep the per-upload page ranges
+    if (options.reprocess) {
+      const previousSources = (note.sourceFiles || []).map((source) => source.toObject());
+      const previousTotal = previousSources.reduce((sum, source) => sum + (source.pageCount || 0), 0);
+
+      if (previousSources.length > 1 && previousTotal === extractedPages.length) {
+        const assignSource = (page) => {
+          const index = previousSources.findIndex(
+            (source) => page.pageNumber >= source.pageStart &&
+              page.pageNumber < source.pageStart + source.pageCount
+          );
+          page.sourceIndex = index === -1 ? 0 : index;
+        };
+        extractedPages.forEach(assignSource);
+        notePages.forEach(assignSource);
+        sourceFiles.splice(0, sourceFiles.length, ...previousSources);
+      }
+    }
+
+    const totalPages = searchablePDF.pages || extractedPages.length || 1;
+    const confidence = Math.round(weightedConfidence / Math.max(1, extractedPages.length));
+    const allSkipped = fileResults.every((fileResult) => fileResult.skippedOCR);
+    const allSearchable = fileResults.every((fileResult) => fileResult.originallySearchable);
+
+    // Prepare update data with validation
+    const updateData = {
+      extractedText: joinPageTexts(extractedPages),
+      extractedPages,
+      sourceFiles,
+      confidence,
+      status: "completed",
+      accuracy: confidence,
+      pages: totalPages,
+      skippedOCR: allSkipped,
+      originallySearchable: allSearchable,
+      processedAt: new Date(),
+      error: null,
+      failedAt: null,
+    };
+
+    // Validate extracted text
+    if (extractedPages.every((page) => !page.text.trim())) {
+      console.warn("No text was extracted from the document");
+      updateData.status = "completed_no_text";
+    } else if (updateData.extractedText.length < 50) {
+      console.warn("Very little text was extracted from the document");
+    }
+
+    // Flag earlier notes with nearly the same text, e.g. the same document scanned again
+    const { textSignature, nearDuplicates } = await duplicateService.checkNearDuplicates(
+      note,
+      updateData.extractedText
+    );
+    updateData.nearDuplicates = nearDuplicates;
+    if (textSignature) {
+      updateData.textSignature = textSignature;
+    } else {
+      updateData.$unset = { textSignature: 1 };
+    }
+    if (nearDuplicates.length > 0) {
+      console.log(`👯 Note ${noteId} looks like ${nearDuplicates.map((match) => `"${match.title}" (${Math.round(match.similarity * 100)}%)`).join(", ")}`);
+    }
+
+    // Section headings become the note's outline and the searchable PDF's bookmarks
+    updateData.outline = outlineService.detectOutline(notePages);
+    updateData.outlineUpdatedAt = new Date();
+    const bookmarkedPDF = await outlineService
+      .addBookmarks(searchablePDF.data, updateData.outline)
+      .catch((error) => {
+        console.warn(`Failed to add bookmarks: ${error.message}`);
+        return searchablePDF.data;
+      });
+    if (updateData.outline.length > 0) {
+      console.log(`📑 Detected ${updateData.outline.length} sections in note ${noteId}`);
+    }
+
+    await report("storing", 95);
+    console.log(`💾 Storing OCR PDF data: ${bookmarkedPDF.length} bytes, ${totalPages} pages`);
+
+    updateData.ocrTextPDF = await note.storeFile("ocrTextPDF", bookmarkedPDF, {
+      mimetype: "application/pdf",
+      pages: totalPages,
+      createdAt: new Date(),
+      // Only a single already-searchable upload is served unchanged (bookmarks are
+      // not added to one that has its own)
+      isOriginal: fileResults.length === 1 && fileResults[0].isOriginal && bookmarkedPDF === searchablePDF.data,
+      alignment: textLayerPages.length > 0 ? ocrService.summarizeTextLayer(textLayerPages) : undefined,
+    });
+    if (updateData.ocrTextPDF.alignment && updateData.ocrTextPDF.alignment.misalignedPages.length > 0) {
+      console.warn(`⚠️ Text layer of note ${noteId} is off on page(s) ${updateData.ocrTextPDF.alignment.misalignedPages.join(", ")}`);
+    }
+
+    if (thumbnail) {
+      try {
+        Object.assign(updateData, await pageImageService.storeThumbnail(note, thumbnail));
+      } catch (thumbnailError) {
+        console.warn(`Failed to store thumbnail of note ${noteId}: ${thumbnailError.message}`);
+      }
+    }
+
+    // Update note with processed data
+    try {
+      await NotePage.replaceForNote(noteId, note.userId, notePages);
+      await OcrReviewWord.replaceForNote(noteId, note.userId, notePages);
+      await Note.findByIdAndUpdate(noteId, updateData);
+      console.log(`✅ Note ${noteId} updated successfully`);
+    } catch (updateError) {
+      console.error(`Failed to update note ${noteId}:`, updateError);
+      await fileStorage.delete(updateData.ocrTextPDF).catch(() => {});
+      await fileStorage.delete(updateData.thumbnailFile).catch(() => {});
+      throw new Error(`Database update failed: ${updateError.message}`);
+    }
+
+    // Reprocessed text replaces manual corrections and whatever chat conversations cached
+    if (options.reprocess) {
+      await PageTextRevision.deleteMany({ noteId });
+      await ChatConversation.invalidateNoteContext(noteId);
+    }
+    // Chat chunks are cut from the new text, including chunks of a note chatted about
+    // before its text was ready
+    await retrievalService.invalidateNote(noteId);
+
+    // The previous searchable PDF (if any) has been replaced
+    if (note.ocrTextPDF && note.ocrTextPDF.storageId) {
+      await fileStorage.delete(note.ocrTextPDF).catch((error) => {
+        console.warn(`Failed to delete previous searchable PDF: ${error.message}`);
+      });
+    }
+    if (updateData.thumbnailFile && note.thumbnailFile && note.thumbnailFile.storageId) {
+      await fileStorage.delete(note.thumbnailFile).catch((error) => {
+        console.warn(`Failed to delete previous thumbnail: ${error.message}`);
+      });
+    }
+
+    // The searchable PDF and thumbnail count against the owner's storage
+    await storageQuotaService.refreshNoteUsage(noteId).catch((error) => {
+      console.warn(`Failed to update storage usage of note ${noteId}: ${error.message}`);
+    });
+
+    const processingType = allSkipped ? "already searchable" : "OCR processed";
+    console.log(`🎉 Processing completed for note ${noteId}: ${processingType}`);
+
+    processingEvents.publish(noteId, "stored", {
+      progress: 100,
+      status: updateData.status,
+      pages: totalPages,
+      confidence,
+      nearDuplicates,
+    });
+
+    const summary = { pages: totalPages, confidence, skippedOCR: allSkipped, nearDuplicates: nearDuplicates.length };
+    if (options.reprocess) {
+      summary.comparison = compareResults(note, summary, extractedPages);
+    }
+    return summary;
+  },
+
+  /**
+   * OCR a single uploaded file the way note processing does (preprocessing included)
+   * @param {Object} file - { path, mimetype, originalName, size }
+   * @param {Object} options - OCR options { forceOCR, language, spacingMode, engine, preprocess }
+   * @returns {Promise<Object>} { pdfData, confidence, ocrEngine, preprocessing, textLayer, pages: [{ text, confidence, ocrEngine, ...layout }] }
+   */
+  async recognizeUpload(file, options = {}) {
+    const fileResult = await processSingleFile(file, options);
+    const pageCount = Math.max(
+      (await ocrService.getPDFPageCount(fileResult.pdfData)) || 1,
+      fileResult.pageTexts.length
+    );
+
+    const pages = [];
+    for (let i = 0; i < pageCount; i++) {
+      const pageText = fileResult.pageTexts[i] || { text: "", confidence: fileResult.confidence };
+      pages.push({
+        text: pageText.text || "",
+        confidence: Math.round(pageText.confidence || 0),
+        ocrEngine: fileResult.ocrEngine,
+        ...toPageLayout(fileResult.layoutPages[i]),
+      });
+    }
+
+    return {
+      pdfData: fileResult.pdfData,
+      confidence: fileResult.confidence,
+      ocrEngine: fileResult.ocrEngine,
+      preprocessing: fileResult.preprocessing,
+      textLayer: fileResult.textLayer,
+      pages,
+    };
+  },
+
+  /**
+   * Join per-page text into a note's flat extractedText
+   * @param {Array<Object>} extractedPages - Pages { pageNumber, text } in order
+   * @returns {string} Combined text
+   */
+  joinPageTexts(extractedPages) {
+    return joinPageTexts(extractedPages);
+  },
+
+  /**
+   * Remove uploaded files once they are no longer needed
+   * @param {Array<Object>} files - Files { path }
+   */
+  async cleanupFiles(files) {
+    await cleanupFiles(files);
+  },
+
+  /**
+   * Build the processing status of a note from its latest job
+   * @param {Object} note - Note document (status, error, pages, ocrTextPDF.alignment)
+   * @returns {Promise<Object>} Processing status
+   */
+  async getProcessingStatus(note) {
+    const job = await ProcessingJob.findLatestForNote(note._id);
+
+    const status = {
+      noteId: note._id,
+      noteStatus: note.status,
+      pages: note.pages,
+      textLayer: note.getTextLayerSummary(),
+    };
+
+    if (!job) {
+      // Notes processed before the job queue existed have no job history
+      const finished = note.status !== "processing" && note.status !== "uploading";
+      return {
+        ...status,
+        stage: finished ? (note.status === "failed" ? "failed" : "completed") : "queued",
+        progress: finished ? 100 : 0,
+        attempts: 0,
+        maxAttempts: 0,
+        lastError: note.error || null,
+        job: null,
+      };
+    }
+
+    const jobInfo = job.getStatusInfo();
+    return {
+      ...status,
+      stage: jobInfo.stage,
+      progress: jobInfo.progress,
+      attempts: jobInfo.attempts,
+      maxAttempts: jobInfo.maxAttempts,
+      lastError: jobInfo.lastError,
+      job: jobInfo,
+    };
+  },
+
+  /**
+   * Current processing state in the shape of a processingEvents message, for
+   * subscribers that connect when nothing is published in this process
+   * @param {Object} note - Note document (status, error, pages, confidence)
+   * @returns {Promise<Object>} Event state
+   */
+  async getCurrentEventState(note) {
+    const published = processingEvents.getState(note._id);
+    if (published) return published;
+
+    const job = await ProcessingJob.findLatestForNote(note._id);
+    const base = { noteId: String(note._id), timestamp: new Date().toISOString() };
+    const active = job && (job.status === "queued" || job.status === "running");
+
+    if (active) {
+      return {
+        ...base,
+        stage: job.stage,
+        progress: job.progress,
+        message: job.stage === "retrying"
+          ? `Processing failed, retrying (attempt ${job.attempts + 1} of ${job.maxAttempts})`
+          : `Processing: ${job.stage}`,
+        terminal: false,
+      };
+    }
+
+    if (job && job.status === "dead") {
+      return {
+        ...base,
+        stage: "failed",
+        progress: 100,
+        error: job.lastError,
+        message: "Processing failed",
+        previousResultKept: note.status !== "failed",
+        terminal: true,
+      };
+    }
+
+    if (note.status === "processing" || note.status === "uploading") {
+      return { ...base, stage: "queued", progress: 0, message: "Waiting for processing", terminal: false };
+    }
+
+    if (note.status === "failed") {
+      return { ...base, stage: "failed", progress: 100, error: note.error, message: "Processing failed", terminal: true };
+    }
+
+    return {
+      ...base,
+      stage: "stored",
+      progress: 100,
+      status: note.status,
+      pages: note.pages,
+      confidence: note.confidence,
+      message: "Processing complete",
+      terminal: true,
+    };
+  },
+
+  /**
+   * Queue processing for notes left in "processing" without a live job
+   * (e.g. uploaded before the job queue existed or whose job record was lost)
+   * @returns {Promise<number>} Number of notes queued
+   */
+  async resumeInterruptedNotes() {
+    const notes = await Note.find({ status: "processing" }).select("_id userId");
+    let resumed = 0;
+
+    for (const note of notes) {
+      if (await noteProcessingService.hasActiveJob(note._id)) continue;
+
+      // No payload files: the handler falls back to the stored original
+      try {
+        await noteProcessingService.enqueueNoteProcessing(note, []);
+      } catch (error) {
+        // Queued by someone else since the check
+        if (error.statusCode === 409) continue;
+        throw error;
+      }
+      resumed++;
+    }
+
+    if (resumed > 0) {
+      console.log(`♻️ Re-queued processing for ${resumed} interrupted note(s)`);
+    }
+    return resumed;
+  },
+};
+
+// Job handler: runs the processing pipeline with retries managed by the queue
+jobQueue.registerHandler(PROCESS_NOTE_JOB, {
+  async run(job, { reportProgress }) {
+    processingEvents.publish(job.noteId, "text-check", { progress: 2 });
+    await reportProgress("text-check", 2);
+    const { files, temporary } = await resolveInputFiles(job);
+
+    try {
+      const result = await noteProcessingService.processNoteFiles(
+        job.noteId,
+        files,
+        reportProgress,
+        (job.payload && job.payload.options) || {}
+      );
+      await cleanupFiles(files);
+      return result;
+    } catch (error) {
+      // Uploaded files are kept for the next attempt; temporary copies are not
+      if (temporary) await cleanupFiles(files);
+      publishRetry(job, error);
+      throw error;
+    }
+  },
+
+  async onDeadLetter(job, error) {
+    // Mark note as failed with detailed error information
+    try {
+      await Note.findByIdAndUpdate(job.noteId, {
+        status: "failed",
+        error: error.message,
+        failedAt: new Date(),
+      });
+      console.log(`📝 Marked note ${job.noteId} as failed`);
+    } catch (updateError) {
+      console.error(`Failed to update note status to failed: ${updateError.message}`);
+    }
+
+    processingEvents.publish(job.noteId, "failed", { progress: 100, error: error.message });
+
+    await cleanupFiles((job.payload && job.payload.files) || []);
+  },
+});
+
+// Job handler: re-runs OCR on the stored original; the note keeps its previous
+// result until the new one has been stored
+jobQueue.registerHandler(REPROCESS_NOTE_JOB, {
+  async run(job, { reportProgress }) {
+    processingEvents.publish(job.noteId, "text-check", { progress: 2 });
+    await reportProgress("text-check", 2);
+    const files = await restoreOriginalFile(job);
+    const options = (job.payload && job.payload.options) || {};
+
+    try {
+      return await noteProcessingService.processNoteFiles(job.noteId, files, reportProgress, {
+        ...options,
+        reprocess: true,
+      });
+    } catch (error) {
+      publishRetry(job, error);
+      throw error;
+    } finally {
+      await cleanupFiles(files);
+    }
+  },
+
+  async onDeadLetter(job, error) {
+    console.warn(`Reprocessing of note ${job.noteId} failed, previous result kept: ${error.message}`);
+    processingEvents.publish(job.noteId, "failed", {
+      progress: 100,
+      error: error.message,
+      previousResultKept: true,
+    });
+  },
+});
+
+// Tell live subscribers that a failed attempt will be retried by the queue
+function publishRetry(job, error) {
+  if (error.retryable === false || job.attempts >= job.maxAttempts) return;
+
+  processingEvents.publish(job.noteId, "retrying", {
+    error: error.message,
+    attempt: job.attempts,
+    maxAttempts: job.maxAttempts,
+  });
+}
+
+// Use the uploaded files if they still exist, otherwise restore the stored original
+async function resolveInputFiles(job) {
+  const files = (job.payload && job.payload.files) || [];
+
+  if (files.length > 0) {
+    const available = await Promise.all(
+      files.map((file) => fs.access(file.path).then(() => true, () => false))
+    );
+    if (available.every(Boolean)) {
+      return { files, temporary: false };
+    }
+    console.warn(`Uploaded files for job ${job._id} are gone, using the stored original`);
+  }
+
+  return { files: await restoreOriginalFile(job), temporary: true };
+}
+
+// Write the note's stored original to a temporary upload file
+async function restoreOriginalFile(job) {
+  const note = await Note.findById(job.noteId).select("originalFile");
+  const source = note && note.originalFile ? await note.openFileStream("originalFile") : null;
+  if (!source) {
+    const error = new Error("No input files or stored original available for processing");
+    error.retryable = false;
+    throw error;
+  }
+
+  const extension = path.extname(note.originalFile.originalName || "") ||
+    (note.originalFile.mimetype === "application/pdf" ? ".pdf" : "");
+  const tempPath = path.join(uploadsDir, `restored-${job.noteId}-${Date.now()}${extension}`);
+  await pipeline(source, createWriteStream(tempPath));
+
+  return [
+    {
+      path: tempPath,
+      mimetype: note.originalFile.mimetype,
+      originalName: note.originalFile.originalName,
+      size: note.originalFile.size,
+    },
+  ];
+}
+
+// Number of pages a file contributes (images and, until rendered, documents count as one)
+async function countInputPages(file) {
+  if (file.mimetype !== "application/pdf") return 1;
+
+  try {
+    const pdfBytes = await fs.readFile(file.path);
+    return (await ocrService.getPDFPageCount(pdfBytes)) || 1;
+  } catch (error) {
+    return 1;
+  }
+}
+
+// OCR one uploaded file and return its searchable PDF bytes with per-page text
+async function processSingleFile(file, options = {}) {
+  const filePath = file.path;
+
+  // Validate input file exists and is accessible
+  try {
+    const fileStats = await fs.stat(filePath);
+    console.log(`📁 Input file size: ${fileStats.size} bytes`);
+
+    if (fileStats.size === 0) {
+      throw new Error("Input file is empty");
+    }
+
+    if (fileStats.size > 50 * 1024 * 1024) { // 50MB limit
+      throw new Error("Input file is too large (>50MB)");
+    }
+  } catch (statError) {
+    const error = new Error(`Cannot access input file: ${statError.message}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  // Text documents carry their own text; they are rendered to PDF without OCR
+  if (documentImportService.isDocument(file.mimetype)) {
+    return importDocument(file);
+  }
+
+  // Clean up photographed pages; the processed image becomes the page image
+  let ocrInput = { path: filePath, mimetype: file.mimetype };
+  let preprocessing = null;
+
+  if (file.mimetype.startsWith("image/")) {
+    const preprocessOptions = options.preprocess || imagePreprocessor.resolveOptions();
+    if (preprocessOptions.enabled) {
+      try {
+        const processed = await imagePreprocessor.preprocess(filePath, preprocessOptions);
+        ocrInput = { path: processed.path, mimetype: processed.mimetype };
+        preprocessing = {
+          appliedSteps: processed.appliedSteps,
+          skewAngle: processed.skewAngle,
+        };
+      } catch (preprocessError) {
+        console.warn(`Image preprocessing failed, using the original image: ${preprocessError.message}`);
+      }
+    }
+  }
+
+  try {
+    return await recognizeFile(ocrInput, options, preprocessing);
+  } finally {
+    if (ocrInput.path !== filePath) {
+      await cleanupFiles([ocrInput]);
+    }
+  }
+}
+
+// Render a DOCX/PPTX/Markdown/text upload; its text is exact, so confidence is 100
+async function importDocument(file) {
+  const imported = await documentImportService.convertDocument(file.path, file.mimetype, {
+    title: file.originalName,
+  });
+
+  return {
+    pdfData: imported.pdfData,
+    pageTexts: imported.pages.map((page) => ({ text: page.text, confidence: 100 })),
+    layoutPages: [],
+    preprocessing: null,
+    ocrEngine: null,
+    confidence: 100,
+    skippedOCR: true,
+    originallySearchable: true,
+    // The searchable PDF is rendered, not the upload itself
+    isOriginal: false,
+    textLayer: null,
+  };
+}
+
+// Run OCR on a (possibly preprocessed) file and build its searchable PDF
+async function recognizeFile(file, options, preprocessing) {
+  const filePath = file.path;
+
+  // Extract text with automatic overlay PDF generation and enhanced error handling
+  console.log(`🔍 Starting OCR extraction for ${file.mimetype}`);
+
+  let result;
+  try {
+    result = await ocrService.extractTextWithOverlay(filePath, file.mimetype, true, {
+      engine: options.engine,
+      language: options.language,
+      forceOCR: options.forceOCR,
+      spacingMode: options.spacingMode,
+      onPage: options.onPage,
+    });
+  } catch (ocrError) {
+    console.error(`OCR processing failed: ${ocrError.message}`);
+    throw new Error(`OCR processing failed: ${ocrError.message}`);
+  }
+
+  if (!result) {
+    throw new Error("OCR service returned no results");
+  }
+
+  console.log(`📝 OCR completed: confidence=${result.confidence}%, pages=${result.pages}, skipped=${result.skippedOCR}`);
+
+  let pdfData;
+  let isOriginal = false;
+
+  if (result.skippedOCR && result.originallySearchable) {
+    // PDF already had searchable text - use original file as OCR PDF
+    console.log("📄 PDF already searchable, using original file");
+    pdfData = await readValidatedPDF(filePath, "Original PDF");
+    isOriginal = true;
+  } else if (result.overlayPDFPath) {
+    // OCR was performed and overlay PDF was generated
+    console.log(`📄 OCR overlay PDF generated: ${result.overlayPDFPath}`);
+    pdfData = await readValidatedPDF(result.overlayPDFPath, "Generated overlay PDF");
+
+    // Clean up the temporary overlay PDF file
+    try {
+      await fs.unlink(result.overlayPDFPath);
+      console.log(`🗑️ Cleaned up temporary file: ${result.overlayPDFPath}`);
+    } catch (cleanupError) {
+      console.warn(`Failed to cleanup temporary file: ${cleanupError.message}`);
+    }
+  } else {
+    // No overlay was produced - keep the page viewable without a text layer
+    console.warn("OCR was performed but no overlay PDF was created, using the plain page");
+    pdfData = await ocrService.convertFileToPDF(filePath, file.mimetype);
+  }
+
+  let pageTexts = result.pageTexts;
+  if (!pageTexts || pageTexts.length === 0) {
+    pageTexts = [{ text: result.text || "", confidence: result.confidence || 0 }];
+  }
+
+  // Word geometry is only available when an OCR engine actually ran
+  const layoutPages = !result.skippedOCR && Array.isArray(result.readResults)
+    ? result.readResults
+    : [];
+
+  return {
+    pdfData,
+    pageTexts,
+    layoutPages,
+    preprocessing,
+    ocrEngine: result.ocrEngine || null,
+    confidence: result.confidence || 0,
+    skippedOCR: result.skippedOCR || false,
+    originallySearchable: result.originallySearchable || false,
+    isOriginal,
+    // Alignment of the drawn text layer (see ocrService.validateTextLayer), null when none was drawn
+    textLayer: result.textLayer || null,
+  };
+}
+
+// Read a PDF from disk and make sure it is not empty or corrupted
+async function readValidatedPDF(filePath, label) {
+  try {
+    const pdfBuffer = await fs.readFile(filePath);
+
+    if (pdfBuffer.length < 100) {
+      throw new Error(`${label} is too small`);
+    }
+
+    const header = pdfBuffer.slice(0, 10).toString("ascii");
+    if (!header.startsWith("%PDF-")) {
+      throw new Error(`${label} is not a valid PDF`);
+    }
+
+    return pdfBuffer;
+  } catch (readError) {
+    console.error(`Error reading ${label}: ${readError.message}`);
+    throw new Error(`Failed to process ${label}: ${readError.message}`);
+  }
+}
+
+// Convert one page of OCR read results into the stored NotePage layout
+function toPageLayout(readResult) {
+  if (!readResult || !Array.isArray(readResult.lines)) {
+    return { lines: [], hasLayout: false };
+  }
+
+  const lines = readResult.lines.map((line) => {
+    const words = (line.words || []).map((word) => ({
+      text: word.text,
+      boundingBox: word.boundingBox || [],
+      confidence: typeof word.confidence === "number" ? word.confidence : null,
+    }));
+    const scored = words.filter((word) => word.confidence !== null);
+
+    return {
+      text: line.text,
+      boundingBox: line.boundingBox || [],
+      confidence: scored.length > 0
+        ? scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length
+        : null,
+      words,
+    };
+  });
+
+  return {
+    width: readResult.width,
+    height: readResult.height,
+    unit: readResult.unit || null,
+    angle: readResult.angle || 0,
+    lines,
+    hasLayout: true,
+  };
+}
+
+// Describe how a reprocessing result differs from the note's previous result
+function compareResults(previousNote, summary, extractedPages) {
+  const previousPages = previousNote.extractedPages || [];
+  const previousConfidence = previousNote.confidence || 0;
+  const previousPageCount = previousNote.pages || previousPages.length;
+  const pageCount = Math.max(previousPages.length, extractedPages.length);
+  const pages = [];
+
+  for (let i = 0; i < pageCount; i++) {
+    const previous = previousPages[i];
+    const current = extractedPages[i];
+    const previousText = previous ? (previous.text || "").trim() : null;
+    const currentText = current ? (current.text || "").trim() : null;
+
+    pages.push({
+      pageNumber: i + 1,
+      previousConfidence: previous ? previous.confidence || 0 : null,
+      confidence: current ? current.confidence || 0 : null,
+      confidenceChange: previous && current
+        ? (current.confidence || 0) - (previous.confidence || 0)
+        : null,
+      textChanged: previousText !== currentText,
+      previousLength: previousText === null ? null : previousText.length,
+      length: currentText === null ? null : currentText.length,
+    });
+  }
+
+  return {
+    previous: {
+      confidence: previousConfidence,
+      pages: previousPageCount,
+      skippedOCR: !!previousNote.skippedOCR,
+      status: previousNote.status,
+    },
+    current: {
+      confidence: summary.confidence,
+      pages: summary.pages,
+      skippedOCR: summary.skippedOCR,
+    },
+    confidenceChange: summary.confidence - previousConfidence,
+    pageCountChange: summary.pages - previousPageCount,
+    changedPages: pages.filter((page) => page.textChanged).length,
+    pageDetails: pages,
+  };
+}
+
+// Join per-page text into the flat extractedText, marking pages like processOCRResults does
+function joinPageTexts(extractedPages) {
+  if (extractedPages.length === 1) {
+    return extractedPages[0].text.trim();
+  }
+
+  return extractedPages
+    .map((page) => `--- Page ${page.pageNumber} ---\n${page.text.trim()}`)
+    .join("\n\n")
+    .trim();
+}
+
+// Remove uploaded files once they are no longer needed
+async function cleanupFiles(files) {
+  for (const file of files) {
+    if (!file.path) continue;
+    try {
+      await fs.unlink(file.path);
+      console.log(`🗑️ Cleaned up uploaded file: ${file.path}`);
+    } catch (cleanupError) {
+      if (cleanupError.code !== "ENOENT") {
+        console.warn(`Failed to cleanup file ${file.path}: ${cleanupError.message}`);
+      }
+    }
+  }
+}
+
+noteProcessingService.PROCESS_NOTE_JOB = PROCESS_NOTE_JOB;
+noteProcessingService.REPROCESS_NOTE_JOB = REPROCESS_NOTE_JOB;
+
+module.exports = noteProcessingService;
@@ -0,0 +1,104 @@
+"use strict";
+const fs = require("fs");
+const fsPromises = require("fs").promises;
+const { promisify } = require("util");
+const sleep = promisify(setTimeout);
+const {
+  ComputerVisionClient,
+} = require("@azure/cognitiveservices-computervision");
+const { ApiKeyCredentials } = require("@azure/ms-rest-js");
+
+const TIMEOUT_SECONDS = 30;
+
+// Azure Computer Vision credentials
+const key = process.env.VISION_KEY;
+const endpoint = process.env.VISION_ENDPOINT;
+
+// Initialize Computer Vision client
+let computerVisionClient = null;
+if (key && endpoint) {
+  computerVisionClient = new ComputerVisionClient(
+    new ApiKeyCredentials({ inHeader: { "Ocp-Apim-Subscription-Key": key } }),
+    endpoint
+  );
+}
+
+/**
+ * Azure Computer Vision Read API engine. Its read results already use the
+ * common page shape, so they are returned unchanged.
+ */
+const azureEngine = {
+  name: "azure",
+  displayName: "Azure Computer Vision",
+
+  isAvailable() {
+    return !!computerVisionClient;
+  },
+
+  /**
+   * Recognize text in an image or PDF
+   * @param {string} filePath - Path to the input file
+   * @param {string} mimetype - MIME type of the file
+   * @param {Object} options - { language }
+   * @returns {Promise<Array>} Pages in the common OCR result shape
+   */
+  async recognize(filePath, mimetype, options = {}) {
+    if (!computerVisionClient) {
+      throw new Error("Azure Computer Vision is not configured (VISION_KEY, VISION_ENDPOINT)");
+    }
+    return readTextFromFile(computerVisionClient, filePath, options);
+  },
+};
+
+/**
+ * Alternative method to read file as buffer
+ * @param {ComputerVisionClient} client - Azure client
+ * @param {string} filePath - Path to file
+ * @param {Object} options - { language }
+ * @returns {Promise<Array>} Read results
+ */
+async function readTextFromFile(client, filePath, options = {}) {
+  const readOptions = options.language ? { language: options.language } : undefined;
+
+  try {
+    let result;
+    try {
+      const stream = () => fs.createReadStream(filePath);
+      result = await client.readInStream(stream, readOptions);
+    } catch (streamError) {
+      console.log("Stream method failed, trying buffer method:", streamError.message);
+      const fileBuffer = await fsPromises.readFile(filePath);
+      result = await client.readInStream(fileBuffer, readOptions);
+    }
+    
+    const operationId = result.operationLocation.split("/").pop();
+
+    let readResult;
+    let attempts = 0;
+    const maxAttempts = TIMEOUT_SECONDS;
+
+    do {
+      await sleep(1000);
+      readResult = await client.getReadResult(operationId);
+      attempts++;
+     
+      if (attempts >= maxAttempts) {
+        throw new Error("Azure OCR operation timeout");
+      }
+    } while (
+      readResult.status === "notStarted" ||
+      readResult.status === "running"
+    );
+
+    if (readResult.status === "failed") {
+      throw new Error("Azure OCR operation failed");
+    }
+
+    return readResult.analyzeResult.readResults;
+  } catch (error) {
+    console.error("Error in readTextFromFile:", error.message);
+    throw error;
+  }
+}
+
+module.exports = azureEngine;
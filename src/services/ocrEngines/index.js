@@ -0,0 +1,82 @@
+"use strict";
+const azureEngine = require("./azureEngine");
+const tesseractEngine = require("./tesseractEngine");
+
+/**
+ * Common OCR result shape returned by every engine's recognize():
+ * an array of pages
+ *   { page, width, height, unit: "pixel" | "inch", angle, lines }
+ * where each line is
+ *   { text, boundingBox: [x1, y1, x2, y2, x3, y3, x4, y4], words }
+ * and each word is
+ *   { text, boundingBox: [8 numbers], confidence: 0..1 }
+ * Bounding boxes are clockwise from the top-left corner, in `unit`s with the
+ * origin at the top-left of the page (the Azure Read API layout).
+ */
+
+const engines = new Map();
+
+const ocrEngines = {
+  /**
+   * Add an engine to the registry
+   * @param {Object} engine - { name, displayName, isAvailable(), recognize(filePath, mimetype, options) }
+   *   where options may carry { language, onPage(pageNumber, totalPages) } for engines that work page by page
+   */
+  register(engine) {
+    if (!engine || !engine.name || typeof engine.recognize !== "function") {
+      throw new Error("OCR engine must have a name and a recognize() method");
+    }
+    engines.set(engine.name, engine);
+  },
+
+  /**
+   * Resolve the engine to use. OCR_ENGINE selects one by name; "auto" (default)
+   * prefers Azure when configured and falls back to the local engine.
+   * @param {string} requested - Engine name override
+   * @returns {Object|null} Engine, or null when none is available
+   */
+  getEngine(requested = process.env.OCR_ENGINE) {
+    const name = (requested || "auto").toLowerCase();
+
+    if (name !== "auto") {
+      const engine = engines.get(name);
+      if (!engine) {
+        throw createConfigurationError(`Unknown OCR engine "${name}". Available: ${ocrEngines.list().join(", ")}`);
+      }
+      return engine.isAvailable() ? engine : null;
+    }
+
+    for (const candidate of ["azure", "tesseract"]) {
+      const engine = engines.get(candidate);
+      if (engine && engine.isAvailable()) {
+        return engine;
+      }
+    }
+    return null;
+  },
+
+  list() {
+    return Array.from(engines.keys());
+  },
+
+  /**
+   * Error for an engine named by OCR_ENGINE or a request that can't be used; retrying
+   * the job won't change the configuration
+   * @param {string} name - Engine name
+   * @returns {Error}
+   */
+  unavailableError(name) {
+    return createConfigurationError(`OCR engine "${name}" is not available`);
+  },
+};
+
+function createConfigurationError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+ocrEngines.register(azureEngine);
+ocrEngines.register(tesseractEngine);
+
+module.exports = ocrEngines;
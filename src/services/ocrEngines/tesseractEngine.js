@@ -0,0 +1,201 @@
+"use strict";
+const fs = require("fs");
+const fsPromises = fs.promises;
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+const pdfRasterizer = require("../pdfRasterizer");
+
+// tesseract.js is optional: without it this engine reports itself unavailable
+let Tesseract = null;
+try {
+  Tesseract = require("tesseract.js");
+} catch (error) {
+  Tesseract = null;
+}
+
+// Language data comes from the @tesseract.js-data/<lang> packages (English ships with
+// the app), so nothing is downloaded. Set TESSERACT_LANG_PATH to a directory holding
+// uncompressed *.traineddata files to use other data.
+const TESSERACT_CONFIG = {
+  DEFAULT_LANGUAGE: process.env.TESSERACT_LANG || "eng",
+  LANG_PATH: process.env.TESSERACT_LANG_PATH,
+  CACHE_PATH: process.env.TESSERACT_CACHE_PATH || path.join(os.tmpdir(), "tesseract-cache"),
+  PDF_DENSITY: 300,
+  // Folder of the LSTM models (the engine runs in LSTM-only mode) in the data packages
+  PACKAGE_DATA_DIR: "4.0.0_best_int",
+};
+
+// ISO 639-1 hints (as used by Azure) mapped to Tesseract language codes
+const LANGUAGE_CODES = {
+  en: "eng",
+  hi: "hin",
+  gu: "guj",
+  mr: "mar",
+  fr: "fra",
+  de: "deu",
+  es: "spa",
+  it: "ita",
+  pt: "por",
+  nl: "nld",
+};
+
+/**
+ * Local Tesseract engine (tesseract.js, WebAssembly). Needs no network once
+ * language data is available locally.
+ */
+const tesseractEngine = {
+  name: "tesseract",
+  displayName: "Tesseract",
+
+  isAvailable() {
+    if (!Tesseract) return false;
+    try {
+      resolveLanguageData(TESSERACT_CONFIG.DEFAULT_LANGUAGE);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Recognize text in an image or PDF (PDF pages are rasterized first)
+   * @param {string} filePath - Path to the input file
+   * @param {string} mimetype - MIME type of the file
+   * @param {Object} options - { language, onPage(pageNumber, totalPages) }
+   * @returns {Promise<Array>} Pages in the common OCR result shape
+   */
+  async recognize(filePath, mimetype, options = {}) {
+    if (!Tesseract) {
+      throw new Error("tesseract.js is not installed");
+    }
+
+    const language = toTesseractLanguage(options.language);
+    const { langPath, gzip } = resolveLanguageData(language);
+    const worker = await Tesseract.createWorker(language, 1, {
+      langPath,
+      gzip,
+      cachePath: TESSERACT_CONFIG.CACHE_PATH,
+    });
+
+    try {
+      if (mimetype === "application/pdf") {
+        return await recognizePDF(worker, filePath, options.onPage);
+      }
+
+      const imageBuffer = await fsPromises.readFile(filePath);
+      if (options.onPage) options.onPage(1, 1);
+      return [await recognizeImage(worker, imageBuffer, 1)];
+    } finally {
+      await worker.terminate();
+    }
+  },
+};
+
+async function recognizePDF(worker, filePath, onPage) {
+  const pdfBytes = await fsPromises.readFile(filePath);
+  const tempDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "ocr-pages-"));
+
+  try {
+    const renderedPages = await pdfRasterizer.renderPagesToFiles(pdfBytes, {
+      savePath: tempDir,
+      density: TESSERACT_CONFIG.PDF_DENSITY,
+    });
+
+    const pages = [];
+    for (const rendered of renderedPages) {
+      const imageBuffer = await fsPromises.readFile(rendered.path);
+      if (onPage) onPage(rendered.page, renderedPages.length);
+      pages.push(await recognizeImage(worker, imageBuffer, rendered.page));
+    }
+    return pages;
+  } finally {
+    await fsPromises.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+async function recognizeImage(worker, imageBuffer, pageNumber) {
+  const metadata = await sharp(imageBuffer).metadata();
+  const { data } = await worker.recognize(imageBuffer);
+
+  return {
+    page: pageNumber,
+    width: metadata.width || 0,
+    height: metadata.height || 0,
+    unit: "pixel",
+    angle: 0,
+    lines: (data.lines || [])
+      .filter((line) => line.text && line.text.trim())
+      .map((line) => ({
+        text: line.text.trim(),
+        boundingBox: toBoundingBox(line.bbox),
+        words: (line.words || [])
+          .filter((word) => word.text && word.text.trim())
+          .map((word) => ({
+            text: word.text.trim(),
+            boundingBox: toBoundingBox(word.bbox),
+            confidence: (word.confidence || 0) / 100, // Tesseract reports 0-100
+          })),
+      })),
+  };
+}
+
+// Convert a Tesseract { x0, y0, x1, y1 } box into the 8-point polygon Azure uses
+function toBoundingBox(bbox) {
+  if (!bbox) return [];
+  return [bbox.x0, bbox.y0, bbox.x1, bbox.y0, bbox.x1, bbox.y1, bbox.x0, bbox.y1];
+}
+
+/**
+ * Local directory with the data of a language ("eng", or combined like "eng+hin");
+ * throws instead of letting tesseract.js fall back to downloading it
+ * @param {string} language - Tesseract language code
+ * @returns {Object} { langPath, gzip }
+ */
+function resolveLanguageData(language) {
+  const codes = language.split("+");
+
+  if (TESSERACT_CONFIG.LANG_PATH) {
+    const missing = codes.filter(
+      (code) => !fs.existsSync(path.join(TESSERACT_CONFIG.LANG_PATH, `${code}.traineddata`))
+    );
+    if (missing.length > 0) {
+      throw new Error(
+        `Tesseract language data missing in ${TESSERACT_CONFIG.LANG_PATH}: ${missing.map((code) => `${code}.traineddata`).join(", ")}`
+      );
+    }
+    return { langPath: TESSERACT_CONFIG.LANG_PATH, gzip: false };
+  }
+
+  const directories = new Set();
+  for (const code of codes) {
+    let packageDir;
+    try {
+      packageDir = path.dirname(require.resolve(`@tesseract.js-data/${code}/package.json`));
+    } catch (error) {
+      throw new Error(
+        `Tesseract language data for "${code}" is not installed. Install @tesseract.js-data/${code} or set TESSERACT_LANG_PATH.`
+      );
+    }
+    const directory = path.join(packageDir, TESSERACT_CONFIG.PACKAGE_DATA_DIR);
+    if (!fs.existsSync(path.join(directory, `${code}.traineddata.gz`))) {
+      throw new Error(`Tesseract language data for "${code}" is incomplete: ${directory} has no ${code}.traineddata.gz`);
+    }
+    directories.add(directory);
+  }
+
+  // Each package holds one language; tesseract.js reads all of them from one directory
+  if (directories.size > 1) {
+    throw new Error(
+      `Combined languages (${language}) need TESSERACT_LANG_PATH pointing to one directory with all their data`
+    );
+  }
+  return { langPath: [...directories][0], gzip: true };
+}
+
+function toTesseractLanguage(language) {
+  if (!language) return TESSERACT_CONFIG.DEFAULT_LANGUAGE;
+  return LANGUAGE_CODES[language] || language;
+}
+
+module.exports = tesseractEngine;
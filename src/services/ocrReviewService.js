@@ -0,0 +1,271 @@
+const Note = require("../models/Note");
+const NotePage = require("../models/NotePage");
+const OcrReviewWord = require("../models/OcrReviewWord");
+const pageTextService = require("./pageTextService");
+
+const REVIEW_CONFIG = {
+  // Extra room around a word crop, as a fraction of the word's height
+  CROP_PADDING: 0.5,
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100,
+};
+
+const ocrReviewService = {
+  /**
+   * List a note's doubtful words, lowest confidence first, with crop coordinates
+   * @param {Object} note - Note document
+   * @param {Object} options - { status: "pending" | "accepted" | "corrected" | "all", page, limit }
+   * @returns {Promise<Object>} { words, counts, pagination, threshold }
+   */
+  async listReviewWords(note, options = {}) {
+    const status = options.status || "pending";
+    const limit = Math.min(parseInt(options.limit) || REVIEW_CONFIG.DEFAULT_LIMIT, REVIEW_CONFIG.MAX_LIMIT);
+    const page = Math.max(parseInt(options.page) || 1, 1);
+
+    const filter = { noteId: note._id };
+    if (status !== "all") filter.status = status;
+
+    const [words, total, statusCounts] = await Promise.all([
+      OcrReviewWord.find(filter)
+        .sort({ confidence: 1, pageNumber: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      OcrReviewWord.countDocuments(filter),
+      OcrReviewWord.aggregate([
+        { $match: { noteId: note._id } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    // Crops follow page rotations made by page edits
+    const pageNumbers = [...new Set(words.map((word) => word.pageNumber))];
+    const pages = await NotePage.find({ noteId: note._id, pageNumber: { $in: pageNumbers } })
+      .select("pageNumber rotation");
+    const rotations = new Map(pages.map((notePage) => [notePage.pageNumber, notePage.rotation || 0]));
+
+    const counts = { pending: 0, accepted: 0, corrected: 0 };
+    statusCounts.forEach((entry) => {
+      counts[entry._id] = entry.count;
+    });
+
+    return {
+      words: words.map((word) => formatReviewWord(note, word, rotations.get(word.pageNumber) || 0)),
+      counts,
+      threshold: OcrReviewWord.REVIEW_THRESHOLD,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalWords: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    };
+  },
+
+  /**
+   * Accept or correct review words in bulk; corrections are written into the page
+   * text (one new text revision per page). Pages that fail are reported in skipped
+   * while the rest are kept.
+   * @param {Object} note - Note document
+   * @param {Array<Object>} decisions - [{ id, action: "accept" } | { id, action: "correct", text }]
+   * @param {Object} user - Author (User document)
+   * @returns {Promise<Object>} { accepted, corrected, skipped: [{ id, reason }], pages }
+   */
+  async resolveReviewWords(note, decisions, user) {
+    const ids = decisions.map((decision) => decision.id);
+    const items = await OcrReviewWord.find({ _id: { $in: ids }, noteId: note._id });
+    const itemsById = new Map(items.map((item) => [String(item._id), item]));
+
+    const skipped = [];
+    const accepted = [];
+    const correctionsByPage = new Map();
+
+    for (const decision of decisions) {
+      const item = itemsById.get(String(decision.id));
+      if (!item) {
+        skipped.push({ id: decision.id, reason: "Word not found in this note's review queue" });
+      } else if (item.status !== "pending") {
+        skipped.push({ id: decision.id, reason: `Word was already ${item.status}` });
+      } else if (decision.action === "accept" || decision.text === item.text) {
+        accepted.push(item._id);
+      } else {
+        if (!correctionsByPage.has(item.pageNumber)) correctionsByPage.set(item.pageNumber, []);
+        correctionsByPage.get(item.pageNumber).push({ item, text: decision.text.trim() });
+      }
+    }
+
+    if (accepted.length > 0) {
+      await OcrReviewWord.updateMany(
+        { _id: { $in: accepted } },
+        { $set: { status: "accepted", reviewedAt: new Date() } }
+      );
+    }
+
+    let corrected = 0;
+    const pages = [];
+    let currentNote = note;
+
+    for (const [pageNumber, corrections] of correctionsByPage) {
+      const notePage = await NotePage.findPage(note._id, pageNumber);
+      if (!notePage) {
+        corrections.forEach(({ item }) => skipped.push({ id: item._id, reason: "Page text is not available" }));
+        continue;
+      }
+
+      const { text, applied, missing } = applyCorrections(notePage, corrections);
+      missing.forEach(({ item, reason }) => skipped.push({ id: item._id, reason }));
+      if (applied.length === 0) continue;
+
+      // Each page update replaces the searchable PDF, so work from the latest note.
+      // A page that can't be saved (e.g. edited meanwhile) doesn't undo the others.
+      let result;
+      try {
+        result = await pageTextService.updatePageText(currentNote, pageNumber, text, user, {
+          comment: `OCR review: corrected ${applied.length} word${applied.length === 1 ? "" : "s"}`,
+        });
+      } catch (error) {
+        if (!error.statusCode) {
+          console.error(`OCR review correction of page ${pageNumber} failed:`, error);
+        }
+        const reason = error.statusCode ? error.message : `Page ${pageNumber} could not be saved`;
+        applied.forEach(({ item }) => skipped.push({ id: item._id, reason }));
+        continue;
+      } finally {
+        currentNote = await Note.findById(note._id);
+      }
+
+      // updatePageText marks words whose box changed; words it could not place are recorded here
+      await OcrReviewWord.updateMany(
+        { _id: { $in: applied.map(({ item }) => item._id) }, status: "pending" },
+        { $set: { status: "corrected", reviewedAt: new Date() } }
+      );
+      await Promise.all(
+        applied.map(({ item, text: correction }) =>
+          OcrReviewWord.updateOne({ _id: item._id }, { $set: { correction } })
+        )
+      );
+
+      corrected += applied.length;
+      pages.push({ pageNumber, revision: result.revision, textLayerUpdated: result.textLayerUpdated });
+    }
+
+    return { accepted: accepted.length, corrected, skipped, pages };
+  },
+};
+
+// Replace each corrected word in the page text. The n-th word with the same text in
+// the page layout is taken to be the n-th whole-word match in the text, which only
+// holds while the text has as many matches as the layout; otherwise the word is
+// reported back unresolved rather than guessed.
+function applyCorrections(notePage, corrections) {
+  const layoutWords = notePage.lines.flatMap((line) => line.words || []);
+  const replacements = [];
+  const applied = [];
+  const missing = [];
+
+  for (const correction of corrections) {
+    const { item } = correction;
+    const boxKey = item.boundingBox.join(",");
+    const layoutIndex = layoutWords.findIndex((word) => word.boundingBox.join(",") === boxKey);
+    if (layoutIndex === -1 || layoutWords[layoutIndex].text !== item.text) {
+      missing.push({ ...correction, reason: "Word is no longer in the page text" });
+      continue;
+    }
+
+    const sameWords = layoutWords.filter((word) => word.text === item.text);
+    const occurrence = layoutWords
+      .slice(0, layoutIndex)
+      .filter((word) => word.text === item.text).length;
+    const matches = findWordOccurrences(notePage.text, item.text);
+    if (matches.length === 0) {
+      missing.push({ ...correction, reason: "Word is no longer in the page text" });
+      continue;
+    }
+    if (matches.length !== sameWords.length) {
+      missing.push({
+        ...correction,
+        reason: "The page text no longer matches its layout here; correct this word in the page text",
+      });
+      continue;
+    }
+
+    const match = matches[occurrence];
+
+    replacements.push({ start: match, end: match + item.text.length, text: correction.text });
+    applied.push(correction);
+  }
+
+  // Replace back to front so earlier offsets stay valid
+  let text = notePage.text;
+  replacements
+    .sort((a, b) => b.start - a.start)
+    .forEach((replacement) => {
+      text = text.slice(0, replacement.start) + replacement.text + text.slice(replacement.end);
+    });
+
+  return { text, applied, missing };
+}
+
+// Start offsets of whitespace-delimited occurrences of a word
+function findWordOccurrences(text, word) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const pattern = new RegExp(`(^|\\s)${escaped}(?=\\s|$)`, "g");
+  const offsets = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    offsets.push(match.index + match[1].length);
+  }
+  return offsets;
+}
+
+// Crop rectangle as fractions of the page image, turned with the page's view rotation
+function formatReviewWord(note, word, rotation) {
+  const box = word.boundingBox || [];
+  const xs = [box[0], box[2], box[4], box[6]];
+  const ys = [box[1], box[3], box[5], box[7]];
+  const pageWidth = word.pageWidth || 1;
+  const pageHeight = word.pageHeight || 1;
+  const padding = (Math.max(...ys) - Math.min(...ys)) * REVIEW_CONFIG.CROP_PADDING;
+
+  const left = Math.max(0, Math.min(...xs) - padding) / pageWidth;
+  const top = Math.max(0, Math.min(...ys) - padding) / pageHeight;
+  const right = Math.min(pageWidth, Math.max(...xs) + padding) / pageWidth;
+  const bottom = Math.min(pageHeight, Math.max(...ys) + padding) / pageHeight;
+  let crop = { x: left, y: top, width: right - left, height: bottom - top };
+
+  if (rotation === 90) {
+    crop = { x: 1 - crop.y - crop.height, y: crop.x, width: crop.height, height: crop.width };
+  } else if (rotation === 180) {
+    crop = { x: 1 - crop.x - crop.width, y: 1 - crop.y - crop.height, width: crop.width, height: crop.height };
+  } else if (rotation === 270) {
+    crop = { x: crop.y, y: 1 - crop.x - crop.width, width: crop.height, height: crop.width };
+  }
+
+  const round = (value) => Math.round(value * 10000) / 10000;
+
+  return {
+    id: word._id,
+    pageNumber: word.pageNumber,
+    text: word.text,
+    confidence: word.confidence,
+    context: word.lineText,
+    status: word.status,
+    correction: word.correction || null,
+    boundingBox: word.boundingBox,
+    unit: word.unit,
+    // Multiply by the rendered page image's width/height to get pixels
+    crop: {
+      x: round(crop.x),
+      y: round(crop.y),
+      width: round(crop.width),
+      height: round(crop.height),
+      unit: "fraction",
+      rotation,
+    },
+    pageImageUrl: `/api/files/pdf/${note._id}/page/${word.pageNumber}/image`,
+  };
+}
+
+ocrReviewService.REVIEW_CONFIG = REVIEW_CONFIG;
+
+module.exports = ocrReviewService;
@@ -4,19 +4,36 @@ const fsPromises = require("fs").promises;
 const path = require("path");
 const { promisify } = require("util");
 const sleep = promisify(setTimeout);
-const {
-  ComputerVisionClient,
-} = require("@azure/cognitiveservices-computervision");
-const { ApiKeyCredentials } = require("@azure/ms-rest-js");
 const sharp = require("sharp");
 const sanitizePath = require("sanitize-filename");
 const { jsPDF } = require("jspdf");
 const PDFDocument = require("pdfkit");
-const { PDFDocument: PDFLib, rgb, StandardFonts } = require("pdf-lib");
+const {
+  PDFDocument: PDFLib,
+  PDFArray,
+  PDFName,
+  PDFRawStream,
+  decodePDFRawStream,
+  StandardFonts,
+  TextRenderingMode,
+  pushGraphicsState,
+  popGraphicsState,
+  beginText,
+  endText,
+  setFontAndSize,
+  setTextRenderingMode,
+  setCharacterSqueeze,
+  rotateAndSkewTextRadiansAndTranslate,
+  showText,
+  beginMarkedContent,
+  endMarkedContent,
+} = require("pdf-lib");
+const ocrEngines = require("./ocrEngines");
+const documentImportService = require("./documentImportService");
+const { createPagePointMapper, toFontText } = require("../utils/pdfUtils");
 
 // Configuration constants
 const CONFIG = {
-  TIMEOUT_SECONDS: 30,
   DEFAULT_PAGE_SIZE: [595, 842], // A4 in points
   MAX_FILE_SIZE_BYTES: 20 * 1024 * 1024, // 20MB
   SUPPORTED_IMAGE_TYPES: [".jpg", ".jpeg", ".png", ".gif", ".bmp", ".tiff"],
@@ -34,26 +51,14 @@ const CONFIG = {
     FORCE_SPACING_ON_NO_GAPS: true,
     DEBUG_BOUNDING_BOXES: false,
   },
-  PDF_FONT_SIZE: 17, // Default font size for PDF text overlay
-  PDF_FONT_NAME: "courier", // Monospaced font for accurate spacing
+  TEXT_LAYER: {
+    // A drawn word counts as misaligned when a corner is off by more than this share of its height
+    MAX_ALIGNMENT_ERROR: 0.25,
+  },
 };
 
-// Azure Computer Vision credentials
-const key = process.env.VISION_KEY;
-const endpoint = process.env.VISION_ENDPOINT;
-
-// Initialize Computer Vision client
-let computerVisionClient = null;
-if (key && endpoint) {
-  computerVisionClient = new ComputerVisionClient(
-    new ApiKeyCredentials({ inHeader: { "Ocp-Apim-Subscription-Key": key } }),
-    endpoint
-  );
-} else {
-  console.warn(
-    "Azure Computer Vision credentials not found in environment variables"
-  );
-}
+// Marked-content tag around the searchable text layer drawn on a page
+const TEXT_LAYER_TAG = "OCRText";
 
 const ocrService = {
   /**
@@ -198,12 +203,19 @@ const ocrService = {
   },
 
   /**
-   * Extract text from image or PDF using Azure Computer Vision
+   * Extract text from image or PDF using the configured OCR engine
    * @param {string} filePath - Path to the input file
    * @param {string} mimetype - MIME type of the file
+   * @param {Object} options - { engine, language, forceOCR, spacingMode: "intelligent" | "simple", onPage }
    * @returns {Promise<Object>} OCR results
    */
-  async extractText(filePath, mimetype) {
+  async extractText(filePath, mimetype, options = {}) {
+    // Simulated text would replace a note's real OCR, so an engine asked for by
+    // name (per request or by OCR_ENGINE) fails the run instead of falling back when
+    // it is missing or errors
+    const requestedEngine = options.engine || process.env.OCR_ENGINE;
+    const explicitEngine = Boolean(requestedEngine) && requestedEngine.toLowerCase() !== "auto";
+
     try {
       // Validate inputs
       if (!filePath || !mimetype) {
@@ -220,8 +232,8 @@ const ocrService = {
         );
       }
 
-      // NEW: Check if PDF already has searchable text
-      if (mimetype === "application/pdf") {
+      // NEW: Check if PDF already has searchable text (unless OCR is forced)
+      if (mimetype === "application/pdf" && !options.forceOCR) {
         const textCheck = await this.checkPDFTextWithPdfParse(fullPath);
 
         if (textCheck.hasText) {
@@ -237,6 +249,7 @@ const ocrService = {
                 hasExistingText: true,
               },
             ],
+            pageTexts: [{ text: textCheck.extractedText, confidence: 95 }],
             readResults: [
               {
                 page: 1,
@@ -255,35 +268,44 @@ const ocrService = {
         }
       }
 
-      if (!computerVisionClient) {
-        console.warn(
-          "Azure Computer Vision not configured, using fallback simulation"
-        );
+      const engine = ocrEngines.getEngine(requestedEngine);
+      if (!engine && explicitEngine) {
+        throw ocrEngines.unavailableError(requestedEngine);
+      }
+      if (!engine) {
+        console.warn("No OCR engine available, using fallback simulation");
         return await simulateOCR(fullPath, mimetype);
       }
 
-
       let result;
       if (mimetype.startsWith("image/") || mimetype === "application/pdf") {
-        result = await readTextFromFile(computerVisionClient, fullPath);
+        console.log(`🔍 Running OCR with ${engine.displayName}`);
+        result = await engine.recognize(fullPath, mimetype, {
+          language: options.language,
+          onPage: options.onPage,
+        });
       } else {
         throw new Error(
           "Unsupported file type. Only images and PDFs are supported."
         );
       }
 
-      const extractedData = processOCRResults(result);
+      const extractedData = processOCRResults(result, {
+        spacingMode: options.spacingMode,
+      });
 
       return {
         text: extractedData.text,
         confidence: extractedData.confidence,
         language: extractedData.language,
         pages: extractedData.pages,
+        pageTexts: extractedData.pageTexts,
         readResults: result,
-        ocrEngine: "Azure Computer Vision",
+        ocrEngine: engine.displayName,
       };
     } catch (error) {
       console.error(`OCR processing error for ${filePath}:`, error.message);
+      if (explicitEngine) throw error;
       return await simulateOCR(filePath, mimetype);
     }
   },
@@ -352,11 +374,10 @@ const ocrService = {
         );
       } else {
         // Single image processing with validation
-        await this.createValidatedSearchablePdf(
+        ocrResults.textLayer = await this.createValidatedSearchablePdf(
           originalFilePath,
           ocrResults.readResults[0],
-          fullOutputPath,
-          CONFIG.PDF_FONT_SIZE
+          fullOutputPath
         );
         return fullOutputPath;
       }
@@ -389,11 +410,10 @@ const ocrService = {
       }
 
       // Try enhanced PDF overlay method
-      await createValidatedContinuousSearchablePdfFromPDF(
+      ocrResults.textLayer = await createValidatedContinuousSearchablePdfFromPDF(
         originalFilePath,
         ocrResults.readResults,
-        outputPath,
-        CONFIG.PDF_FONT_SIZE
+        outputPath
       );
 
       // Validate generated PDF
@@ -415,21 +435,23 @@ const ocrService = {
    * @param {string} imagePath - Path to image
    * @param {Object} pageData - OCR page data
    * @param {string} outputPath - Output path
-   * @param {number} fontSize - Font size
+   * @returns {Promise<Object|null>} Text layer alignment report, null for the fallback PDF
    */
-  async createValidatedSearchablePdf(imagePath, pageData, outputPath, fontSize) {
+  async createValidatedSearchablePdf(imagePath, pageData, outputPath) {
     try {
-      await createContinuousSearchablePdf(imagePath, pageData, outputPath, fontSize);
+      const alignment = await createContinuousSearchablePdf(imagePath, pageData, outputPath);
       
       // Validate generated PDF
       const pdfBytes = await fsPromises.readFile(outputPath);
       if (!this.isValidPDF(pdfBytes)) {
         throw new Error("Generated PDF validation failed");
       }
+      return alignment;
     } catch (error) {
       console.error("Error creating validated searchable PDF:", error);
       // Fallback to simple method
       await this.createSimpleImageToPDF(imagePath, pageData, outputPath);
+      return null;
     }
   },
 
@@ -568,8 +590,185 @@ const ocrService = {
     }
   },
 
+  /**
+   * Convert an uploaded image, PDF or text document into PDF bytes (images become one page sized to the image)
+   * @param {string} filePath - Path to the input file
+   * @param {string} mimetype - MIME type of the file
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async convertFileToPDF(filePath, mimetype) {
+    const fileBytes = await fsPromises.readFile(filePath);
+
+    if (mimetype === "application/pdf") {
+      if (!this.isValidPDF(fileBytes)) {
+        throw new Error(`File ${path.basename(filePath)} is not a valid PDF`);
+      }
+      return fileBytes;
+    }
+
+    if (documentImportService.isDocument(mimetype)) {
+      const imported = await documentImportService.convertDocument(filePath, mimetype);
+      return imported.pdfData;
+    }
+
+    if (!mimetype || !mimetype.startsWith("image/")) {
+      throw new Error(`Cannot convert ${mimetype} to PDF`);
+    }
+
+    const pdfDoc = await PDFLib.create();
+    let image;
+    if (mimetype === "image/jpeg" || mimetype === "image/jpg") {
+      image = await pdfDoc.embedJpg(fileBytes);
+    } else if (mimetype === "image/png") {
+      image = await pdfDoc.embedPng(fileBytes);
+    } else {
+      // pdf-lib only embeds JPEG and PNG, so convert everything else first
+      const pngBytes = await sharp(fileBytes).png().toBuffer();
+      image = await pdfDoc.embedPng(pngBytes);
+    }
+
+    const page = pdfDoc.addPage([image.width, image.height]);
+    page.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height });
+
+    return Buffer.from(await pdfDoc.save());
+  },
+
+  /**
+   * Merge several PDFs into one document, preserving page order
+   * @param {Array<Buffer>} pdfBuffers - PDF bytes in the order they should appear
+   * @returns {Promise<Object>} { data: Buffer, pages: number, pageCounts: Array<number> }
+   */
+  async mergePDFs(pdfBuffers) {
+    if (!pdfBuffers || pdfBuffers.length === 0) {
+      throw new Error("No PDFs to merge");
+    }
+
+    const merged = await PDFLib.create();
+    const pageCounts = [];
+
+    for (const pdfBytes of pdfBuffers) {
+      const source = await PDFLib.load(pdfBytes, { ignoreEncryption: true });
+      const copiedPages = await merged.copyPages(source, source.getPageIndices());
+      copiedPages.forEach((page) => merged.addPage(page));
+      pageCounts.push(copiedPages.length);
+    }
+
+    const data = Buffer.from(await merged.save({ useObjectStreams: false }));
+    return { data, pages: merged.getPageCount(), pageCounts };
+  },
+
+  /**
+   * Replace the searchable text layer of one page with text drawn from a (corrected) layout
+   * @param {Buffer} pdfBytes - Searchable PDF bytes
+   * @param {number} pageNumber - 1-based page number
+   * @param {Object} layoutPage - Page { width, height, lines: [{ words: [{ text, boundingBox }] }] }
+   * @returns {Promise<Object>} { data: Buffer, removedTextObjects, wordsDrawn }
+   */
+  async rebuildPageTextLayer(pdfBytes, pageNumber, layoutPage) {
+    const pdfDoc = await PDFLib.load(pdfBytes, { ignoreEncryption: true });
+    if (pageNumber < 1 || pageNumber > pdfDoc.getPageCount()) {
+      throw new Error(`Page ${pageNumber} does not exist (PDF has ${pdfDoc.getPageCount()} pages)`);
+    }
+
+    const pdfPage = pdfDoc.getPage(pageNumber - 1);
+    const removedTextObjects = stripTextLayer(pdfDoc, pdfPage);
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const wordsDrawn = layoutPage && Array.isArray(layoutPage.lines)
+      ? drawWordOverlays(pdfPage, layoutPage, font)
+      : 0;
+
+    const data = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+    return { data, removedTextObjects, wordsDrawn };
+  },
+
+  /**
+   * Measure how well a searchable PDF's invisible text layer lines up with the OCR
+   * words it was drawn from, by reading back the text operators written to each page
+   * @param {Buffer} pdfBytes - Searchable PDF bytes
+   * @param {Array<Object>} pages - OCR pages in PDF page order (null to skip a page)
+   * @returns {Promise<Object>} { words, found, textMismatches, meanError, maxError, misaligned, pages }
+   *   with errors in points; misaligned counts words off by more than MAX_ALIGNMENT_ERROR of their height
+   */
+  async validateTextLayer(pdfBytes, pages) {
+    const pdfDoc = await PDFLib.load(pdfBytes, { ignoreEncryption: true });
+    // Metrics only; the font is never saved into this copy
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const pdfPages = pdfDoc.getPages();
+    const summarize = (errors) => ({
+      meanError: errors.length > 0 ? roundTo(errors.reduce((sum, error) => sum + error, 0) / errors.length, 2) : 0,
+      maxError: errors.length > 0 ? roundTo(Math.max(...errors), 2) : 0,
+    });
+
+    const report = { words: 0, found: 0, textMismatches: 0, misaligned: 0, pages: [] };
+    const allErrors = [];
+
+    for (let index = 0; index < Math.min(pages.length, pdfPages.length); index++) {
+      if (!pages[index]) continue;
+      const measured = measurePageAlignment(pdfDoc, pdfPages[index], pages[index], font);
+      const misaligned = measured.relativeErrors.filter(
+        (error) => error > CONFIG.TEXT_LAYER.MAX_ALIGNMENT_ERROR
+      ).length;
+
+      report.words += measured.expected;
+      report.found += Math.min(measured.found, measured.expected);
+      report.textMismatches += measured.textMismatches;
+      report.misaligned += misaligned;
+      allErrors.push(...measured.errors);
+      report.pages.push({
+        page: index + 1,
+        words: measured.expected,
+        found: measured.found,
+        misaligned,
+        ...summarize(measured.errors),
+      });
+    }
+
+    return { ...report, ...summarize(allErrors) };
+  },
+
+  /**
+   * Summary of a note's text layer alignment, kept on Note.ocrTextPDF.alignment
+   * @param {Array<Object>} pages - Per-page reports { page, wordsDrawn, words, found, misaligned, meanError, maxError }
+   *   numbered by page of the note's searchable PDF
+   * @returns {Object} { wordsDrawn, words, found, misaligned, meanError, maxError, misalignedPages, pages, checkedAt }
+   */
+  summarizeTextLayer(pages) {
+    const sorted = [...pages].sort((a, b) => a.page - b.page);
+    const total = (key) => sorted.reduce((sum, page) => sum + (page[key] || 0), 0);
+    // Each page's mean error is over the words found on it
+    const measured = sorted.map((page) => Math.min(page.found || 0, page.words || 0));
+    const measuredTotal = measured.reduce((sum, count) => sum + count, 0);
+    const weightedError = sorted.reduce((sum, page, index) => sum + (page.meanError || 0) * measured[index], 0);
 
+    return {
+      wordsDrawn: total("wordsDrawn"),
+      words: total("words"),
+      found: sorted.reduce((sum, page, index) => sum + measured[index], 0),
+      misaligned: total("misaligned"),
+      meanError: measuredTotal > 0 ? roundTo(weightedError / measuredTotal, 2) : 0,
+      maxError: sorted.reduce((max, page) => Math.max(max, page.maxError || 0), 0),
+      misalignedPages: sorted
+        .filter((page) => page.misaligned > 0 || page.found < page.words)
+        .map((page) => page.page),
+      pages: sorted,
+      checkedAt: new Date(),
+    };
+  },
 
+  /**
+   * Count the pages of a PDF
+   * @param {Buffer} pdfBytes - PDF bytes
+   * @returns {Promise<number>} Page count (0 if the PDF cannot be read)
+   */
+  async getPDFPageCount(pdfBytes) {
+    try {
+      const pdfDoc = await PDFLib.load(pdfBytes, { ignoreEncryption: true });
+      return pdfDoc.getPageCount();
+    } catch (error) {
+      console.warn(`Could not count PDF pages: ${error.message}`);
+      return 0;
+    }
+  },
 
 
   /**
@@ -577,13 +776,20 @@ const ocrService = {
    * @param {string} filePath - Path to input file
    * @param {string} mimetype - MIME type
    * @param {boolean} generateOverlay - Whether to generate overlay PDF
+   * @param {Object} options - Options passed to extractText
    * @returns {Promise<Object>} OCR results with optional overlay path
    */
-  async extractTextWithOverlay(filePath, mimetype, generateOverlay = false) {
+  async extractTextWithOverlay(filePath, mimetype, generateOverlay = false, options = {}) {
     try {
-      const ocrResults = await ocrService.extractText(filePath, mimetype);
+      const ocrResults = await ocrService.extractText(filePath, mimetype, options);
 
-      if (generateOverlay && ocrResults.ocrEngine === "Azure Computer Vision") {
+      // Any engine that returned word geometry can drive the text overlay
+      const hasGeometry =
+        !ocrResults.skippedOCR &&
+        Array.isArray(ocrResults.readResults) &&
+        ocrResults.readResults.length > 0;
+
+      if (generateOverlay && hasGeometry) {
         const outputDir = path.dirname(filePath);
         const baseName = path.basename(filePath, path.extname(filePath));
         const overlayPath = path.join(
@@ -623,11 +829,10 @@ const ocrService = {
         } else {
           // For images, use the standard method
           try {
-            await createContinuousSearchablePdf(
+            ocrResults.textLayer = await createContinuousSearchablePdf(
               filePath,
               ocrResults.readResults[0],
-              overlayPath,
-              CONFIG.PDF_FONT_SIZE
+              overlayPath
             );
             ocrResults.overlayPDFPath = overlayPath;
             ocrResults.overlayPDFName = `${baseName}_overlay.pdf`;
@@ -649,66 +854,23 @@ const ocrService = {
 ocrService.createContinuousSearchablePdf = createContinuousSearchablePdf;
 ocrService.createValidatedContinuousSearchablePdfFromPDF = createValidatedContinuousSearchablePdfFromPDF;
 ocrService.createSimpleTextOnlyPDF = createSimpleTextOnlyPDF;
+ocrService.SPACING_MODES = ["intelligent", "simple"];
+ocrService.CONFIG = CONFIG;
 
 /**
- * Alternative method to read file as buffer
- * @param {ComputerVisionClient} client - Azure client
- * @param {string} filePath - Path to file
- * @returns {Promise<Array>} Read results
- */
-async function readTextFromFile(client, filePath) {
-  try {
-    let result;
-    try {
-      const stream = () => fs.createReadStream(filePath);
-      result = await client.readInStream(stream);
-    } catch (streamError) {
-      console.log("Stream method failed, trying buffer method:", streamError.message);
-      const fileBuffer = await fsPromises.readFile(filePath);
-      result = await client.readInStream(fileBuffer);
-    }
-    
-    const operationId = result.operationLocation.split("/").pop();
-
-    let readResult;
-    let attempts = 0;
-    const maxAttempts = CONFIG.TIMEOUT_SECONDS;
-
-    do {
-      await sleep(1000);
-      readResult = await client.getReadResult(operationId);
-      attempts++;
-     
-      if (attempts >= maxAttempts) {
-        throw new Error("Azure OCR operation timeout");
-      }
-    } while (
-      readResult.status === "notStarted" ||
-      readResult.status === "running"
-    );
-
-    if (readResult.status === "failed") {
-      throw new Error("Azure OCR operation failed");
-    }
-
-    return readResult.analyzeResult.readResults;
-  } catch (error) {
-    console.error("Error in readTextFromFile:", error.message);
-    throw error;
-  }
-}
-/**
- * Process OCR results from Azure with intelligent spacing
- * @param {Array} readResults - Azure read results
+ * Process OCR results with intelligent spacing
+ * @param {Array} readResults - Read results in the common engine shape
+ * @param {Object} options - { spacingMode: "intelligent" (default) | "simple" }
  * @returns {Object} Processed OCR data
  */
-function processOCRResults(readResults) {
+function processOCRResults(readResults, options = {}) {
   if (!readResults || readResults.length === 0) {
     return {
       text: "No text detected",
       confidence: 0,
       language: "en",
       pages: 0,
+      pageTexts: [],
     };
   }
 
@@ -716,6 +878,9 @@ function processOCRResults(readResults) {
   let totalConfidence = 0;
   let wordCount = 0;
   const detectedLanguage = "en";
+  const pageTexts = [];
+  const useIntelligentSpacing =
+    CONFIG.INTELLIGENT_SPACING.ENABLED && options.spacingMode !== "simple";
 
 
   for (let pageIndex = 0; pageIndex < readResults.length; pageIndex++) {
@@ -728,7 +893,7 @@ function processOCRResults(readResults) {
 
       // Use intelligent spacing if enabled, otherwise use simple joining
       let pageText;
-      if (CONFIG.INTELLIGENT_SPACING.ENABLED) {
+      if (useIntelligentSpacing) {
         pageText = processLinesWithIntelligentSpacing(page.lines);
 
         // If the result has no spaces and we have multiple words, force spacing
@@ -757,18 +922,31 @@ function processOCRResults(readResults) {
       extractedText += pageText;
 
       // Calculate confidence from all words
+      let pageConfidence = 0;
+      let pageWordCount = 0;
       for (const line of page.lines) {
         if (line.words) {
           for (const word of line.words) {
             if (word.confidence !== undefined) {
-              totalConfidence += word.confidence;
-              wordCount++;
+              pageConfidence += word.confidence;
+              pageWordCount++;
             }
           }
         }
       }
+      totalConfidence += pageConfidence;
+      wordCount += pageWordCount;
+
+      pageTexts.push({
+        text: detectAndFormatParagraphs(pageText),
+        confidence:
+          pageWordCount > 0
+            ? Math.round((pageConfidence / pageWordCount) * 100)
+            : 0,
+      });
     } else {
       extractedText += "No text recognized on this page.\n";
+      pageTexts.push({ text: "", confidence: 0 });
     }
 
     // Add page separator if not the last page
@@ -790,6 +968,7 @@ function processOCRResults(readResults) {
     confidence: Math.round(averageConfidence),
     language: detectedLanguage,
     pages: readResults.length,
+    pageTexts,
   };
 }
 
@@ -807,7 +986,7 @@ async function simulateOCR(filePath, mimetype) {
   const stats = await fsPromises.stat(filePath).catch(() => ({ size: 0 }));
 
   return {
-    text: `[FALLBACK] Could not process file with Azure Computer Vision.\nFile: ${fileName}\nSize: ${stats.size} bytes\nReason: Azure API unavailable\n\nFix by checking VISION_KEY and VISION_ENDPOINT in .env`,
+    text: `[FALLBACK] Could not process file with an OCR engine.\nFile: ${fileName}\nSize: ${stats.size} bytes\nReason: No OCR engine available\n\nFix by setting VISION_KEY and VISION_ENDPOINT in .env, or OCR_ENGINE=tesseract for local OCR`,
     confidence: 50,
     language: "en",
     pages: 1,
@@ -1448,114 +1627,31 @@ function addBasicSpacingToText(concatenatedText) {
 // =================================================================
 
 /**
- * Creates a searchable PDF with precise text positioning
+ * Creates a searchable PDF from an image: one page sized to the image with every
+ * OCR word drawn as invisible text over it
  * @param {string} imagePath - Path to input image
  * @param {Object} page - OCR page results with lines and words
  * @param {string} pdfFilename - Output PDF path
- * @param {number} fontSize - Font size for invisible text
+ * @returns {Promise<Object>} Text layer alignment report (see validateTextLayer), with wordsDrawn
  */
-async function createContinuousSearchablePdf(
-  imagePath,
-  page,
-  pdfFilename,
-  fontSize = CONFIG.PDF_FONT_SIZE
-) {
+async function createContinuousSearchablePdf(imagePath, page, pdfFilename) {
   try {
-
-    // Read image buffer and get dimensions
-    const imgBuffer = await fsPromises.readFile(imagePath);
-    const metadata = await sharp(imgBuffer).metadata();
-    const img_w = metadata.width;
-    const img_h = metadata.height;
-
-    // Create PDF document
-    const doc = new jsPDF({
-      orientation: img_w > img_h ? "landscape" : "portrait",
-      unit: "pt",
-      format: [img_w, img_h],
-    });
-
-    // Add image as base64
-    const imgData = imgBuffer.toString("base64");
-    const imageFormat = path.extname(imagePath).toLowerCase().slice(1);
-    doc.addImage(imgData, imageFormat.toUpperCase(), 0, 0, img_w, img_h);
-
-    // Set PDF font and metrics
-    doc.setFont(CONFIG.PDF_FONT_NAME);
-    doc.setFontSize(fontSize);
-    const spaceWidth = doc.getTextWidth(" ");
-    const descent = fontSize * 0.2; // Approximate descent
-
-    // Process each line
-    if (page && page.lines) {
-      for (const line of page.lines) {
-        if (!line.words || line.words.length === 0) continue;
-
-        // Sort words left to right
-        const words = [...line.words].sort(
-          (a, b) => a.boundingBox[0] - b.boundingBox[0]
-        );
-
-        // Build continuous text with calculated spacing
-        let fullText = words[0].text;
-        for (let i = 1; i < words.length; i++) {
-          const prev = words[i - 1];
-          const curr = words[i];
-
-          // Calculate gap between words
-          const prevEnd = Math.max(
-            prev.boundingBox[0],
-            prev.boundingBox[2],
-            prev.boundingBox[4],
-            prev.boundingBox[6]
-          );
-          const currStart = Math.min(
-            curr.boundingBox[0],
-            curr.boundingBox[2],
-            curr.boundingBox[4],
-            curr.boundingBox[6]
-          );
-          const gap = currStart - prevEnd;
-
-          // Calculate number of spaces based on gap
-          const spaceCount = Math.max(1, Math.round(gap / spaceWidth));
-          fullText += " ".repeat(spaceCount) + curr.text;
-        }
-
-        // Calculate baseline position
-        const baselines = words.map((word) => {
-          const maxY = Math.max(
-            word.boundingBox[1],
-            word.boundingBox[3],
-            word.boundingBox[5],
-            word.boundingBox[7]
-          );
-          return maxY - descent;
-        });
-        const avgBaseline =
-          baselines.reduce((sum, y) => sum + y, 0) / baselines.length;
-
-        // Get starting x position
-        const startX = Math.min(
-          words[0].boundingBox[0],
-          words[0].boundingBox[2],
-          words[0].boundingBox[4],
-          words[0].boundingBox[6]
-        );
-
-        // Add invisible text - completely transparent but searchable
-        doc.saveGraphicsState();
-        doc.setTextColor(255, 255, 255); // White text
-        doc.setGState(new doc.GState({ opacity: 0.01 })); // Almost completely transparent  
-        doc.text(fullText, startX, avgBaseline);
-        doc.restoreGraphicsState();
-
-      
-      }
-    }
-
-    // Save PDF
-    doc.save(pdfFilename);
+    const extension = path.extname(imagePath).toLowerCase().slice(1);
+    const mimetype = extension === "jpg" ? "image/jpeg" : `image/${extension}`;
+    const imagePdf = await ocrService.convertFileToPDF(imagePath, mimetype);
+
+    const pdfDoc = await PDFLib.load(imagePdf);
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const wordsDrawn = page && Array.isArray(page.lines)
+      ? drawWordOverlays(pdfDoc.getPage(0), page, font)
+      : 0;
+
+    const pdfBytes = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+    await fsPromises.writeFile(pdfFilename, pdfBytes);
+
+    const alignment = await ocrService.validateTextLayer(pdfBytes, [page]);
+    logTextLayerAlignment(alignment, wordsDrawn);
+    return withWordsDrawn(alignment, [wordsDrawn]);
   } catch (error) {
     console.error("Error creating continuous searchable PDF:", error);
     throw error;
@@ -1568,14 +1664,9 @@ async function createContinuousSearchablePdf(
  * @param {string} pdfPath - Path to input PDF
  * @param {Array} pages - OCR page results with lines and words for all pages
  * @param {string} outputPath - Output PDF path
- * @param {number} fontSize - Font size for invisible text
+ * @returns {Promise<Object>} Text layer alignment report (see validateTextLayer), with wordsDrawn
  */
-async function createValidatedContinuousSearchablePdfFromPDF(
-  pdfPath,
-  pages,
-  outputPath,
-  fontSize = CONFIG.PDF_FONT_SIZE
-) {
+async function createValidatedContinuousSearchablePdfFromPDF(pdfPath, pages, outputPath) {
   try {
     console.log("🔧 Creating validated continuous searchable PDF from PDF...");
 
@@ -1612,18 +1703,14 @@ async function createValidatedContinuousSearchablePdfFromPDF(
       throw new Error("PDF contains no pages");
     }
 
-    // Embed a monospaced font for better spacing accuracy
-    let font;
-    try {
-      font = await pdfDoc.embedFont(StandardFonts.Courier);
-    } catch (fontError) {
-      console.warn("Failed to embed Courier font, using Helvetica:", fontError);
-      font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    }
+    // Every word is scaled to its own box, so a proportional font works as well as a monospaced one
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
 
     console.log(`📄 Processing ${Math.min(pages.length, pdfPages.length)} pages for OCR overlay`);
 
     // Process each page from OCR results with enhanced error handling
+    let wordsDrawn = 0;
+    const drawnByPage = [];
     for (
       let pageIndex = 0;
       pageIndex < Math.min(pages.length, pdfPages.length);
@@ -1648,123 +1735,12 @@ async function createValidatedContinuousSearchablePdfFromPDF(
 
         console.log(`📝 Processing page ${pageIndex + 1}: ${pageWidth}x${pageHeight}`);
 
-        // Process each line on this page with enhanced validation
+        // Draw each OCR word on this page
         if (page && page.lines && Array.isArray(page.lines)) {
-          let textAdded = 0;
-          
-          for (const line of page.lines) {
-            try {
-              if (!line.words || !Array.isArray(line.words) || line.words.length === 0) {
-                continue;
-              }
-
-              // Sort words left to right
-              const words = [...line.words].sort(
-                (a, b) => (a.boundingBox?.[0] || 0) - (b.boundingBox?.[0] || 0)
-              );
-
-              // Build continuous text with calculated spacing
-              let fullText = "";
-              
-              for (let i = 0; i < words.length; i++) {
-                const word = words[i];
-                if (!word.text) continue;
-                
-                fullText += word.text;
-                
-                if (i < words.length - 1) {
-                  // Add spacing between words
-                  const curr = words[i];
-                  const next = words[i + 1];
-                  
-                  if (curr.boundingBox && next.boundingBox && 
-                      curr.boundingBox.length >= 8 && next.boundingBox.length >= 8) {
-                    
-                    const currEnd = Math.max(
-                      curr.boundingBox[0], curr.boundingBox[2],
-                      curr.boundingBox[4], curr.boundingBox[6]
-                    );
-                    const nextStart = Math.min(
-                      next.boundingBox[0], next.boundingBox[2],
-                      next.boundingBox[4], next.boundingBox[6]
-                    );
-                    
-                    const gap = nextStart - currEnd;
-                    const spaceCount = Math.max(1, Math.round(gap / 5)); // Approximate character width
-                    fullText += " ".repeat(Math.min(spaceCount, 10)); // Limit spacing
-                  } else {
-                    fullText += " "; // Default single space
-                  }
-                }
-              }
-
-              if (!fullText.trim()) continue;
-
-              // Calculate text position with enhanced error handling
-              const firstWord = words[0];
-              if (!firstWord.boundingBox || firstWord.boundingBox.length < 8) {
-                continue;
-              }
-
-              // Get bounding box coordinates
-              const minY = Math.min(
-                firstWord.boundingBox[1], firstWord.boundingBox[3],
-                firstWord.boundingBox[5], firstWord.boundingBox[7]
-              );
-              const maxY = Math.max(
-                firstWord.boundingBox[1], firstWord.boundingBox[3],
-                firstWord.boundingBox[5], firstWord.boundingBox[7]
-              );
-
-              // Convert OCR coordinates to PDF coordinates with scaling
-              const textHeight = maxY - minY;
-              const ocrPageHeight = page.height || pageHeight;
-              const ocrPageWidth = page.width || pageWidth;
-
-              // Calculate scaling factors
-              const scaleX = pageWidth / ocrPageWidth;
-              const scaleY = pageHeight / ocrPageHeight;
-
-              const startX = Math.min(
-                firstWord.boundingBox[0], firstWord.boundingBox[2],
-                firstWord.boundingBox[4], firstWord.boundingBox[6]
-              ) * scaleX;
-
-              // Convert Y coordinate from OCR (top-origin) to PDF (bottom-origin)
-              const pdfY = pageHeight - (minY * scaleY) - (textHeight * scaleY);
-
-              // Ensure coordinates are within valid bounds
-              const x = Math.max(0, Math.min(pageWidth - 10, startX));
-              const y = Math.max(10, Math.min(pageHeight - 10, pdfY));
-
-              // Validate coordinates
-              if (isNaN(x) || isNaN(y) || x < 0 || y < 0) {
-                console.warn(`Invalid coordinates for text: x=${x}, y=${y}`);
-                continue;
-              }
-
-              // Add invisible text overlay for searchability
-              try {
-                pdfPage.drawText(fullText, {
-                  x: x,
-                  y: y,
-                  size: Math.max(8, Math.min(fontSize, 24)), // Clamp font size
-                  font: font,
-                  color: rgb(0, 0, 0), // Black color
-                  opacity: 0.01, // Nearly transparent but still searchable
-                });
-                textAdded++;
-              } catch (textError) {
-                console.warn(`Failed to add text overlay: ${textError.message}`);
-              }
-
-            } catch (lineError) {
-              console.warn(`Error processing line: ${lineError.message}`);
-              continue;
-            }
-          }
-
-          console.log(`✅ Page ${pageIndex + 1}: Added ${textAdded} text overlays`);
+          const pageWords = drawWordOverlays(pdfPage, page, font);
+          wordsDrawn += pageWords;
+          drawnByPage[pageIndex] = pageWords;
+          console.log(`✅ Page ${pageIndex + 1}: Added ${pageWords} word overlays`);
         }
       } catch (pageError) {
         console.warn(`Error processing page ${pageIndex + 1}: ${pageError.message}`);
@@ -1800,12 +1776,406 @@ async function createValidatedContinuousSearchablePdfFromPDF(
       throw new Error("Generated PDF file is corrupted");
     }
 
+    // Measure where the text layer actually landed
+    const alignment = await ocrService.validateTextLayer(writtenBytes, pages);
+    logTextLayerAlignment(alignment, wordsDrawn);
+
     console.log("✅ Validated continuous searchable PDF created successfully");
-    
+    return withWordsDrawn(alignment, drawnByPage);
   } catch (error) {
     console.error("Error creating validated continuous searchable PDF from PDF:", error);
     throw error;
   }
 }
 
+/**
+ * Draw a page's OCR words as invisible text (the searchable text layer). Each word
+ * starts on the baseline of its bounding box, follows the box's rotation and is
+ * squeezed to the box's width, so selections and search highlights cover the word
+ * in the page image.
+ * @param {Object} pdfPage - pdf-lib page
+ * @param {Object} page - OCR page with width, height and lines of words
+ * @param {Object} font - Embedded pdf-lib font
+ * @returns {number} Number of words drawn
+ */
+function drawWordOverlays(pdfPage, page, font) {
+  const placements = placeOverlayWords(pdfPage, page, font);
+  if (placements.length === 0) return 0;
+
+  const fontKey = pdfPage.node.newFontDictionary(font.name, font.ref);
+  const operators = [
+    // Tagged so the layer can be replaced without touching the page's own text
+    beginMarkedContent(TEXT_LAYER_TAG),
+    pushGraphicsState(),
+    beginText(),
+    setTextRenderingMode(TextRenderingMode.Invisible),
+  ];
+  for (const placement of placements) {
+    operators.push(
+      setFontAndSize(fontKey, placement.fontSize),
+      setCharacterSqueeze(placement.squeeze),
+      rotateAndSkewTextRadiansAndTranslate(placement.angle, 0, 0, placement.x, placement.y),
+      showText(font.encodeText(placement.shownText))
+    );
+  }
+  operators.push(endText(), popGraphicsState(), endMarkedContent());
+
+  pdfPage.pushOperators(...operators);
+  return placements.length;
+}
+
+/**
+ * Work out where and how each OCR word of a page is drawn: font size from the box
+ * height, baseline origin and angle from its corners, squeeze from its width
+ * @param {Object} pdfPage - pdf-lib page
+ * @param {Object} page - OCR page with width, height and lines of words
+ * @param {Object} font - pdf-lib font
+ * @returns {Array<Object>} { text, shownText, fontSize, squeeze, angle, x, y, corners }
+ */
+function placeOverlayWords(pdfPage, page, font) {
+  if (!page || !Array.isArray(page.lines)) return [];
+
+  const toPdfPoint = createPagePointMapper(pdfPage, page);
+  const heightPerPoint = font.heightAtSize(1);
+  const descentPerPoint = heightPerPoint - font.heightAtSize(1, { descender: false });
+  const placements = [];
+
+  for (const line of page.lines) {
+    const words = (line.words || []).filter(
+      (word) =>
+        word &&
+        typeof word.text === "string" &&
+        word.text.trim() &&
+        Array.isArray(word.boundingBox) &&
+        word.boundingBox.length >= 8 &&
+        word.boundingBox.slice(0, 8).every(Number.isFinite)
+    );
+
+    words.forEach((word, index) => {
+      const box = word.boundingBox;
+      const corners = [
+        toPdfPoint(box[0], box[1]), // top left
+        toPdfPoint(box[2], box[3]), // top right
+        toPdfPoint(box[4], box[5]), // bottom right
+        toPdfPoint(box[6], box[7]), // bottom left
+      ];
+      const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+
+      // Baseline direction is the mean of the top and bottom edges
+      const dx = (topRight.x - topLeft.x + bottomRight.x - bottomLeft.x) / 2;
+      const dy = (topRight.y - topLeft.y + bottomRight.y - bottomLeft.y) / 2;
+      const width = Math.hypot(dx, dy);
+      if (width < 0.5) return;
+      const unitX = dx / width;
+      const unitY = dy / width;
+
+      // Height is measured square to the baseline so skewed boxes do not inflate it
+      const height =
+        (unitX * (topLeft.y - bottomLeft.y) - unitY * (topLeft.x - bottomLeft.x) +
+          unitX * (topRight.y - bottomRight.y) - unitY * (topRight.x - bottomRight.x)) / 2;
+      if (height < 0.5) return;
+
+      const text = toFontText(word.text.trim(), font);
+      const fontSize = height / heightPerPoint;
+      const naturalWidth = font.widthOfTextAtSize(text, fontSize);
+      if (!naturalWidth) return;
+
+      // The baseline sits one descent above the bottom edge
+      const descent = descentPerPoint * fontSize;
+      placements.push({
+        text,
+        // A trailing space lets viewers split words when copying text
+        shownText: index < words.length - 1 ? `${text} ` : text,
+        fontSize: roundTo(fontSize, 3),
+        squeeze: roundTo((100 * width) / naturalWidth, 3),
+        angle: Math.atan2(unitY, unitX),
+        x: roundTo(bottomLeft.x - unitY * descent, 3),
+        y: roundTo(bottomLeft.y + unitX * descent, 3),
+        corners,
+      });
+    });
+  }
+
+  return placements;
+}
+
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Compare the invisible text drawn on a page with where its OCR words should be
+ * @param {Object} pdfDoc - pdf-lib document
+ * @param {Object} pdfPage - pdf-lib page of that document
+ * @param {Object} page - OCR page the text layer was drawn from
+ * @param {Object} font - pdf-lib font the text layer uses (for metrics)
+ * @returns {Object} { expected, found, errors: [points], relativeErrors, textMismatches }
+ */
+function measurePageAlignment(pdfDoc, pdfPage, page, font) {
+  const expected = placeOverlayWords(pdfPage, page, font);
+  const shown = readInvisibleText(readPageContent(pdfDoc, pdfPage));
+  const descentPerPoint = font.heightAtSize(1) - font.heightAtSize(1, { descender: false });
+  const result = { expected: expected.length, found: shown.length, errors: [], relativeErrors: [], textMismatches: 0 };
+
+  expected.forEach((placement, index) => {
+    const drawn = shown[index];
+    if (!drawn) return;
+    if (drawn.hex !== font.encodeText(placement.shownText).asString().toUpperCase()) {
+      result.textMismatches++;
+    }
+
+    // Rebuild the drawn word's box from the operators actually written
+    const [a, b, c, d, e, f] = drawn.matrix;
+    const width = (font.widthOfTextAtSize(placement.text, drawn.fontSize) * drawn.squeeze) / 100;
+    const toPage = (tx, ty) => ({ x: a * tx + c * ty + e, y: b * tx + d * ty + f });
+    const descent = descentPerPoint * drawn.fontSize;
+    const ascent = font.heightAtSize(drawn.fontSize) - descent;
+    const rendered = [
+      toPage(0, ascent),
+      toPage(width, ascent),
+      toPage(width, -descent),
+      toPage(0, -descent),
+    ];
+
+    const error = Math.max(
+      ...rendered.map((corner, cornerIndex) =>
+        Math.hypot(corner.x - placement.corners[cornerIndex].x, corner.y - placement.corners[cornerIndex].y)
+      )
+    );
+    result.errors.push(error);
+    result.relativeErrors.push(error / (placement.fontSize * font.heightAtSize(1)));
+  });
+
+  return result;
+}
+
+// Decoded content of all of a page's content streams
+function readPageContent(pdfDoc, pdfPage) {
+  const contents = pdfPage.node.Contents();
+  if (!contents) return "";
+
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map((ref) => pdfDoc.context.lookup(ref))
+    : [contents];
+
+  return streams
+    .map((stream) => {
+      const bytes = stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents();
+      return Buffer.from(bytes).toString("latin1");
+    })
+    .join("\n");
+}
+
+// Text shown with rendering mode 3 (invisible) as { hex, fontSize, squeeze, matrix }
+function readInvisibleText(content) {
+  const initialState = { mode: 0, fontSize: 0, squeeze: 100 };
+  const shown = [];
+  const stack = [];
+  let state = { ...initialState };
+  let matrix = [1, 0, 0, 1, 0, 0];
+  let operands = [];
+
+  for (const token of contentTokens(content)) {
+    if (token.type === "operand") {
+      operands.push(token.value);
+      continue;
+    }
+
+    const last = operands[operands.length - 1];
+    switch (token.value) {
+      case "q":
+        stack.push({ ...state });
+        break;
+      case "Q":
+        state = stack.pop() || { ...initialState };
+        break;
+      case "BT":
+        matrix = [1, 0, 0, 1, 0, 0];
+        break;
+      case "Tr":
+        state.mode = Number(last);
+        break;
+      case "Tf":
+        state.fontSize = Number(last);
+        break;
+      case "Tz":
+        state.squeeze = Number(last);
+        break;
+      case "Tm":
+        matrix = operands.slice(-6).map(Number);
+        break;
+      case "Tj":
+        if (state.mode === 3 && last && last.startsWith("<")) {
+          shown.push({
+            hex: last.slice(1, -1).replace(/\s+/g, "").toUpperCase(),
+            fontSize: state.fontSize,
+            squeeze: state.squeeze,
+            matrix,
+          });
+        }
+        break;
+      default:
+        break;
+    }
+    operands = [];
+  }
+
+  return shown;
+}
+
+// Add the number of words drawn on each page to an alignment report
+function withWordsDrawn(alignment, drawnByPage) {
+  return {
+    ...alignment,
+    wordsDrawn: drawnByPage.reduce((sum, count) => sum + (count || 0), 0),
+    pages: alignment.pages.map((page) => ({ ...page, wordsDrawn: drawnByPage[page.page - 1] || 0 })),
+  };
+}
+
+// Summarize an alignment report in the processing log
+function logTextLayerAlignment(alignment, wordsDrawn) {
+  const { words, found, meanError, maxError, misaligned } = alignment;
+  const message = `text layer: ${found}/${words} word(s) found (${wordsDrawn} drawn), mean error ${meanError}pt, max ${maxError}pt, ${misaligned} misaligned`;
+  if (found < words || misaligned > 0) {
+    console.warn(`⚠️ Searchable PDF ${message}`);
+  } else {
+    console.log(`📐 Searchable PDF ${message}`);
+  }
+}
+
+/**
+ * Remove the searchable text layer drawn by drawWordOverlays from a page's content
+ * streams, leaving the page's own text, images and drawings. Used to replace a
+ * generated text layer.
+ * @param {Object} pdfDoc - pdf-lib document
+ * @param {Object} pdfPage - pdf-lib page of that document
+ * @returns {number} Number of text objects removed
+ */
+function stripTextLayer(pdfDoc, pdfPage) {
+  if (!pdfPage.node.Contents()) return 0;
+
+  const content = readPageContent(pdfDoc, pdfPage);
+  const { output, removed } = removeTextLayer(content);
+  const stream = pdfDoc.context.flateStream(Buffer.from(output, "latin1"));
+  pdfPage.node.set(PDFName.of("Contents"), pdfDoc.context.register(stream));
+  return removed;
+}
+
+// Drop the text layer from a content stream: TEXT_LAYER_TAG marked-content sections,
+// and invisible (3 Tr) BT ... ET blocks of layers drawn before they were tagged
+function removeTextLayer(content) {
+  const layerTag = `/${TEXT_LAYER_TAG}`;
+  let output = "";
+  let removed = 0;
+  let keepFrom = 0;
+  let operands = [];
+  // Open marked-content sections, and the depth of the text layer section being dropped
+  let markedDepth = 0;
+  let layerDepth = -1;
+  let layerStart = -1;
+  let text = null;
+
+  for (const token of contentTokens(content)) {
+    if (token.type !== "operator") {
+      operands.push(token);
+      continue;
+    }
+
+    if (token.value === "BMC" || token.value === "BDC") {
+      const tag = operands[0];
+      if (layerDepth === -1 && tag && tag.value === layerTag) {
+        output += content.slice(keepFrom, tag.start);
+        layerStart = tag.start;
+        layerDepth = markedDepth;
+        text = null;
+      }
+      markedDepth++;
+    } else if (token.value === "EMC" && markedDepth > 0) {
+      markedDepth--;
+      if (markedDepth === layerDepth) {
+        keepFrom = token.end;
+        layerDepth = -1;
+      }
+    } else if (token.value === "BT") {
+      if (layerDepth !== -1) removed++;
+      else if (!text) text = { start: token.start, invisible: false };
+    } else if (token.value === "Tr" && text) {
+      text.invisible = operands.length === 1 && Number(operands[0].value) === TextRenderingMode.Invisible;
+    } else if (token.value === "ET" && text) {
+      if (text.invisible) {
+        output += content.slice(keepFrom, text.start);
+        keepFrom = token.end;
+        removed++;
+      }
+      text = null;
+    }
+    operands = [];
+  }
+
+  // An unterminated layer section is kept as it was
+  output += content.slice(layerDepth === -1 ? keepFrom : layerStart);
+  return { output, removed };
+}
+
+// Walk content stream tokens, skipping comments and inline image data:
+// yields { type: "operand" | "operator", value, start, end }
+function* contentTokens(content) {
+  const isWhitespace = (char) => " \t\r\n\f\0".includes(char);
+  const isDelimiter = (char) => "()<>[]{}/%".includes(char);
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+    const start = i;
+
+    if (isWhitespace(char)) {
+      i++;
+    } else if (char === "%") {
+      while (i < content.length && content[i] !== "\n" && content[i] !== "\r") i++;
+    } else if (char === "(") {
+      // Literal string with nested parentheses and backslash escapes
+      let depth = 0;
+      for (; i < content.length; i++) {
+        if (content[i] === "\\") {
+          i++;
+        } else if (content[i] === "(") {
+          depth++;
+        } else if (content[i] === ")" && --depth === 0) {
+          i++;
+          break;
+        }
+      }
+      yield { type: "operand", value: content.slice(start, i), start, end: i };
+    } else if (content.startsWith("<<", i) || content.startsWith(">>", i)) {
+      i += 2;
+      yield { type: "operand", value: content.slice(start, i), start, end: i };
+    } else if (char === "<") {
+      const end = content.indexOf(">", i);
+      i = end === -1 ? content.length : end + 1;
+      yield { type: "operand", value: content.slice(start, i), start, end: i };
+    } else if (char === "/") {
+      i++;
+      while (i < content.length && !isWhitespace(content[i]) && !isDelimiter(content[i])) i++;
+      yield { type: "operand", value: content.slice(start, i), start, end: i };
+    } else if (isDelimiter(char)) {
+      i++;
+      yield { type: "operand", value: char, start, end: i };
+    } else {
+      let end = i;
+      while (end < content.length && !isWhitespace(content[end]) && !isDelimiter(content[end])) end++;
+      const value = content.slice(i, end);
+      const isNumber = /^[+-]?(\d+\.?\d*|\.\d+)$/.test(value);
+      yield { type: isNumber ? "operand" : "operator", value, start, end };
+
+      if (value === "ID") {
+        // Inline image bytes run until a whitespace-delimited EI
+        const match = /\sEI(?=\s|$)/.exec(content.slice(end + 1));
+        end = match ? end + 1 + match.index + match[0].length : content.length;
+      }
+      i = end;
+    }
+  }
+}
+
 module.exports = ocrService;
@@ -0,0 +1,419 @@
+const { PDFDocument, PDFHexString, PDFName } = require("pdf-lib");
+const { createPagePointMapper } = require("../utils/pdfUtils");
+
+const OUTLINE_CONFIG = {
+  // A line this much taller than body text is a heading by size alone
+  MIN_SIZE_RATIO: 1.25,
+  // Heading sizes within this ratio of a tier's largest size share a level
+  TIER_RATIO: 0.88,
+  MAX_LEVELS: 4,
+  MAX_WORDS: 14,
+  MAX_TITLE_LENGTH: 120,
+  // Text repeated on this many pages (and this share of them) is a running header or footer
+  RUNNING_HEADER_PAGES: 3,
+  RUNNING_HEADER_SHARE: 0.3,
+  MAX_SECTIONS: 500,
+};
+
+// "1 Introduction", "2.3. Results", "4.1.2) Method"
+const NUMBERED_HEADING = /^(\d{1,2}(?:\.\d{1,2}){0,3})\.?\)?\s+(\p{Lu}.*)$/u;
+// "Chapter 3", "Unit IV: Thermodynamics", "Lecture 5 - Sorting"
+const KEYWORD_HEADING = /^(chapter|part|unit|module|lecture|week|topic|section)\s+(\d{1,3}|[ivxlc]{1,7})\b\s*[:.\-–—]?\s*(.*)$/iu;
+// "# Heading" from imported Markdown, Word and PowerPoint pages
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)\s*#*$/;
+// Table of contents entries: "Introduction ........ 3"
+const LEADER_ENTRY = /(\.{3,}|…|\s\.\s\.)\s*\d{1,4}$/;
+
+const outlineService = {
+  /**
+   * Detect section headings across a note's pages. Pages with OCR geometry are read
+   * line by line and compared to the body text size; pages without it fall back to
+   * numbering, Markdown markers and all-caps lines in their text.
+   * @param {Array<Object>} pages - NotePage-shaped pages in order { pageNumber, text, lines, width, height, hasLayout, rotation }
+   * @returns {Array<Object>} Sections in reading order, a pre-order walk of the section tree:
+   *   { title, number, level, pageNumber, endPage, top, source }
+   */
+  detectOutline(pages) {
+    const pageLines = (pages || []).map((page) => ({ page, lines: collectLines(page) }));
+    const bodySize = weightedMedian(
+      pageLines.flatMap(({ lines }) => lines.filter((line) => line.size).map((line) => [line.size, line.words]))
+    );
+
+    // Candidates in reading order
+    const candidates = [];
+    for (const { page, lines } of pageLines) {
+      for (const line of lines) {
+        const candidate = classifyLine(line, bodySize, page.hasLayout === true);
+        if (candidate) candidates.push({ ...candidate, pageNumber: page.pageNumber, top: line.top });
+      }
+    }
+
+    const runningHeaders = findRunningHeaders(candidates, pageLines.length);
+    const tiers = sizeTiers(candidates.filter((candidate) => candidate.sizeRatio >= OUTLINE_CONFIG.MIN_SIZE_RATIO));
+
+    const sections = [];
+    let lastChapterNumber = 0;
+    for (const candidate of candidates) {
+      if (candidate.source !== "markdown" && runningHeaders.has(headingKey(candidate.title))) continue;
+
+      // A lone "1." without a larger font is only a heading while chapter numbers keep
+      // increasing; numbered lists restart at 1
+      if (candidate.weak) {
+        if (candidate.numberValue <= lastChapterNumber) continue;
+      }
+      if (candidate.numberLevel === 1 && candidate.numberValue) {
+        lastChapterNumber = candidate.numberValue;
+      }
+
+      const level = resolveLevel(candidate, tiers);
+      const previous = sections[sections.length - 1];
+      if (
+        previous &&
+        previous.level === level &&
+        headingKey(previous.title) === headingKey(candidate.title) &&
+        candidate.pageNumber - previous.pageNumber <= 1
+      ) {
+        continue; // Continued slide or repeated title
+      }
+
+      sections.push({
+        title: candidate.title,
+        number: candidate.number || null,
+        level,
+        pageNumber: candidate.pageNumber,
+        top: typeof candidate.top === "number" ? Math.round(candidate.top * 1000) / 1000 : null,
+        source: candidate.source,
+      });
+      if (sections.length >= OUTLINE_CONFIG.MAX_SECTIONS) break;
+    }
+
+    // Shift levels so the outline starts at level 1
+    const minLevel = Math.min(...sections.map((section) => section.level));
+    const lastPage = pages && pages.length > 0 ? pages[pages.length - 1].pageNumber : 1;
+    sections.forEach((section, index) => {
+      section.level -= minLevel - 1;
+      section.endPage = findEndPage(sections, index, lastPage);
+    });
+
+    return sections;
+  },
+
+  /**
+   * Nest an outline's sections by level
+   * @param {Array<Object>} sections - Sections from detectOutline()
+   * @returns {Array<Object>} Top-level sections, each with `children`
+   */
+  buildTree(sections) {
+    const roots = [];
+    const stack = [];
+
+    for (const section of sections || []) {
+      const node = {
+        title: section.title,
+        number: section.number || null,
+        level: section.level,
+        pageNumber: section.pageNumber,
+        endPage: section.endPage,
+        children: [],
+      };
+      while (stack.length > 0 && stack[stack.length - 1].level >= node.level) stack.pop();
+      (stack.length > 0 ? stack[stack.length - 1].children : roots).push(node);
+      stack.push(node);
+    }
+
+    return roots;
+  },
+
+  /**
+   * Display name of a section: "2.1 Background", or the title alone when it already
+   * carries the number ("Chapter 2: Genes")
+   * @param {Object} section - { title, number }
+   * @returns {string} Label
+   */
+  sectionLabel(section) {
+    const title = section.title || "";
+    return section.number && !title.split(/[\s:.)]+/).includes(section.number)
+      ? `${section.number} ${title}`
+      : title;
+  },
+
+  /**
+   * Write an outline into a PDF as bookmarks; a PDF that already has bookmarks keeps its own
+   * @param {Buffer} pdfBytes - PDF bytes
+   * @param {Array<Object>} sections - Sections from detectOutline()
+   * @returns {Promise<Buffer>} PDF bytes with bookmarks
+   */
+  async addBookmarks(pdfBytes, sections) {
+    if (!sections || sections.length === 0) return pdfBytes;
+
+    const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+    if (pdfDoc.catalog.get(PDFName.of("Outlines"))) return pdfBytes;
+
+    const pages = pdfDoc.getPages();
+    const context = pdfDoc.context;
+    const tree = outlineService.buildTree(
+      sections.filter((section) => pages[section.pageNumber - 1])
+    );
+    if (tree.length === 0) return pdfBytes;
+
+    const topByNode = new Map();
+    const topOf = (nodes) => nodes.forEach((node) => {
+      const section = sections.find((entry) => entry.pageNumber === node.pageNumber && entry.title === node.title);
+      topByNode.set(node, section ? section.top : null);
+      topOf(node.children);
+    });
+    topOf(tree);
+
+    const outlinesRef = context.nextRef();
+
+    // Writes one level of items under parentRef and returns the first and last item refs
+    const writeItems = (nodes, parentRef) => {
+      const refs = nodes.map(() => context.nextRef());
+      nodes.forEach((node, index) => {
+        const pdfPage = pages[node.pageNumber - 1];
+        const fields = {
+          Title: PDFHexString.fromText(outlineService.sectionLabel(node)),
+          Parent: parentRef,
+          Dest: destinationFor(pdfPage, topByNode.get(node)),
+        };
+        if (index > 0) fields.Prev = refs[index - 1];
+        if (index < nodes.length - 1) fields.Next = refs[index + 1];
+        if (node.children.length > 0) {
+          const { first, last } = writeItems(node.children, refs[index]);
+          fields.First = first;
+          fields.Last = last;
+          // Negative: collapsed, with this many direct children
+          fields.Count = -node.children.length;
+        }
+        context.assign(refs[index], context.obj(fields));
+      });
+      return { first: refs[0], last: refs[refs.length - 1] };
+    };
+
+    const { first, last } = writeItems(tree, outlinesRef);
+    context.assign(
+      outlinesRef,
+      context.obj({ Type: "Outlines", First: first, Last: last, Count: tree.length })
+    );
+    pdfDoc.catalog.set(PDFName.of("Outlines"), outlinesRef);
+    pdfDoc.catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+
+    return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+  },
+};
+
+// Jump to the heading's line when its position is known, otherwise show the whole page
+function destinationFor(pdfPage, top) {
+  if (typeof top === "number" && pdfPage.getRotation().angle % 360 === 0) {
+    const point = createPagePointMapper(pdfPage, { width: 1, height: 1 })(0, Math.max(0, top - 0.02));
+    return [pdfPage.ref, PDFName.of("XYZ"), null, point.y, null];
+  }
+  return [pdfPage.ref, PDFName.of("Fit")];
+}
+
+// A page's lines with their text height relative to the page (null without geometry)
+function collectLines(page) {
+  const hasGeometry = page.hasLayout === true && Array.isArray(page.lines) && page.lines.length > 0 && page.height > 0;
+  if (!hasGeometry) {
+    return (page.text || "")
+      .split(/\r?\n/)
+      .map((text) => text.replace(/\s+/g, " ").trim())
+      .filter(Boolean)
+      .map((text) => ({ text, size: null, top: null, words: text.split(" ").length }));
+  }
+
+  // Boxes of pages turned by page edits are still in the unturned OCR space
+  const upright = !page.rotation;
+  return page.lines
+    .map((line) => {
+      const words = (line.words || []).filter((word) => word && word.text);
+      const text = (line.text || words.map((word) => word.text).join(" ")).replace(/\s+/g, " ").trim();
+      const heights = words.map((word) => boxHeight(word.boundingBox)).filter((height) => height > 0);
+      const height = heights.length > 0 ? median(heights) : boxHeight(line.boundingBox);
+      const box = line.boundingBox || [];
+      const top = box.length >= 8 ? Math.min(box[1], box[3], box[5], box[7]) / page.height : null;
+
+      return {
+        text,
+        size: height > 0 ? height / page.height : null,
+        top: upright && top !== null ? Math.min(1, Math.max(0, top)) : null,
+        words: Math.max(1, words.length),
+      };
+    })
+    .filter((line) => line.text);
+}
+
+// Height of an 8-number box measured along its left and right edges
+function boxHeight(box) {
+  if (!Array.isArray(box) || box.length < 8) return 0;
+  const left = Math.hypot(box[6] - box[0], box[7] - box[1]);
+  const right = Math.hypot(box[4] - box[2], box[5] - box[3]);
+  return (left + right) / 2;
+}
+
+// Decide whether a line is a heading and what kind
+function classifyLine(line, bodySize, hasLayout) {
+  const text = line.text;
+  if (!text || text.length > OUTLINE_CONFIG.MAX_TITLE_LENGTH || LEADER_ENTRY.test(text)) return null;
+
+  let match = !hasLayout && text.match(MARKDOWN_HEADING);
+  if (match) {
+    const title = cleanTitle(match[2]);
+    return title ? { title, source: "markdown", markdownLevel: match[1].length } : null;
+  }
+
+  const words = text.split(" ").length;
+  if (words > OUTLINE_CONFIG.MAX_WORDS || !/\p{L}/u.test(text) || /[,;]$/.test(text)) return null;
+  const sizeRatio = line.size && bodySize ? line.size / bodySize : null;
+  const large = sizeRatio !== null && sizeRatio >= OUTLINE_CONFIG.MIN_SIZE_RATIO;
+
+  match = text.match(KEYWORD_HEADING);
+  if (match) {
+    const keyword = match[1].toLowerCase();
+    return {
+      title: cleanTitle(text),
+      number: match[2],
+      numberLevel: keyword === "section" ? 2 : 1,
+      numberValue: toNumberValue(match[2]),
+      sizeRatio,
+      source: "numbering",
+    };
+  }
+
+  match = text.match(NUMBERED_HEADING);
+  if (match && !/\.$/.test(text)) {
+    const depth = match[1].split(".").length;
+    if (depth === 1 && hasLayout && !large && sizeRatio !== null && sizeRatio < 1.1) return null;
+    return {
+      title: cleanTitle(match[2]),
+      number: match[1],
+      numberLevel: depth,
+      numberValue: depth === 1 ? Number(match[1]) : null,
+      // Only the monotonic chapter numbering check backs a plain "1 Title"
+      weak: depth === 1 && !large,
+      sizeRatio,
+      source: "numbering",
+    };
+  }
+
+  if (/[.!]$/.test(text)) return null;
+
+  if (large && /^[\p{Lu}\p{N}]/u.test(text)) {
+    return { title: cleanTitle(text), sizeRatio, source: "layout" };
+  }
+
+  const letters = text.replace(/[^\p{L}]/gu, "");
+  if (
+    letters.length >= 4 &&
+    words <= 8 &&
+    letters === letters.toUpperCase() &&
+    letters !== letters.toLowerCase() &&
+    (sizeRatio === null || sizeRatio >= 1)
+  ) {
+    return { title: cleanTitle(text), sizeRatio, source: "caps" };
+  }
+
+  return null;
+}
+
+// Heading size levels: the largest sizes first, a new tier when a size drops below TIER_RATIO
+function sizeTiers(candidates) {
+  const sizes = candidates.map((candidate) => candidate.sizeRatio).sort((a, b) => b - a);
+  const tiers = [];
+  for (const size of sizes) {
+    const tier = tiers[tiers.length - 1];
+    if (!tier || size < tier * OUTLINE_CONFIG.TIER_RATIO) tiers.push(size);
+  }
+  return tiers;
+}
+
+function resolveLevel(candidate, tiers) {
+  let level;
+  if (candidate.markdownLevel) {
+    level = candidate.markdownLevel;
+  } else if (candidate.numberLevel) {
+    level = candidate.numberLevel;
+  } else if (candidate.sizeRatio >= OUTLINE_CONFIG.MIN_SIZE_RATIO) {
+    const tier = tiers.findIndex((size) => candidate.sizeRatio >= size * OUTLINE_CONFIG.TIER_RATIO);
+    level = (tier === -1 ? tiers.length - 1 : tier) + 1;
+  } else {
+    // All-caps lines in body size sit below every sized heading
+    level = tiers.length + 1;
+  }
+  return Math.min(OUTLINE_CONFIG.MAX_LEVELS, Math.max(1, level));
+}
+
+// Titles that repeat across many pages are running headers or footers, not sections
+function findRunningHeaders(candidates, pageCount) {
+  const pagesByKey = new Map();
+  for (const candidate of candidates) {
+    const key = headingKey(candidate.title);
+    if (!pagesByKey.has(key)) pagesByKey.set(key, new Set());
+    pagesByKey.get(key).add(candidate.pageNumber);
+  }
+
+  const running = new Set();
+  for (const [key, pages] of pagesByKey) {
+    if (
+      pages.size >= OUTLINE_CONFIG.RUNNING_HEADER_PAGES &&
+      pages.size >= pageCount * OUTLINE_CONFIG.RUNNING_HEADER_SHARE
+    ) {
+      running.add(key);
+    }
+  }
+  return running;
+}
+
+// Last page of a section: up to where the next section of the same or a higher level starts
+function findEndPage(sections, index, lastPage) {
+  const section = sections[index];
+  const next = sections.slice(index + 1).find((entry) => entry.level <= section.level);
+  if (!next) return lastPage;
+  if (next.pageNumber === section.pageNumber) return section.pageNumber;
+  // The next heading shares its page when text of this section runs above it
+  const sharesPage = next.top === null || next.top > 0.2;
+  return Math.max(section.pageNumber, sharesPage ? next.pageNumber : next.pageNumber - 1);
+}
+
+function cleanTitle(text) {
+  return text
+    .replace(/[*_`]+/g, "")
+    .replace(/\s*\((cont(inued|'d|\.)?)\)\s*$/i, "")
+    .replace(/[\s:]+$/, "")
+    .trim()
+    .slice(0, 200);
+}
+
+function headingKey(title) {
+  return title.toLowerCase().replace(/[\d\s.:\-–—()]+/g, " ").trim();
+}
+
+function toNumberValue(value) {
+  if (/^\d+$/.test(value)) return Number(value);
+  const numerals = { i: 1, v: 5, x: 10, l: 50, c: 100 };
+  const digits = value.toLowerCase().split("").map((char) => numerals[char] || 0);
+  return digits.reduce((sum, digit, index) => sum + (digit < (digits[index + 1] || 0) ? -digit : digit), 0);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Median of [value, weight] pairs
+function weightedMedian(pairs) {
+  if (pairs.length === 0) return null;
+  const sorted = [...pairs].sort((a, b) => a[0] - b[0]);
+  const half = sorted.reduce((sum, [, weight]) => sum + weight, 0) / 2;
+  let seen = 0;
+  for (const [value, weight] of sorted) {
+    seen += weight;
+    if (seen >= half) return value;
+  }
+  return sorted[sorted.length - 1][0];
+}
+
+outlineService.OUTLINE_CONFIG = OUTLINE_CONFIG;
+
+module.exports = outlineService;
@@ -0,0 +1,655 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { PDFDocument: PDFLib, degrees } = require("pdf-lib");
+const Note = require("../models/Note");
+const NotePage = require("../models/NotePage");
+const UserNote = require("../models/UserNote");
+const PageTextRevision = require("../models/PageTextRevision");
+const OcrReviewWord = require("../models/OcrReviewWord");
+const ChatConversation = require("../models/ChatConversation");
+const ocrService = require("./ocrService");
+const noteProcessingService = require("./noteProcessingService");
+const jobQueue = require("./jobQueue");
+const processingEvents = require("./processingEvents");
+const pageImageService = require("./pageImageService");
+const documentImportService = require("./documentImportService");
+const outlineService = require("./outlineService");
+const storageQuotaService = require("./storageQuotaService");
+const retrievalService = require("./retrievalService");
+const fileStorage = require("./storage");
+
+const EDIT_PAGES_JOB = "edit-pages";
+const PAGE_OPERATIONS = ["move", "rotate", "delete", "insert"];
+const uploadsDir = path.join(__dirname, "../../uploads");
+
+const pageEditService = {
+  /**
+   * Check an operation list against a note's pages without touching any file.
+   * Page numbers in each operation refer to the pages as left by the operations before it.
+   * @param {number} pageCount - Current number of pages
+   * @param {Array<Object>} operations - { type: "move", page, to } | { type: "rotate", page, degrees } |
+   *   { type: "delete", page } | { type: "insert", after, file }
+   * @param {Array<Object>} files - Uploaded files referenced by insert operations (by index)
+   * @returns {Promise<Object>} Plan { pages, deletedPages, insertedPages }
+   */
+  async validateOperations(pageCount, operations, files = []) {
+    const uploadPageCounts = await Promise.all(files.map((file) => countUploadPages(file)));
+    return planPageEdits(pageCount, operations, uploadPageCounts);
+  },
+
+  /**
+   * Build insert operations that append uploaded files, in order, after the last page
+   * @param {number} pageCount - Current number of pages
+   * @param {Array<Object>} files - Uploaded files { path, mimetype, originalName }
+   * @returns {Promise<Array<Object>>} Operation list
+   */
+  async buildAppendOperations(pageCount, files) {
+    const operations = [];
+    let after = pageCount;
+    for (let index = 0; index < files.length; index++) {
+      operations.push({ type: "insert", after, file: index });
+      after += await countUploadPages(files[index]);
+    }
+    return operations;
+  },
+
+  /**
+   * Queue a page edit; the job rebuilds the note's PDFs and moves its page data
+   * @param {Object} note - Note document
+   * @param {Array<Object>} operations - Validated operation list
+   * @param {Array<Object>} files - Uploaded files { path, mimetype, originalName, size }
+   * @param {Object} options - OCR options for inserted files { preprocess }
+   * @returns {Promise<Object>} The queued job
+   */
+  async enqueuePageEdit(note, operations, files = [], options = {}) {
+    return jobQueue.enqueue(EDIT_PAGES_JOB, {
+      noteId: note._id,
+      userId: note.userId,
+      payload: {
+        operations,
+        files: files.map((file) => ({
+          path: file.path,
+          mimetype: file.mimetype,
+          originalName: file.originalName,
+          size: file.size,
+        })),
+        options,
+      },
+    });
+  },
+
+  /**
+   * Apply page operations to a note: rebuild the original and searchable PDFs and
+   * move per-page text, layout, annotations and user notes along with their pages
+   * @param {string} noteId - Note ID
+   * @param {Array<Object>} operations - Operation list (see validateOperations)
+   * @param {Array<Object>} files - Uploaded files referenced by insert operations
+   * @param {Function} reportProgress - Optional callback (stage, progress)
+   * @param {Object} options - OCR options for inserted files { preprocess }
+   * @returns {Promise<Object>} Summary { pages, deletedPages, insertedPages, removedUserNotes }
+   */
+  async applyPageEdits(noteId, operations, files = [], reportProgress = async () => {}, options = {}) {
+    console.log(`✂️ Applying ${operations.length} page operation(s) to note ${noteId}`);
+
+    const report = async (stage, progress, details = {}) => {
+      processingEvents.publish(noteId, stage, { progress: Math.round(progress), ...details });
+      await reportProgress(stage, progress);
+    };
+
+    const note = await Note.findById(noteId);
+    if (!note) {
+      throw createEditError("Note not found");
+    }
+
+    await report("editing-pages", 5);
+
+    const searchableBytes = await note.readFileData("ocrTextPDF");
+    const originalBytes = await loadOriginalPDF(note);
+    if (!searchableBytes || !originalBytes) {
+      throw createEditError("The note's PDF files are not stored; reprocess the note first");
+    }
+
+    const searchableDoc = await PDFLib.load(searchableBytes, { ignoreEncryption: true });
+    const originalDoc = await PDFLib.load(originalBytes, { ignoreEncryption: true });
+    const pageCount = searchableDoc.getPageCount();
+    if (originalDoc.getPageCount() !== pageCount) {
+      throw createEditError(
+        `Original (${originalDoc.getPageCount()} pages) and searchable PDF (${pageCount} pages) do not line up; reprocess the note first`
+      );
+    }
+
+    // OCR inserted uploads; their plain pages go into the original, OCR pages into the searchable PDF
+    const uploads = [];
+    for (let index = 0; index < files.length; index++) {
+      const file = files[index];
+      await report("ocr", 10 + (60 * index) / files.length, { file: index + 1, totalFiles: files.length });
+
+      const recognized = await noteProcessingService.recognizeUpload(file, options);
+      const plainDoc = await PDFLib.load(await ocrService.convertFileToPDF(file.path, file.mimetype), {
+        ignoreEncryption: true,
+      });
+      const ocrDoc = await PDFLib.load(recognized.pdfData, { ignoreEncryption: true });
+      if (plainDoc.getPageCount() !== ocrDoc.getPageCount()) {
+        throw createEditError(`OCR of ${file.originalName || "inserted file"} changed its page count`);
+      }
+
+      uploads.push({ file, recognized, plainDoc, ocrDoc });
+    }
+
+    const plan = planPageEdits(
+      pageCount,
+      operations,
+      uploads.map((upload) => upload.plainDoc.getPageCount())
+    );
+
+    await report("building-pdf", 75);
+    const newOriginal = await buildDocument(plan.pages, originalDoc, uploads.map((upload) => upload.plainDoc));
+    const newSearchable = await buildDocument(plan.pages, searchableDoc, uploads.map((upload) => upload.ocrDoc));
+
+    // Old page number -> new page number (null when deleted)
+    const pageMap = new Map();
+    for (let page = 1; page <= pageCount; page++) pageMap.set(page, null);
+    plan.pages.forEach((entry, index) => {
+      if (entry.sourcePage) pageMap.set(entry.sourcePage, index + 1);
+    });
+
+    const { extractedPages, notePages } = await remapPageText(note, plan.pages, uploads);
+    // Sections move with their pages; the rebuilt PDF gets fresh bookmarks
+    const outline = outlineService.detectOutline(notePages);
+    const bookmarkedSearchable = await outlineService.addBookmarks(newSearchable, outline).catch((error) => {
+      console.warn(`Failed to add bookmarks: ${error.message}`);
+      return newSearchable;
+    });
+    const sourceFiles = rebuildSourceFiles(note, uploads, extractedPages);
+    const annotations = remapAnnotations(note.annotations, pageMap);
+    const confidence = Math.round(
+      extractedPages.reduce((sum, page) => sum + (page.confidence || 0), 0) / extractedPages.length
+    );
+
+    await report("storing", 90);
+    const thumbnail = await pageImageService.generateThumbnail({ pdfData: newSearchable });
+
+    const originalName = (note.originalFile.originalName || note.title).replace(/\.[^/.]+$/, "");
+    const updateData = {
+      originalFile: await note.storeFile("originalFile", newOriginal, {
+        originalName: `${originalName}.pdf`,
+        mimetype: "application/pdf",
+        uploadedAt: note.originalFile.uploadedAt || new Date(),
+      }),
+      extractedText: noteProcessingService.joinPageTexts(extractedPages),
+      extractedPages,
+      sourceFiles,
+      annotations,
+      outline,
+      outlineUpdatedAt: new Date(),
+      confidence,
+      accuracy: confidence,
+      pages: plan.pages.length,
+      status: extractedPages.every((page) => !page.text.trim()) ? "completed_no_text" : "completed",
+      lastEdited: new Date(),
+    };
+
+    try {
+      updateData.ocrTextPDF = await note.storeFile("ocrTextPDF", bookmarkedSearchable, {
+        mimetype: "application/pdf",
+        pages: plan.pages.length,
+        createdAt: new Date(),
+        isOriginal: false,
+        alignment: remapAlignment(note, plan.pages, uploads),
+      });
+    } catch (storeError) {
+      await fileStorage.delete(updateData.originalFile).catch(() => {});
+      throw storeError;
+    }
+
+    if (thumbnail) {
+      try {
+        Object.assign(updateData, await pageImageService.storeThumbnail(note, thumbnail));
+      } catch (thumbnailError) {
+        console.warn(`Failed to store thumbnail of note ${noteId}: ${thumbnailError.message}`);
+      }
+    }
+
+    try {
+      await NotePage.replaceForNote(noteId, note.userId, notePages);
+      await Note.findByIdAndUpdate(noteId, updateData);
+    } catch (updateError) {
+      console.error(`Failed to store page edits for note ${noteId}:`, updateError);
+      await fileStorage.delete(updateData.originalFile).catch(() => {});
+      await fileStorage.delete(updateData.ocrTextPDF).catch(() => {});
+      await fileStorage.delete(updateData.thumbnailFile).catch(() => {});
+      throw new Error(`Database update failed: ${updateError.message}`);
+    }
+
+    const removedUserNotes = await remapUserNotes(noteId, pageMap);
+    await PageTextRevision.remapPages(noteId, pageMap);
+    await OcrReviewWord.remapPages(noteId, pageMap);
+
+    // Doubtful words of inserted pages join the review queue
+    const insertedReviewWords = OcrReviewWord.collectWords(
+      notePages.filter((page, index) => plan.pages[index].upload !== undefined)
+    );
+    if (insertedReviewWords.length > 0) {
+      await OcrReviewWord.insertMany(
+        insertedReviewWords.map((word) => ({ ...word, noteId, userId: note.userId })),
+        { ordered: false }
+      );
+    }
+
+    // Conversations rebuild their cached note overview and chunks on the next message
+    await ChatConversation.invalidateNoteContext(noteId);
+    await retrievalService.invalidateNote(noteId);
+
+    // The replaced files and their rendered previews are no longer needed
+    const replacedKinds = updateData.thumbnailFile
+      ? ["originalFile", "ocrTextPDF", "thumbnailFile"]
+      : ["originalFile", "ocrTextPDF"];
+    for (const kind of replacedKinds) {
+      await fileStorage.delete(note[kind]).catch((error) => {
+        console.warn(`Failed to delete previous ${kind} of note ${noteId}: ${error.message}`);
+      });
+    }
+    await pageImageService.invalidateNote(noteId).catch(() => {});
+    await storageQuotaService.refreshNoteUsage(noteId).catch((error) => {
+      console.warn(`Failed to update storage usage of note ${noteId}: ${error.message}`);
+    });
+
+    console.log(`✅ Page edits applied to note ${noteId}: ${pageCount} -> ${plan.pages.length} pages`);
+
+    processingEvents.publish(noteId, "stored", {
+      progress: 100,
+      status: updateData.status,
+      pages: plan.pages.length,
+      confidence,
+    });
+
+    return {
+      pages: plan.pages.length,
+      previousPages: pageCount,
+      deletedPages: plan.deletedPages,
+      insertedPages: plan.insertedPages,
+      removedUserNotes,
+    };
+  },
+};
+
+// Job handler: page edits run through the queue so they never overlap with OCR of the same note
+jobQueue.registerHandler(EDIT_PAGES_JOB, {
+  async run(job, { reportProgress }) {
+    const { operations = [], files = [], options = {} } = job.payload || {};
+
+    const available = await Promise.all(
+      files.map((file) => fs.access(file.path).then(() => true, () => false))
+    );
+    if (!available.every(Boolean)) {
+      throw createEditError("Uploaded pages for this edit are no longer available");
+    }
+
+    try {
+      const result = await pageEditService.applyPageEdits(job.noteId, operations, files, reportProgress, options);
+      await noteProcessingService.cleanupFiles(files);
+      return result;
+    } catch (error) {
+      if (error.retryable !== false && job.attempts < job.maxAttempts) {
+        processingEvents.publish(job.noteId, "retrying", {
+          error: error.message,
+          attempt: job.attempts,
+          maxAttempts: job.maxAttempts,
+        });
+      }
+      throw error;
+    }
+  },
+
+  async onDeadLetter(job, error) {
+    console.warn(`Page edit of note ${job.noteId} failed, note left unchanged: ${error.message}`);
+    processingEvents.publish(job.noteId, "failed", {
+      progress: 100,
+      error: error.message,
+      previousResultKept: true,
+    });
+    await noteProcessingService.cleanupFiles((job.payload && job.payload.files) || []);
+  },
+});
+
+/**
+ * Run the operation list over the page order
+ * @param {number} pageCount - Pages before editing
+ * @param {Array<Object>} operations - Operation list
+ * @param {Array<number>} uploadPageCounts - Page count of each uploaded file
+ * @returns {Object} { pages: [{ sourcePage } | { upload, uploadPage }, each with rotation], deletedPages, insertedPages }
+ */
+function planPageEdits(pageCount, operations, uploadPageCounts) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw createValidationError("Operations must be a non-empty array");
+  }
+
+  let pages = [];
+  for (let page = 1; page <= pageCount; page++) {
+    pages.push({ sourcePage: page, rotation: 0 });
+  }
+
+  const usedUploads = new Set();
+  let insertedPages = 0;
+
+  operations.forEach((operation, index) => {
+    const label = `Operation ${index + 1}`;
+    if (!operation || !PAGE_OPERATIONS.includes(operation.type)) {
+      throw createValidationError(`${label}: type must be one of ${PAGE_OPERATIONS.join(", ")}`);
+    }
+
+    const pageIndex = (value, name = "page", max = pages.length) => {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1 || number > max) {
+        throw createValidationError(`${label}: ${name} must be a page number between 1 and ${max}`);
+      }
+      return number - 1;
+    };
+
+    switch (operation.type) {
+      case "move": {
+        const from = pageIndex(operation.page);
+        const to = pageIndex(operation.to, "to");
+        const [entry] = pages.splice(from, 1);
+        pages.splice(to, 0, entry);
+        break;
+      }
+      case "rotate": {
+        const entry = pages[pageIndex(operation.page)];
+        const angle = Number(operation.degrees);
+        if (!Number.isInteger(angle) || angle % 90 !== 0) {
+          throw createValidationError(`${label}: degrees must be a multiple of 90`);
+        }
+        entry.rotation = normalizeRotation(entry.rotation + angle);
+        break;
+      }
+      case "delete": {
+        pages.splice(pageIndex(operation.page), 1);
+        break;
+      }
+      case "insert": {
+        const after = Number(operation.after);
+        if (!Number.isInteger(after) || after < 0 || after > pages.length) {
+          throw createValidationError(`${label}: after must be between 0 and ${pages.length}`);
+        }
+        const file = Number(operation.file);
+        if (uploadPageCounts.length === 0) {
+          throw createValidationError(`${label}: insert needs an uploaded file`);
+        }
+        if (!Number.isInteger(file) || file < 0 || file >= uploadPageCounts.length) {
+          throw createValidationError(
+            `${label}: file must be the index of an uploaded file (0-${uploadPageCounts.length - 1})`
+          );
+        }
+        if (usedUploads.has(file)) {
+          throw createValidationError(`${label}: uploaded file ${file} is already inserted`);
+        }
+        usedUploads.add(file);
+
+        const inserted = [];
+        for (let page = 1; page <= uploadPageCounts[file]; page++) {
+          inserted.push({ upload: file, uploadPage: page, rotation: 0 });
+        }
+        pages.splice(after, 0, ...inserted);
+        insertedPages += inserted.length;
+        break;
+      }
+    }
+
+    if (pages.length === 0) {
+      throw createValidationError(`${label}: a note must keep at least one page`);
+    }
+  });
+
+  if (usedUploads.size !== uploadPageCounts.length) {
+    throw createValidationError("Every uploaded file must be used by an insert operation");
+  }
+
+  const kept = new Set(pages.filter((entry) => entry.sourcePage).map((entry) => entry.sourcePage));
+  const deletedPages = [];
+  for (let page = 1; page <= pageCount; page++) {
+    if (!kept.has(page)) deletedPages.push(page);
+  }
+
+  return { pages, deletedPages, insertedPages };
+}
+
+// Copy the planned pages into a new PDF, one copyPages call per source document
+async function buildDocument(plannedPages, existingDoc, uploadDocs) {
+  const output = await PDFLib.create();
+  const sources = [existingDoc, ...uploadDocs];
+  const copied = new Map();
+
+  for (let sourceIndex = 0; sourceIndex < sources.length; sourceIndex++) {
+    const wanted = plannedPages
+      .map((entry) => (sourceIndex === 0 ? entry.sourcePage : entry.upload === sourceIndex - 1 && entry.uploadPage))
+      .filter(Boolean)
+      .map((page) => page - 1);
+    if (wanted.length === 0) continue;
+
+    const pages = await output.copyPages(sources[sourceIndex], wanted);
+    wanted.forEach((pageIndex, i) => copied.set(`${sourceIndex}:${pageIndex}`, pages[i]));
+  }
+
+  for (const entry of plannedPages) {
+    const key = entry.sourcePage
+      ? `0:${entry.sourcePage - 1}`
+      : `${entry.upload + 1}:${entry.uploadPage - 1}`;
+    const page = copied.get(key);
+    if (entry.rotation) {
+      page.setRotation(degrees(normalizeRotation(page.getRotation().angle + entry.rotation)));
+    }
+    output.addPage(page);
+  }
+
+  return Buffer.from(await output.save({ useObjectStreams: false }));
+}
+
+// The stored original as PDF bytes (a single photo upload is converted on the fly)
+async function loadOriginalPDF(note) {
+  const data = await note.readFileData("originalFile");
+  if (!data || !note.originalFile.mimetype || note.originalFile.mimetype === "application/pdf") {
+    return data;
+  }
+
+  const extension = path.extname(note.originalFile.originalName || "") || ".img";
+  const tempPath = path.join(uploadsDir, `edit-${note._id}-${Date.now()}${extension}`);
+  await fs.writeFile(tempPath, data);
+  try {
+    return await ocrService.convertFileToPDF(tempPath, note.originalFile.mimetype);
+  } finally {
+    await noteProcessingService.cleanupFiles([{ path: tempPath }]);
+  }
+}
+
+// Text layer alignment of the edited PDF: kept pages bring their measurements along,
+// inserted pages bring the ones taken when they were OCRed
+function remapAlignment(note, plannedPages, uploads) {
+  const { ocrTextPDF } = note.toObject();
+  const previous = ocrTextPDF && ocrTextPDF.alignment;
+  const previousPages = new Map(
+    ((previous && previous.pages) || []).map((page) => [page.page, page])
+  );
+
+  const pages = [];
+  plannedPages.forEach((entry, index) => {
+    const measured = entry.sourcePage
+      ? previousPages.get(entry.sourcePage)
+      : ((uploads[entry.upload].recognized.textLayer || {}).pages || [])
+        .find((page) => page.page === entry.uploadPage);
+    if (measured) pages.push({ ...measured, page: index + 1 });
+  });
+
+  return pages.length > 0 ? ocrService.summarizeTextLayer(pages) : undefined;
+}
+
+// Build the new extractedPages and NotePage documents in the edited page order
+async function remapPageText(note, plannedPages, uploads) {
+  const extractedByPage = new Map(
+    (note.extractedPages || []).map((page) => [page.pageNumber, page])
+  );
+  const storedPages = await NotePage.find({ noteId: note._id }).lean();
+  const storedByPage = new Map(storedPages.map((page) => [page.pageNumber, page]));
+  const firstUploadSource = (note.sourceFiles || []).length;
+
+  const extractedPages = [];
+  const notePages = [];
+
+  plannedPages.forEach((entry, index) => {
+    const pageNumber = index + 1;
+
+    if (entry.sourcePage) {
+      const extracted = extractedByPage.get(entry.sourcePage) || { text: "", confidence: 0 };
+      extractedPages.push({
+        pageNumber,
+        text: extracted.text || "",
+        confidence: extracted.confidence,
+        sourceIndex: extracted.sourceIndex,
+      });
+
+      const { _id, noteId, userId, createdAt, updatedAt, __v, ...stored } =
+        storedByPage.get(entry.sourcePage) || {
+          text: extracted.text || "",
+          confidence: extracted.confidence,
+          sourceIndex: extracted.sourceIndex,
+          lines: [],
+          hasLayout: false,
+        };
+      notePages.push({
+        ...stored,
+        pageNumber,
+        rotation: normalizeRotation((stored.rotation || 0) + entry.rotation),
+      });
+      return;
+    }
+
+    const uploaded = uploads[entry.upload].recognized.pages[entry.uploadPage - 1] || { text: "", lines: [] };
+    const sourceIndex = firstUploadSource + entry.upload;
+    extractedPages.push({
+      pageNumber,
+      text: uploaded.text,
+      confidence: uploaded.confidence,
+      sourceIndex,
+    });
+    notePages.push({
+      ...uploaded,
+      pageNumber,
+      sourceIndex,
+      rotation: entry.rotation,
+    });
+  });
+
+  return { extractedPages, notePages };
+}
+
+// Keep the upload list and add inserted files; page ranges follow where pages now are
+function rebuildSourceFiles(note, uploads, extractedPages) {
+  const sourceFiles = (note.sourceFiles || []).map((source) => source.toObject());
+  uploads.forEach(({ file, recognized }) => {
+    sourceFiles.push({
+      originalName: file.originalName,
+      mimetype: file.mimetype,
+      size: file.size,
+      preprocessing: recognized.preprocessing,
+    });
+  });
+
+  sourceFiles.forEach((source, sourceIndex) => {
+    const pages = extractedPages.filter((page) => page.sourceIndex === sourceIndex);
+    source.pageStart = pages.length > 0 ? pages[0].pageNumber : null;
+    source.pageCount = pages.length;
+  });
+
+  return sourceFiles;
+}
+
+// Renumber PDF annotations that carry a page / pageNumber; drop those on deleted pages
+function remapAnnotations(annotations, pageMap) {
+  if (!annotations || typeof annotations !== "object") return annotations;
+
+  const remapped = { ...annotations };
+  for (const [key, items] of Object.entries(annotations)) {
+    if (!Array.isArray(items)) continue;
+
+    remapped[key] = items
+      .map((item) => {
+        if (!item || typeof item !== "object") return item;
+        const field = ["pageNumber", "page"].find(
+          (name) => item[name] !== undefined && item[name] !== null && Number.isInteger(Number(item[name]))
+        );
+        if (!field) return item;
+
+        const newPage = pageMap.get(Number(item[field]));
+        return newPage ? { ...item, [field]: newPage } : null;
+      })
+      .filter((item) => item !== null);
+  }
+
+  remapped.lastModified = new Date();
+  return remapped;
+}
+
+// Move the user's page notes with their pages; notes on deleted pages are removed
+async function remapUserNotes(noteId, pageMap) {
+  const userNotes = await UserNote.find({ noteId }).select("pageNumber");
+  const operations = [];
+  let removed = 0;
+
+  for (const userNote of userNotes) {
+    const newPage = pageMap.get(userNote.pageNumber);
+    if (newPage === null) {
+      operations.push({ deleteOne: { filter: { _id: userNote._id } } });
+      removed++;
+    } else if (newPage !== undefined && newPage !== userNote.pageNumber) {
+      operations.push({
+        updateOne: { filter: { _id: userNote._id }, update: { $set: { pageNumber: newPage } } },
+      });
+    }
+  }
+
+  if (operations.length > 0) {
+    await UserNote.bulkWrite(operations, { ordered: false });
+  }
+  return removed;
+}
+
+// Number of pages an uploaded file will insert (images are one page, documents are rendered)
+async function countUploadPages(file) {
+  if (documentImportService.isDocument(file.mimetype)) {
+    try {
+      return (await documentImportService.convertDocument(file.path, file.mimetype)).pageCount;
+    } catch (error) {
+      throw createValidationError(`${file.originalName || "Uploaded file"} could not be read: ${error.message}`);
+    }
+  }
+  if (file.mimetype !== "application/pdf") return 1;
+
+  const pageCount = await ocrService.getPDFPageCount(await fs.readFile(file.path));
+  if (!pageCount) {
+    throw createValidationError(`${file.originalName || "Uploaded file"} is not a readable PDF`);
+  }
+  return pageCount;
+}
+
+function normalizeRotation(angle) {
+  return ((angle % 360) + 360) % 360;
+}
+
+function createValidationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.retryable = false;
+  return error;
+}
+
+// Edits that cannot succeed on a retry
+function createEditError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+pageEditService.EDIT_PAGES_JOB = EDIT_PAGES_JOB;
+pageEditService.PAGE_OPERATIONS = PAGE_OPERATIONS;
+
+module.exports = pageEditService;
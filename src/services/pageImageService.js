@@ -0,0 +1,217 @@
+const fs = require("fs").promises;
+const path = require("path");
+const sharp = require("sharp");
+const pdfRasterizer = require("./pdfRasterizer");
+
+const PAGE_IMAGE_CONFIG = {
+  CACHE_DIR: process.env.PAGE_IMAGE_CACHE_DIR || path.join(__dirname, "../../cache/page-images"),
+  DEFAULT_WIDTH: 800,
+  MIN_WIDTH: 100,
+  MAX_WIDTH: 2000,
+  // Requested widths are rounded up to this step to keep the cache small
+  WIDTH_STEP: 100,
+  THUMBNAIL_WIDTH: 320,
+  THUMBNAIL_QUALITY: 70,
+};
+
+// Renders in progress, so concurrent requests for the same page share one render
+const pendingRenders = new Map();
+
+const pageImageService = {
+  /**
+   * Snap a requested preview width to a cacheable size
+   * @param {string|number} requested - Width from the query string
+   * @returns {number} Width in pixels
+   */
+  normalizeWidth(requested) {
+    const width = parseInt(requested) || PAGE_IMAGE_CONFIG.DEFAULT_WIDTH;
+    const clamped = Math.max(PAGE_IMAGE_CONFIG.MIN_WIDTH, Math.min(width, PAGE_IMAGE_CONFIG.MAX_WIDTH));
+    return Math.ceil(clamped / PAGE_IMAGE_CONFIG.WIDTH_STEP) * PAGE_IMAGE_CONFIG.WIDTH_STEP;
+  },
+
+  /**
+   * Cache version of a note's page images; changes whenever the served PDF changes
+   * @param {Object} note - Note (ocrTextPDF.createdAt, originalFile.uploadedAt)
+   * @returns {string} Version string
+   */
+  getVersion(note) {
+    const date = (note.ocrTextPDF && note.ocrTextPDF.createdAt) ||
+      (note.originalFile && note.originalFile.uploadedAt) ||
+      note.updatedAt;
+    return String(date ? new Date(date).getTime() : 0);
+  },
+
+  /**
+   * Get a PNG preview of one page, rendering and caching it on first request
+   * @param {Object} note - Note document
+   * @param {number} pageNumber - 1-based page number
+   * @param {number} width - Normalized width in pixels
+   * @returns {Promise<Object>} { data, mimetype, version, cached }
+   */
+  async getPageImage(note, pageNumber, width) {
+    const version = this.getVersion(note);
+    const noteDir = path.join(PAGE_IMAGE_CONFIG.CACHE_DIR, String(note._id));
+    const cachePath = path.join(noteDir, `${version}-${pageNumber}-${width}.png`);
+
+    try {
+      const data = await fs.readFile(cachePath);
+      return { data, mimetype: "image/png", version, cached: true };
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    if (!pendingRenders.has(cachePath)) {
+      const render = renderPage(note, pageNumber, width)
+        .then(async (data) => {
+          await fs.mkdir(noteDir, { recursive: true });
+          await removeStaleVersions(noteDir, version);
+          await fs.writeFile(cachePath, data);
+          return data;
+        })
+        .finally(() => pendingRenders.delete(cachePath));
+      pendingRenders.set(cachePath, render);
+    }
+
+    const data = await pendingRenders.get(cachePath);
+    return { data, mimetype: "image/png", version, cached: false };
+  },
+
+  /**
+   * Build a small JPEG of the first page for the note's thumbnail
+   * @param {Object} source - { path, mimetype } of the first uploaded file, or { pdfData }
+   * @returns {Promise<Buffer|null>} JPEG bytes, or null when no thumbnail could be made
+   */
+  async generateThumbnail(source) {
+    try {
+      let image;
+      if (source.mimetype && source.mimetype.startsWith("image/")) {
+        image = sharp(source.path).rotate();
+      } else {
+        const pdfData = source.pdfData || (await fs.readFile(source.path));
+        const pageImage = await pdfRasterizer.renderPageToBuffer(pdfData, 1, {
+          width: PAGE_IMAGE_CONFIG.THUMBNAIL_WIDTH,
+        });
+        image = sharp(pageImage);
+      }
+
+      return await image
+        .resize({ width: PAGE_IMAGE_CONFIG.THUMBNAIL_WIDTH, withoutEnlargement: true })
+        .flatten({ background: "#ffffff" })
+        .jpeg({ quality: PAGE_IMAGE_CONFIG.THUMBNAIL_QUALITY })
+        .toBuffer();
+    } catch (error) {
+      console.warn(`Thumbnail generation failed: ${error.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * Write a thumbnail to file storage; the caller $sets the result on the note and
+   * deletes the previous thumbnailFile once the update has gone through
+   * @param {Object} note - Note document
+   * @param {Buffer} jpeg - Thumbnail from generateThumbnail()
+   * @returns {Promise<Object>} { thumbnail, thumbnailFile }
+   */
+  async storeThumbnail(note, jpeg) {
+    const thumbnailFile = await note.storeFile("thumbnailFile", jpeg, {
+      mimetype: "image/jpeg",
+      createdAt: new Date(),
+    });
+
+    return { thumbnail: this.getThumbnailUrl(note._id, thumbnailFile), thumbnailFile };
+  },
+
+  /**
+   * URL the thumbnail is served from; the version busts browser caches when it is replaced.
+   * An <img> adds the user's token as &token=, the route takes it in place of the header.
+   * @param {string} noteId - Note ID
+   * @param {Object} thumbnailFile - Note.thumbnailFile
+   * @returns {string} URL
+   */
+  getThumbnailUrl(noteId, thumbnailFile) {
+    return `/api/files/thumbnail/${noteId}?v=${new Date(thumbnailFile.createdAt).getTime()}`;
+  },
+
+  /**
+   * Bytes of a note's cached page images
+   * @param {string} noteId - Note ID
+   * @returns {Promise<number>} Bytes
+   */
+  async getCacheSize(noteId) {
+    const noteDir = path.join(PAGE_IMAGE_CONFIG.CACHE_DIR, String(noteId));
+    let entries;
+    try {
+      entries = await fs.readdir(noteDir);
+    } catch (error) {
+      if (error.code === "ENOENT") return 0;
+      throw error;
+    }
+
+    let size = 0;
+    for (const entry of entries) {
+      const stats = await fs.stat(path.join(noteDir, entry)).catch(() => null);
+      if (stats && stats.isFile()) size += stats.size;
+    }
+    return size;
+  },
+
+  /**
+   * Drop every cached page image of a note
+   * @param {string} noteId - Note ID
+   */
+  async invalidateNote(noteId) {
+    await fs.rm(path.join(PAGE_IMAGE_CONFIG.CACHE_DIR, String(noteId)), {
+      recursive: true,
+      force: true,
+    });
+  },
+};
+
+async function renderPage(note, pageNumber, width) {
+  let pdfData = await note.readFileData("ocrTextPDF");
+
+  // Before processing finishes a single image upload has no PDF yet
+  if (!pdfData && note.originalFile && note.originalFile.mimetype &&
+    note.originalFile.mimetype.startsWith("image/")) {
+    if (pageNumber !== 1) {
+      throw createNotFoundError(`Page ${pageNumber} does not exist (note has 1 page)`);
+    }
+    return sharp(await note.readFileData("originalFile"))
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      .png()
+      .toBuffer();
+  }
+
+  pdfData = pdfData || (await note.readFileData("originalFile"));
+  if (!pdfData) {
+    throw createNotFoundError("No PDF file found for this note");
+  }
+
+  const sizes = await pdfRasterizer.getPageSizes(pdfData);
+  if (pageNumber > sizes.length) {
+    throw createNotFoundError(`Page ${pageNumber} does not exist (note has ${sizes.length} pages)`);
+  }
+
+  return pdfRasterizer.renderPageToBuffer(pdfData, pageNumber, { width });
+}
+
+// Cached images of older PDF versions can never be served again
+async function removeStaleVersions(noteDir, version) {
+  const entries = await fs.readdir(noteDir);
+  await Promise.all(
+    entries
+      .filter((entry) => !entry.startsWith(`${version}-`))
+      .map((entry) => fs.rm(path.join(noteDir, entry), { force: true }))
+  );
+}
+
+function createNotFoundError(message) {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
+pageImageService.PAGE_IMAGE_CONFIG = PAGE_IMAGE_CONFIG;
+
+module.exports = pageImageService;
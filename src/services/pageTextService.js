@@ -0,0 +1,443 @@
+const Note = require("../models/Note");
+const NotePage = require("../models/NotePage");
+const PageTextRevision = require("../models/PageTextRevision");
+const OcrReviewWord = require("../models/OcrReviewWord");
+const ChatConversation = require("../models/ChatConversation");
+const ocrService = require("./ocrService");
+const retrievalService = require("./retrievalService");
+const fileStorage = require("./storage");
+const { diffTokens, diffLines, diffWords, splitWords } = require("../utils/textDiff");
+
+// Times a page's text layer is rebuilt when other edits keep replacing the searchable PDF
+const MAX_TEXT_LAYER_ATTEMPTS = 3;
+
+const pageTextService = {
+  /**
+   * List the saved text revisions of a page, newest first
+   * @param {string} noteId - Note ID
+   * @param {number} pageNumber - 1-based page number
+   * @returns {Promise<Array<Object>>} Revision summaries
+   */
+  async listRevisions(noteId, pageNumber) {
+    const revisions = await PageTextRevision.find({ noteId, pageNumber })
+      .select("-ocrLines")
+      .sort({ revision: -1 });
+    return revisions.map((revision) => revision.getSummary());
+  },
+
+  /**
+   * Replace a page's text with a corrected version: stores a revision, re-aligns the
+   * OCR word boxes to the new words and regenerates the page's searchable text layer
+   * @param {Object} note - Note document (full, including file entries and extractedPages)
+   * @param {number} pageNumber - 1-based page number
+   * @param {string} text - Corrected page text
+   * @param {Object} user - Author (User document)
+   * @param {Object} options - { comment, source: "edit" | "revert", revertedTo }
+   * @returns {Promise<Object>} { changed, revision, page, textLayerUpdated }
+   */
+  async updatePageText(note, pageNumber, text, user, options = {}) {
+    const notePage = await loadNotePage(note, pageNumber);
+
+    if (notePage.text === text) {
+      return { changed: false, revision: null, page: notePage.getSummary(), textLayerUpdated: false };
+    }
+
+    const base = await ensureBaseRevision(notePage);
+    const latest = await PageTextRevision.findLatest(note._id, pageNumber);
+    const hasOcrLayout = Array.isArray(base.ocrLines) && base.ocrLines.length > 0;
+    const lines = hasOcrLayout ? alignTextToLayout(base.ocrLines, text) : null;
+
+    // The unique revision index lets only one of two simultaneous edits of a page through
+    let revision;
+    try {
+      revision = await PageTextRevision.create({
+        noteId: note._id,
+        pageNumber,
+        revision: latest.revision + 1,
+        text,
+        source: options.source || "edit",
+        author: {
+          userId: user._id,
+          name: [user.firstName, user.lastName].filter(Boolean).join(" "),
+        },
+        comment: options.comment,
+        revertedTo: options.revertedTo,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError(`Page ${pageNumber} was changed by another edit; reload it and try again`, 409);
+      }
+      throw error;
+    }
+
+    let stored;
+    try {
+      stored = await storePageText(note, pageNumber, notePage, text, lines);
+
+      notePage.text = text;
+      notePage.revision = revision.revision;
+      notePage.correctedAt = new Date();
+      if (lines) notePage.lines = lines;
+      await notePage.save();
+    } catch (updateError) {
+      await PageTextRevision.deleteOne({ _id: revision._id }).catch(() => {});
+      throw updateError;
+    }
+
+    if (stored.replacedPDF) {
+      await fileStorage.delete(stored.replacedPDF).catch((error) => {
+        console.warn(`Failed to delete previous searchable PDF of note ${note._id}: ${error.message}`);
+      });
+    }
+    if (lines) {
+      await OcrReviewWord.resolveFromLayout(note._id, pageNumber, lines);
+    }
+    await ChatConversation.invalidateNoteContext(note._id);
+    await retrievalService.invalidateNote(note._id);
+
+    console.log(`✏️ Page ${pageNumber} of note ${note._id} corrected (revision ${revision.revision})`);
+
+    return {
+      changed: true,
+      revision: revision.getSummary(),
+      page: notePage.getSummary(),
+      textLayerUpdated: stored.textLayerUpdated,
+    };
+  },
+
+  /**
+   * Restore the text of an earlier revision (saved as a new revision)
+   * @param {Object} note - Note document
+   * @param {number} pageNumber - 1-based page number
+   * @param {number} revisionNumber - Revision to restore
+   * @param {Object} user - Author (User document)
+   * @returns {Promise<Object>} See updatePageText
+   */
+  async revertPageText(note, pageNumber, revisionNumber, user) {
+    const target = await PageTextRevision.findRevision(note._id, pageNumber, revisionNumber);
+    if (!target) {
+      throw createError(`Revision ${revisionNumber} of page ${pageNumber} does not exist`, 404);
+    }
+
+    return this.updatePageText(note, pageNumber, target.text, user, {
+      source: "revert",
+      revertedTo: revisionNumber,
+      comment: `Reverted to revision ${revisionNumber}`,
+    });
+  },
+
+  /**
+   * Compare two revisions of a page
+   * @param {string} noteId - Note ID
+   * @param {number} pageNumber - 1-based page number
+   * @param {number} [from] - Older revision (default: the one before `to`)
+   * @param {number} [to] - Newer revision (default: latest)
+   * @returns {Promise<Object>} { from, to, lines: [{ type, value }], stats }
+   */
+  async diffRevisions(noteId, pageNumber, from, to) {
+    const latest = await PageTextRevision.findLatest(noteId, pageNumber);
+    if (!latest) {
+      throw createError(`Page ${pageNumber} has no text revisions`, 404);
+    }
+
+    const toNumber = to === undefined ? latest.revision : to;
+    const fromNumber = from === undefined ? Math.max(0, toNumber - 1) : from;
+    const [fromRevision, toRevision] = await Promise.all([
+      PageTextRevision.findRevision(noteId, pageNumber, fromNumber).select("-ocrLines"),
+      PageTextRevision.findRevision(noteId, pageNumber, toNumber).select("-ocrLines"),
+    ]);
+    if (!fromRevision || !toRevision) {
+      throw createError(`Revision ${!fromRevision ? fromNumber : toNumber} of page ${pageNumber} does not exist`, 404);
+    }
+
+    const lines = diffLines(fromRevision.text, toRevision.text);
+    const words = diffWords(fromRevision.text, toRevision.text);
+    const count = (operations, type) => operations.filter((operation) => operation.type === type).length;
+
+    return {
+      from: fromRevision.getSummary(),
+      to: toRevision.getSummary(),
+      lines,
+      stats: {
+        linesAdded: count(lines, "insert"),
+        linesRemoved: count(lines, "delete"),
+        wordsAdded: count(words, "insert"),
+        wordsRemoved: count(words, "delete"),
+      },
+    };
+  },
+};
+
+// The page's NotePage; notes processed before per-page storage get one from extractedPages
+async function loadNotePage(note, pageNumber) {
+  if (!Number.isInteger(pageNumber) || pageNumber < 1 || (note.pages && pageNumber > note.pages)) {
+    throw createError(`Page ${pageNumber} does not exist (note has ${note.pages} pages)`, 404);
+  }
+
+  const notePage = await NotePage.findPage(note._id, pageNumber);
+  if (notePage) return notePage;
+
+  const extractedPage = (note.extractedPages || []).find((page) => page.pageNumber === pageNumber);
+  if (!extractedPage) {
+    throw createError("Page text is not available for this note", 404);
+  }
+
+  return new NotePage({
+    noteId: note._id,
+    userId: note.userId,
+    pageNumber,
+    text: extractedPage.text,
+    confidence: extractedPage.confidence,
+    sourceIndex: extractedPage.sourceIndex,
+    hasLayout: false,
+  });
+}
+
+// Revision 0 records the OCR text and layout the first time a page is corrected
+async function ensureBaseRevision(notePage) {
+  const base = await PageTextRevision.findRevision(notePage.noteId, notePage.pageNumber, 0);
+  if (base) return base;
+
+  try {
+    return await PageTextRevision.create({
+      noteId: notePage.noteId,
+      pageNumber: notePage.pageNumber,
+      revision: 0,
+      text: notePage.text,
+      source: "ocr",
+      ocrLines: notePage.hasLayout ? notePage.toObject().lines : undefined,
+    });
+  } catch (error) {
+    // A simultaneous first edit recorded it
+    if (error.code !== 11000) throw error;
+    return PageTextRevision.findRevision(notePage.noteId, notePage.pageNumber, 0);
+  }
+}
+
+/**
+ * Write a page's text into the note, and its text layer into a new searchable PDF.
+ * The text is set in place so edits of other pages are never overwritten; the PDF is
+ * rebuilt from the latest version and retried when another edit replaced it meanwhile.
+ * @returns {Promise<Object>} { textLayerUpdated, replacedPDF } where replacedPDF is the
+ *   previous searchable PDF to delete
+ */
+async function storePageText(note, pageNumber, notePage, text, lines) {
+  let current = note;
+
+  for (let attempt = 1; ; attempt++) {
+    // Born-digital pages keep their own text; only generated text layers are replaced
+    let ocrTextPDF = null;
+    if (lines && current.ocrTextPDF && !current.ocrTextPDF.isOriginal) {
+      const pdfBytes = await current.readFileData("ocrTextPDF");
+      if (pdfBytes) {
+        const layoutPage = { width: notePage.width, height: notePage.height, lines };
+        const rebuilt = await ocrService.rebuildPageTextLayer(pdfBytes, pageNumber, layoutPage);
+        ocrTextPDF = await current.storeFile("ocrTextPDF", rebuilt.data, {
+          mimetype: "application/pdf",
+          pages: current.ocrTextPDF.pages,
+          isOriginal: false,
+          alignment: await remeasurePage(current, rebuilt, pageNumber, layoutPage),
+          createdAt: new Date(),
+        });
+      }
+    }
+
+    const fields = { lastEdited: new Date() };
+    if (note.status === "completed_no_text" && text.trim()) {
+      fields.status = "completed";
+    }
+    if (ocrTextPDF) {
+      fields.ocrTextPDF = ocrTextPDF;
+    }
+
+    const filter = { _id: note._id };
+    if (ocrTextPDF) {
+      filter["ocrTextPDF.storageId"] = current.ocrTextPDF.storageId || null;
+    }
+
+    let result;
+    try {
+      result = await Note.updateOne(filter, pageTextUpdate(pageNumber, text, fields));
+    } catch (updateError) {
+      if (ocrTextPDF) await fileStorage.delete(ocrTextPDF).catch(() => {});
+      throw updateError;
+    }
+
+    if (result.matchedCount > 0) {
+      return { textLayerUpdated: !!ocrTextPDF, replacedPDF: ocrTextPDF ? current.ocrTextPDF : null };
+    }
+
+    // Another edit replaced the searchable PDF since it was read
+    await fileStorage.delete(ocrTextPDF).catch(() => {});
+    current = await Note.findById(note._id);
+    if (!current) {
+      throw createError("Note not found", 404);
+    }
+    if (attempt >= MAX_TEXT_LAYER_ATTEMPTS) {
+      throw createError("The note was changed by another edit; reload it and try again", 409);
+    }
+  }
+}
+
+// The note's text layer alignment with the rebuilt page measured again; notes
+// processed before alignment was recorded keep none
+async function remeasurePage(note, rebuilt, pageNumber, layoutPage) {
+  const previous = note.toObject().ocrTextPDF.alignment;
+  if (!previous || !Array.isArray(previous.pages)) return undefined;
+
+  const layoutPages = new Array(pageNumber - 1).fill(null);
+  layoutPages.push(layoutPage);
+  const report = await ocrService.validateTextLayer(rebuilt.data, layoutPages);
+
+  const pages = previous.pages.filter((page) => page.page !== pageNumber);
+  report.pages.forEach((page) => pages.push({ ...page, wordsDrawn: rebuilt.wordsDrawn }));
+  return ocrService.summarizeTextLayer(pages);
+}
+
+// Update pipeline that replaces one page's text and rebuilds extractedText from the
+// stored pages, the way noteProcessingService.joinPageTexts does
+function pageTextUpdate(pageNumber, text, fields) {
+  const pageText = { $trim: { input: { $ifNull: ["$$this.text", ""] } } };
+
+  return [
+    {
+      $set: {
+        extractedPages: {
+          $map: {
+            input: { $ifNull: ["$extractedPages", []] },
+            in: {
+              $cond: [
+                { $eq: ["$$this.pageNumber", pageNumber] },
+                { $mergeObjects: ["$$this", { text: { $literal: text } }] },
+                "$$this",
+              ],
+            },
+          },
+        },
+      },
+    },
+    {
+      $set: {
+        extractedText: {
+          $cond: [
+            { $eq: [{ $size: "$extractedPages" }, 1] },
+            { $trim: { input: { $ifNull: [{ $arrayElemAt: ["$extractedPages.text", 0] }, ""] } } },
+            {
+              $trim: {
+                input: {
+                  $reduce: {
+                    input: "$extractedPages",
+                    initialValue: "",
+                    in: {
+                      $concat: [
+                        "$$value",
+                        { $cond: [{ $eq: ["$$value", ""] }, "", "\n\n"] },
+                        "--- Page ",
+                        { $toString: "$$this.pageNumber" },
+                        " ---\n",
+                        pageText,
+                      ],
+                    },
+                  },
+                },
+              },
+            },
+          ],
+        },
+        ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, { $literal: value }])),
+      },
+    },
+  ];
+}
+
+/**
+ * Put corrected words into the OCR word boxes. Unchanged words keep their box,
+ * replaced words take over the boxes of the words they replace, extra words join
+ * the previous box and removed words drop out.
+ * @param {Array<Object>} lines - OCR lines [{ text, boundingBox, words: [{ text, boundingBox, confidence }] }]
+ * @param {string} text - Corrected page text
+ * @returns {Array<Object>} Lines in the same shape
+ */
+function alignTextToLayout(lines, text) {
+  const words = [];
+  lines.forEach((line, lineIndex) => {
+    (line.words || []).forEach((word) => words.push({ ...word, lineIndex }));
+  });
+
+  const operations = diffTokens(words.map((word) => word.text), splitWords(text));
+  const aligned = [];
+  let wordIndex = 0;
+  let replaced = [];
+  let inserted = [];
+  let leading = [];
+
+  // A corrected word counts as verified
+  const place = (word, tokens) => {
+    const value = [...leading, ...tokens].join(" ");
+    leading = [];
+    aligned.push(value === word.text ? word : { ...word, text: value, confidence: 1 });
+  };
+
+  const flush = () => {
+    if (replaced.length > 0) {
+      replaced.forEach((word, index) => {
+        if (index >= inserted.length) return;
+        place(word, index === replaced.length - 1 ? inserted.slice(index) : [inserted[index]]);
+      });
+    } else if (inserted.length > 0) {
+      const previous = aligned[aligned.length - 1];
+      if (previous) {
+        aligned[aligned.length - 1] = { ...previous, text: `${previous.text} ${inserted.join(" ")}`, confidence: 1 };
+      } else {
+        leading.push(...inserted);
+      }
+    }
+    replaced = [];
+    inserted = [];
+  };
+
+  for (const operation of operations) {
+    if (operation.type === "equal") {
+      flush();
+      place(words[wordIndex++], [operation.value]);
+    } else if (operation.type === "delete") {
+      replaced.push(words[wordIndex++]);
+    } else {
+      inserted.push(operation.value);
+    }
+  }
+  flush();
+
+  // Every OCR word was removed or nothing followed a leading insertion
+  if (leading.length > 0 && words.length > 0) {
+    aligned.push({ ...words[0], text: leading.join(" "), confidence: 1 });
+  }
+
+  return lines
+    .map((line, lineIndex) => {
+      const lineWords = aligned
+        .filter((word) => word.lineIndex === lineIndex)
+        .map(({ lineIndex: ignored, ...word }) => word);
+      const scored = lineWords.filter((word) => typeof word.confidence === "number");
+
+      return {
+        text: lineWords.map((word) => word.text).join(" "),
+        boundingBox: line.boundingBox,
+        confidence: scored.length > 0
+          ? scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length
+          : null,
+        words: lineWords,
+      };
+    })
+    .filter((line) => line.words.length > 0);
+}
+
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+pageTextService.alignTextToLayout = alignTextToLayout;
+
+module.exports = pageTextService;
@@ -0,0 +1,104 @@
+"use strict";
+const { fromBuffer } = require("pdf2pic");
+const { PDFDocument: PDFLib } = require("pdf-lib");
+
+// pdf2pic shells out to GraphicsMagick/Ghostscript, which must be installed on the host
+const RASTER_CONFIG = {
+  DEFAULT_DENSITY: 300,
+  MAX_WIDTH: 4000,
+};
+
+const pdfRasterizer = {
+  /**
+   * Read page sizes (in points) of a PDF
+   * @param {Buffer} pdfBytes - PDF bytes
+   * @returns {Promise<Array<Object>>} [{ width, height }]
+   */
+  async getPageSizes(pdfBytes) {
+    const pdfDoc = await PDFLib.load(pdfBytes, { ignoreEncryption: true });
+    return pdfDoc.getPages().map((page) => page.getSize());
+  },
+
+  /**
+   * Render PDF pages to PNG files
+   * @param {Buffer} pdfBytes - PDF bytes
+   * @param {Object} options - { savePath, saveFilename, density, width, pages: Array<number> }
+   * @returns {Promise<Array<Object>>} [{ page, path, width, height }] in page order
+   */
+  async renderPagesToFiles(pdfBytes, options = {}) {
+    const sizes = await this.getPageSizes(pdfBytes);
+    const density = options.density || RASTER_CONFIG.DEFAULT_DENSITY;
+    const pageNumbers = options.pages || sizes.map((_, index) => index + 1);
+    const rendered = [];
+
+    for (const pageNumber of pageNumbers) {
+      const size = sizes[pageNumber - 1];
+      if (!size) {
+        throw new Error(`Page ${pageNumber} does not exist (PDF has ${sizes.length} pages)`);
+      }
+
+      const { width, height } = getTargetSize(size, density, options.width);
+      const converter = fromBuffer(pdfBytes, {
+        density,
+        format: "png",
+        width,
+        height,
+        preserveAspectRatio: true,
+        savePath: options.savePath,
+        saveFilename: options.saveFilename || "page",
+      });
+
+      const output = await converter(pageNumber, { responseType: "image" });
+      rendered.push({ page: pageNumber, path: output.path, width, height });
+    }
+
+    return rendered;
+  },
+
+  /**
+   * Render one PDF page to a PNG buffer
+   * @param {Buffer} pdfBytes - PDF bytes
+   * @param {number} pageNumber - 1-based page number
+   * @param {Object} options - { density, width }
+   * @returns {Promise<Buffer>} PNG bytes
+   */
+  async renderPageToBuffer(pdfBytes, pageNumber, options = {}) {
+    const sizes = await this.getPageSizes(pdfBytes);
+    const size = sizes[pageNumber - 1];
+    if (!size) {
+      throw new Error(`Page ${pageNumber} does not exist (PDF has ${sizes.length} pages)`);
+    }
+
+    // Small previews don't need a 300 DPI render
+    const density = options.density || (options.width
+      ? Math.max(36, Math.ceil((options.width / size.width) * 72))
+      : RASTER_CONFIG.DEFAULT_DENSITY);
+    const { width, height } = getTargetSize(size, density, options.width);
+    const converter = fromBuffer(pdfBytes, {
+      density,
+      format: "png",
+      width,
+      height,
+      preserveAspectRatio: true,
+    });
+
+    const output = await converter(pageNumber, { responseType: "buffer" });
+    if (!output || !output.buffer || output.buffer.length === 0) {
+      throw new Error(`Failed to render page ${pageNumber}`);
+    }
+    return output.buffer;
+  },
+};
+
+// Pixel size for a page at the given density, optionally scaled to a fixed width
+function getTargetSize(size, density, requestedWidth) {
+  let width = Math.round((size.width / 72) * density);
+  if (requestedWidth) {
+    width = requestedWidth;
+  }
+  width = Math.max(1, Math.min(width, RASTER_CONFIG.MAX_WIDTH));
+  const height = Math.max(1, Math.round((width * size.height) / size.width));
+  return { width, height };
+}
+
+module.exports = pdfRasterizer;
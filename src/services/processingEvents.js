@@ -0,0 +1,110 @@
+const EventEmitter = require("events");
+
+const EVENTS_CONFIG = {
+  // How long the final state stays available for late subscribers
+  TERMINAL_STATE_TTL_MS: 5 * 60 * 1000,
+};
+
+// Stages that end a note's processing
+const TERMINAL_STAGES = ["stored", "failed"];
+
+/**
+ * In-process publisher for note processing stages. Keeps the latest state per
+ * note so a subscriber that connects mid-way gets it immediately.
+ */
+class ProcessingEvents extends EventEmitter {
+  constructor() {
+    super();
+    // Every open event stream adds a listener
+    this.setMaxListeners(0);
+    this.states = new Map();
+    this.expiryTimers = new Map();
+  }
+
+  /**
+   * Publish a stage transition for a note
+   * @param {string} noteId - Note ID
+   * @param {string} stage - uploaded | queued | editing-pages | text-check | ocr | building-pdf | storing | stored | retrying | failed
+   * @param {Object} details - { message, progress, page, totalPages, error, ... }
+   * @returns {Object} The published state
+   */
+  publish(noteId, stage, details = {}) {
+    const key = String(noteId);
+    const state = {
+      noteId: key,
+      stage,
+      ...details,
+      message: details.message || describeStage(stage, details),
+      terminal: TERMINAL_STAGES.includes(stage),
+      timestamp: new Date().toISOString(),
+    };
+
+    this.states.set(key, state);
+    this.scheduleExpiry(key, state.terminal);
+    this.emit(key, state);
+    return state;
+  }
+
+  getState(noteId) {
+    return this.states.get(String(noteId)) || null;
+  }
+
+  /**
+   * Listen to a note's stage transitions
+   * @param {string} noteId - Note ID
+   * @param {Function} listener - Called with each published state
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(noteId, listener) {
+    const key = String(noteId);
+    this.on(key, listener);
+    return () => this.off(key, listener);
+  }
+
+  scheduleExpiry(key, terminal) {
+    clearTimeout(this.expiryTimers.get(key));
+    this.expiryTimers.delete(key);
+    if (!terminal) return;
+
+    const timer = setTimeout(() => {
+      this.states.delete(key);
+      this.expiryTimers.delete(key);
+    }, EVENTS_CONFIG.TERMINAL_STATE_TTL_MS);
+    timer.unref();
+    this.expiryTimers.set(key, timer);
+  }
+}
+
+function describeStage(stage, details) {
+  switch (stage) {
+    case "uploaded":
+      return "File uploaded, waiting for processing";
+    case "queued":
+      return "Waiting for processing";
+    case "editing-pages":
+      return "Applying page edits";
+    case "text-check":
+      return "Checking for existing text";
+    case "ocr":
+      return details.page && details.totalPages
+        ? `OCR page ${details.page} of ${details.totalPages}`
+        : "Running OCR";
+    case "building-pdf":
+      return "Building searchable PDF";
+    case "storing":
+      return "Saving results";
+    case "stored":
+      return "Processing complete";
+    case "retrying":
+      return "Processing failed, retrying";
+    case "failed":
+      return "Processing failed";
+    default:
+      return stage;
+  }
+}
+
+const processingEvents = new ProcessingEvents();
+processingEvents.TERMINAL_STAGES = TERMINAL_STAGES;
+
+module.exports = processingEvents;
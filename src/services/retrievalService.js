@@ -0,0 +1,449 @@
+const Note = require("../models/Note");
+const NotePage = require("../models/NotePage");
+const NoteChunk = require("../models/NoteChunk");
+const ProcessingJob = require("../models/ProcessingJob");
+const jobQueue = require("./jobQueue");
+const searchService = require("./searchService");
+const outlineService = require("./outlineService");
+const { parseQuery } = require("../utils/textSearch");
+
+const RETRIEVAL_CONFIG = {
+  // Chunk size in words and the words a chunk repeats from the one before it
+  CHUNK_WORDS: 200,
+  CHUNK_OVERLAP: 40,
+  // Chunks given to the model per message, in conversations about one note and
+  // about several
+  TOP_K: 6,
+  SCOPED_TOP_K: 10,
+  // Chunks scored per message; on huge scopes the rest are not ranked
+  MAX_CANDIDATE_CHUNKS: 2000,
+  // Unindexed notes a message chunks itself; the rest of its notes are indexed by
+  // the job queue and searched once they are ready
+  MAX_INLINE_INDEX: 3,
+  // Embeddings are optional: set EMBEDDING_MODEL to enable them (served by
+  // EMBEDDING_BASE_URL with EMBEDDING_API_KEY, OpenRouter and the chat key by default)
+  EMBEDDING_MODEL: process.env.EMBEDDING_MODEL || null,
+  EMBEDDING_BATCH_SIZE: 64,
+  // Reciprocal rank fusion of the lexical and embedding rankings
+  RRF_K: 60,
+};
+
+const INDEX_NOTES_JOB = "index-chat-notes";
+
+// Notes being chunked right now, so concurrent messages share the work
+const indexing = new Map();
+let embeddingClient;
+
+const retrievalService = {
+  /**
+   * Split a note's text into page-aware chunks and store them (with embeddings when
+   * enabled), replacing the chunks of earlier versions of its text
+   * @param {string} noteId - Note ID
+   * @returns {Promise<number>} Chunks stored (0 when the text changed while building)
+   */
+  indexNote(noteId) {
+    const key = String(noteId);
+    if (!indexing.has(key)) {
+      indexing.set(key, buildChunks(noteId).finally(() => indexing.delete(key)));
+    }
+    return indexing.get(key);
+  },
+
+  /**
+   * Mark a note's chunks out of date after its text changed and drop them; they are
+   * rebuilt on the next retrieval, and builds of the old text already running are discarded
+   * @param {string} noteId - Note ID
+   */
+  async invalidateNote(noteId) {
+    const note = await Note.findByIdAndUpdate(
+      noteId,
+      { $inc: { "chatIndex.textVersion": 1 } },
+      { new: true }
+    ).select("chatIndex");
+    if (!note) return;
+    await NoteChunk.deleteOlderVersions(noteId, note.chatIndex.textVersion);
+  },
+
+  /**
+   * Chunk notes whose current text has not been chunked yet. Only the first
+   * maxInline of them are chunked here; the rest are queued for the job queue.
+   * @param {Array<string>} noteIds - Note IDs
+   * @param {Object} options - { userId, maxInline }
+   * @returns {Promise<Array<Object>>} Indexed notes and the text version of their chunks [{ noteId, version }]
+   */
+  async ensureIndexed(noteIds, options = {}) {
+    const maxInline = options.maxInline === undefined ? RETRIEVAL_CONFIG.MAX_INLINE_INDEX : options.maxInline;
+    const notes = await Note.find({ _id: { $in: noteIds } }).select("userId chatIndex");
+    const pending = notes.filter((note) => !isIndexed(note));
+    const inline = pending.slice(0, maxInline);
+    for (const note of inline) {
+      await this.indexNote(note._id).catch((error) => {
+        console.warn(`Failed to index note ${note._id} for chat: ${error.message}`);
+      });
+    }
+
+    const queued = pending.slice(inline.length);
+    if (queued.length > 0) {
+      await this.queueIndexing(queued, options.userId || queued[0].userId).catch((error) => {
+        console.warn(`Failed to queue ${queued.length} notes for chat indexing: ${error.message}`);
+      });
+    }
+
+    const current = inline.length > 0
+      ? await Note.find({ _id: { $in: noteIds } }).select("chatIndex")
+      : notes;
+    return current
+      .filter(isIndexed)
+      .map((note) => ({ noteId: note._id, version: note.chatIndex.chunkedVersion }));
+  },
+
+  /**
+   * Index notes in the background. Notes are added to the user's indexing job that
+   * hasn't started yet, so repeated messages about a large scope queue one job.
+   * @param {Array<Object|string>} notes - Note documents or IDs
+   * @param {string} userId - Owner of the notes
+   * @returns {Promise<Object|null>} The job the notes were queued on (null if none needed it)
+   */
+  async queueIndexing(notes, userId) {
+    const noteIds = [...new Set(notes.map((note) => String(note._id || note)))];
+    if (noteIds.length === 0) return null;
+
+    const job = await ProcessingJob.findOneAndUpdate(
+      { type: INDEX_NOTES_JOB, userId, status: "queued" },
+      { $addToSet: { "payload.noteIds": { $each: noteIds } } },
+      { new: true }
+    );
+    return job || jobQueue.enqueue(INDEX_NOTES_JOB, { userId, payload: { noteIds } });
+  },
+
+  /**
+   * Chunks of the notes most relevant to a query: BM25 over the chunk index, fused
+   * with embedding similarity when embeddings are enabled. When nothing matches
+   * ("summarize this"), chunks spread over the notes are returned instead.
+   * @param {Array<string>} noteIds - Notes to retrieve from
+   * @param {string} query - Question (and whatever context helps find the answer)
+   * @param {Object} options - { userId, k }
+   * @returns {Promise<Array<Object>>} Best first: [{ _id, noteId, chunkIndex, pageNumber, section, text, score }]
+   */
+  async retrieve(noteIds, query, options = {}) {
+    const k = options.k || RETRIEVAL_CONFIG.TOP_K;
+    if (noteIds.length === 0) return [];
+    const indexed = await this.ensureIndexed(noteIds, { userId: options.userId });
+    if (indexed.length === 0) return [];
+
+    // Only the chunks of each note's indexed text version; $and keeps the $or clear
+    // of the term conditions scoring adds
+    const scope = { $and: [{ $or: indexed.map(({ noteId, version }) => ({ noteId, version })) }] };
+    if (options.userId) scope.userId = options.userId;
+
+    const parsed = parseQuery(query);
+    const [lexical, semantic] = await Promise.all([
+      searchService.scoreIndexed(NoteChunk, scope, parsed, {
+        select: "noteId chunkIndex pageNumber section text termCount",
+        limit: RETRIEVAL_CONFIG.MAX_CANDIDATE_CHUNKS,
+      }),
+      rankByEmbedding(scope, query).catch((error) => {
+        console.warn(`Embedding retrieval failed, using the lexical index only: ${error.message}`);
+        return [];
+      }),
+    ]);
+
+    // Reciprocal rank fusion: a chunk near the top of either ranking comes first
+    const fused = new Map();
+    const addRanking = (ranking) => {
+      ranking.forEach(({ document }, rank) => {
+        const key = String(document._id);
+        const entry = fused.get(key) || { document, score: 0 };
+        entry.score += 1 / (RETRIEVAL_CONFIG.RRF_K + rank + 1);
+        fused.set(key, entry);
+      });
+    };
+    addRanking([...lexical].sort((a, b) => b.score - a.score));
+    addRanking(semantic);
+
+    const ranked = [...fused.values()].sort((a, b) => b.score - a.score).slice(0, k);
+    if (ranked.length === 0) return spreadChunks(scope, k);
+
+    return ranked.map(({ document, score }) => toRetrievedChunk(document, score));
+  },
+
+  /**
+   * Split pages of text into chunks of about CHUNK_WORDS words. Chunks end at line
+   * breaks where possible, repeat the last CHUNK_OVERLAP words of the chunk before
+   * them and never span pages.
+   * @param {Array<Object>} pages - [{ pageNumber, text }]
+   * @param {Array<Object>} outline - Note outline (sections with pageNumber, endPage)
+   * @returns {Array<Object>} [{ chunkIndex, pageNumber, section, text }]
+   */
+  chunkPages(pages, outline = []) {
+    const chunks = [];
+
+    for (const page of pages) {
+      const section = sectionOf(outline, page.pageNumber);
+      for (const text of splitPage(page.text || "")) {
+        chunks.push({
+          chunkIndex: chunks.length,
+          pageNumber: page.pageNumber,
+          section: section ? outlineService.sectionLabel(section) : undefined,
+          text,
+        });
+      }
+    }
+
+    return chunks;
+  },
+};
+
+// Job handler: notes of large chat scopes are chunked here rather than in the request
+jobQueue.registerHandler(INDEX_NOTES_JOB, {
+  async run(job, { reportProgress }) {
+    const { noteIds = [] } = job.payload || {};
+    const notes = await Note.find({ _id: { $in: noteIds } }).select("chatIndex");
+    const pending = notes.filter((note) => !isIndexed(note));
+
+    let failed = 0;
+    for (const [index, note] of pending.entries()) {
+      await reportProgress("indexing", Math.round((index / pending.length) * 100));
+      await retrievalService.indexNote(note._id).catch((error) => {
+        failed += 1;
+        console.warn(`Failed to index note ${note._id} for chat: ${error.message}`);
+      });
+    }
+
+    return { indexed: pending.length - failed, failed };
+  },
+});
+
+async function buildChunks(noteId) {
+  const note = await Note.findById(noteId).select("userId extractedText extractedPages outline chatIndex");
+  if (!note) return 0;
+  const version = textVersionOf(note);
+
+  const chunks = retrievalService.chunkPages(await pageTexts(note), note.outline || []);
+
+  const embeddings = await embedTexts(chunks.map((chunk) => chunk.text)).catch((error) => {
+    console.warn(`Failed to embed chunks of note ${noteId}: ${error.message}`);
+    return null;
+  });
+  if (embeddings) {
+    chunks.forEach((chunk, index) => {
+      chunk.embedding = embeddings[index];
+      chunk.embeddingModel = RETRIEVAL_CONFIG.EMBEDDING_MODEL;
+    });
+  }
+
+  try {
+    await NoteChunk.writeVersion(noteId, note.userId, version, chunks);
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) throw error;
+    // Another process is writing the same version (its chunks now exist, so writing
+    // again updates them) or a newer one (this build is stale)
+    const latest = await Note.findById(noteId).select("chatIndex");
+    if (!latest || textVersionOf(latest) !== version) {
+      return discardBuild(noteId, version);
+    }
+    await NoteChunk.writeVersion(noteId, note.userId, version, chunks);
+  }
+
+  // Claim the index only if the text is still the version that was chunked
+  const marked = await Note.updateOne(
+    { _id: noteId, "chatIndex.textVersion": version === 0 ? { $in: [0, null] } : version },
+    { $set: { "chatIndex.chunkedVersion": version, "chatIndex.chunkedAt": new Date() } }
+  );
+  if (marked.matchedCount === 0) {
+    return discardBuild(noteId, version);
+  }
+  await NoteChunk.deleteOlderVersions(noteId, version);
+
+  console.log(`🧩 Indexed note ${noteId} for chat: ${chunks.length} chunks${embeddings ? " with embeddings" : ""}`);
+  return chunks.length;
+}
+
+// The note's text changed while it was being chunked; its chunks are of no use
+async function discardBuild(noteId, version) {
+  await NoteChunk.deleteMany({ noteId, version });
+  console.log(`🧩 Discarded chat chunks of note ${noteId}: its text changed while indexing`);
+  return 0;
+}
+
+function textVersionOf(note) {
+  return (note.chatIndex && note.chatIndex.textVersion) || 0;
+}
+
+// Chunked at the current text version (a note without text has no chunks but is indexed)
+function isIndexed(note) {
+  const chatIndex = note.chatIndex;
+  return !!(chatIndex && chatIndex.chunkedAt && chatIndex.chunkedVersion === textVersionOf(note));
+}
+
+function isDuplicateKeyError(error) {
+  return error.code === 11000 ||
+    (Array.isArray(error.writeErrors) && error.writeErrors.some((writeError) => writeError.code === 11000));
+}
+
+// Page text: stored pages first, then the per-page text on the note, then its plain text
+async function pageTexts(note) {
+  const pages = await NotePage.find({ noteId: note._id }).select("pageNumber text").sort({ pageNumber: 1 }).lean();
+  if (pages.some((page) => page.text && page.text.trim())) return pages;
+
+  if (Array.isArray(note.extractedPages) && note.extractedPages.length > 0) {
+    return note.extractedPages.map((page) => ({ pageNumber: page.pageNumber, text: page.text }));
+  }
+  return note.extractedText ? [{ pageNumber: null, text: note.extractedText }] : [];
+}
+
+function splitPage(text) {
+  const { CHUNK_WORDS, CHUNK_OVERLAP } = RETRIEVAL_CONFIG;
+
+  // Lines are the break points; a line longer than a chunk is cut into runs of
+  // overlap size so that it overlaps like any other text
+  const pieces = [];
+  for (const line of text.split(/\n+/)) {
+    const words = line.trim().split(/\s+/).filter(Boolean);
+    const runLength = words.length > CHUNK_WORDS ? CHUNK_OVERLAP : CHUNK_WORDS;
+    for (let i = 0; i < words.length; i += runLength) {
+      pieces.push(words.slice(i, i + runLength));
+    }
+  }
+
+  const chunks = [];
+  let current = [];
+  let wordCount = 0;
+  let newWords = 0;
+  for (const piece of pieces) {
+    if (wordCount > 0 && wordCount + piece.length > CHUNK_WORDS) {
+      chunks.push(current);
+      // Carry whole lines from the end of the chunk into the next one
+      const carried = [];
+      let carriedWords = 0;
+      for (let i = current.length - 1; i > 0 && carriedWords + current[i].length <= CHUNK_OVERLAP; i--) {
+        carried.unshift(current[i]);
+        carriedWords += current[i].length;
+      }
+      current = carried;
+      wordCount = carriedWords;
+      newWords = 0;
+    }
+    current.push(piece);
+    wordCount += piece.length;
+    newWords += piece.length;
+  }
+  if (newWords > 0) chunks.push(current);
+
+  return chunks.map((lines) => lines.map((words) => words.join(" ")).join("\n"));
+}
+
+// Most specific outline section covering a page: the last one to start on or before it
+function sectionOf(outline, pageNumber) {
+  if (!pageNumber) return null;
+  let found = null;
+  for (const section of outline) {
+    if (section.pageNumber <= pageNumber && (section.endPage || section.pageNumber) >= pageNumber) {
+      found = section;
+    }
+  }
+  return found;
+}
+
+// Chunks of the scope ranked by cosine similarity to the query; [] without embeddings
+async function rankByEmbedding(scope, query) {
+  const client = getEmbeddingClient();
+  if (!client) return [];
+
+  const chunks = await NoteChunk.find({ ...scope, embeddingModel: RETRIEVAL_CONFIG.EMBEDDING_MODEL })
+    .select("noteId chunkIndex pageNumber section text +embedding")
+    .limit(RETRIEVAL_CONFIG.MAX_CANDIDATE_CHUNKS)
+    .lean();
+  if (chunks.length === 0) return [];
+
+  const [queryEmbedding] = await embedTexts([query]);
+  return chunks
+    .map((document) => ({ document, score: cosineSimilarity(queryEmbedding, document.embedding) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, RETRIEVAL_CONFIG.TOP_K * 4);
+}
+
+// k chunks evenly spaced over the scope, for questions that match nothing in particular
+async function spreadChunks(scope, k) {
+  const all = await NoteChunk.find(scope)
+    .select("_id")
+    .sort({ noteId: 1, chunkIndex: 1 })
+    .limit(RETRIEVAL_CONFIG.MAX_CANDIDATE_CHUNKS)
+    .lean();
+  if (all.length === 0) return [];
+
+  const step = Math.max(1, all.length / k);
+  const ids = [];
+  for (let position = 0; position < all.length && ids.length < k; position += step) {
+    ids.push(all[Math.floor(position)]._id);
+  }
+
+  const chunks = await NoteChunk.find({ _id: { $in: ids } })
+    .select("noteId chunkIndex pageNumber section text")
+    .sort({ noteId: 1, chunkIndex: 1 })
+    .lean();
+  return chunks.map((document) => toRetrievedChunk(document, 0));
+}
+
+function toRetrievedChunk(document, score) {
+  return {
+    _id: document._id,
+    noteId: document.noteId,
+    chunkIndex: document.chunkIndex,
+    pageNumber: document.pageNumber,
+    section: document.section,
+    text: document.text,
+    score: Math.round(score * 10000) / 10000,
+  };
+}
+
+async function embedTexts(texts) {
+  const client = getEmbeddingClient();
+  if (!client || texts.length === 0) return null;
+
+  const embeddings = [];
+  for (let i = 0; i < texts.length; i += RETRIEVAL_CONFIG.EMBEDDING_BATCH_SIZE) {
+    const response = await client.embeddings.create({
+      model: RETRIEVAL_CONFIG.EMBEDDING_MODEL,
+      input: texts.slice(i, i + RETRIEVAL_CONFIG.EMBEDDING_BATCH_SIZE),
+    });
+    response.data
+      .sort((a, b) => a.index - b.index)
+      .forEach((entry) => embeddings.push(entry.embedding));
+  }
+  return embeddings;
+}
+
+function getEmbeddingClient() {
+  if (embeddingClient !== undefined) return embeddingClient;
+
+  const apiKey = process.env.EMBEDDING_API_KEY || process.env.DEEPSEEK_API_KEY;
+  if (!RETRIEVAL_CONFIG.EMBEDDING_MODEL || !apiKey) {
+    embeddingClient = null;
+  } else {
+    const { OpenAI } = require("openai");
+    embeddingClient = new OpenAI({
+      baseURL: process.env.EMBEDDING_BASE_URL || "https://openrouter.ai/api/v1",
+      apiKey,
+    });
+  }
+  return embeddingClient;
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+retrievalService.RETRIEVAL_CONFIG = RETRIEVAL_CONFIG;
+retrievalService.INDEX_NOTES_JOB = INDEX_NOTES_JOB;
+
+module.exports = retrievalService;
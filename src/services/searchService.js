@@ -0,0 +1,550 @@
+const Note = require("../models/Note");
+const NotePage = require("../models/NotePage");
+const UserNote = require("../models/UserNote");
+const StudyMaterial = require("../models/StudyMaterial");
+const ChatConversation = require("../models/ChatConversation");
+const {
+  STOP_WORDS,
+  tokenize,
+  parseQuery,
+  matchesTerm,
+  findPhrase,
+  bm25Idf,
+  bm25Score,
+  buildSnippet,
+} = require("../utils/textSearch");
+
+const SEARCH_CONFIG = {
+  // Note fields count this much more than a page mentioning the same words
+  FIELD_WEIGHTS: { title: 3, tags: 2, subject: 1.5 },
+  // Further matching pages add this share of their score to the note's best page
+  EXTRA_PAGE_WEIGHT: 0.3,
+  // Pages scored per query; on huge libraries the rest of the matches are not ranked
+  MAX_CANDIDATE_PAGES: 2000,
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 50,
+  PAGES_PER_NOTE: 3,
+  SNIPPET_LENGTH: 200,
+  // Unified search: results per group and documents fetched per group before ranking
+  GROUP_LIMIT: 5,
+  MAX_CANDIDATE_DOCUMENTS: 500,
+};
+
+// Groups of the unified search, in response order
+const SEARCH_TYPES = ["notes", "pageNotes", "studyMaterials", "chats"];
+
+// Where study material text lives: questions (MCQ, practice, flashcards) and summaries
+const STUDY_MATERIAL_PATHS = [
+  "content.question",
+  "content.options",
+  "content.explanation",
+  "content.correctAnswer",
+  "content.answer",
+  "content.topic",
+  "content.front",
+  "content.back",
+  "content.content",
+  "content.keyPoints",
+];
+
+const searchService = {
+  /**
+   * Ranked search over the user's notes: title, tags, subject and the text of every
+   * page (BM25). Words match in any order; "quoted words" must appear as a phrase
+   * and word* matches as a prefix.
+   * @param {string} userId - Owner of the notes searched
+   * @param {string} query - Query as typed
+   * @param {Object} options - { subject, limit, page, pagesPerNote }
+   * @returns {Promise<Object>} { query, total, results: [{ noteId, title, ..., score, matchedFields, matchedPages, pages: [{ pageNumber, score, snippet, highlights }] }] }
+   */
+  async searchNotes(userId, query, options = {}) {
+    const parsed = parseSearchQuery(query);
+    const limit = Math.min(parseInt(options.limit) || SEARCH_CONFIG.DEFAULT_LIMIT, SEARCH_CONFIG.MAX_LIMIT);
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const pagesPerNote = Math.min(parseInt(options.pagesPerNote) || SEARCH_CONFIG.PAGES_PER_NOTE, 20);
+
+    const noteFilter = { userId };
+    if (options.subject) noteFilter.subject = options.subject;
+    const notes = await Note.find(noteFilter)
+      .select("title subject tags status pages uploadDate thumbnail branch semester")
+      .lean();
+    const notesById = new Map(notes.map((note) => [String(note._id), note]));
+
+    const [fieldScores, pageScores] = await Promise.all([
+      scoreNoteFields(notes, parsed),
+      scorePages(userId, options.subject ? notes.map((note) => note._id) : null, parsed),
+    ]);
+
+    // A note's score: its fields, its best page and a share of its other pages
+    const results = new Map();
+    const resultFor = (noteId) => {
+      if (!results.has(noteId)) {
+        results.set(noteId, { noteId, fieldScore: 0, matchedFields: [], fieldHighlights: {}, pages: [] });
+      }
+      return results.get(noteId);
+    };
+    fieldScores.forEach((fields, noteId) => Object.assign(resultFor(noteId), fields));
+    pageScores.forEach((pageScore) => {
+      if (notesById.has(pageScore.noteId)) resultFor(pageScore.noteId).pages.push(pageScore);
+    });
+
+    const ranked = [...results.values()]
+      .map((result) => {
+        result.pages.sort((a, b) => b.score - a.score || a.pageNumber - b.pageNumber);
+        const [best, ...others] = result.pages;
+        result.score = result.fieldScore +
+          (best ? best.score : 0) +
+          SEARCH_CONFIG.EXTRA_PAGE_WEIGHT * others.reduce((sum, entry) => sum + entry.score, 0);
+        return result;
+      })
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const pageResults = ranked.slice((page - 1) * limit, page * limit).map((result) => {
+      const note = notesById.get(result.noteId);
+      return {
+        noteId: note._id,
+        title: note.title,
+        subject: note.subject,
+        tags: note.tags || [],
+        branch: note.branch,
+        semester: note.semester,
+        status: note.status,
+        pageCount: note.pages,
+        uploadDate: note.uploadDate,
+        thumbnail: note.thumbnail,
+        score: Math.round(result.score * 1000) / 1000,
+        matchedFields: result.matchedFields,
+        fieldHighlights: result.fieldHighlights,
+        matchedPages: result.pages.length,
+        pages: result.pages.slice(0, pagesPerNote).map((entry) => ({
+          pageNumber: entry.pageNumber,
+          score: Math.round(entry.score * 1000) / 1000,
+          ...buildSnippet(entry.text, entry.matches, SEARCH_CONFIG.SNIPPET_LENGTH),
+        })),
+      };
+    });
+
+    return {
+      query: describeQuery(parsed),
+      total: ranked.length,
+      page,
+      totalPages: Math.ceil(ranked.length / limit),
+      results: pageResults,
+    };
+  },
+
+  /**
+   * One query over everything the user keeps: notes, page notes (UserNote), study
+   * material questions and summaries, and chat messages. Results are grouped by type
+   * and carry a `link` with what is needed to open them (note and page, message
+   * index, question id).
+   * @param {string} userId - Owner of everything searched
+   * @param {string} query - Query as typed (same syntax as searchNotes)
+   * @param {Object} options - { types: subset of SEARCH_TYPES, limit: results per group }
+   * @returns {Promise<Object>} { query, groups: { [type]: { total, results: [{ type, id, title, snippet, highlights, score, link }] } } }
+   */
+  async searchAll(userId, query, options = {}) {
+    const parsed = parseSearchQuery(query);
+    const limit = Math.min(parseInt(options.limit) || SEARCH_CONFIG.GROUP_LIMIT, SEARCH_CONFIG.MAX_LIMIT);
+    const types = SEARCH_TYPES.filter((type) => !options.types || options.types.includes(type));
+
+    const searches = {
+      notes: async () => {
+        const found = await searchService.searchNotes(userId, query, { limit, pagesPerNote: 1 });
+        return { total: found.total, results: found.results.map(toNoteResult) };
+      },
+      pageNotes: () => searchPageNotes(userId, parsed, limit),
+      studyMaterials: () => searchStudyMaterials(userId, parsed, limit),
+      chats: () => searchChats(userId, parsed, limit),
+    };
+
+    const groups = await Promise.all(types.map(async (type) => [type, await searches[type]()]));
+    return { query: describeQuery(parsed), groups: Object.fromEntries(groups) };
+  },
+
+  /**
+   * BM25 over a collection indexed like NotePage (searchTerms, termCount, text):
+   * candidates come from the term index, document frequencies are counted within
+   * the scope and each candidate is scored on its full text
+   * @param {mongoose.Model} Model - Indexed collection
+   * @param {Object} scope - Filter the statistics and candidates are limited to
+   * @param {Object} parsed - From parseQuery()
+   * @param {Object} options - { select: fields to load (text and termCount included), limit: candidates scored }
+   * @returns {Promise<Array<Object>>} [{ document, score, matches }] in no particular order
+   */
+  async scoreIndexed(Model, scope, parsed, options = {}) {
+    // Stop words are not indexed; phrases are found through their other words
+    const exactTerms = new Set(parsed.phrases.flat().filter((term) => !STOP_WORDS.has(term)));
+    parsed.terms.filter((entry) => !entry.prefix).forEach((entry) => exactTerms.add(entry.term));
+    const prefixTerms = parsed.terms.filter((entry) => entry.prefix);
+
+    const termConditions = [];
+    if (exactTerms.size > 0) termConditions.push({ searchTerms: { $in: [...exactTerms] } });
+    prefixTerms.forEach((entry) => termConditions.push({ searchTerms: { $regex: `^${escapeRegex(entry.term)}` } }));
+    if (termConditions.length === 0) return [];
+
+    const [candidates, [stats]] = await Promise.all([
+      Model.find({ ...scope, $or: termConditions })
+        .select(options.select || "text termCount")
+        .limit(options.limit || SEARCH_CONFIG.MAX_CANDIDATE_PAGES)
+        .lean(),
+      Model.aggregate([
+        { $match: scope },
+        { $group: { _id: null, documents: { $sum: 1 }, averageLength: { $avg: "$termCount" } } },
+      ]),
+    ]);
+    if (candidates.length === 0) return [];
+
+    const documentCount = (stats && stats.documents) || candidates.length;
+    const averageLength = (stats && stats.averageLength) || 1;
+
+    // Document frequency of each term, prefix and phrase (a phrase counts documents with all of its words)
+    const idfs = new Map();
+    const units = [...parsed.terms, ...parsed.phrases];
+    await Promise.all(units.map(async (unit) => {
+      let condition;
+      if (Array.isArray(unit)) {
+        const indexed = unit.filter((term) => !STOP_WORDS.has(term));
+        condition = indexed.length > 0 ? { searchTerms: { $all: indexed } } : {};
+      } else if (unit.prefix) {
+        condition = { searchTerms: { $regex: `^${escapeRegex(unit.term)}` } };
+      } else {
+        condition = { searchTerms: unit.term };
+      }
+      const count = await Model.countDocuments({ ...scope, ...condition });
+      idfs.set(unitKey(unit), bm25Idf(count, documentCount));
+    }));
+    const idfOf = (unit) => idfs.get(unitKey(unit)) || 0;
+
+    const scored = [];
+    for (const document of candidates) {
+      const result = searchService.scoreTokens(tokenize(document.text), parsed, idfOf, averageLength);
+      if (result) scored.push({ document, score: result.score, matches: result.matches });
+    }
+    return scored;
+  },
+
+  /**
+   * Score one text against a parsed query: BM25 for each term or phrase, with
+   * document frequencies supplied by the caller
+   * @param {Array<Object>} tokens - Tokens of the text (utils/textSearch tokenize)
+   * @param {Object} parsed - From parseQuery()
+   * @param {Function} idfOf - (unit) => idf of a query term or phrase
+   * @param {number} averageLength - Average length of the texts searched
+   * @returns {Object|null} { score, matches: [{ start, end }] }, null when a phrase is missing
+   */
+  scoreTokens(tokens, parsed, idfOf, averageLength) {
+    const matches = [];
+    let score = 0;
+
+    for (const phrase of parsed.phrases) {
+      const starts = findPhrase(tokens, phrase);
+      if (starts.length === 0) return null;
+      starts.forEach((start) => matches.push({
+        start: tokens[start].start,
+        end: tokens[start + phrase.length - 1].end,
+      }));
+      score += bm25Score(starts.length, tokens.length, averageLength, idfOf(phrase));
+    }
+
+    for (const queryTerm of parsed.terms) {
+      let frequency = 0;
+      for (const token of tokens) {
+        if (matchesTerm(token.term, queryTerm)) {
+          frequency++;
+          matches.push({ start: token.start, end: token.end });
+        }
+      }
+      score += bm25Score(frequency, tokens.length, averageLength, idfOf(queryTerm));
+    }
+
+    if (score <= 0) return null;
+    matches.sort((a, b) => a.start - b.start);
+    return { score, matches: dropOverlaps(matches) };
+  },
+};
+
+function parseSearchQuery(query) {
+  const parsed = parseQuery(query);
+  if (parsed.terms.length === 0 && parsed.phrases.length === 0) {
+    const error = new Error("Search query must contain at least one word");
+    error.statusCode = 400;
+    throw error;
+  }
+  return parsed;
+}
+
+// Title, tags and subject as separate BM25 fields; document frequencies come from the notes themselves
+function scoreNoteFields(notes, parsed) {
+  const scores = new Map();
+  const fields = Object.keys(SEARCH_CONFIG.FIELD_WEIGHTS);
+
+  for (const field of fields) {
+    const scoredNotes = scoreTexts(notes.map((note) => fieldText(note, field)), parsed);
+
+    notes.forEach((note, index) => {
+      const scored = scoredNotes[index];
+      if (!scored) return;
+
+      const noteId = String(note._id);
+      const entry = scores.get(noteId) || { fieldScore: 0, matchedFields: [], fieldHighlights: {} };
+      entry.fieldScore += SEARCH_CONFIG.FIELD_WEIGHTS[field] * scored.score;
+      entry.matchedFields.push(field);
+      if (field === "title") {
+        entry.fieldHighlights.title = scored.matches.map((match) => ({
+          start: match.start,
+          length: match.end - match.start,
+        }));
+      }
+      scores.set(noteId, entry);
+    });
+  }
+
+  return scores;
+}
+
+// BM25 over texts held in memory; document frequencies come from the texts themselves
+function scoreTexts(texts, parsed) {
+  const tokenLists = texts.map((text) => tokenize(text));
+  const averageLength = tokenLists.reduce((sum, tokens) => sum + tokens.length, 0) / Math.max(1, texts.length);
+
+  const idfs = new Map();
+  const idfOf = (unit) => {
+    const key = unitKey(unit);
+    if (!idfs.has(key)) {
+      const count = tokenLists.filter((tokens) => Array.isArray(unit)
+        ? findPhrase(tokens, unit).length > 0
+        : tokens.some((token) => matchesTerm(token.term, unit))).length;
+      idfs.set(key, bm25Idf(count, texts.length));
+    }
+    return idfs.get(key);
+  };
+
+  return tokenLists.map((tokens) => searchService.scoreTokens(tokens, parsed, idfOf, averageLength));
+}
+
+// Pages found through the term index, scored on their full text
+async function scorePages(userId, noteIds, parsed) {
+  const scope = { userId };
+  if (noteIds) scope.noteId = { $in: noteIds };
+
+  const scored = await searchService.scoreIndexed(NotePage, scope, parsed, {
+    select: "noteId pageNumber text termCount",
+    limit: SEARCH_CONFIG.MAX_CANDIDATE_PAGES,
+  });
+  return scored.map(({ document, score, matches }) => ({
+    noteId: String(document.noteId),
+    pageNumber: document.pageNumber,
+    text: document.text,
+    score,
+    matches,
+  }));
+}
+
+function toNoteResult(result) {
+  const [page] = result.pages;
+  return {
+    type: "note",
+    id: result.noteId,
+    title: result.title,
+    subject: result.subject,
+    score: result.score,
+    snippet: page ? page.snippet : result.title,
+    highlights: page ? page.highlights : result.fieldHighlights.title || [],
+    matchedPages: result.matchedPages,
+    link: { noteId: result.noteId, pageNumber: page ? page.pageNumber : 1 },
+  };
+}
+
+// Page notes the user wrote on their notes' pages
+async function searchPageNotes(userId, parsed, limit) {
+  const pattern = candidatePattern(parsed);
+  const userNotes = await UserNote.find({
+    userId,
+    $or: ["title", "content", "selectedText", "tags"].map((field) => ({ [field]: pattern })),
+  })
+    .select("noteId pageNumber title content selectedText tags updatedAt")
+    .limit(SEARCH_CONFIG.MAX_CANDIDATE_DOCUMENTS)
+    .lean();
+
+  const titles = await noteTitles(userId, userNotes.map((userNote) => userNote.noteId));
+  return rankUnits(userNotes.map((userNote) => ({
+    text: [userNote.title, userNote.content, userNote.selectedText, (userNote.tags || []).join(", ")]
+      .filter(Boolean)
+      .join("\n"),
+    result: {
+      type: "pageNote",
+      id: userNote._id,
+      title: userNote.title,
+      noteTitle: titles.get(String(userNote.noteId)) || null,
+      updatedAt: userNote.updatedAt,
+      link: { noteId: userNote.noteId, pageNumber: userNote.pageNumber, userNoteId: userNote._id },
+    },
+  })), parsed, limit);
+}
+
+// Each question of a question set is its own result; a summary is one result
+async function searchStudyMaterials(userId, parsed, limit) {
+  const pattern = candidatePattern(parsed);
+  const materials = await StudyMaterial.find({
+    userId,
+    status: { $ne: "archived" },
+    $or: STUDY_MATERIAL_PATHS.map((field) => ({ [field]: pattern })),
+  })
+    .select("title type subject sourceNoteId content")
+    .limit(SEARCH_CONFIG.MAX_CANDIDATE_DOCUMENTS)
+    .lean();
+
+  const units = [];
+  for (const material of materials) {
+    const link = { studyMaterialId: material._id, materialType: material.type, sourceNoteId: material.sourceNoteId };
+    const base = { type: "studyMaterial", title: material.title, subject: material.subject };
+
+    if (Array.isArray(material.content)) {
+      material.content.forEach((item, index) => {
+        if (!item || typeof item !== "object") return;
+        units.push({
+          text: questionText(item),
+          result: {
+            ...base,
+            id: `${material._id}:${index}`,
+            question: item.question || item.front || null,
+            link: { ...link, questionId: item.id !== undefined ? item.id : index + 1, questionIndex: index },
+          },
+        });
+      });
+    } else if (material.content && typeof material.content === "object") {
+      units.push({
+        text: [material.content.content, ...(material.content.keyPoints || [])].filter(Boolean).join("\n"),
+        result: { ...base, id: String(material._id), link },
+      });
+    }
+  }
+
+  return rankUnits(units, parsed, limit);
+}
+
+// User questions and assistant answers in the user's conversations
+async function searchChats(userId, parsed, limit) {
+  const conversations = await ChatConversation.find({
+    userId,
+    isActive: true,
+    "messages.content": candidatePattern(parsed),
+  })
+    .select("title noteId messages._id messages.role messages.content messages.timestamp")
+    .limit(SEARCH_CONFIG.MAX_CANDIDATE_DOCUMENTS)
+    .lean();
+
+  const titles = await noteTitles(userId, conversations.map((conversation) => conversation.noteId));
+  const units = [];
+  for (const conversation of conversations) {
+    conversation.messages.forEach((message, index) => {
+      if (message.role === "system") return;
+      units.push({
+        text: message.content,
+        result: {
+          type: "chatMessage",
+          id: message._id,
+          title: conversation.title,
+          noteTitle: titles.get(String(conversation.noteId)) || null,
+          role: message.role,
+          timestamp: message.timestamp,
+          link: {
+            conversationId: conversation._id,
+            noteId: conversation.noteId,
+            messageIndex: index,
+            messageId: message._id,
+          },
+        },
+      });
+    });
+  }
+
+  return rankUnits(units, parsed, limit);
+}
+
+// Rank { text, result } units against each other and keep the best with snippets
+function rankUnits(units, parsed, limit) {
+  const scored = scoreTexts(units.map((unit) => unit.text), parsed);
+  const ranked = units
+    .map((unit, index) => ({ unit, scored: scored[index] }))
+    .filter((entry) => entry.scored)
+    .sort((a, b) => b.scored.score - a.scored.score);
+
+  return {
+    total: ranked.length,
+    results: ranked.slice(0, limit).map(({ unit, scored: match }) => ({
+      ...unit.result,
+      score: Math.round(match.score * 1000) / 1000,
+      ...buildSnippet(unit.text, match.matches, SEARCH_CONFIG.SNIPPET_LENGTH),
+    })),
+  };
+}
+
+function questionText(item) {
+  return [
+    item.question || item.front,
+    ...(Array.isArray(item.options) ? item.options : []),
+    item.correctAnswer,
+    item.answer || item.back,
+    item.explanation,
+    item.topic,
+  ]
+    .filter((part) => typeof part === "string" && part.trim())
+    .join("\n");
+}
+
+async function noteTitles(userId, noteIds) {
+  const ids = [...new Set(noteIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return new Map();
+  const notes = await Note.find({ _id: { $in: ids }, userId }).select("title").lean();
+  return new Map(notes.map((note) => [String(note._id), note.title]));
+}
+
+// Case-insensitive pattern that finds documents worth ranking: any query word, anywhere
+function candidatePattern(parsed) {
+  const words = new Set(parsed.terms.map((entry) => entry.term));
+  parsed.phrases.flat().filter((term) => !STOP_WORDS.has(term)).forEach((term) => words.add(term));
+  return new RegExp([...words].map(escapeRegex).join("|"), "i");
+}
+
+function fieldText(note, field) {
+  const value = note[field];
+  return Array.isArray(value) ? value.join(" , ") : value || "";
+}
+
+function unitKey(unit) {
+  return Array.isArray(unit) ? `"${unit.join(" ")}"` : `${unit.term}${unit.prefix ? "*" : ""}`;
+}
+
+function describeQuery(parsed) {
+  return {
+    terms: parsed.terms.filter((entry) => !entry.prefix).map((entry) => entry.term),
+    prefixes: parsed.terms.filter((entry) => entry.prefix).map((entry) => entry.term),
+    phrases: parsed.phrases.map((phrase) => phrase.join(" ")),
+  };
+}
+
+// Phrase and word matches can cover the same characters; keep the first of each overlap
+function dropOverlaps(matches) {
+  const kept = [];
+  for (const match of matches) {
+    const last = kept[kept.length - 1];
+    if (last && match.start < last.end) {
+      last.end = Math.max(last.end, match.end);
+      continue;
+    }
+    kept.push({ ...match });
+  }
+  return kept;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+searchService.SEARCH_CONFIG = SEARCH_CONFIG;
+searchService.SEARCH_TYPES = SEARCH_TYPES;
+
+module.exports = searchService;
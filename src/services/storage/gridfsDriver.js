@@ -0,0 +1,67 @@
+"use strict";
+const mongoose = require("mongoose");
+
+const GRIDFS_CONFIG = {
+  BUCKET_NAME: process.env.GRIDFS_BUCKET || "noteFiles",
+  CHUNK_SIZE_BYTES: 255 * 1024,
+};
+
+function getBucket() {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error("GridFS storage requires an open MongoDB connection");
+  }
+  return new mongoose.mongo.GridFSBucket(db, {
+    bucketName: GRIDFS_CONFIG.BUCKET_NAME,
+    chunkSizeBytes: GRIDFS_CONFIG.CHUNK_SIZE_BYTES,
+  });
+}
+
+function toObjectId(id) {
+  return new mongoose.Types.ObjectId(String(id));
+}
+
+/**
+ * Stores files in MongoDB GridFS, chunked across documents so no size limit applies
+ */
+const gridfsDriver = {
+  name: "gridfs",
+
+  createWriteStream({ filename, contentType, metadata }) {
+    const stream = getBucket().openUploadStream(filename || "file", {
+      metadata: { ...metadata, contentType },
+    });
+    return { id: String(stream.id), stream };
+  },
+
+  createReadStream(id, { start, end } = {}) {
+    const options = {};
+    if (typeof start === "number") options.start = start;
+    // GridFS treats `end` as exclusive; the storage interface uses inclusive ranges
+    if (typeof end === "number") options.end = end + 1;
+    return getBucket().openDownloadStream(toObjectId(id), options);
+  },
+
+  async getInfo(id) {
+    const file = await getBucket().find({ _id: toObjectId(id) }).next();
+    if (!file) return null;
+    return {
+      id: String(file._id),
+      size: file.length,
+      filename: file.filename,
+      contentType: file.metadata && file.metadata.contentType,
+      uploadedAt: file.uploadDate,
+    };
+  },
+
+  async delete(id) {
+    try {
+      await getBucket().delete(toObjectId(id));
+    } catch (error) {
+      // Already gone
+      if (!/FileNotFound|File not found/i.test(error.message)) throw error;
+    }
+  },
+};
+
+module.exports = gridfsDriver;
@@ -0,0 +1,109 @@
+"use strict";
+const fs = require("fs");
+const { Readable, Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const gridfsDriver = require("./gridfsDriver");
+const localDriver = require("./localDriver");
+
+const drivers = {
+  [gridfsDriver.name]: gridfsDriver,
+  [localDriver.name]: localDriver,
+};
+
+// STORAGE_DRIVER picks where new files go; files remember the driver they were written with
+const DEFAULT_DRIVER = process.env.STORAGE_DRIVER || "gridfs";
+
+function getDriver(name = DEFAULT_DRIVER) {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver "${name}". Available: ${Object.keys(drivers).join(", ")}`);
+  }
+  return driver;
+}
+
+/**
+ * Note binaries (original uploads, searchable PDFs) kept outside the Note document.
+ * Every method takes a storage reference { storageId, storageDriver } as saved on the note.
+ */
+const fileStorage = {
+  /**
+   * Stream a Buffer, file path or readable stream into storage
+   * @param {Buffer|string|Readable} input - Data, a path on disk, or a stream
+   * @param {Object} options - { filename, contentType, metadata }
+   * @returns {Promise<Object>} { storageId, storageDriver, size }
+   */
+  async save(input, options = {}) {
+    const driver = getDriver();
+    let source;
+    if (Buffer.isBuffer(input)) {
+      source = Readable.from([input]);
+    } else if (typeof input === "string") {
+      source = fs.createReadStream(input);
+    } else {
+      source = input;
+    }
+
+    let size = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        callback(null, chunk);
+      },
+    });
+
+    const { id, stream } = driver.createWriteStream(options);
+    try {
+      await pipeline(source, counter, stream);
+    } catch (error) {
+      await driver.delete(id).catch(() => {});
+      throw new Error(`Failed to store ${options.filename || "file"}: ${error.message}`);
+    }
+
+    return { storageId: id, storageDriver: driver.name, size };
+  },
+
+  /**
+   * Open a read stream, optionally limited to an inclusive byte range
+   * @param {Object} ref - { storageId, storageDriver }
+   * @param {Object} range - { start, end }
+   * @returns {Readable}
+   */
+  createReadStream(ref, range = {}) {
+    return getDriver(ref.storageDriver).createReadStream(ref.storageId, range);
+  },
+
+  /**
+   * Read a whole stored file into memory
+   * @param {Object} ref - { storageId, storageDriver }
+   * @returns {Promise<Buffer>}
+   */
+  async readBuffer(ref) {
+    const chunks = [];
+    for await (const chunk of this.createReadStream(ref)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  },
+
+  /**
+   * Copy a stored file to a path on disk
+   * @param {Object} ref - { storageId, storageDriver }
+   * @param {string} filePath - Destination path
+   */
+  async copyToFile(ref, filePath) {
+    await pipeline(this.createReadStream(ref), fs.createWriteStream(filePath));
+  },
+
+  async getInfo(ref) {
+    return getDriver(ref.storageDriver).getInfo(ref.storageId);
+  },
+
+  async delete(ref) {
+    if (!ref || !ref.storageId) return;
+    await getDriver(ref.storageDriver).delete(ref.storageId);
+  },
+};
+
+fileStorage.DEFAULT_DRIVER = DEFAULT_DRIVER;
+
+module.exports = fileStorage;
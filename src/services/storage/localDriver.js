@@ -0,0 +1,78 @@
+"use strict";
+const fs = require("fs");
+const fsPromises = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+const LOCAL_CONFIG = {
+  ROOT_DIR: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "../../../storage"),
+};
+
+// Files are sharded into subdirectories by the first characters of their id
+function getPaths(id) {
+  if (!/^[a-f0-9-]{36}$/.test(id)) {
+    throw new Error(`Invalid storage id: ${id}`);
+  }
+  const dir = path.join(LOCAL_CONFIG.ROOT_DIR, id.slice(0, 2));
+  return { dir, file: path.join(dir, id), meta: path.join(dir, `${id}.json`) };
+}
+
+/**
+ * Stores files on the local disk next to a small JSON metadata file
+ */
+const localDriver = {
+  name: "local",
+
+  createWriteStream({ filename, contentType, metadata }) {
+    const id = crypto.randomUUID();
+    const paths = getPaths(id);
+    fs.mkdirSync(paths.dir, { recursive: true });
+    fs.writeFileSync(
+      paths.meta,
+      JSON.stringify({ filename, contentType, metadata, uploadedAt: new Date() })
+    );
+
+    return { id, stream: fs.createWriteStream(paths.file) };
+  },
+
+  createReadStream(id, { start, end } = {}) {
+    const options = {};
+    if (typeof start === "number") options.start = start;
+    if (typeof end === "number") options.end = end;
+    return fs.createReadStream(getPaths(id).file, options);
+  },
+
+  async getInfo(id) {
+    const paths = getPaths(id);
+    let stats;
+    try {
+      stats = await fsPromises.stat(paths.file);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+
+    let meta = {};
+    try {
+      meta = JSON.parse(await fsPromises.readFile(paths.meta, "utf8"));
+    } catch (error) {
+      // Metadata is optional
+    }
+
+    return {
+      id,
+      size: stats.size,
+      filename: meta.filename,
+      contentType: meta.contentType,
+      uploadedAt: meta.uploadedAt ? new Date(meta.uploadedAt) : stats.mtime,
+    };
+  },
+
+  async delete(id) {
+    const paths = getPaths(id);
+    await fsPromises.rm(paths.file, { force: true });
+    await fsPromises.rm(paths.meta, { force: true });
+  },
+};
+
+module.exports = localDriver;
@@ -0,0 +1,238 @@
+const User = require("../models/User");
+const Note = require("../models/Note");
+const StudyMaterial = require("../models/StudyMaterial");
+const pageImageService = require("./pageImageService");
+
+const MB = 1024 * 1024;
+
+const STORAGE_CONFIG = {
+  // Bytes each subscription plan may store across notes and study materials
+  PLAN_LIMITS: {
+    free: (parseInt(process.env.STORAGE_LIMIT_FREE_MB) || 250) * MB,
+    premium: (parseInt(process.env.STORAGE_LIMIT_PREMIUM_MB) || 2048) * MB,
+    pro: (parseInt(process.env.STORAGE_LIMIT_PRO_MB) || 10240) * MB,
+  },
+};
+
+const storageQuotaService = {
+  /**
+   * Storage limit of a user's subscription plan
+   * @param {Object} user - User (subscription.plan)
+   * @returns {number} Bytes
+   */
+  getLimit(user) {
+    const plan = (user.subscription && user.subscription.plan) || "free";
+    return STORAGE_CONFIG.PLAN_LIMITS[plan] || STORAGE_CONFIG.PLAN_LIMITS.free;
+  },
+
+  /**
+   * Aggregation condition ($expr) that holds while the user has room for more bytes;
+   * combine it with an $inc of usage.storageUsed to claim space atomically
+   * @param {Object} user - User (subscription.plan)
+   * @param {number} bytes - Bytes about to be stored
+   * @returns {Object} $expr condition
+   */
+  roomCondition(user, bytes) {
+    return {
+      $lte: [{ $add: [{ $ifNull: ["$usage.storageUsed", 0] }, bytes] }, this.getLimit(user)],
+    };
+  },
+
+  /**
+   * Throw a 413 error when the bytes would not fit in the user's storage
+   * @param {Object} user - User (usage.storageUsed, subscription.plan)
+   * @param {number} bytes - Bytes about to be stored
+   */
+  assertRoom(user, bytes) {
+    const used = (user.usage && user.usage.storageUsed) || 0;
+    if (used + bytes > this.getLimit(user)) {
+      throw this.createLimitError(user, bytes);
+    }
+  },
+
+  /**
+   * Error for an upload that does not fit in the user's storage
+   * @param {Object} user - User (usage.storageUsed, subscription.plan)
+   * @param {number} bytes - Bytes of the rejected upload
+   * @returns {Error} Error with statusCode 413
+   */
+  createLimitError(user, bytes) {
+    const limit = this.getLimit(user);
+    const remaining = Math.max(0, limit - ((user.usage && user.usage.storageUsed) || 0));
+    const plan = (user.subscription && user.subscription.plan) || "free";
+    const error = new Error(
+      `Storage limit reached. This upload needs ${formatBytes(bytes)} but only ${formatBytes(remaining)} ` +
+        `of the ${formatBytes(limit)} on your ${plan} plan is left. Delete notes to free up space.`
+    );
+    error.statusCode = 413;
+    return error;
+  },
+
+  /**
+   * Add to (or with a negative delta, release from) a user's storage counter
+   * @param {string} userId - User ID
+   * @param {number} delta - Bytes
+   */
+  async adjust(userId, delta) {
+    if (!delta) return;
+    await User.updateOne({ _id: userId }, { $inc: { "usage.storageUsed": delta } });
+  },
+
+  /**
+   * Measure what a note stores (files, thumbnail, cached page images) and charge the
+   * difference to its owner
+   * @param {string} noteId - Note ID
+   * @returns {Promise<Object|null>} { originalFile, ocrTextPDF, pageImages, total }, null if the note is gone
+   */
+  async refreshNoteUsage(noteId) {
+    const note = await Note.findById(noteId).select("userId originalFile ocrTextPDF thumbnail thumbnailFile storageBytes");
+    if (!note) return null;
+
+    const cachedImages = await pageImageService.getCacheSize(noteId);
+    const usage = {
+      originalFile: (note.originalFile && note.originalFile.size) || 0,
+      ocrTextPDF: (note.ocrTextPDF && note.ocrTextPDF.size) || 0,
+      pageImages: thumbnailBytes(note) + cachedImages,
+    };
+    usage.total = usage.originalFile + usage.ocrTextPDF + usage.pageImages;
+
+    // Only the refresh that moves the note's total charges the owner
+    const previous = note.storageBytes || 0;
+    const result = await Note.updateOne(
+      { _id: noteId, storageBytes: previous ? previous : { $in: [0, null] } },
+      { storageBytes: usage.total, pageImageBytes: cachedImages }
+    );
+    if (result.modifiedCount > 0) {
+      await this.adjust(note.userId, usage.total - previous);
+    }
+
+    return usage;
+  },
+
+  /**
+   * Storage used by a user, by kind and by subject. The user's counter is corrected
+   * to the measured total.
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} { used, limit, remaining, plan, byKind, bySubject: [{ subject, notes, studyMaterials, bytes, ... }] }
+   */
+  async getUsageReport(user) {
+    const [noteGroups, materialGroups] = await Promise.all([
+      Note.aggregate([
+        { $match: { userId: user._id } },
+        {
+          $group: {
+            _id: "$subject",
+            notes: { $sum: 1 },
+            originalFiles: { $sum: { $ifNull: ["$originalFile.size", 0] } },
+            searchablePDFs: { $sum: { $ifNull: ["$ocrTextPDF.size", 0] } },
+            pageImages: {
+              $sum: {
+                $add: [
+                  { $ifNull: ["$pageImageBytes", 0] },
+                  { $ifNull: ["$thumbnailFile.size", 0] },
+                  {
+                    $cond: [
+                      { $eq: [{ $substrCP: [{ $ifNull: ["$thumbnail", ""] }, 0, 5] }, "data:"] },
+                      { $strLenBytes: "$thumbnail" },
+                      0,
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+        },
+      ]),
+      StudyMaterial.aggregate([
+        { $match: { userId: user._id, status: { $ne: "archived" } } },
+        {
+          $group: {
+            _id: "$subject",
+            studyMaterials: { $sum: 1 },
+            bytes: { $sum: { $ifNull: ["$storageBytes", { $bsonSize: "$$ROOT" }] } },
+          },
+        },
+      ]),
+    ]);
+
+    const subjects = new Map();
+    const subjectEntry = (name) => {
+      const subject = name || "Uncategorized";
+      if (!subjects.has(subject)) {
+        subjects.set(subject, {
+          subject,
+          notes: 0,
+          studyMaterials: 0,
+          originalFiles: 0,
+          searchablePDFs: 0,
+          pageImages: 0,
+          studyMaterialBytes: 0,
+          bytes: 0,
+        });
+      }
+      return subjects.get(subject);
+    };
+
+    noteGroups.forEach((group) => {
+      const entry = subjectEntry(group._id);
+      entry.notes += group.notes;
+      entry.originalFiles += group.originalFiles;
+      entry.searchablePDFs += group.searchablePDFs;
+      entry.pageImages += group.pageImages;
+    });
+    materialGroups.forEach((group) => {
+      const entry = subjectEntry(group._id);
+      entry.studyMaterials += group.studyMaterials;
+      entry.studyMaterialBytes += group.bytes;
+    });
+
+    const byKind = { originalFiles: 0, searchablePDFs: 0, pageImages: 0, studyMaterials: 0 };
+    const bySubject = [...subjects.values()].map((entry) => {
+      entry.bytes = entry.originalFiles + entry.searchablePDFs + entry.pageImages + entry.studyMaterialBytes;
+      byKind.originalFiles += entry.originalFiles;
+      byKind.searchablePDFs += entry.searchablePDFs;
+      byKind.pageImages += entry.pageImages;
+      byKind.studyMaterials += entry.studyMaterialBytes;
+      return entry;
+    }).sort((a, b) => b.bytes - a.bytes);
+
+    const used = byKind.originalFiles + byKind.searchablePDFs + byKind.pageImages + byKind.studyMaterials;
+    const counted = (user.usage && user.usage.storageUsed) || 0;
+    if (counted !== used) {
+      // Only correct the counter the report was measured against; uploads and deletes
+      // that adjusted it meanwhile are measured by the next report
+      await User.updateOne(
+        { _id: user._id, "usage.storageUsed": counted ? counted : { $in: [0, null] } },
+        { $set: { "usage.storageUsed": used } }
+      );
+    }
+
+    const limit = this.getLimit(user);
+    return {
+      used,
+      limit,
+      remaining: Math.max(0, limit - used),
+      percentUsed: Math.round((used / limit) * 1000) / 10,
+      plan: (user.subscription && user.subscription.plan) || "free",
+      byKind,
+      bySubject,
+    };
+  },
+};
+
+// Thumbnails live in file storage; notes not migrated yet hold them inline as data URLs
+function thumbnailBytes(note) {
+  if (note.thumbnailFile && note.thumbnailFile.size) return note.thumbnailFile.size;
+  const thumbnail = note.thumbnail;
+  return typeof thumbnail === "string" && thumbnail.startsWith("data:") ? Buffer.byteLength(thumbnail) : 0;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * MB) return `${(bytes / (1024 * MB)).toFixed(1).replace(/\.0$/, "")} GB`;
+  if (bytes >= MB) return `${(bytes / MB).toFixed(1).replace(/\.0$/, "")} MB`;
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+storageQuotaService.STORAGE_CONFIG = STORAGE_CONFIG;
+
+module.exports = storageQuotaService;
@@ -0,0 +1,64 @@
+/**
+ * Map top-left-origin coordinates in a page's displayed orientation (OCR boxes, viewer
+ * annotations) to PDF user space, honouring the page's crop box and /Rotate
+ * @param {Object} pdfPage - pdf-lib page
+ * @param {Object} frame - Size of the coordinate space { width, height }; omit for points
+ * @returns {Function} (x, y) => { x, y }
+ */
+const createPagePointMapper = (pdfPage, frame = {}) => {
+  const { x: originX, y: originY, width, height } = pdfPage.getCropBox();
+  const rotation = ((Math.round(pdfPage.getRotation().angle / 90) * 90) % 360 + 360) % 360;
+  const quarterTurn = rotation === 90 || rotation === 270;
+  const viewWidth = quarterTurn ? height : width;
+  const viewHeight = quarterTurn ? width : height;
+  const scaleX = viewWidth / (frame.width || viewWidth);
+  const scaleY = viewHeight / (frame.height || viewHeight);
+
+  return (x, y) => {
+    const viewX = x * scaleX;
+    const viewY = y * scaleY;
+    switch (rotation) {
+      case 90:
+        return { x: originX + viewY, y: originY + viewX };
+      case 180:
+        return { x: originX + width - viewX, y: originY + viewY };
+      case 270:
+        return { x: originX + width - viewY, y: originY + height - viewX };
+      default:
+        return { x: originX + viewX, y: originY + height - viewY };
+    }
+  };
+};
+
+/**
+ * Make text drawable with a standard PDF font, which only encodes WinAnsi: accents the
+ * font lacks are stripped and other characters become "?"
+ * @param {string} text - Text to draw
+ * @param {Object} font - pdf-lib font
+ * @returns {string} Encodable text
+ */
+const toFontText = (text, font) => {
+  const characterSet = getCharacterSet(font);
+  return Array.from(text)
+    .map((char) => {
+      if (characterSet.has(char.codePointAt(0))) return char;
+      const base = char.normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+      return base && Array.from(base).every((part) => characterSet.has(part.codePointAt(0))) ? base : "?";
+    })
+    .join("");
+};
+
+// Character sets are looked up once per font
+const characterSets = new WeakMap();
+
+function getCharacterSet(font) {
+  if (!characterSets.has(font)) {
+    characterSets.set(font, new Set(font.getCharacterSet()));
+  }
+  return characterSets.get(font);
+}
+
+module.exports = {
+  createPagePointMapper,
+  toFontText,
+};
@@ -0,0 +1,58 @@
+// Keep proxies from closing idle event streams
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Turn a response into a Server-Sent Events stream
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data), close(), onClose(fn), isClosed() }
+ */
+const openEventStream = (res) => {
+  let closed = false;
+  const closeHandlers = [];
+
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // disable nginx response buffering
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(": ping\n\n");
+  }, HEARTBEAT_INTERVAL_MS);
+
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    closeHandlers.forEach((handler) => handler());
+  };
+
+  // Client went away (or the stream was ended)
+  res.on("close", finish);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      finish();
+      res.end();
+    },
+    onClose(handler) {
+      closeHandlers.push(handler);
+    },
+    isClosed() {
+      return closed;
+    },
+  };
+};
+
+module.exports = {
+  openEventStream,
+};
@@ -0,0 +1,97 @@
+// Above this many comparison cells the changed middle is reported as one replacement
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+
+/**
+ * Longest-common-subsequence diff of two token arrays
+ * @param {Array<string>} before - Old tokens
+ * @param {Array<string>} after - New tokens
+ * @returns {Array<Object>} Operations [{ type: "equal" | "delete" | "insert", value }] in order
+ */
+const diffTokens = (before, after) => {
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const oldMiddle = before.slice(start, endBefore);
+  const newMiddle = after.slice(start, endAfter);
+  const middle = oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS
+    ? [
+        ...oldMiddle.map((value) => ({ type: "delete", value })),
+        ...newMiddle.map((value) => ({ type: "insert", value })),
+      ]
+    : lcsDiff(oldMiddle, newMiddle);
+
+  return [
+    ...before.slice(0, start).map((value) => ({ type: "equal", value })),
+    ...middle,
+    ...before.slice(endBefore).map((value) => ({ type: "equal", value })),
+  ];
+};
+
+/**
+ * Word-level diff of two texts (whitespace is not significant)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<Object>} Operations, see diffTokens
+ */
+const diffWords = (before, after) => diffTokens(splitWords(before), splitWords(after));
+
+/**
+ * Line-level diff of two texts
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<Object>} Operations, see diffTokens
+ */
+const diffLines = (before, after) =>
+  diffTokens((before || "").split("\n"), (after || "").split("\n"));
+
+const splitWords = (text) => (text || "").split(/\s+/).filter(Boolean);
+
+function lcsDiff(before, after) {
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  // lengths[i * cols + j] = LCS length of before[i..] and after[j..]
+  const lengths = new Uint32Array(rows * cols);
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = before[i] === after[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      operations.push({ type: "equal", value: before[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      operations.push({ type: "delete", value: before[i++] });
+    } else {
+      operations.push({ type: "insert", value: after[j++] });
+    }
+  }
+  while (i < before.length) operations.push({ type: "delete", value: before[i++] });
+  while (j < after.length) operations.push({ type: "insert", value: after[j++] });
+
+  return operations;
+}
+
+module.exports = {
+  diffTokens,
+  diffWords,
+  diffLines,
+  splitWords,
+};
@@ -0,0 +1,207 @@
+// BM25 parameters: term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Longer "words" are OCR noise or encoded data, not something anyone searches for
+const MAX_TERM_LENGTH = 40;
+const MIN_PREFIX_LENGTH = 2;
+
+// Too common to say anything about a page; still matched inside phrases
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "is", "it",
+  "of", "on", "or", "that", "the", "this", "to", "was", "were", "with",
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Search form of a word: lower case without accents
+ * @param {string} word - Word as written
+ * @returns {string} Term
+ */
+const normalizeTerm = (word) =>
+  word.toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+
+/**
+ * Words of a text with their position in it
+ * @param {string} text - Text to split
+ * @returns {Array<Object>} Tokens { term, start, end }
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  for (const match of (text || "").matchAll(WORD_PATTERN)) {
+    tokens.push({ term: normalizeTerm(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+/**
+ * What gets stored to find a text again: its distinct terms (without stop words)
+ * and its length in words
+ * @param {string} text - Text to index
+ * @returns {Object} { terms: Array<string>, length }
+ */
+const indexTerms = (text) => {
+  const tokens = tokenize(text);
+  const terms = new Set();
+  for (const token of tokens) {
+    if (token.term.length <= MAX_TERM_LENGTH && !STOP_WORDS.has(token.term)) terms.add(token.term);
+  }
+  return { terms: [...terms], length: tokens.length };
+};
+
+/**
+ * Parse a search query. "quoted words" form a phrase and a trailing * makes a
+ * word match as a prefix (pipelin* finds pipeline and pipelining).
+ * @param {string} query - Query as typed
+ * @returns {Object} { terms: [{ term, prefix }], phrases: [[term]] }
+ */
+const parseQuery = (query) => {
+  const phrases = [];
+  const rest = (query || "").replace(/"([^"]*)"/g, (match, phrase) => {
+    const terms = tokenize(phrase).map((token) => token.term);
+    if (terms.length > 1) phrases.push(terms);
+    // A quoted single word is just a word
+    return terms.length === 1 ? ` ${terms[0]} ` : " ";
+  });
+
+  const terms = [];
+  const seen = new Set();
+  for (const match of rest.matchAll(/([\p{L}\p{N}]+)(\*?)/gu)) {
+    const term = normalizeTerm(match[1]).slice(0, MAX_TERM_LENGTH);
+    const prefix = match[2] === "*" && term.length >= MIN_PREFIX_LENGTH;
+    const key = `${term}${prefix ? "*" : ""}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    terms.push({ term, prefix });
+  }
+
+  // Stop words only count when they are all there is
+  const meaningful = terms.filter((entry) => entry.prefix || !STOP_WORDS.has(entry.term));
+  return { terms: meaningful.length > 0 || phrases.length > 0 ? meaningful : terms, phrases };
+};
+
+/**
+ * Whether a token matches a query term
+ * @param {string} term - Token term
+ * @param {Object} queryTerm - { term, prefix }
+ * @returns {boolean}
+ */
+const matchesTerm = (term, queryTerm) =>
+  queryTerm.prefix ? term.startsWith(queryTerm.term) : term === queryTerm.term;
+
+/**
+ * Token indexes where a phrase starts
+ * @param {Array<Object>} tokens - From tokenize()
+ * @param {Array<string>} phrase - Phrase terms
+ * @returns {Array<number>} Start indexes
+ */
+const findPhrase = (tokens, phrase) => {
+  const starts = [];
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((term, offset) => tokens[i + offset].term === term)) starts.push(i);
+  }
+  return starts;
+};
+
+/**
+ * BM25 inverse document frequency
+ * @param {number} documentFrequency - Documents containing the term
+ * @param {number} documentCount - All documents
+ * @returns {number}
+ */
+const bm25Idf = (documentFrequency, documentCount) =>
+  Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+
+/**
+ * BM25 score of one term in one document
+ * @param {number} termFrequency - Occurrences in the document
+ * @param {number} length - Document length in words
+ * @param {number} averageLength - Average document length
+ * @param {number} idf - From bm25Idf()
+ * @returns {number}
+ */
+const bm25Score = (termFrequency, length, averageLength, idf) => {
+  if (!termFrequency) return 0;
+  const norm = 1 - BM25_B + BM25_B * (length / (averageLength || length || 1));
+  return (idf * termFrequency * (BM25_K1 + 1)) / (termFrequency + BM25_K1 * norm);
+};
+
+/**
+ * Cut the stretch of a text with the most matches and mark them
+ * @param {string} text - Full text
+ * @param {Array<Object>} matches - Matched character ranges { start, end }, in text order
+ * @param {number} maxLength - Snippet length in characters
+ * @returns {Object} { snippet, highlights: [{ start, length }] } with offsets into the snippet
+ */
+const buildSnippet = (text, matches, maxLength = 200) => {
+  if (!text) return { snippet: "", highlights: [] };
+  if (matches.length === 0) {
+    const snippet = text.length > maxLength ? `${text.slice(0, maxLength).replace(/\s+\S*$/, "")}…` : text;
+    return { snippet: snippet.replace(/\s+/g, " "), highlights: [] };
+  }
+
+  // Window starting shortly before the match that has the most matches after it
+  let best = { index: 0, count: 0 };
+  matches.forEach((match, index) => {
+    let count = 0;
+    for (let j = index; j < matches.length && matches[j].end <= match.start + maxLength; j++) count++;
+    if (count > best.count) best = { index, count };
+  });
+
+  const lead = Math.min(40, Math.floor(maxLength / 4));
+  // Close to the beginning, start at the beginning
+  let start = matches[best.index].start <= lead * 1.5 ? 0 : matches[best.index].start - lead;
+  let end = Math.min(text.length, start + maxLength);
+  // Snap to word boundaries
+  if (start > 0) {
+    const space = text.slice(start, matches[best.index].start).search(/\s/);
+    if (space !== -1) start += space + 1;
+  }
+  if (end < text.length) {
+    const space = text.slice(0, end).search(/\s\S*$/);
+    if (space > matches[best.index].end) end = space;
+  }
+
+  // Whitespace is collapsed, so offsets are mapped while building the snippet
+  const prefix = start > 0 ? "…" : "";
+  let snippet = prefix;
+  const offsets = new Map();
+  let previousSpace = false;
+  for (let i = start; i < end; i++) {
+    offsets.set(i, snippet.length);
+    if (/\s/.test(text[i])) {
+      if (!previousSpace) snippet += " ";
+      previousSpace = true;
+    } else {
+      snippet += text[i];
+      previousSpace = false;
+    }
+  }
+  offsets.set(end, snippet.length);
+  snippet = snippet.replace(/\s+$/, "");
+  if (end < text.length) snippet += "…";
+
+  const highlights = matches
+    .filter((match) => match.start >= start && match.end <= end)
+    .map((match) => ({
+      start: offsets.get(match.start),
+      length: offsets.get(match.end) - offsets.get(match.start),
+    }));
+
+  return { snippet, highlights };
+};
+
+module.exports = {
+  STOP_WORDS,
+  MAX_TERM_LENGTH,
+  normalizeTerm,
+  tokenize,
+  indexTerms,
+  parseQuery,
+  matchesTerm,
+  findPhrase,
+  bm25Idf,
+  bm25Score,
+  buildSnippet,
+};
@@ -0,0 +1,94 @@
+// Number of MinHash slots; the similarity estimate is accurate to about ±0.1
+const SIGNATURE_SIZE = 64;
+// Words per shingle
+const SHINGLE_SIZE = 5;
+
+// Fixed per-slot seeds so signatures stay comparable across restarts
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (value, index) => mix32(0x9e3779b9 + index));
+
+/**
+ * Overlapping word shingles of a text; case, punctuation and spacing are ignored so
+ * that the same document OCRed twice produces mostly the same shingles
+ * @param {string} text - Text to shingle
+ * @returns {Set<string>} Shingles
+ */
+const shingleText = (text) => {
+  const words = (text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^\p{L}\p{N}\s]+/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const shingles = new Set();
+  if (words.length < SHINGLE_SIZE) {
+    if (words.length > 0) shingles.add(words.join(" "));
+    return shingles;
+  }
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    shingles.add(words.slice(i, i + SHINGLE_SIZE).join(" "));
+  }
+  return shingles;
+};
+
+/**
+ * MinHash signature of a text's shingles
+ * @param {string} text - Text to sign
+ * @returns {Object} { signature: Array<number>, shingleCount }
+ */
+const computeSignature = (text) => {
+  const shingles = shingleText(text);
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+
+  for (const shingle of shingles) {
+    const base = fnv1a(shingle);
+    for (let slot = 0; slot < SIGNATURE_SIZE; slot++) {
+      const value = mix32(base ^ SEEDS[slot]);
+      if (value < signature[slot]) signature[slot] = value;
+    }
+  }
+
+  return { signature, shingleCount: shingles.size };
+};
+
+/**
+ * Estimated Jaccard similarity of the shingle sets behind two signatures
+ * @param {Array<number>} a - Signature
+ * @param {Array<number>} b - Signature
+ * @returns {number} 0..1
+ */
+const estimateSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / a.length;
+};
+
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Murmur3 finalizer: spreads every input bit over the whole 32-bit result
+function mix32(value) {
+  let hash = value >>> 0;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+module.exports = {
+  SIGNATURE_SIZE,
+  shingleText,
+  computeSignature,
+  estimateSimilarity,
+};
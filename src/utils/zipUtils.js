@@ -0,0 +1,49 @@
+/**
+ * Inflate a ZIP entry, stopping as soon as more than maxBytes come out. The sizes a
+ * ZIP declares for its entries are not checked while inflating, so they can't be
+ * trusted to bound memory.
+ * @param {Object} entry - JSZip entry
+ * @param {number} maxBytes - Most bytes the entry may inflate to
+ * @param {Object} options - { keep: false to count the bytes without keeping them }
+ * @returns {Promise<Object>} { data: Buffer (null when not kept), size, tooLarge }
+ *   where tooLarge means inflating stopped after maxBytes
+ */
+const inflateZipEntry = (entry, maxBytes, options = {}) => {
+  const keep = options.keep !== false;
+
+  return new Promise((resolve, reject) => {
+    const stream = entry.nodeStream("nodebuffer");
+    const chunks = [];
+    let size = 0;
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      resolve(result);
+    };
+
+    stream.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Destroying the stream pauses the inflater, so nothing more is unpacked
+        stream.destroy();
+        finish({ data: null, size, tooLarge: true });
+        return;
+      }
+      if (keep) chunks.push(chunk);
+    });
+    stream.on("end", () => {
+      finish({ data: keep ? Buffer.concat(chunks, size) : null, size, tooLarge: false });
+    });
+    stream.on("error", (error) => {
+      if (settled) return;
+      settled = true;
+      reject(error);
+    });
+  });
+};
+
+module.exports = {
+  inflateZipEntry,
+};